@@ -0,0 +1,181 @@
+/** Active Task Registry
+ *  Instances currently held by a flow, with their cancelled flag and owning node.
+ *  Reads are served from memory so nodes can check synchronously; every change
+ *  is a single-row write to the active_tasks table, queued per tpc_id so writes
+ *  for one instance never overtake each other and survive a restart.
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const tpEvents = require('./task-package-events')
+const taskPackageDB = require('./task-package-db')
+const taskLifecycle = require('./task-lifecycle')
+
+/** Active task registry singleton */
+class ActiveTaskRegistry {
+    constructor() {
+        /** @type {Map<string, object>} Entries by tpc_id */
+        this.tasks = new Map()
+
+        /** @type {Map<string, Promise>} Tail of the write chain per tpc_id */
+        this.writes = new Map()
+
+        /** @type {boolean} Also keep the legacy active_tasks array and current_* values in flow context */
+        this.flowContextMirror = true
+
+        // Whatever ended the instance (tp-end, tp-fail, cancellation before start, recovery) it is no longer active
+        tpEvents.onComplete('*', (completion) => {
+            if (completion && completion.tpc_id) {
+                this.remove(completion.tpc_id)
+            }
+        })
+    }
+
+    /**
+     * Load the registry from the database (called once the database is ready).
+     * Entries of instances that finished meanwhile are dropped. Entries already in
+     * memory stay: they are at least as recent as their rows, so running tasks never
+     * disappear while the database is read.
+     */
+    async load() {
+        // Let queued writes land first so the rows read below include them
+        await Promise.all([...this.writes.values()])
+
+        const tasks = new Map()
+        const rows = await taskPackageDB.getActiveTasks()
+        for (const row of rows) {
+            const { status, ...task } = row
+            if (!status || taskLifecycle.isTerminal(status)) {
+                await this.queueWrite(task.tpc_id, () => taskPackageDB.deleteActiveTask(task.tpc_id))
+                continue
+            }
+            // Changed while we were reading: the in-memory state is newer
+            if (this.writes.has(task.tpc_id)) {
+                continue
+            }
+            tasks.set(task.tpc_id, task)
+        }
+
+        for (const [tpc_id, entry] of this.tasks) {
+            tasks.set(tpc_id, entry)
+        }
+        this.tasks = tasks
+    }
+
+    /**
+     * Enable or disable the flow context compatibility layer (tp-config setting)
+     * @param {boolean} enabled - Mirror the registry into flow context
+     */
+    setFlowContextMirror(enabled) {
+        this.flowContextMirror = enabled !== false
+    }
+
+    /**
+     * Run a database write after the previous writes for the same instance
+     * @param {string} tpc_id - Task instance ID
+     * @param {function(): Promise} write - The write
+     * @returns {Promise} Settles when the write is done (never rejects)
+     */
+    queueWrite(tpc_id, write) {
+        const previous = this.writes.get(tpc_id) || Promise.resolve()
+        const next = previous.then(write).catch((error) => {
+            console.error(`Error writing active task ${tpc_id}:`, error.message)
+        })
+        this.writes.set(tpc_id, next)
+        next.then(() => {
+            if (this.writes.get(tpc_id) === next) {
+                this.writes.delete(tpc_id)
+            }
+        })
+        return next
+    }
+
+    /**
+     * Add an instance picked up by a flow (replaces an existing entry, e.g. after recovery)
+     * @param {object} task - Entry (tpc_id, tp_id, tp_name, node_id, flow_id)
+     * @returns {object} The stored entry
+     */
+    register(task) {
+        const entry = {
+            tpc_id: task.tpc_id,
+            tp_id: task.tp_id,
+            tp_name: task.tp_name || null,
+            node_id: task.node_id || null,
+            flow_id: task.flow_id || null,
+            cancelled: false,
+            cancelled_at: null,
+            created_at: new Date().toISOString()
+        }
+        this.tasks.set(entry.tpc_id, entry)
+        this.queueWrite(entry.tpc_id, () => taskPackageDB.saveActiveTask(entry))
+        return entry
+    }
+
+    /**
+     * Get the entry of an active instance
+     * @param {string} tpc_id - Task instance ID
+     * @returns {object|null} Entry, or null if the instance is not active
+     */
+    get(tpc_id) {
+        return this.tasks.get(tpc_id) || null
+    }
+
+    /**
+     * List active instances
+     * @param {object} [filters] - Optional filters
+     * @param {string} [filters.tp_id] - Only instances of this task package
+     * @param {string} [filters.flow_id] - Only instances started in this flow (tab)
+     * @returns {object[]} Entries, oldest first
+     */
+    list(filters = {}) {
+        return [...this.tasks.values()].filter(task =>
+            (!filters.tp_id || task.tp_id === filters.tp_id) &&
+            (!filters.flow_id || task.flow_id === filters.flow_id)
+        )
+    }
+
+    /**
+     * Flag an active instance as cancelled (several tp-cancel nodes may report the same cancel)
+     * @param {string} tpc_id - Task instance ID
+     * @returns {object|null} Updated entry, or null if the instance is not active
+     */
+    markCancelled(tpc_id) {
+        const entry = this.tasks.get(tpc_id)
+        if (!entry) return null
+        if (entry.cancelled) return entry
+
+        entry.cancelled = true
+        entry.cancelled_at = new Date().toISOString()
+        this.queueWrite(tpc_id, () => taskPackageDB.setActiveTaskCancelled(tpc_id, entry.cancelled_at))
+        return entry
+    }
+
+    /**
+     * Check whether an active instance has been cancelled
+     * @param {string} tpc_id - Task instance ID
+     * @returns {boolean} True if cancelled
+     */
+    isCancelled(tpc_id) {
+        const entry = this.tasks.get(tpc_id)
+        return !!(entry && entry.cancelled)
+    }
+
+    /**
+     * Remove an instance that has ended
+     * @param {string} tpc_id - Task instance ID
+     * @returns {object|null} The removed entry, or null if it was not active
+     */
+    remove(tpc_id) {
+        const entry = this.tasks.get(tpc_id)
+        if (!entry) return null
+
+        this.tasks.delete(tpc_id)
+        this.queueWrite(tpc_id, () => taskPackageDB.deleteActiveTask(tpc_id))
+        return entry
+    }
+}
+
+// Export singleton instance
+module.exports = new ActiveTaskRegistry()
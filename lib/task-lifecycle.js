@@ -0,0 +1,156 @@
+/** Task Package Lifecycle
+ *  Central state machine for task package instance statuses.
+ *  Every status change goes through here so illegal transitions are rejected
+ *  and each transition is written to task_status_history.
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const taskPackageDB = require('./task-package-db')
+
+/** Statuses an instance may be created in */
+const INITIAL_STATUSES = ['created', 'scheduled', 'waiting', 'queued']
+
+/** Statuses of instances whose flow has not been started yet */
+const PENDING_STATUSES = ['scheduled', 'waiting', 'queued']
+
+/** Statuses an instance never leaves */
+const TERMINAL_STATUSES = ['completed', 'cancelled', 'failed', 'interrupted', 'cancel_failed']
+
+/** Legal transitions, keyed by current status */
+const TRANSITIONS = {
+    scheduled: ['created', 'queued', 'cancelled', 'failed'],
+    waiting: ['created', 'queued', 'cancelled', 'failed'],
+    queued: ['created', 'cancelled', 'failed'],
+    created: ['started', 'cancelling', 'cancelled', 'failed', 'interrupted'],
+    started: ['ongoing', 'paused', 'awaiting_approval', 'cancelling', 'completed', 'failed', 'interrupted'],
+    ongoing: ['paused', 'awaiting_approval', 'cancelling', 'completed', 'failed', 'interrupted'],
+    paused: ['ongoing', 'cancelling', 'completed', 'failed', 'interrupted'],
+    awaiting_approval: ['ongoing', 'cancelling', 'completed', 'failed', 'interrupted'],
+    cancelling: ['cancelled', 'failed', 'interrupted', 'cancel_failed'],
+    cancelled: [],
+    completed: [],
+    failed: [],
+    interrupted: [],
+    cancel_failed: [],
+}
+
+/** All known statuses */
+const STATUSES = Object.keys(TRANSITIONS)
+
+/** Raised when a status change is not allowed by the lifecycle */
+class InvalidTransitionError extends Error {
+    /**
+     * @param {string} tpc_id - Task instance ID
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     */
+    constructor(tpc_id, from, to) {
+        super(`Invalid status transition for task '${tpc_id}': ${from} -> ${to}`)
+        this.name = 'InvalidTransitionError'
+        this.code = 'INVALID_TRANSITION'
+        this.tpc_id = tpc_id
+        this.from = from
+        this.to = to
+    }
+}
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the lifecycle allows it
+ */
+function canTransition(from, to) {
+    const allowed = TRANSITIONS[from]
+    return Array.isArray(allowed) && allowed.includes(to)
+}
+
+/**
+ * Check whether a status is terminal
+ * @param {string} status - Status to check
+ * @returns {boolean} True if the instance can no longer change status
+ */
+function isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status)
+}
+
+/**
+ * Throw if a transition is not allowed
+ * @param {string} tpc_id - Task instance ID (for the error message)
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {InvalidTransitionError}
+ */
+function assertTransition(tpc_id, from, to) {
+    if (!canTransition(from, to)) {
+        throw new InvalidTransitionError(tpc_id, from, to)
+    }
+}
+
+/**
+ * Create a task instance and record its initial status
+ * @param {object} instance - Instance fields
+ * @param {string} instance.tpc_id - Task instance ID
+ * @param {string} instance.tp_id - Task package ID
+ * @param {string} instance.tp_name - Task package name
+ * @param {string} instance.user - Requesting user
+ * @param {string} [instance.status] - Initial status (default: created)
+ * @param {string} [instance.reason] - Reason recorded in the history
+ */
+async function createInstance({ tpc_id, tp_id, tp_name, user, status = 'created', reason = null }) {
+    if (!INITIAL_STATUSES.includes(status)) {
+        throw new InvalidTransitionError(tpc_id, null, status)
+    }
+
+    await taskPackageDB.createTaskPackageInstance(tpc_id, tp_id, tp_name, user, status)
+    await taskPackageDB.recordStatusHistory(tpc_id, null, status, user, reason)
+}
+
+/**
+ * Move a task instance to a new status
+ * @param {string} tpc_id - Task instance ID
+ * @param {string} to - Requested status
+ * @param {object} [options] - Transition options
+ * @param {string} [options.actor] - Who or what caused the transition (user, node id, 'system')
+ * @param {string} [options.reason] - Free-text reason recorded in the history
+ * @param {string} [options.user_status] - Optional user_status to set alongside
+ * @returns {Promise<{tpc_id: string, from: string, to: string}>}
+ * @throws {InvalidTransitionError} If the instance is not in a status that allows `to`
+ */
+async function transition(tpc_id, to, options = {}) {
+    const { actor = 'system', reason = null, user_status = null } = options
+
+    const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+    if (!instance) {
+        throw new Error(`Task instance '${tpc_id}' not found`)
+    }
+
+    const from = instance.status
+    assertTransition(tpc_id, from, to)
+
+    const changes = await taskPackageDB.transitionTaskStatus(tpc_id, from, to, actor, reason, user_status)
+    if (changes === 0) {
+        // Someone else moved the instance on between our read and write
+        const current = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        throw new InvalidTransitionError(tpc_id, current ? current.status : from, to)
+    }
+
+    return { tpc_id, from, to }
+}
+
+module.exports = {
+    STATUSES,
+    INITIAL_STATUSES,
+    PENDING_STATUSES,
+    TERMINAL_STATUSES,
+    TRANSITIONS,
+    InvalidTransitionError,
+    canTransition,
+    isTerminal,
+    assertTransition,
+    createInstance,
+    transition
+}
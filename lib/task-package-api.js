@@ -7,6 +7,7 @@
  * Licensed under the ISC License
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
@@ -17,6 +18,66 @@ const swaggerJsdoc = require('swagger-jsdoc');
 // Import our shared modules
 const taskPackageEvents = require('./task-package-events');
 const taskPackageDB = require('./task-package-db');
+const taskLifecycle = require('./task-lifecycle');
+const taskPackageRuntime = require('./task-package-runtime');
+const taskPackageScheduler = require('./task-package-scheduler');
+const activeTaskRegistry = require('./active-task-registry');
+
+/** Statuses of an approval requested by a tp-wait-approval node */
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'timed_out', 'cancelled'];
+
+/** Default hours for which idempotent requests are remembered */
+const DEFAULT_IDEMPOTENCY_WINDOW_HOURS = 24;
+
+/**
+ * Convert an SQLite CURRENT_TIMESTAMP value (UTC 'YYYY-MM-DD HH:MM:SS') to ISO 8601
+ * @param {string} timestamp - SQLite timestamp
+ * @returns {string|null} ISO timestamp
+ */
+function toIsoTimestamp(timestamp) {
+    if (!timestamp) {
+        return null;
+    }
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toISOString();
+}
+
+/**
+ * Time an instance has been running since it was first started, leaving out the time it was paused
+ * @param {object[]} history - Oldest-first status history entries
+ * @param {number} now - Epoch milliseconds
+ * @returns {number} Milliseconds, 0 if it never started
+ */
+function activeElapsed(history, now) {
+    let elapsed = 0;
+    let runningSince = null;
+    for (const entry of history) {
+        const time = Date.parse(toIsoTimestamp(entry.timestamp));
+        if (entry.to_status === 'paused' && runningSince !== null) {
+            elapsed += time - runningSince;
+            runningSince = null;
+        } else if (entry.to_status !== 'paused' && runningSince === null &&
+            (entry.to_status === 'started' || entry.from_status === 'paused')) {
+            runningSince = time;
+        }
+    }
+    return runningSince === null ? elapsed : elapsed + now - runningSince;
+}
+
+/**
+ * JSON.stringify with object keys sorted, so equal request bodies hash the same
+ * @param {*} value - Value to serialise
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
 
 class TaskPackageAPI {
     constructor() {
@@ -24,6 +85,8 @@ class TaskPackageAPI {
         this.config = null;
         this.db = null;
         this.edtDB = null;
+        this.runtimeInitialized = false; // Runtime and scheduler state restored (once per process)
+        this.idempotencyInFlight = new Map(); // Idempotent requests not yet stored: scope -> record, or null while being handled
         this.setupRoutes();
     }
 
@@ -37,7 +100,7 @@ class TaskPackageAPI {
         this.db = taskPackageDB; // Use singleton instance directly
         
         // Re-initialize task package database with new config
-        this.db.init(config.db_url);
+        this.initializeDatabase(config.db_url);
         
         // Initialize EDT Mode database with same path
         this.initializeEdtDatabase(config.db_url);
@@ -92,12 +155,34 @@ class TaskPackageAPI {
         console.log('Updating Task Package API configuration');
         this.config = config;
         
-        // Re-initialize database with new config
-        this.db.init(config.db_url);
+        // Re-point the database if its path changed; runtime state was restored at startup
+        if (!this.db.isInitialized || this.db.dbPath !== config.db_url) {
+            this.initializeDatabase(config.db_url);
+        }
         
         console.log('Task Package API configuration updated');
     }
 
+    /**
+     * Initialize task package database. The first time, also restore runtime state (active
+     * tasks, deadlines, schedules etc.) and reconcile instances left over from a previous run.
+     */
+    async initializeDatabase(dbPath) {
+        try {
+            await this.db.init(dbPath);
+
+            // Reconcile-on-startup must only see instances from before this process started
+            if (!this.runtimeInitialized) {
+                this.runtimeInitialized = true;
+                await activeTaskRegistry.load();
+                await taskPackageRuntime.init();
+                await taskPackageScheduler.init();
+            }
+        } catch (error) {
+            console.error('Failed to initialize task package database:', error.message);
+        }
+    }
+
     /**
      * Initialize EDT Mode database
      */
@@ -115,12 +200,25 @@ class TaskPackageAPI {
     setupRoutes() {
         /**
          * @swagger
+         * components:
+         *   parameters:
+         *     IdempotencyKey:
+         *       in: header
+         *       name: Idempotency-Key
+         *       required: false
+         *       schema:
+         *         type: string
+         *         maxLength: 255
+         *       description: Client-chosen unique key. Retrying with the same key and body within the idempotency window returns the original response (with an Idempotent-Replayed header) instead of repeating the action. Only successful (2xx) responses are remembered.
+         *
          * /start:
          *   post:
          *     summary: Start a new task package instance
-         *     description: Creates and starts a new task package execution instance
+         *     description: Creates and starts a new task package execution instance. With start_at the instance is created in 'scheduled' status and started at that time (also after a Node-RED restart); it can be cancelled until then. With depends_on the instance is created in 'waiting' status and started once its dependencies have finished as required by dependency_policy.
          *     security:
          *       - BearerAuth: []
+         *     parameters:
+         *       - $ref: '#/components/parameters/IdempotencyKey'
          *     requestBody:
          *       required: true
          *       content:
@@ -134,14 +232,39 @@ class TaskPackageAPI {
          *                 type: string
          *                 description: Task package ID
          *                 example: "tp01"
+         *               max_duration:
+         *                 type: number
+         *                 description: Maximum execution time in seconds, overriding the tp-start setting. The task is cancelled with reason 'timeout' when it expires.
+         *                 example: 600
+         *               start_at:
+         *                 type: string
+         *                 format: date-time
+         *                 description: Time to start the task at. Omit to start immediately.
+         *                 example: "2025-06-01T08:00:00Z"
+         *               priority:
+         *                 type: integer
+         *                 description: Queue priority when the task package is at its max_concurrent limit; higher starts first
+         *                 default: 0
+         *                 example: 10
+         *               depends_on:
+         *                 type: array
+         *                 items:
+         *                   type: string
+         *                 description: IDs of instances (of any task package) that must finish before this one starts. Cannot be combined with start_at.
+         *                 example: ["550e8400-e29b-41d4-a716-446655440000"]
+         *               dependency_policy:
+         *                 type: string
+         *                 enum: [all_completed, any_finished]
+         *                 default: all_completed
+         *                 description: "all_completed: start once every dependency completed; the instance is cancelled if a dependency is cancelled and failed if one fails. any_finished: start as soon as any dependency ends, whatever its outcome."
          *             additionalProperties: true
          *           example:
          *             tp_id: "tp01"
          *             room: "101"
-         *             priority: "high"
+         *             priority: 10
          *     responses:
          *       200:
-         *         description: Task started successfully
+         *         description: Task started, scheduled or queued successfully
          *         content:
          *           application/json:
          *             schema:
@@ -153,27 +276,62 @@ class TaskPackageAPI {
          *                   example: "550e8400-e29b-41d4-a716-446655440000"
          *                 status:
          *                   type: string
+         *                   enum: [started, scheduled, waiting, queued, cancelled, failed]
          *                   example: "started"
+         *                 start_at:
+         *                   type: string
+         *                   format: date-time
+         *                   description: Scheduled start time (scheduled starts only)
+         *                 queue_position:
+         *                   type: integer
+         *                   description: Position in the task package's queue, 1 = next (queued starts only)
+         *                 depends_on:
+         *                   type: array
+         *                   items:
+         *                     type: string
+         *                   description: Dependencies of the instance (dependent starts only)
          *       400:
-         *         description: Bad request - missing tp_id
+         *         description: Bad request - missing tp_id, invalid max_duration, start_at, priority, depends_on or dependency_policy, or unknown dependency
          *       401:
          *         description: Unauthorized - Bearer token required
          *       403:
          *         description: Forbidden - Invalid token
          *       404:
          *         description: Task package not found
+         *       409:
+         *         description: The task package is inactive (its tp-start node was removed) or disabled for maintenance, or a request with the same Idempotency-Key is still being processed
+         *       422:
+         *         description: Idempotency-Key already used for a different request
          *       500:
          *         description: Internal server error
          */
         // POST /task-package/start - Start a new task instance
         this.router.post('/start', async (req, res) => {
             try {
-                const { tp_id, ...payload } = req.body;
+                const { tp_id, max_duration, start_at, priority, depends_on, dependency_policy, ...payload } = req.body;
 
                 // Validate request
                 if (!tp_id) {
                     return res.status(400).json({ error: 'tp_id is required' });
                 }
+                if (max_duration !== undefined && (typeof max_duration !== 'number' || max_duration < 0)) {
+                    return res.status(400).json({ error: 'max_duration must be a non-negative number of seconds' });
+                }
+                if (start_at !== undefined && (typeof start_at !== 'string' || isNaN(Date.parse(start_at)))) {
+                    return res.status(400).json({ error: 'start_at must be an ISO date-time string' });
+                }
+                if (priority !== undefined && !Number.isInteger(priority)) {
+                    return res.status(400).json({ error: 'priority must be an integer' });
+                }
+                if (depends_on !== undefined && (!Array.isArray(depends_on) || depends_on.some(id => typeof id !== 'string' || !id))) {
+                    return res.status(400).json({ error: 'depends_on must be an array of task instance IDs' });
+                }
+                if (dependency_policy !== undefined && !taskPackageRuntime.DEPENDENCY_POLICIES.includes(dependency_policy)) {
+                    return res.status(400).json({ error: `dependency_policy must be one of: ${taskPackageRuntime.DEPENDENCY_POLICIES.join(', ')}` });
+                }
+                if (start_at !== undefined && depends_on && depends_on.length > 0) {
+                    return res.status(400).json({ error: 'start_at and depends_on cannot be combined' });
+                }
 
                 // Security validation with tp_allowed check
                 const validation = await this.validateRequest(req, null, tp_id);
@@ -184,27 +342,44 @@ class TaskPackageAPI {
                 // Get user from token validation
                 const user = validation.user;
 
+                // A retried request gets the original response instead of a second instance
+                if (await this.handleIdempotencyKey(req, res, user)) {
+                    return;
+                }
+
                 // Get task package info to get the proper name
                 const taskPackage = await this.db.getTaskPackage(tp_id);
                 if (!taskPackage) {
                     return res.status(404).json({ error: `Task package '${tp_id}' not found` });
                 }
+                const unavailable = taskPackageRuntime.unavailableReason(taskPackage);
+                if (unavailable) {
+                    return res.status(409).json({ error: unavailable, active: taskPackage.active, enabled: taskPackage.enabled });
+                }
 
-                // Generate unique instance ID
-                const tpc_id = uuidv4();
-                
-                // Store in database with proper tp_name from task_packages table
-                await this.db.createTaskPackageInstance(tpc_id, tp_id, taskPackage.name, user);
+                // Dependencies must exist, otherwise the instance would wait forever
+                const dependencies = [...new Set(depends_on || [])];
+                for (const dependency of dependencies) {
+                    if (!await this.db.getTaskPackageInstance(dependency)) {
+                        return res.status(400).json({ error: `Dependency '${dependency}' not found` });
+                    }
+                }
 
-                // Emit start event with payload containing all other fields
-                taskPackageEvents.emitStart(tp_id, {
-                    tpc_id,
+                // Store in database with proper tp_name from task_packages table, then
+                // emit the start event now or leave it to the scheduler or the queue
+                const result = await taskPackageRuntime.startTask({
                     tp_id,
+                    tp_name: taskPackage.name,
                     user,
-                    payload // This will contain all fields except tp_id and user
+                    max_duration,
+                    start_at,
+                    priority,
+                    depends_on: dependencies,
+                    dependency_policy,
+                    payload // This will contain all fields except the control fields above
                 });
 
-                res.json({ tpc_id, status: 'started' });
+                res.json(result);
             } catch (error) {
                 console.error('Error starting task package:', error);
                 res.status(500).json({ error: error.message });
@@ -216,9 +391,11 @@ class TaskPackageAPI {
          * /cancel:
          *   post:
          *     summary: Cancel a task package instance
-         *     description: Cancels an active task package execution instance
+         *     description: Cancels an active task package execution instance. Active child tasks spawned by it with tp-spawn are cancelled too. If the task package has a cancel grace period and the cleanup flow has not ended the instance when it expires, the instance is forced to 'cancelled' or 'cancel_failed'.
          *     security:
          *       - BearerAuth: []
+         *     parameters:
+         *       - $ref: '#/components/parameters/IdempotencyKey'
          *     requestBody:
          *       required: true
          *       content:
@@ -244,7 +421,7 @@ class TaskPackageAPI {
          *             reason: "User requested cancellation"
          *     responses:
          *       200:
-         *         description: Task cancellation initiated successfully
+         *         description: Task cancellation initiated successfully (a scheduled or queued task that has not started is cancelled immediately)
          *         content:
          *           application/json:
          *             schema:
@@ -252,6 +429,7 @@ class TaskPackageAPI {
          *               properties:
          *                 status:
          *                   type: string
+         *                   enum: [cancelling, cancelled]
          *                   example: "cancelling"
          *                 message:
          *                   type: string
@@ -274,6 +452,10 @@ class TaskPackageAPI {
          *         description: Forbidden - Invalid token
          *       404:
          *         description: Task instance not found
+         *       409:
+         *         description: Task status changed while the cancellation was being applied, or a request with the same Idempotency-Key is still being processed
+         *       422:
+         *         description: Idempotency-Key already used for a different request
          *       500:
          *         description: Internal server error
          */
@@ -296,6 +478,11 @@ class TaskPackageAPI {
                 // Get user from token validation
                 const user = validation.user;
 
+                // A retried request gets the original response instead of a second cancel event
+                if (await this.handleIdempotencyKey(req, res, user)) {
+                    return;
+                }
+
                 // Validate that the task instance exists and is in a cancellable state
                 const taskInstance = await this.db.getTaskPackageInstance(tpc_id);
                 if (!taskInstance) {
@@ -307,15 +494,6 @@ class TaskPackageAPI {
                     return res.status(400).json({ error: `Task instance '${tpc_id}' does not belong to task package '${tp_id}'` });
                 }
 
-                // Check if task is in a cancellable state
-                const nonCancellableStates = ['completed', 'cancelled', 'failed'];
-                if (nonCancellableStates.includes(taskInstance.status)) {
-                    return res.status(400).json({ 
-                        error: `Cannot cancel task in '${taskInstance.status}' state`,
-                        current_status: taskInstance.status
-                    });
-                }
-
                 // Check if already in cancelling state
                 if (taskInstance.status === 'cancelling') {
                     return res.status(200).json({ 
@@ -324,21 +502,26 @@ class TaskPackageAPI {
                     });
                 }
 
-                // Update database status to cancelling (not cancelled yet)
-                await this.db.updateTaskStatus(tpc_id, 'cancelling');
+                // Check if task is in a cancellable state (scheduled and queued instances are cancelled directly)
+                if (!taskLifecycle.canTransition(taskInstance.status, 'cancelling') && !taskLifecycle.PENDING_STATUSES.includes(taskInstance.status)) {
+                    return res.status(400).json({ 
+                        error: `Cannot cancel task in '${taskInstance.status}' state`,
+                        current_status: taskInstance.status
+                    });
+                }
 
-                // Emit cancel event with proper parameters
-                taskPackageEvents.emitCancel(tpc_id, {
-                    tp_id,
-                    tpc_id,
-                    user,
-                    cancelled_by: user,
-                    cancelled_at: new Date().toISOString(),
+                // Move to cancelling (not cancelled yet) and emit the cancel event for cleanup flows
+                const result = await taskPackageRuntime.cancelTask(tpc_id, {
+                    actor: user,
+                    reason: payload.reason || null,
                     payload // This will contain all fields except tp_id and tpc_id
                 });
 
-                res.json({ status: 'cancelling' });
+                res.json({ status: result.status });
             } catch (error) {
+                if (error instanceof taskLifecycle.InvalidTransitionError) {
+                    return res.status(409).json({ error: error.message, current_status: error.from });
+                }
                 console.error('Error cancelling task package:', error);
                 res.status(500).json({ error: error.message });
             }
@@ -346,384 +529,2290 @@ class TaskPackageAPI {
 
         /**
          * @swagger
-         * /update:
+         * /cancel/bulk:
          *   post:
-         *     summary: Update a task package instance
-         *     description: Updates an active task package execution instance with new data
+         *     summary: Cancel all task instances matching a filter
+         *     description: Cancels every non-terminal instance matching the filter (at least one criterion is required), each through the same path as /cancel so tp-cancel cleanup flows run for every instance. Users with a tp_allowed restriction only reach instances of their allowed task packages.
          *     security:
          *       - BearerAuth: []
+         *     parameters:
+         *       - $ref: '#/components/parameters/IdempotencyKey'
          *     requestBody:
          *       required: true
          *       content:
          *         application/json:
          *           schema:
          *             type: object
-         *             oneOf:
-         *               - required:
-         *                   - tpc_id
-         *               - required:
-         *                   - tp_id
+         *             required:
+         *               - filter
          *             properties:
-         *               tpc_id:
-         *                 type: string
-         *                 description: Specific task instance ID to update
-         *                 example: "550e8400-e29b-41d4-a716-446655440000"
-         *               tp_id:
+         *               filter:
+         *                 type: object
+         *                 properties:
+         *                   tp_id:
+         *                     type: string
+         *                     description: Only instances of this task package
+         *                   user:
+         *                     type: string
+         *                     description: Only instances requested by this user
+         *                   status:
+         *                     oneOf:
+         *                       - type: string
+         *                       - type: array
+         *                         items:
+         *                           type: string
+         *                     description: Only instances in this status (or any of these); default all non-terminal statuses
+         *                   created_before:
+         *                     type: string
+         *                     format: date-time
+         *                   created_after:
+         *                     type: string
+         *                     format: date-time
+         *               reason:
          *                 type: string
-         *                 description: Task package ID (updates any active instance)
-         *                 example: "tp01"
-         *             additionalProperties: true
+         *                 description: Reason recorded in the history and passed to cleanup flows
          *           example:
-         *             tpc_id: "550e8400-e29b-41d4-a716-446655440000"
-         *             status_message: "Equipment maintenance required"
-         *             progress: 75
+         *             filter:
+         *               tp_id: "linen_delivery"
+         *               created_after: "2025-11-03T08:00:00Z"
+         *             reason: "Ward lockdown"
          *     responses:
          *       200:
-         *         description: Task updated successfully
+         *         description: Cancellation applied to each matching instance
          *         content:
          *           application/json:
          *             schema:
          *               type: object
          *               properties:
-         *                 tpc_id:
-         *                   type: string
-         *                 tp_id:
-         *                   type: string
-         *                 status:
-         *                   type: string
-         *                   example: "updated"
-         *               example:
-         *                 tpc_id: "550e8400-e29b-41d4-a716-446655440000"
-         *                 tp_id: "tp01"
-         *                 status: "updated"
+         *                 matched:
+         *                   type: integer
+         *                   description: Number of matching instances
+         *                 cancelled:
+         *                   type: integer
+         *                   description: Instances now cancelling or cancelled
+         *                 results:
+         *                   type: array
+         *                   items:
+         *                     type: object
+         *                     properties:
+         *                       tpc_id:
+         *                         type: string
+         *                       tp_id:
+         *                         type: string
+         *                       previous_status:
+         *                         type: string
+         *                       status:
+         *                         type: string
+         *                         description: Status after the request ('cancelling', 'cancelled', or unchanged on error)
+         *                       already_cancelling:
+         *                         type: boolean
+         *                       error:
+         *                         type: string
+         *                         description: Why the instance could not be cancelled
          *       400:
-         *         description: Bad request - validation failed
+         *         description: Bad request - missing or invalid filter
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token or task package not allowed
+         *       409:
+         *         description: A request with the same Idempotency-Key is still being processed
+         *       422:
+         *         description: Idempotency-Key already used for a different request
+         *       500:
+         *         description: Internal server error
+         */
+        // POST /task-package/cancel/bulk - Cancel all task instances matching a filter
+        this.router.post('/cancel/bulk', async (req, res) => {
+            try {
+                const { filter, reason, ...payload } = req.body;
+
+                const filterError = this.validateBulkFilter(filter);
+                if (filterError) {
+                    return res.status(400).json({ error: filterError });
+                }
+
+                // Security validation with tp_allowed check
+                const validation = await this.validateRequest(req, null, filter.tp_id || null);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const user = validation.user;
+                const userTpAllowed = validation.tp_allowed || [];
+
+                if (await this.handleIdempotencyKey(req, res, user)) {
+                    return;
+                }
+
+                const statuses = filter.status === undefined ?
+                    taskLifecycle.STATUSES.filter(status => !taskLifecycle.isTerminal(status)) :
+                    [].concat(filter.status);
+
+                let instances = await this.db.getTaskPackageInstances({
+                    tp_id: filter.tp_id,
+                    user: filter.user,
+                    status: statuses,
+                    created_before: filter.created_before,
+                    created_after: filter.created_after
+                });
+                if (userTpAllowed.length > 0) {
+                    instances = instances.filter(instance => userTpAllowed.includes(instance.tp_id));
+                }
+
+                // One at a time, each through the single-instance cancel path (and its cancel event)
+                const results = [];
+                for (const instance of instances) {
+                    const entry = { tpc_id: instance.id, tp_id: instance.tp_id, previous_status: instance.status };
+                    try {
+                        const result = await taskPackageRuntime.cancelTask(instance.id, {
+                            actor: user,
+                            reason: reason || null,
+                            payload: { ...payload, reason: reason || null, bulk: true }
+                        });
+                        results.push({ ...entry, status: result.status, already_cancelling: result.already_cancelling });
+                    } catch (error) {
+                        const current_status = error instanceof taskLifecycle.InvalidTransitionError ? error.from : instance.status;
+                        results.push({ ...entry, status: current_status, already_cancelling: false, error: error.message });
+                    }
+                }
+
+                res.json({
+                    matched: instances.length,
+                    cancelled: results.filter(result => !result.error).length,
+                    results
+                });
+            } catch (error) {
+                console.error('Error bulk cancelling task packages:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /pause:
+         *   post:
+         *     summary: Pause a task package instance
+         *     description: Holds a running task package instance without cancelling it. Pause-aware nodes (tp-delay, tp-check-cancel) hold their messages and the execution deadline stops until the task is resumed.
+         *     security:
+         *       - BearerAuth: []
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - tp_id
+         *               - tpc_id
+         *             properties:
+         *               tp_id:
+         *                 type: string
+         *                 description: Task package ID
+         *                 example: "tp01"
+         *               tpc_id:
+         *                 type: string
+         *                 description: Task instance ID to pause
+         *                 example: "550e8400-e29b-41d4-a716-446655440000"
+         *               reason:
+         *                 type: string
+         *                 description: Reason recorded in the status history
+         *                 example: "Ward round in progress"
+         *     responses:
+         *       200:
+         *         description: Task paused successfully
          *         content:
          *           application/json:
          *             schema:
          *               type: object
          *               properties:
-         *                 error:
+         *                 status:
          *                   type: string
-         *               example:
-         *                 error: "Either tpc_id or tp_id is required"
+         *                   example: "paused"
+         *       400:
+         *         description: Bad request - missing parameters, task not pausable, or tp_id mismatch
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token
          *       404:
          *         description: Task instance not found
-         *         content:
-         *           application/json:
-         *             schema:
-         *               type: object
-         *               properties:
-         *                 error:
-         *                   type: string
-         *               example:
-         *                 error: "Task instance not found"
+         *       409:
+         *         description: Task status changed while the request was being applied
          *       500:
          *         description: Internal server error
-         *         content:
-         *           application/json:
-         *             schema:
-         *               type: object
-         *               properties:
-         *                 error:
-         *                   type: string
          */
-        this.router.post('/update', async (req, res) => {
+        // POST /task-package/pause - Pause a task instance
+        this.router.post('/pause', async (req, res) => {
             try {
-                const { tpc_id, tp_id, ...update_data } = req.body;
+                const { tp_id, tpc_id, reason } = req.body;
 
-                // Validate request - need either tpc_id or tp_id
-                if (!tpc_id && !tp_id) {
-                    return res.status(400).json({ error: 'Either tpc_id or tp_id is required' });
+                // Validate request
+                if (!tp_id || !tpc_id) {
+                    return res.status(400).json({ error: 'tp_id and tpc_id are required' });
                 }
 
-                // Security validation
+                // Security validation with tp_allowed check
                 const validation = await this.validateRequest(req, null, tp_id);
                 if (!validation.valid) {
                     return res.status(validation.status).json({ error: validation.message });
                 }
 
                 const user = validation.user;
-                let taskInstance = null;
 
-                if (tpc_id) {
-                    // Update specific task instance
-                    taskInstance = await this.db.getTaskPackageInstance(tpc_id);
-                    if (!taskInstance) {
-                        return res.status(404).json({ error: `Task instance '${tpc_id}' not found` });
-                    }
-                } else if (tp_id) {
-                    // Find any active task instance of this type
-                    const instances = await this.db.getTaskPackageInstances({ 
-                        tp_id, 
-                        status: ['started', 'ongoing'] 
-                    });
-                    if (instances.length === 0) {
-                        return res.status(404).json({ error: `No active task instances found for '${tp_id}'` });
-                    }
-                    taskInstance = instances[0]; // Use first active instance
+                const taskInstance = await this.db.getTaskPackageInstance(tpc_id);
+                if (!taskInstance) {
+                    return res.status(404).json({ error: `Task instance '${tpc_id}' not found` });
                 }
 
-                // Check if task is in an updatable state
-                const nonUpdatableStates = ['completed', 'cancelled', 'failed'];
-                if (nonUpdatableStates.includes(taskInstance.status)) {
+                // Check if task belongs to the specified tp_id
+                if (taskInstance.tp_id !== tp_id) {
+                    return res.status(400).json({ error: `Task instance '${tpc_id}' does not belong to task package '${tp_id}'` });
+                }
+
+                // Check if task is in a pausable state
+                if (!taskLifecycle.canTransition(taskInstance.status, 'paused')) {
                     return res.status(400).json({ 
-                        error: `Cannot update task in '${taskInstance.status}' state`,
+                        error: `Cannot pause task in '${taskInstance.status}' state`,
                         current_status: taskInstance.status
                     });
                 }
 
-                // Update the task data in database if update_data provided
-                if (Object.keys(update_data).length > 0) {
-                    await this.db.updateTaskData(taskInstance.tpc_id, update_data);
-                }
-
-                // Emit update event
-                taskPackageEvents.emitUpdate(taskInstance.tp_id, {
-                    tpc_id: taskInstance.tpc_id,
-                    tp_id: taskInstance.tp_id,
-                    user,
-                    updated_by: user,
-                    updated_at: new Date().toISOString(),
-                    update_data
+                const result = await taskPackageRuntime.pauseTask(tpc_id, {
+                    actor: user,
+                    reason: reason || null
                 });
 
-                res.json({ 
-                    tpc_id: taskInstance.tpc_id,
-                    tp_id: taskInstance.tp_id,
-                    status: 'updated'
-                });
+                res.json(result);
             } catch (error) {
-                console.error('Error updating task package:', error);
+                if (error instanceof taskLifecycle.InvalidTransitionError) {
+                    return res.status(409).json({ error: error.message, current_status: error.from });
+                }
+                console.error('Error pausing task package:', error);
                 res.status(500).json({ error: error.message });
             }
         });
 
-                /**
+        /**
          * @swagger
-         * /status:
-         *   get:
-         *     summary: Get task instance status
-         *     description: Retrieve status of task instances with optional filtering
+         * /resume:
+         *   post:
+         *     summary: Resume a task package instance
+         *     description: Resumes a paused task package instance. It continues with status 'ongoing'; held messages are released and the remaining execution deadline is re-armed.
          *     security:
          *       - BearerAuth: []
-         *     parameters:
-         *       - in: query
-         *         name: tpc_id
-         *         schema:
-         *           type: string
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - tp_id
+         *               - tpc_id
+         *             properties:
+         *               tp_id:
+         *                 type: string
+         *                 description: Task package ID
+         *                 example: "tp01"
+         *               tpc_id:
+         *                 type: string
+         *                 description: Task instance ID to resume
+         *                 example: "550e8400-e29b-41d4-a716-446655440000"
+         *               reason:
+         *                 type: string
+         *                 description: Reason recorded in the status history
+         *                 example: "Ward round finished"
+         *     responses:
+         *       200:
+         *         description: Task resumed successfully
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 status:
+         *                   type: string
+         *                   example: "ongoing"
+         *       400:
+         *         description: Bad request - missing parameters, task not paused, or tp_id mismatch
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token
+         *       404:
+         *         description: Task instance not found
+         *       409:
+         *         description: Task status changed while the request was being applied
+         *       500:
+         *         description: Internal server error
+         */
+        // POST /task-package/resume - Resume a task instance
+        this.router.post('/resume', async (req, res) => {
+            try {
+                const { tp_id, tpc_id, reason } = req.body;
+
+                // Validate request
+                if (!tp_id || !tpc_id) {
+                    return res.status(400).json({ error: 'tp_id and tpc_id are required' });
+                }
+
+                // Security validation with tp_allowed check
+                const validation = await this.validateRequest(req, null, tp_id);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const user = validation.user;
+
+                const taskInstance = await this.db.getTaskPackageInstance(tpc_id);
+                if (!taskInstance) {
+                    return res.status(404).json({ error: `Task instance '${tpc_id}' not found` });
+                }
+
+                // Check if task belongs to the specified tp_id
+                if (taskInstance.tp_id !== tp_id) {
+                    return res.status(400).json({ error: `Task instance '${tpc_id}' does not belong to task package '${tp_id}'` });
+                }
+
+                // Only paused tasks can be resumed
+                if (taskInstance.status !== 'paused') {
+                    return res.status(400).json({ 
+                        error: `Cannot resume task in '${taskInstance.status}' state`,
+                        current_status: taskInstance.status
+                    });
+                }
+
+                const result = await taskPackageRuntime.resumeTask(tpc_id, {
+                    actor: user,
+                    reason: reason || null
+                });
+
+                res.json(result);
+            } catch (error) {
+                if (error instanceof taskLifecycle.InvalidTransitionError) {
+                    return res.status(409).json({ error: error.message, current_status: error.from });
+                }
+                console.error('Error resuming task package:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /update:
+         *   post:
+         *     summary: Update a task package instance
+         *     description: Updates an active task package execution instance with new data. Unless the task package opted out of storing data, the payload is recorded and merged into the instance's data as a JSON merge patch (null removes a key).
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - $ref: '#/components/parameters/IdempotencyKey'
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             oneOf:
+         *               - required:
+         *                   - tpc_id
+         *               - required:
+         *                   - tp_id
+         *             properties:
+         *               tpc_id:
+         *                 type: string
+         *                 description: Specific task instance ID to update
+         *                 example: "550e8400-e29b-41d4-a716-446655440000"
+         *               tp_id:
+         *                 type: string
+         *                 description: Task package ID (updates any active instance)
+         *                 example: "tp01"
+         *             additionalProperties: true
+         *           example:
+         *             tpc_id: "550e8400-e29b-41d4-a716-446655440000"
+         *             status_message: "Equipment maintenance required"
+         *             progress: 75
+         *     responses:
+         *       200:
+         *         description: Task updated successfully
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 tpc_id:
+         *                   type: string
+         *                 tp_id:
+         *                   type: string
+         *                 status:
+         *                   type: string
+         *                   example: "updated"
+         *               example:
+         *                 tpc_id: "550e8400-e29b-41d4-a716-446655440000"
+         *                 tp_id: "tp01"
+         *                 status: "updated"
+         *       400:
+         *         description: Bad request - validation failed
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 error:
+         *                   type: string
+         *               example:
+         *                 error: "Either tpc_id or tp_id is required"
+         *       404:
+         *         description: Task instance not found
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 error:
+         *                   type: string
+         *               example:
+         *                 error: "Task instance not found"
+         *       409:
+         *         description: A request with the same Idempotency-Key is still being processed
+         *       422:
+         *         description: Idempotency-Key already used for a different request
+         *       500:
+         *         description: Internal server error
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 error:
+         *                   type: string
+         */
+        this.router.post('/update', async (req, res) => {
+            try {
+                const { tpc_id, tp_id, ...update_data } = req.body;
+
+                // Validate request - need either tpc_id or tp_id
+                if (!tpc_id && !tp_id) {
+                    return res.status(400).json({ error: 'Either tpc_id or tp_id is required' });
+                }
+
+                // Security validation
+                const validation = await this.validateRequest(req, null, tp_id);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const user = validation.user;
+                let taskInstance = null;
+
+                // A retried request gets the original response instead of a second update event
+                if (await this.handleIdempotencyKey(req, res, user)) {
+                    return;
+                }
+
+                if (tpc_id) {
+                    // Update specific task instance
+                    taskInstance = await this.db.getTaskPackageInstance(tpc_id);
+                    if (!taskInstance) {
+                        return res.status(404).json({ error: `Task instance '${tpc_id}' not found` });
+                    }
+                } else if (tp_id) {
+                    // Find any active task instance of this type
+                    const instances = await this.db.getTaskPackageInstances({ 
+                        tp_id, 
+                        status: ['started', 'ongoing'] 
+                    });
+                    if (instances.length === 0) {
+                        return res.status(404).json({ error: `No active task instances found for '${tp_id}'` });
+                    }
+                    taskInstance = instances[0]; // Use first active instance
+                }
+
+                // Check if task is in an updatable state
+                if (taskLifecycle.isTerminal(taskInstance.status)) {
+                    return res.status(400).json({ 
+                        error: `Cannot update task in '${taskInstance.status}' state`,
+                        current_status: taskInstance.status
+                    });
+                }
+
+                // Update the task data in database if update_data provided
+                if (Object.keys(update_data).length > 0) {
+                    await this.db.updateTaskData(taskInstance.id, update_data, {
+                        store: await taskPackageRuntime.storesData(taskInstance.tp_id),
+                        updated_by: user
+                    });
+                }
+
+                // Emit update event
+                taskPackageEvents.emitUpdate(taskInstance.tp_id, {
+                    tpc_id: taskInstance.id,
+                    tp_id: taskInstance.tp_id,
+                    user,
+                    updated_by: user,
+                    updated_at: new Date().toISOString(),
+                    update_data
+                });
+
+                res.json({ 
+                    tpc_id: taskInstance.id,
+                    tp_id: taskInstance.tp_id,
+                    status: 'updated'
+                });
+            } catch (error) {
+                console.error('Error updating task package:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * components:
+         *   schemas:
+         *     Assignment:
+         *       type: object
+         *       properties:
+         *         tpc_id:
+         *           type: string
+         *         tp_id:
+         *           type: string
+         *         action:
+         *           type: string
+         *           enum: [assigned, claimed, released]
+         *         assignee:
+         *           type: string
+         *           nullable: true
+         *         assignee_role:
+         *           type: string
+         *           nullable: true
+         *         assigned_at:
+         *           type: string
+         *           format: date-time
+         *           nullable: true
+         *
+         * /assign:
+         *   post:
+         *     summary: Assign or reassign a task instance
+         *     description: Sets the person and/or role a task instance is assigned to. An instance with a role but no assignee is in that role's pool and can be claimed by its members. Allowed for the user who started the instance, its current assignee and members of its current role.
+         *     security:
+         *       - BearerAuth: []
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - tpc_id
+         *             properties:
+         *               tpc_id:
+         *                 type: string
+         *               assignee:
+         *                 type: string
+         *                 nullable: true
+         *                 description: User to assign the instance to (null to put it back in the role's pool)
+         *               assignee_role:
+         *                 type: string
+         *                 nullable: true
+         *                 description: Role whose members may claim the instance (null to clear)
+         *           example:
+         *             tpc_id: "550e8400-e29b-41d4-a716-446655440000"
+         *             assignee_role: "porter"
+         *     responses:
+         *       200:
+         *         description: Assignment changed
+         *         content:
+         *           application/json:
+         *             schema:
+         *               $ref: '#/components/schemas/Assignment'
+         *       400:
+         *         description: Bad request - validation failed
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - not allowed to change the assignment
+         *       404:
+         *         description: Task instance not found
+         *       409:
+         *         description: The instance has finished or its assignment changed meanwhile
+         *       500:
+         *         description: Internal server error
+         */
+        this.router.post('/assign', async (req, res) => {
+            try {
+                const { tpc_id, assignee, assignee_role } = req.body;
+
+                if (!tpc_id) {
+                    return res.status(400).json({ error: 'tpc_id is required' });
+                }
+                if (assignee === undefined && assignee_role === undefined) {
+                    return res.status(400).json({ error: 'assignee or assignee_role is required' });
+                }
+                for (const [field, value] of Object.entries({ assignee, assignee_role })) {
+                    if (value !== undefined && value !== null && (typeof value !== 'string' || !value.trim())) {
+                        return res.status(400).json({ error: `${field} must be a non-empty string or null` });
+                    }
+                }
+
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const lookup = await this.getAssignableInstance(tpc_id, validation);
+                if (lookup.error) {
+                    return res.status(lookup.status).json(lookup.error);
+                }
+                const instance = lookup.instance;
+
+                if (!this.hasAssignmentAuthority(validation, instance)) {
+                    return res.status(403).json({ error: `Not allowed to assign task instance '${tpc_id}'` });
+                }
+
+                const newAssignee = assignee === undefined ? instance.assignee : assignee;
+                const newRole = assignee_role === undefined ? instance.assignee_role : assignee_role;
+
+                const changes = await this.db.setTaskAssignment(tpc_id, newAssignee, newRole, instance.assignee);
+                if (changes === 0) {
+                    return res.status(409).json({ error: `Assignment of task instance '${tpc_id}' changed meanwhile, try again` });
+                }
+
+                res.json(await this.finishAssignment(instance, 'assigned', validation.user));
+            } catch (error) {
+                console.error('Error assigning task package:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /claim:
+         *   post:
+         *     summary: Claim an unassigned task instance
+         *     description: Assigns an instance without an assignee to the calling user. If the instance has a role, only members of that role (from the OIDC userinfo roles) may claim it.
+         *     security:
+         *       - BearerAuth: []
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - tpc_id
+         *             properties:
+         *               tpc_id:
+         *                 type: string
+         *     responses:
+         *       200:
+         *         description: Instance claimed (or already assigned to the caller)
+         *         content:
+         *           application/json:
+         *             schema:
+         *               $ref: '#/components/schemas/Assignment'
+         *       400:
+         *         description: tpc_id is required
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - caller does not have the instance's role
+         *       404:
+         *         description: Task instance not found
+         *       409:
+         *         description: The instance has finished or is assigned to someone else
+         *       500:
+         *         description: Internal server error
+         */
+        this.router.post('/claim', async (req, res) => {
+            try {
+                const { tpc_id } = req.body;
+                if (!tpc_id) {
+                    return res.status(400).json({ error: 'tpc_id is required' });
+                }
+
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const lookup = await this.getAssignableInstance(tpc_id, validation);
+                if (lookup.error) {
+                    return res.status(lookup.status).json(lookup.error);
+                }
+                const instance = lookup.instance;
+
+                if (instance.assignee === validation.user) {
+                    return res.json(this.toAssignment(instance, 'claimed'));
+                }
+                if (instance.assignee) {
+                    return res.status(409).json({ error: `Task instance '${tpc_id}' is assigned to ${instance.assignee}`, assignee: instance.assignee });
+                }
+                if (instance.assignee_role && !this.hasRole(validation, instance.assignee_role)) {
+                    return res.status(403).json({ error: `Claiming task instance '${tpc_id}' requires role '${instance.assignee_role}'` });
+                }
+
+                const changes = await this.db.setTaskAssignment(tpc_id, validation.user, instance.assignee_role, null);
+                if (changes === 0) {
+                    return res.status(409).json({ error: `Task instance '${tpc_id}' was claimed by someone else` });
+                }
+
+                res.json(await this.finishAssignment(instance, 'claimed', validation.user));
+            } catch (error) {
+                console.error('Error claiming task package:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /release:
+         *   post:
+         *     summary: Release a claimed task instance
+         *     description: Removes the assignee so the instance goes back to its role's pool. Allowed for the assignee, the user who started the instance and members of its role.
+         *     security:
+         *       - BearerAuth: []
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - tpc_id
+         *             properties:
+         *               tpc_id:
+         *                 type: string
+         *     responses:
+         *       200:
+         *         description: Instance released
+         *         content:
+         *           application/json:
+         *             schema:
+         *               $ref: '#/components/schemas/Assignment'
+         *       400:
+         *         description: tpc_id is required
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - not allowed to release the instance
+         *       404:
+         *         description: Task instance not found
+         *       409:
+         *         description: The instance has finished or is not assigned
+         *       500:
+         *         description: Internal server error
+         */
+        this.router.post('/release', async (req, res) => {
+            try {
+                const { tpc_id } = req.body;
+                if (!tpc_id) {
+                    return res.status(400).json({ error: 'tpc_id is required' });
+                }
+
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const lookup = await this.getAssignableInstance(tpc_id, validation);
+                if (lookup.error) {
+                    return res.status(lookup.status).json(lookup.error);
+                }
+                const instance = lookup.instance;
+
+                if (!instance.assignee) {
+                    return res.status(409).json({ error: `Task instance '${tpc_id}' is not assigned` });
+                }
+                if (!this.hasAssignmentAuthority(validation, instance)) {
+                    return res.status(403).json({ error: `Not allowed to release task instance '${tpc_id}'` });
+                }
+
+                const changes = await this.db.setTaskAssignment(tpc_id, null, instance.assignee_role, instance.assignee);
+                if (changes === 0) {
+                    return res.status(409).json({ error: `Assignment of task instance '${tpc_id}' changed meanwhile, try again` });
+                }
+
+                res.json(await this.finishAssignment(instance, 'released', validation.user));
+            } catch (error) {
+                console.error('Error releasing task package:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * components:
+         *   schemas:
+         *     Approval:
+         *       type: object
+         *       properties:
+         *         id:
+         *           type: string
+         *         tpc_id:
+         *           type: string
+         *         tp_id:
+         *           type: string
+         *         node_id:
+         *           type: string
+         *           description: tp-wait-approval node holding the task
+         *         title:
+         *           type: string
+         *           nullable: true
+         *         required_role:
+         *           type: string
+         *           nullable: true
+         *         status:
+         *           type: string
+         *           enum: [pending, approved, rejected, timed_out, cancelled]
+         *         requested_at:
+         *           type: string
+         *           format: date-time
+         *         expires_at:
+         *           type: string
+         *           format: date-time
+         *           nullable: true
+         *         decided_by:
+         *           type: string
+         *           nullable: true
+         *         decided_at:
+         *           type: string
+         *           format: date-time
+         *           nullable: true
+         *         comment:
+         *           type: string
+         *           nullable: true
+         *
+         * /approvals:
+         *   get:
+         *     summary: List approvals
+         *     description: Lists the approvals requested by tp-wait-approval nodes, by default the pending ones. Users with a tp_allowed list only see their task packages.
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: query
+         *         name: status
+         *         schema:
+         *           type: string
+         *           enum: [pending, approved, rejected, timed_out, cancelled, all]
+         *           default: pending
+         *       - in: query
+         *         name: tp_id
+         *         schema:
+         *           type: string
+         *       - in: query
+         *         name: tpc_id
+         *         schema:
+         *           type: string
+         *     responses:
+         *       200:
+         *         description: Approvals, oldest first
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: array
+         *               items:
+         *                 $ref: '#/components/schemas/Approval'
+         *       400:
+         *         description: Invalid status
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token
+         *       500:
+         *         description: Internal server error
+         */
+        this.router.get('/approvals', async (req, res) => {
+            try {
+                const { status = 'pending', tp_id, tpc_id } = req.query;
+                if (status !== 'all' && !APPROVAL_STATUSES.includes(status)) {
+                    return res.status(400).json({ error: `status must be one of: ${APPROVAL_STATUSES.join(', ')}, all` });
+                }
+
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const approvals = await this.db.getApprovals({
+                    status: status === 'all' ? undefined : status,
+                    tp_id,
+                    tpc_id
+                });
+
+                const userTpAllowed = validation.tp_allowed || [];
+                res.json(approvals
+                    .filter(approval => userTpAllowed.length === 0 || userTpAllowed.includes(approval.tp_id))
+                    .map(({ message, released_at, ...approval }) => approval));
+            } catch (error) {
+                console.error('Error listing approvals:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /approve:
+         *   post:
+         *     summary: Approve a task waiting for approval
+         *     description: Decides the pending approval of a task parked at a tp-wait-approval node, which sends the task on its Approved output. If the node has a required role, only members of that role (from the OIDC userinfo roles) may decide.
+         *     security:
+         *       - BearerAuth: []
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             properties:
+         *               approval_id:
+         *                 type: string
+         *               tpc_id:
+         *                 type: string
+         *                 description: Decide the pending approval of this instance (when approval_id is not given)
+         *               comment:
+         *                 type: string
+         *           example:
+         *             tpc_id: "550e8400-e29b-41d4-a716-446655440000"
+         *             comment: "Checked against prescription"
+         *     responses:
+         *       200:
+         *         description: Approval decided
+         *         content:
+         *           application/json:
+         *             schema:
+         *               $ref: '#/components/schemas/Approval'
+         *       400:
+         *         description: approval_id or tpc_id is required
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - task package not allowed or required role missing
+         *       404:
+         *         description: No (pending) approval found
+         *       409:
+         *         description: The approval has already been decided
+         *       500:
+         *         description: Internal server error
+         */
+        this.router.post('/approve', async (req, res) => {
+            await this.handleApprovalDecision(req, res, 'approved');
+        });
+
+        /**
+         * @swagger
+         * /reject:
+         *   post:
+         *     summary: Reject a task waiting for approval
+         *     description: Decides the pending approval of a task parked at a tp-wait-approval node, which sends the task on its Rejected output. Same rules as /approve.
+         *     security:
+         *       - BearerAuth: []
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             properties:
+         *               approval_id:
+         *                 type: string
+         *               tpc_id:
+         *                 type: string
+         *               comment:
+         *                 type: string
+         *     responses:
+         *       200:
+         *         description: Approval decided
+         *         content:
+         *           application/json:
+         *             schema:
+         *               $ref: '#/components/schemas/Approval'
+         *       400:
+         *         description: approval_id or tpc_id is required
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - task package not allowed or required role missing
+         *       404:
+         *         description: No (pending) approval found
+         *       409:
+         *         description: The approval has already been decided
+         *       500:
+         *         description: Internal server error
+         */
+        this.router.post('/reject', async (req, res) => {
+            await this.handleApprovalDecision(req, res, 'rejected');
+        });
+
+                /**
+         * @swagger
+         * /status:
+         *   get:
+         *     summary: Get task instance status
+         *     description: Retrieve status of task instances with optional filtering. When a specific tpc_id is requested the response includes its status transition history, dependencies, stored update payloads and compensations.
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: query
+         *         name: tpc_id
+         *         schema:
+         *           type: string
          *         description: Specific task instance ID
          *         example: "550e8400-e29b-41d4-a716-446655440000"
          *       - in: query
          *         name: tp_id
          *         schema:
          *           type: string
-         *         description: Filter by task package ID
-         *         example: "tp01"
-         *       - in: query
-         *         name: user
+         *         description: Filter by task package ID
+         *         example: "tp01"
+         *       - in: query
+         *         name: user
+         *         schema:
+         *           type: string
+         *         description: Filter by user
+         *         example: "john.doe"
+         *       - in: query
+         *         name: status
+         *         schema:
+         *           type: string
+         *           enum: [scheduled, waiting, queued, created, started, ongoing, paused, awaiting_approval, completed, cancelling, cancelled, failed, interrupted, cancel_failed]
+         *         description: Filter by status
+         *         example: "started"
+         *       - in: query
+         *         name: schedule_id
+         *         schema:
+         *           type: string
+         *         description: Filter by the recurring schedule that started the instances
+         *       - in: query
+         *         name: assignee
+         *         schema:
+         *           type: string
+         *         description: Filter by the user the instances are assigned to
+         *       - in: query
+         *         name: assignee_role
+         *         schema:
+         *           type: string
+         *         description: Filter by the role the instances are assigned to (e.g. a role's pool)
+         *     responses:
+         *       200:
+         *         description: Task instance(s) retrieved successfully
+         *         content:
+         *           application/json:
+         *             schema:
+         *               oneOf:
+         *                 - type: object
+         *                   description: Single task instance (when tpc_id provided)
+         *                   properties:
+         *                     tpc_id:
+         *                       type: string
+         *                     tp_id:
+         *                       type: string
+         *                     tp_name:
+         *                       type: string
+         *                     user:
+         *                       type: string
+         *                     status:
+         *                       type: string
+         *                     created_at:
+         *                       type: string
+         *                       format: date-time
+         *                     error_message:
+         *                       type: string
+         *                       description: Error that failed the task (failed instances only)
+         *                     error_code:
+         *                       type: string
+         *                     error_node_id:
+         *                       type: string
+         *                       description: ID of the node where the error happened
+         *                     start_at:
+         *                       type: string
+         *                       format: date-time
+         *                       description: Scheduled start time (scheduled starts only)
+         *                     schedule_id:
+         *                       type: string
+         *                       description: Recurring schedule that started the instance, if any
+         *                     parent_tpc_id:
+         *                       type: string
+         *                       description: Task that spawned the instance with tp-spawn, if any
+         *                     priority:
+         *                       type: integer
+         *                     queue_position:
+         *                       type: integer
+         *                       description: Position in the task package's queue, 1 = next (queued instances only)
+         *                     dependency_policy:
+         *                       type: string
+         *                       enum: [all_completed, any_finished]
+         *                       description: Policy deciding when a dependent instance starts (dependent instances only)
+         *                     result:
+         *                       description: Result stored by tp-end, if any
+         *                       nullable: true
+         *                     assignee:
+         *                       type: string
+         *                       nullable: true
+         *                       description: User the instance is assigned to
+         *                     assignee_role:
+         *                       type: string
+         *                       nullable: true
+         *                       description: Role whose members may claim the instance
+         *                     assigned_at:
+         *                       type: string
+         *                       format: date-time
+         *                       nullable: true
+         *                     tp_version:
+         *                       type: integer
+         *                       nullable: true
+         *                       description: Version of the task package definition the instance started under (see /info)
+         *                     progress:
+         *                       type: number
+         *                       nullable: true
+         *                       description: Percentage done (0-100) reported by tp-progress
+         *                     progress_step:
+         *                       type: string
+         *                       nullable: true
+         *                       description: Current step reported by tp-progress
+         *                     progress_updated_at:
+         *                       type: string
+         *                       format: date-time
+         *                       nullable: true
+         *                     estimated_remaining_ms:
+         *                       type: integer
+         *                       nullable: true
+         *                       description: Estimated time remaining, from the durations of recent completed instances of the same task package and the reported progress (started/ongoing instances only; null without history)
+         *                     data:
+         *                       type: object
+         *                       nullable: true
+         *                       description: Start input with every update merged in (JSON merge patch); null if the task package does not store data
+         *                     updates:
+         *                       type: array
+         *                       description: Update payloads as received, oldest first (empty if the task package does not store data)
+         *                       items:
+         *                         type: object
+         *                         properties:
+         *                           update_data:
+         *                             type: object
+         *                           updated_by:
+         *                             type: string
+         *                           created_at:
+         *                             type: string
+         *                             format: date-time
+         *                     compensations:
+         *                       type: array
+         *                       description: Compensations registered by tp-compensate nodes, in registration order
+         *                       items:
+         *                         type: object
+         *                         properties:
+         *                           id:
+         *                             type: integer
+         *                           name:
+         *                             type: string
+         *                           status:
+         *                             type: string
+         *                             enum: [registered, running, done, timed_out, skipped]
+         *                           trigger:
+         *                             type: string
+         *                             nullable: true
+         *                             description: Why it was replayed (cancelled or failed)
+         *                           registered_at:
+         *                             type: string
+         *                             format: date-time
+         *                           started_at:
+         *                             type: string
+         *                             format: date-time
+         *                             nullable: true
+         *                           finished_at:
+         *                             type: string
+         *                             format: date-time
+         *                             nullable: true
+         *                     depends_on:
+         *                       type: array
+         *                       description: Instances this one waits for, with their current status
+         *                       items:
+         *                         type: object
+         *                         properties:
+         *                           tpc_id:
+         *                             type: string
+         *                           tp_id:
+         *                             type: string
+         *                           status:
+         *                             type: string
+         *                     history:
+         *                       type: array
+         *                       description: Status transitions, oldest first
+         *                       items:
+         *                         type: object
+         *                         properties:
+         *                           from_status:
+         *                             type: string
+         *                             nullable: true
+         *                           to_status:
+         *                             type: string
+         *                           actor:
+         *                             type: string
+         *                           reason:
+         *                             type: string
+         *                           timestamp:
+         *                             type: string
+         *                             format: date-time
+         *                 - type: array
+         *                   description: Array of task instances (when filtering)
+         *                   items:
+         *                     type: object
+         *                     properties:
+         *                       tpc_id:
+         *                         type: string
+         *                       tp_id:
+         *                         type: string
+         *                       tp_name:
+         *                         type: string
+         *                       user:
+         *                         type: string
+         *                       status:
+         *                         type: string
+         *                       created_at:
+         *                         type: string
+         *                         format: date-time
+         *                       progress:
+         *                         type: number
+         *                         nullable: true
+         *                       progress_step:
+         *                         type: string
+         *                         nullable: true
+         *                       estimated_remaining_ms:
+         *                         type: integer
+         *                         nullable: true
+         *                       data:
+         *                         type: object
+         *                         nullable: true
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token
+         *       404:
+         *         description: Task instance not found (when specific tpc_id provided)
+         *       500:
+         *         description: Internal server error
+         */
+        // GET /task-package/status - Get task instance(s) status
+        this.router.get('/status', async (req, res) => {
+            try {
+                // Security validation (no specific user since this is read-only)
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const { tpc_id, tp_id, user, status, schedule_id, assignee, assignee_role } = req.query;
+                
+                if (tpc_id) {
+                    // Get specific task instance
+                    const instance = await this.db.getTaskPackageInstance(tpc_id);
+                    if (!instance) {
+                        return res.status(404).json({ error: `Task instance '${tpc_id}' not found` });
+                    }
+                    const history = await this.db.getStatusHistory(tpc_id);
+                    const depends_on = await this.db.getTaskDependencies(tpc_id);
+                    const updates = await this.db.getTaskUpdates(tpc_id);
+                    const compensations = (await this.db.getCompensations(tpc_id))
+                        .map(({ id, name, status, trigger, registered_at, started_at, finished_at }) => ({ id, name, status, trigger, registered_at, started_at, finished_at }));
+                    const [withPosition] = await this.addEstimates(await this.addQueuePositions([this.withParsedFields(instance)]));
+                    res.json({ ...withPosition, depends_on, updates, compensations, history });
+                } else {
+                    // Get all task instances with optional filtering
+                    let instances = await this.db.getTaskPackageInstances();
+                    
+                    // Apply filters if provided
+                    if (tp_id) {
+                        instances = instances.filter(inst => inst.tp_id === tp_id);
+                    }
+                    if (user) {
+                        instances = instances.filter(inst => inst.user === user);
+                    }
+                    if (status) {
+                        instances = instances.filter(inst => inst.status === status);
+                    }
+                    if (schedule_id) {
+                        instances = instances.filter(inst => inst.schedule_id === schedule_id);
+                    }
+                    if (assignee) {
+                        instances = instances.filter(inst => inst.assignee === assignee);
+                    }
+                    if (assignee_role) {
+                        instances = instances.filter(inst => inst.assignee_role === assignee_role);
+                    }
+                    
+                    res.json(await this.addEstimates(await this.addQueuePositions(instances.map(instance => this.withParsedFields(instance)))));
+                }
+            } catch (error) {
+                console.error('Error getting task status:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /result:
+         *   get:
+         *     summary: Get the outcome of a task instance
+         *     description: Returns the final status, the result stored by tp-end, timings and the user who started the instance. While the instance is still running finished is false and result is null.
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: query
+         *         name: tpc_id
+         *         required: true
+         *         schema:
+         *           type: string
+         *         description: Task instance ID
+         *     responses:
+         *       200:
+         *         description: Outcome of the instance
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 tpc_id:
+         *                   type: string
+         *                 tp_id:
+         *                   type: string
+         *                 tp_name:
+         *                   type: string
+         *                 user:
+         *                   type: string
+         *                   description: User who started the instance
+         *                 status:
+         *                   type: string
+         *                 finished:
+         *                   type: boolean
+         *                   description: True once the status is terminal
+         *                 result:
+         *                   description: Result stored by tp-end (null if none)
+         *                   nullable: true
+         *                 error:
+         *                   type: object
+         *                   nullable: true
+         *                   description: Error of a failed instance (message, code, node_id)
+         *                 created_at:
+         *                   type: string
+         *                   format: date-time
+         *                 started_at:
+         *                   type: string
+         *                   format: date-time
+         *                   nullable: true
+         *                 completed_at:
+         *                   type: string
+         *                   format: date-time
+         *                   nullable: true
+         *                 duration_ms:
+         *                   type: integer
+         *                   nullable: true
+         *                   description: From start (or creation if it never started) to completion
+         *       400:
+         *         description: tpc_id is required
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token or task package not allowed
+         *       404:
+         *         description: Task instance not found
+         *       500:
+         *         description: Internal server error
+         */
+        // GET /task-package/result?tpc_id= - Outcome of a task instance
+        this.router.get('/result', async (req, res) => {
+            try {
+                const { tpc_id } = req.query;
+                if (!tpc_id) {
+                    return res.status(400).json({ error: 'tpc_id is required' });
+                }
+
+                // Security validation
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const instance = await this.db.getTaskPackageInstance(tpc_id);
+                if (!instance) {
+                    return res.status(404).json({ error: `Task instance '${tpc_id}' not found` });
+                }
+
+                const userTpAllowed = validation.tp_allowed || [];
+                if (userTpAllowed.length > 0 && !userTpAllowed.includes(instance.tp_id)) {
+                    return res.status(403).json({ error: `Not allowed to access task package '${instance.tp_id}'` });
+                }
+
+                const finished = taskLifecycle.isTerminal(instance.status);
+                const history = await this.db.getStatusHistory(tpc_id);
+                const started = history.find(entry => entry.to_status === 'started');
+                const ended = finished ? history.find(entry => entry.to_status === instance.status) : null;
+
+                const created_at = toIsoTimestamp(instance.created_at);
+                const started_at = started ? toIsoTimestamp(started.timestamp) : null;
+                const completed_at = ended ? toIsoTimestamp(ended.timestamp) : null;
+
+                res.json({
+                    tpc_id: instance.id,
+                    tp_id: instance.tp_id,
+                    tp_name: instance.tp_name,
+                    user: instance.user,
+                    status: instance.status,
+                    finished,
+                    result: finished ? this.withParsedFields(instance).result : null,
+                    error: instance.error_message ?
+                        { message: instance.error_message, code: instance.error_code, node_id: instance.error_node_id } :
+                        null,
+                    created_at,
+                    started_at,
+                    completed_at,
+                    duration_ms: completed_at ? Date.parse(completed_at) - Date.parse(started_at || created_at) : null
+                });
+            } catch (error) {
+                console.error('Error getting task result:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /timeline:
+         *   get:
+         *     summary: Get the step timeline of a task instance
+         *     description: Returns the steps recorded by tp-step nodes for the instance, in the order they were entered, with their durations. Steps run by the cancel cleanup flow are flagged with cleanup true.
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: query
+         *         name: tpc_id
+         *         required: true
+         *         schema:
+         *           type: string
+         *         description: Task instance ID
+         *     responses:
+         *       200:
+         *         description: Step timeline of the instance
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 tpc_id:
+         *                   type: string
+         *                 tp_id:
+         *                   type: string
+         *                 status:
+         *                   type: string
+         *                 steps:
+         *                   type: array
+         *                   items:
+         *                     type: object
+         *                     properties:
+         *                       step:
+         *                         type: string
+         *                       cleanup:
+         *                         type: boolean
+         *                         description: Entered from the cancel cleanup flow
+         *                       entered_at:
+         *                         type: string
+         *                         format: date-time
+         *                       exited_at:
+         *                         type: string
+         *                         format: date-time
+         *                         nullable: true
+         *                       duration_ms:
+         *                         type: integer
+         *                         nullable: true
+         *                         description: Null while the step has not been exited
+         *                       enter_node_id:
+         *                         type: string
+         *                       exit_node_id:
+         *                         type: string
+         *                         nullable: true
+         *       400:
+         *         description: tpc_id is required
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token or task package not allowed
+         *       404:
+         *         description: Task instance not found
+         *       500:
+         *         description: Internal server error
+         */
+        // GET /task-package/timeline?tpc_id= - Step timeline of a task instance
+        this.router.get('/timeline', async (req, res) => {
+            try {
+                const { tpc_id } = req.query;
+                if (!tpc_id) {
+                    return res.status(400).json({ error: 'tpc_id is required' });
+                }
+
+                // Security validation
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const instance = await this.db.getTaskPackageInstance(tpc_id);
+                if (!instance) {
+                    return res.status(404).json({ error: `Task instance '${tpc_id}' not found` });
+                }
+
+                const userTpAllowed = validation.tp_allowed || [];
+                if (userTpAllowed.length > 0 && !userTpAllowed.includes(instance.tp_id)) {
+                    return res.status(403).json({ error: `Not allowed to access task package '${instance.tp_id}'` });
+                }
+
+                const steps = await this.db.getTaskSteps(tpc_id);
+
+                res.json({
+                    tpc_id: instance.id,
+                    tp_id: instance.tp_id,
+                    status: instance.status,
+                    steps: steps.map(step => ({
+                        ...step,
+                        duration_ms: step.exited_at ? Date.parse(step.exited_at) - Date.parse(step.entered_at) : null
+                    }))
+                });
+            } catch (error) {
+                console.error('Error getting task timeline:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /info:
+         *   get:
+         *     summary: Get task package definitions
+         *     description: Retrieve available task package types and their configurations. Every change to a definition's name, form URL, schema or flow is kept as a new version; instances record the version they started under in tp_version. Task packages whose tp-start node was removed are inactive and left out of the list unless include_inactive is set.
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: query
+         *         name: tp_id
+         *         schema:
+         *           type: string
+         *         description: Specific task package ID to retrieve
+         *         example: "tp01"
+         *       - in: query
+         *         name: include_inactive
+         *         schema:
+         *           type: boolean
+         *         description: Also list inactive task packages (when no tp_id)
+         *     responses:
+         *       200:
+         *         description: Task package definition(s) retrieved successfully
+         *         content:
+         *           application/json:
+         *             schema:
+         *               oneOf:
+         *                 - type: object
+         *                   description: Single task package (when tp_id provided)
+         *                   properties:
+         *                     tp_id:
+         *                       type: string
+         *                       example: "tp01"
+         *                     name:
+         *                       type: string
+         *                       example: "Linen Delivery"
+         *                     form_url:
+         *                       type: string
+         *                       example: "linen_delivery"
+         *                     schema:
+         *                       type: object
+         *                       description: JSON schema for validation (of the current version)
+         *                     version:
+         *                       type: integer
+         *                       description: Current version of the definition
+         *                     active:
+         *                       type: boolean
+         *                       description: False once no tp-start node is deployed for the task package
+         *                     deactivated_at:
+         *                       type: string
+         *                       format: date-time
+         *                       nullable: true
+         *                     enabled:
+         *                       type: boolean
+         *                       description: False while disabled for maintenance
+         *                     disabled_by:
+         *                       type: string
+         *                       nullable: true
+         *                     disabled_reason:
+         *                       type: string
+         *                       nullable: true
+         *                     disabled_at:
+         *                       type: string
+         *                       format: date-time
+         *                       nullable: true
+         *                     versions:
+         *                       type: array
+         *                       description: Current and past versions, newest first
+         *                       items:
+         *                         type: object
+         *                         properties:
+         *                           version:
+         *                             type: integer
+         *                           name:
+         *                             type: string
+         *                           form_url:
+         *                             type: string
+         *                           schema:
+         *                             type: object
+         *                             nullable: true
+         *                           flow_hash:
+         *                             type: string
+         *                             nullable: true
+         *                             description: SHA-256 of the deployed flow of the tp-start node (layout excluded)
+         *                           deployed_at:
+         *                             type: string
+         *                             format: date-time
+         *                 - type: array
+         *                   description: Array of all task packages (when no tp_id)
+         *                   items:
+         *                     type: object
+         *                     properties:
+         *                       tp_id:
+         *                         type: string
+         *                       name:
+         *                         type: string
+         *                       form_url:
+         *                         type: string
+         *                       schema:
+         *                         type: object
+         *                       version:
+         *                         type: integer
+         *                       active:
+         *                         type: boolean
+         *                       enabled:
+         *                         type: boolean
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token
+         *       404:
+         *         description: Task package not found (when specific tp_id provided)
+         *       500:
+         *         description: Internal server error
+         */
+        // GET /task-package/info - List all available task package types OR get specific one with ?tp_id=
+        this.router.get('/info', async (req, res) => {
+            try {
+                // Security validation
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const { tp_id } = req.query;
+                const userTpAllowed = validation.tp_allowed || [];
+                
+                if (tp_id) {
+                    // Check if user is authorized for this specific tp_id
+                    if (userTpAllowed.length > 0 && !userTpAllowed.includes(tp_id)) {
+                        return res.status(403).json({ error: `Not authorized for task package: ${tp_id}` });
+                    }
+                    
+                    // Get specific task package definition
+                    const taskPackage = await this.db.getTaskPackage(tp_id);
+                    if (!taskPackage) {
+                        return res.status(404).json({ error: `Task package '${tp_id}' not found` });
+                    }
+                    
+                    const versions = await this.db.getTaskPackageVersions(tp_id);
+                    res.json({ ...this.withCurrentVersion(taskPackage, versions), versions });
+                } else {
+                    // Get all task package definitions
+                    const taskPackages = await this.db.getTaskPackages();
+                    
+                    // Filter by user's tp_allowed if specified, and leave out packages nobody can start
+                    const includeInactive = req.query.include_inactive === 'true';
+                    const filteredTaskPackages = taskPackages
+                        .filter(tp => userTpAllowed.length === 0 || userTpAllowed.includes(tp.id))
+                        .filter(tp => includeInactive || tp.active);
+                    
+                    const withVersions = [];
+                    for (const taskPackage of filteredTaskPackages) {
+                        withVersions.push(this.withCurrentVersion(taskPackage, await this.db.getTaskPackageVersions(taskPackage.id)));
+                    }
+                    
+                res.json(withVersions);
+            }
+        } catch (error) {
+            console.error('Error getting task packages:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+        /**
+         * @swagger
+         * components:
+         *   schemas:
+         *     Schedule:
+         *       type: object
+         *       properties:
+         *         id:
+         *           type: string
+         *           description: Schedule ID (recorded as schedule_id on the instances it starts)
+         *         tp_id:
+         *           type: string
+         *         cron:
+         *           type: string
+         *           description: Cron expression (5 fields, or 6 with seconds)
+         *           example: "0 8 * * 1-5"
+         *         timezone:
+         *           type: string
+         *           description: IANA timezone the cron expression is evaluated in (default server timezone)
+         *           example: "Asia/Singapore"
+         *         payload:
+         *           type: object
+         *           description: Payload template passed to every run as msg.payload
+         *         max_duration:
+         *           type: number
+         *           description: Maximum execution time in seconds for each run
+         *         enabled:
+         *           type: boolean
+         *         created_by:
+         *           type: string
+         *         last_run_at:
+         *           type: string
+         *           format: date-time
+         *         last_tpc_id:
+         *           type: string
+         *           description: Instance started by the last run
+         *         next_run_at:
+         *           type: string
+         *           format: date-time
+         *           nullable: true
+         *           description: Next run (null when disabled)
+         *
+         * /schedules:
+         *   get:
+         *     summary: List recurring schedules
+         *     description: Lists recurring task package schedules, limited to the task packages the user may access
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: query
+         *         name: tp_id
+         *         schema:
+         *           type: string
+         *         description: Filter by task package ID
+         *     responses:
+         *       200:
+         *         description: List of schedules
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: array
+         *               items:
+         *                 $ref: '#/components/schemas/Schedule'
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token
+         *       500:
+         *         description: Internal server error
+         *   post:
+         *     summary: Create a recurring schedule
+         *     description: Starts an instance of the task package every time the cron expression matches, through the same path as /start
+         *     security:
+         *       - BearerAuth: []
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             required:
+         *               - tp_id
+         *               - cron
+         *             properties:
+         *               tp_id:
+         *                 type: string
+         *               cron:
+         *                 type: string
+         *               timezone:
+         *                 type: string
+         *               payload:
+         *                 type: object
+         *               max_duration:
+         *                 type: number
+         *               enabled:
+         *                 type: boolean
+         *                 default: true
+         *           example:
+         *             tp_id: "linen_round"
+         *             cron: "0 8 * * 1-5"
+         *             timezone: "Asia/Singapore"
+         *             payload:
+         *               ward: "5A"
+         *     responses:
+         *       201:
+         *         description: Schedule created
+         *         content:
+         *           application/json:
+         *             schema:
+         *               $ref: '#/components/schemas/Schedule'
+         *       400:
+         *         description: Bad request - missing fields, invalid cron expression or timezone
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token or task package not allowed
+         *       404:
+         *         description: Task package not found
+         *       500:
+         *         description: Internal server error
+         */
+        // GET /task-package/schedules - List recurring schedules
+        this.router.get('/schedules', async (req, res) => {
+            try {
+                // Security validation
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const { tp_id } = req.query;
+                const userTpAllowed = validation.tp_allowed || [];
+
+                let schedules = await this.db.getSchedules({ tp_id });
+                if (userTpAllowed.length > 0) {
+                    schedules = schedules.filter(schedule => userTpAllowed.includes(schedule.tp_id));
+                }
+
+                res.json(schedules.map(schedule => this.withNextRun(schedule)));
+            } catch (error) {
+                console.error('Error getting schedules:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // POST /task-package/schedules - Create a recurring schedule
+        this.router.post('/schedules', async (req, res) => {
+            try {
+                const { tp_id, cron, timezone, payload = {}, max_duration, enabled = true } = req.body;
+
+                // Validate request
+                if (!tp_id || !cron) {
+                    return res.status(400).json({ error: 'tp_id and cron are required' });
+                }
+                const fieldError = this.validateScheduleFields({ cron, timezone, payload, max_duration, enabled });
+                if (fieldError) {
+                    return res.status(400).json({ error: fieldError });
+                }
+
+                // Security validation with tp_allowed check
+                const validation = await this.validateRequest(req, null, tp_id);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                const taskPackage = await this.db.getTaskPackage(tp_id);
+                if (!taskPackage) {
+                    return res.status(404).json({ error: `Task package '${tp_id}' not found` });
+                }
+
+                const schedule_id = uuidv4();
+                await this.db.createSchedule({
+                    id: schedule_id,
+                    tp_id,
+                    cron,
+                    timezone: timezone || null,
+                    payload,
+                    max_duration: max_duration === undefined ? null : max_duration,
+                    enabled,
+                    created_by: validation.user
+                });
+                await taskPackageScheduler.reload(schedule_id);
+
+                const schedule = await this.db.getSchedule(schedule_id);
+                res.status(201).json(this.withNextRun(schedule));
+            } catch (error) {
+                console.error('Error creating schedule:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * /schedules/{schedule_id}:
+         *   get:
+         *     summary: Get a recurring schedule
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: path
+         *         name: schedule_id
+         *         required: true
+         *         schema:
+         *           type: string
+         *     responses:
+         *       200:
+         *         description: Schedule
+         *         content:
+         *           application/json:
+         *             schema:
+         *               $ref: '#/components/schemas/Schedule'
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token or task package not allowed
+         *       404:
+         *         description: Schedule not found
+         *   put:
+         *     summary: Update a recurring schedule
+         *     description: Changes any of cron, timezone, payload, max_duration and enabled (and tp_id). The schedule is re-armed from now.
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: path
+         *         name: schedule_id
+         *         required: true
          *         schema:
          *           type: string
-         *         description: Filter by user
-         *         example: "john.doe"
-         *       - in: query
-         *         name: status
+         *     requestBody:
+         *       required: true
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             properties:
+         *               tp_id:
+         *                 type: string
+         *               cron:
+         *                 type: string
+         *               timezone:
+         *                 type: string
+         *               payload:
+         *                 type: object
+         *               max_duration:
+         *                 type: number
+         *               enabled:
+         *                 type: boolean
+         *           example:
+         *             enabled: false
+         *     responses:
+         *       200:
+         *         description: Updated schedule
+         *         content:
+         *           application/json:
+         *             schema:
+         *               $ref: '#/components/schemas/Schedule'
+         *       400:
+         *         description: Bad request - invalid cron expression, timezone or field value
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token or task package not allowed
+         *       404:
+         *         description: Schedule or task package not found
+         *   delete:
+         *     summary: Delete a recurring schedule
+         *     description: Stops the schedule. Instances it already started keep their schedule_id.
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: path
+         *         name: schedule_id
+         *         required: true
          *         schema:
          *           type: string
-         *           enum: [started, completed, cancelling, cancelled, failed]
-         *         description: Filter by status
-         *         example: "started"
          *     responses:
          *       200:
-         *         description: Task instance(s) retrieved successfully
+         *         description: Schedule deleted
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token or task package not allowed
+         *       404:
+         *         description: Schedule not found
+         */
+        // GET /task-package/schedules/:schedule_id - Get a recurring schedule
+        this.router.get('/schedules/:schedule_id', async (req, res) => {
+            try {
+                const schedule = await this.db.getSchedule(req.params.schedule_id);
+                if (!schedule) {
+                    return res.status(404).json({ error: `Schedule '${req.params.schedule_id}' not found` });
+                }
+
+                // Security validation with tp_allowed check
+                const validation = await this.validateRequest(req, null, schedule.tp_id);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                res.json(this.withNextRun(schedule));
+            } catch (error) {
+                console.error('Error getting schedule:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // PUT /task-package/schedules/:schedule_id - Update a recurring schedule
+        this.router.put('/schedules/:schedule_id', async (req, res) => {
+            try {
+                const { schedule_id } = req.params;
+                const { tp_id, cron, timezone, payload, max_duration, enabled } = req.body;
+
+                const schedule = await this.db.getSchedule(schedule_id);
+                if (!schedule) {
+                    return res.status(404).json({ error: `Schedule '${schedule_id}' not found` });
+                }
+
+                const fieldError = this.validateScheduleFields({
+                    cron: cron === undefined ? schedule.cron : cron,
+                    timezone: timezone === undefined ? schedule.timezone : timezone,
+                    payload,
+                    max_duration,
+                    enabled
+                });
+                if (fieldError) {
+                    return res.status(400).json({ error: fieldError });
+                }
+
+                // Security validation: the user must be allowed the current and the new task package
+                const validation = await this.validateRequest(req, null, schedule.tp_id);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+                if (tp_id && tp_id !== schedule.tp_id) {
+                    const newValidation = await this.validateRequest(req, null, tp_id);
+                    if (!newValidation.valid) {
+                        return res.status(newValidation.status).json({ error: newValidation.message });
+                    }
+                    if (!await this.db.getTaskPackage(tp_id)) {
+                        return res.status(404).json({ error: `Task package '${tp_id}' not found` });
+                    }
+                }
+
+                await this.db.updateSchedule(schedule_id, { tp_id, cron, timezone, payload, max_duration, enabled });
+                await taskPackageScheduler.reload(schedule_id);
+
+                res.json(this.withNextRun(await this.db.getSchedule(schedule_id)));
+            } catch (error) {
+                console.error('Error updating schedule:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // DELETE /task-package/schedules/:schedule_id - Delete a recurring schedule
+        this.router.delete('/schedules/:schedule_id', async (req, res) => {
+            try {
+                const { schedule_id } = req.params;
+
+                const schedule = await this.db.getSchedule(schedule_id);
+                if (!schedule) {
+                    return res.status(404).json({ error: `Schedule '${schedule_id}' not found` });
+                }
+
+                // Security validation with tp_allowed check
+                const validation = await this.validateRequest(req, null, schedule.tp_id);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+
+                await this.db.deleteSchedule(schedule_id);
+                await taskPackageScheduler.reload(schedule_id);
+
+                res.json({ schedule_id, status: 'deleted' });
+            } catch (error) {
+                console.error('Error deleting schedule:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        /**
+         * @swagger
+         * components:
+         *   schemas:
+         *     ReconciliationEntry:
+         *       type: object
+         *       properties:
+         *         tpc_id:
+         *           type: string
+         *         tp_id:
+         *           type: string
+         *         status:
+         *           type: string
+         *           description: Status the instance was left in
+         *     Reconciliation:
+         *       type: object
+         *       properties:
+         *         trigger:
+         *           type: string
+         *           enum: [startup, manual]
+         *           description: startup covers Node-RED restarts and full redeploys of the tp-config node
+         *         reconciled_at:
+         *           type: string
+         *           format: date-time
+         *         interrupted:
+         *           type: array
+         *           description: Instances marked 'interrupted' (recovery policy "interrupt")
+         *           items:
+         *             $ref: '#/components/schemas/ReconciliationEntry'
+         *         restarted:
+         *           type: array
+         *           description: Instances whose flow was started again (recovery policy "restart")
+         *           items:
+         *             $ref: '#/components/schemas/ReconciliationEntry'
+         *         cancel_resent:
+         *           type: array
+         *           description: Cancelling instances handed back to their flow with their cancel event re-sent
+         *           items:
+         *             $ref: '#/components/schemas/ReconciliationEntry'
+         *         pending:
+         *           type: array
+         *           description: Instances to restart once their tp-start node is deployed
+         *           items:
+         *             $ref: '#/components/schemas/ReconciliationEntry'
+         *
+         * /admin/reconciliation:
+         *   get:
+         *     summary: Report of the last reconciliation pass
+         *     description: Shows what the runtime did with instances left in flight (created, started, ongoing, paused, cancelling) without a flow to finish them, e.g. after a Node-RED restart. Users with a tp_allowed list only see their task packages.
+         *     security:
+         *       - BearerAuth: []
+         *     responses:
+         *       200:
+         *         description: Last report (null before the first pass)
          *         content:
          *           application/json:
          *             schema:
-         *               oneOf:
-         *                 - type: object
-         *                   description: Single task instance (when tpc_id provided)
-         *                   properties:
-         *                     tpc_id:
-         *                       type: string
-         *                     tp_id:
-         *                       type: string
-         *                     tp_name:
-         *                       type: string
-         *                     user:
-         *                       type: string
-         *                     status:
-         *                       type: string
-         *                     created_at:
-         *                       type: string
-         *                       format: date-time
-         *                 - type: array
-         *                   description: Array of task instances (when filtering)
-         *                   items:
-         *                     type: object
-         *                     properties:
-         *                       tpc_id:
-         *                         type: string
-         *                       tp_id:
-         *                         type: string
-         *                       tp_name:
-         *                         type: string
-         *                       user:
-         *                         type: string
-         *                       status:
-         *                         type: string
-         *                       created_at:
-         *                         type: string
-         *                         format: date-time
+         *               $ref: '#/components/schemas/Reconciliation'
          *       401:
          *         description: Unauthorized - Bearer token required
          *       403:
          *         description: Forbidden - Invalid token
-         *       404:
-         *         description: Task instance not found (when specific tpc_id provided)
+         *
+         * /admin/reconcile:
+         *   post:
+         *     summary: Run a reconciliation pass now
+         *     description: Applies each task package's recovery policy to in-flight instances no deployed tp-start node holds, e.g. after a partial redeploy. Only for users without a tp_allowed restriction.
+         *     security:
+         *       - BearerAuth: []
+         *     responses:
+         *       200:
+         *         description: Report of the pass
+         *         content:
+         *           application/json:
+         *             schema:
+         *               $ref: '#/components/schemas/Reconciliation'
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token or restricted to some task packages
          *       500:
          *         description: Internal server error
          */
-        // GET /task-package/status - Get task instance(s) status
-        this.router.get('/status', async (req, res) => {
+        // GET /task-package/admin/reconciliation - Report of the last reconciliation pass
+        this.router.get('/admin/reconciliation', async (req, res) => {
             try {
-                // Security validation (no specific user since this is read-only)
                 const validation = await this.validateRequest(req);
                 if (!validation.valid) {
                     return res.status(validation.status).json({ error: validation.message });
                 }
 
-                const { tpc_id, tp_id, user, status } = req.query;
-                
-                if (tpc_id) {
-                    // Get specific task instance
-                    const instance = await this.db.getTaskPackageInstance(tpc_id);
-                    if (!instance) {
-                        return res.status(404).json({ error: `Task instance '${tpc_id}' not found` });
-                    }
-                    res.json(instance);
-                } else {
-                    // Get all task instances with optional filtering
-                    let instances = await this.db.getTaskPackageInstances();
-                    
-                    // Apply filters if provided
-                    if (tp_id) {
-                        instances = instances.filter(inst => inst.tp_id === tp_id);
-                    }
-                    if (user) {
-                        instances = instances.filter(inst => inst.user === user);
-                    }
-                    if (status) {
-                        instances = instances.filter(inst => inst.status === status);
-                    }
-                    
-                    res.json(instances);
+                res.json(this.filterReconciliation(taskPackageRuntime.lastReconciliation, validation.tp_allowed));
+            } catch (error) {
+                console.error('Error getting reconciliation report:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // POST /task-package/admin/reconcile - Run a reconciliation pass
+        this.router.post('/admin/reconcile', async (req, res) => {
+            try {
+                const validation = await this.validateRequest(req);
+                if (!validation.valid) {
+                    return res.status(validation.status).json({ error: validation.message });
+                }
+                if (validation.tp_allowed && validation.tp_allowed.length > 0) {
+                    return res.status(403).json({ error: 'Reconciliation covers all task packages and needs an unrestricted user' });
                 }
+
+                res.json(await taskPackageRuntime.reconcile('manual'));
             } catch (error) {
-                console.error('Error getting task status:', error);
+                console.error('Error running reconciliation:', error);
                 res.status(500).json({ error: error.message });
             }
         });
 
         /**
-         * @swagger
-         * /info:
-         *   get:
-         *     summary: Get task package definitions
-         *     description: Retrieve available task package types and their configurations
+         * @swagger
+         * /admin/packages/{tp_id}/disable:
+         *   post:
+         *     summary: Disable a task package for maintenance
+         *     description: New starts through /start, schedules and tp-spawn are rejected (409) until the task package is enabled again. Scheduled and queued instances stay queued; running instances are not affected. The flag survives redeploys. Only for users without a tp_allowed restriction.
          *     security:
          *       - BearerAuth: []
          *     parameters:
-         *       - in: query
+         *       - in: path
          *         name: tp_id
+         *         required: true
          *         schema:
          *           type: string
-         *         description: Specific task package ID to retrieve
          *         example: "tp01"
+         *     requestBody:
+         *       required: false
+         *       content:
+         *         application/json:
+         *           schema:
+         *             type: object
+         *             properties:
+         *               reason:
+         *                 type: string
+         *                 description: Shown to callers of /start while disabled
+         *                 example: "Porter system upgrade until 14:00"
          *     responses:
          *       200:
-         *         description: Task package definition(s) retrieved successfully
-         *         content:
-         *           application/json:
-         *             schema:
-         *               oneOf:
-         *                 - type: object
-         *                   description: Single task package (when tp_id provided)
-         *                   properties:
-         *                     tp_id:
-         *                       type: string
-         *                       example: "tp01"
-         *                     name:
-         *                       type: string
-         *                       example: "Linen Delivery"
-         *                     form_url:
-         *                       type: string
-         *                       example: "linen_delivery"
-         *                     schema:
-         *                       type: object
-         *                       description: JSON schema for validation
-         *                 - type: array
-         *                   description: Array of all task packages (when no tp_id)
-         *                   items:
-         *                     type: object
-         *                     properties:
-         *                       tp_id:
-         *                         type: string
-         *                       name:
-         *                         type: string
-         *                       form_url:
-         *                         type: string
-         *                       schema:
-         *                         type: object
+         *         description: The task package, with enabled false and who disabled it, when and why
+         *       400:
+         *         description: reason is not a string
          *       401:
          *         description: Unauthorized - Bearer token required
          *       403:
-         *         description: Forbidden - Invalid token
+         *         description: Forbidden - Invalid token or restricted to some task packages
          *       404:
-         *         description: Task package not found (when specific tp_id provided)
+         *         description: Task package not found
+         *       500:
+         *         description: Internal server error
+         *
+         * /admin/packages/{tp_id}/enable:
+         *   post:
+         *     summary: Enable a task package again after maintenance
+         *     description: Starts are accepted again and instances queued meanwhile are started while there are free slots. Only for users without a tp_allowed restriction.
+         *     security:
+         *       - BearerAuth: []
+         *     parameters:
+         *       - in: path
+         *         name: tp_id
+         *         required: true
+         *         schema:
+         *           type: string
+         *         example: "tp01"
+         *     responses:
+         *       200:
+         *         description: The task package, with enabled true
+         *       401:
+         *         description: Unauthorized - Bearer token required
+         *       403:
+         *         description: Forbidden - Invalid token or restricted to some task packages
+         *       404:
+         *         description: Task package not found
          *       500:
          *         description: Internal server error
          */
-        // GET /task-package/info - List all available task package types OR get specific one with ?tp_id=
-        this.router.get('/info', async (req, res) => {
-            try {
-                // Security validation
-                const validation = await this.validateRequest(req);
-                if (!validation.valid) {
-                    return res.status(validation.status).json({ error: validation.message });
-                }
+        // POST /task-package/admin/packages/:tp_id/disable - Disable a task package for maintenance
+        this.router.post('/admin/packages/:tp_id/disable', async (req, res) => {
+            await this.handleAvailabilityChange(req, res, false);
+        });
 
-                const { tp_id } = req.query;
-                const userTpAllowed = validation.tp_allowed || [];
-                
-                if (tp_id) {
-                    // Check if user is authorized for this specific tp_id
-                    if (userTpAllowed.length > 0 && !userTpAllowed.includes(tp_id)) {
-                        return res.status(403).json({ error: `Not authorized for task package: ${tp_id}` });
-                    }
-                    
-                    // Get specific task package definition
-                    const taskPackage = await this.db.getTaskPackage(tp_id);
-                    if (!taskPackage) {
-                        return res.status(404).json({ error: `Task package '${tp_id}' not found` });
-                    }
-                    
-                    res.json(taskPackage);
-                } else {
-                    // Get all task package definitions
-                    const taskPackages = await this.db.getTaskPackages();
-                    
-                    // Filter by user's tp_allowed if specified
-                    const filteredTaskPackages = userTpAllowed.length > 0 
-                        ? taskPackages.filter(tp => userTpAllowed.includes(tp.id))
-                        : taskPackages;
-                    
-                res.json(filteredTaskPackages);
-            }
-        } catch (error) {
-            console.error('Error getting task packages:', error);
-            res.status(500).json({ error: error.message });
-        }
-    });
+        // POST /task-package/admin/packages/:tp_id/enable - Enable a task package again
+        this.router.post('/admin/packages/:tp_id/enable', async (req, res) => {
+            await this.handleAvailabilityChange(req, res, true);
+        });
 
     // === EDT Mode API Endpoints ===
 
@@ -1090,11 +3179,430 @@ class TaskPackageAPI {
     /**
      * Validate Keycloak token and authorization
      */
+    /**
+     * Handle the Idempotency-Key header of a state-changing request: replay the
+     * stored response of an earlier request with the same key, or arrange for
+     * this request's response to be stored. Keys are scoped per user and route.
+     * @returns {Promise<boolean>} True if a response has already been sent
+     */
+    async handleIdempotencyKey(req, res, user) {
+        const idempotency_key = req.get('Idempotency-Key');
+        if (!idempotency_key) {
+            return false;
+        }
+        if (idempotency_key.length > 255) {
+            res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+            return true;
+        }
+
+        const route = req.path;
+        const scope = JSON.stringify([idempotency_key, user, route]);
+        const request_hash = crypto.createHash('sha256').update(stableStringify(req.body || {})).digest('hex');
+        const windowHours = (this.config && this.config.idempotency_window) || DEFAULT_IDEMPOTENCY_WINDOW_HOURS;
+        const since = new Date(Date.now() - windowHours * 3600 * 1000).toISOString();
+
+        let record = this.idempotencyInFlight.get(scope);
+        if (record === null) {
+            res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+            return true;
+        }
+
+        if (!record) {
+            // Claim the key before looking it up, so a duplicate arriving meanwhile gets 409
+            this.idempotencyInFlight.set(scope, null);
+            try {
+                record = await this.db.getIdempotencyRecord(idempotency_key, user, route, since);
+            } catch (error) {
+                this.idempotencyInFlight.delete(scope);
+                throw error;
+            }
+            if (record) {
+                this.idempotencyInFlight.delete(scope);
+            }
+        }
+        if (record) {
+            if (record.request_hash !== request_hash) {
+                res.status(422).json({ error: 'Idempotency-Key has already been used for a different request' });
+                return true;
+            }
+            res.set('Idempotent-Replayed', 'true');
+            res.status(record.status_code).json(JSON.parse(record.response));
+            return true;
+        }
+
+        // Store the response once the route sends it. Only successful responses are stored:
+        // after an error (e.g. 409 while the package is disabled) the client can retry with
+        // the same key. Retries are answered from memory until the record is written.
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                this.idempotencyInFlight.delete(scope);
+                return sendJson(body);
+            }
+
+            const newRecord = {
+                idempotency_key,
+                user,
+                route,
+                request_hash,
+                status_code: res.statusCode,
+                response: JSON.stringify(body),
+                created_at: new Date().toISOString()
+            };
+            this.idempotencyInFlight.set(scope, newRecord);
+
+            this.db.saveIdempotencyRecord(newRecord)
+                .then(() => this.db.deleteIdempotencyRecordsBefore(since))
+                .catch(error => console.error('Error storing idempotent response:', error.message))
+                .finally(() => this.idempotencyInFlight.delete(scope));
+
+            return sendJson(body);
+        };
+
+        return false;
+    }
+
+    /**
+     * Limit a reconciliation report to the task packages a user may see
+     * @param {object|null} report - Reconciliation report
+     * @param {string[]} tp_allowed - Task packages of the user (empty for all)
+     * @returns {object|null} Filtered report
+     */
+    filterReconciliation(report, tp_allowed) {
+        if (!report || !tp_allowed || tp_allowed.length === 0) {
+            return report;
+        }
+
+        const filtered = { ...report };
+        for (const key of ['interrupted', 'restarted', 'cancel_resent', 'pending']) {
+            filtered[key] = report[key].filter(entry => tp_allowed.includes(entry.tp_id));
+        }
+        return filtered;
+    }
+
+    /**
+     * Add queue_position to queued instances for API responses
+     */
+    async addQueuePositions(instances) {
+        const queues = {};
+        const result = [];
+        for (const instance of instances) {
+            if (instance.status !== 'queued') {
+                result.push(instance);
+                continue;
+            }
+            if (!queues[instance.tp_id]) {
+                queues[instance.tp_id] = (await this.db.getQueuedInstances(instance.tp_id)).map(queued => queued.id);
+            }
+            result.push({ ...instance, queue_position: queues[instance.tp_id].indexOf(instance.id) + 1 });
+        }
+        return result;
+    }
+
+    /**
+     * Look up an instance whose assignment is to be changed
+     * @returns {Promise<{instance?: object, status?: number, error?: object}>}
+     */
+    async getAssignableInstance(tpc_id, validation) {
+        const instance = await this.db.getTaskPackageInstance(tpc_id);
+        if (!instance) {
+            return { status: 404, error: { error: `Task instance '${tpc_id}' not found` } };
+        }
+
+        const userTpAllowed = validation.tp_allowed || [];
+        if (userTpAllowed.length > 0 && !userTpAllowed.includes(instance.tp_id)) {
+            return { status: 403, error: { error: `Not allowed to access task package '${instance.tp_id}'` } };
+        }
+
+        if (taskLifecycle.isTerminal(instance.status)) {
+            return {
+                status: 409,
+                error: { error: `Cannot change the assignment of a task in '${instance.status}' state`, current_status: instance.status }
+            };
+        }
+
+        return { instance };
+    }
+
+    /**
+     * Check whether the caller has a role (from the OIDC userinfo). Everyone has every
+     * role while security is bypassed.
+     */
+    hasRole(validation, role) {
+        if (!this.config || !this.config.keycloak_url) {
+            return true;
+        }
+        return (validation.roles || []).includes(role);
+    }
+
+    /**
+     * Add the schema and number of the current definition version to a task package
+     * @param {object} taskPackage - task_packages row
+     * @param {object[]} versions - Its versions, newest first
+     */
+    withCurrentVersion(taskPackage, versions) {
+        const current = versions[0];
+        return {
+            ...taskPackage,
+            schema: current ? current.schema : null,
+            version: current ? current.version : null
+        };
+    }
+
+    /**
+     * Shared handler of /admin/packages/:tp_id/enable and /disable
+     * @param {boolean} enabled - New value of the task package's enabled flag
+     */
+    async handleAvailabilityChange(req, res, enabled) {
+        try {
+            const { tp_id } = req.params;
+            const reason = req.body && req.body.reason !== undefined ? req.body.reason : null;
+            if (reason !== null && typeof reason !== 'string') {
+                return res.status(400).json({ error: 'reason must be a string' });
+            }
+
+            const validation = await this.validateRequest(req);
+            if (!validation.valid) {
+                return res.status(validation.status).json({ error: validation.message });
+            }
+            if (validation.tp_allowed && validation.tp_allowed.length > 0) {
+                return res.status(403).json({ error: 'Enabling or disabling a task package needs an unrestricted user' });
+            }
+
+            const taskPackage = await taskPackageRuntime.setTaskPackageEnabled(tp_id, enabled, {
+                actor: validation.user,
+                reason
+            });
+            if (!taskPackage) {
+                return res.status(404).json({ error: `Task package '${tp_id}' not found` });
+            }
+
+            console.log(`Task package ${tp_id} ${enabled ? 'enabled' : 'disabled'} by ${validation.user}`);
+            res.json(taskPackage);
+        } catch (error) {
+            console.error(`Error ${enabled ? 'enabling' : 'disabling'} task package:`, error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    /**
+     * Shared handler of /approve and /reject
+     * @param {string} decision - 'approved' or 'rejected'
+     */
+    async handleApprovalDecision(req, res, decision) {
+        try {
+            const { approval_id, tpc_id, comment = null } = req.body;
+            if (!approval_id && !tpc_id) {
+                return res.status(400).json({ error: 'approval_id or tpc_id is required' });
+            }
+            if (comment !== null && typeof comment !== 'string') {
+                return res.status(400).json({ error: 'comment must be a string' });
+            }
+
+            const validation = await this.validateRequest(req);
+            if (!validation.valid) {
+                return res.status(validation.status).json({ error: validation.message });
+            }
+
+            let approval;
+            if (approval_id) {
+                approval = await this.db.getApproval(approval_id);
+            } else {
+                [approval] = await this.db.getApprovals({ tpc_id, status: 'pending' });
+            }
+            if (!approval) {
+                return res.status(404).json({ error: approval_id ? `Approval '${approval_id}' not found` : `No pending approval for task instance '${tpc_id}'` });
+            }
+
+            const userTpAllowed = validation.tp_allowed || [];
+            if (userTpAllowed.length > 0 && !userTpAllowed.includes(approval.tp_id)) {
+                return res.status(403).json({ error: `Not allowed to access task package '${approval.tp_id}'` });
+            }
+            if (approval.required_role && !this.hasRole(validation, approval.required_role)) {
+                return res.status(403).json({ error: `Deciding this approval requires role '${approval.required_role}'` });
+            }
+
+            const decided = approval.status === 'pending' ?
+                await taskPackageRuntime.decideApproval(approval.id, decision, { actor: validation.user, comment }) :
+                null;
+            if (!decided) {
+                const current = await this.db.getApproval(approval.id);
+                return res.status(409).json({ error: `Approval '${approval.id}' is already ${current.status}`, current_status: current.status });
+            }
+
+            const { released_at, ...response } = decided;
+            res.json(response);
+        } catch (error) {
+            console.error(`Error deciding approval (${decision}):`, error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    /**
+     * Check whether the caller may assign, reassign or release an instance: the user
+     * who started it, its assignee or a member of its role (anyone while security is bypassed)
+     */
+    hasAssignmentAuthority(validation, instance) {
+        if (!this.config || !this.config.keycloak_url) {
+            return true;
+        }
+        return validation.user === instance.user ||
+            validation.user === instance.assignee ||
+            (!!instance.assignee_role && this.hasRole(validation, instance.assignee_role));
+    }
+
+    /**
+     * Shape an instance's assignment for API responses and events
+     */
+    toAssignment(instance, action) {
+        return {
+            tpc_id: instance.id,
+            tp_id: instance.tp_id,
+            action,
+            assignee: instance.assignee || null,
+            assignee_role: instance.assignee_role || null,
+            assigned_at: instance.assigned_at || null
+        };
+    }
+
+    /**
+     * Read back a changed assignment and emit the assignment event
+     * @param {object} previous - Instance before the change
+     * @param {string} action - 'assigned', 'claimed' or 'released'
+     * @param {string} user - User who made the change
+     * @returns {Promise<object>} The new assignment
+     */
+    async finishAssignment(previous, action, user) {
+        const instance = await this.db.getTaskPackageInstance(previous.id);
+        const assignment = this.toAssignment(instance, action);
+
+        taskPackageEvents.emitAssignment(instance.tp_id, {
+            ...assignment,
+            tp_name: instance.tp_name,
+            previous_assignee: previous.assignee || null,
+            previous_assignee_role: previous.assignee_role || null,
+            changed_by: user,
+            changed_at: new Date().toISOString()
+        });
+
+        return assignment;
+    }
+
+    /**
+     * Add estimated_remaining_ms to running instances: the average duration of recent
+     * completed instances of the same task package, scaled by the reported progress
+     * or, without progress, minus the time the instance has been running (paused time
+     * not counted). Null when there is no history to go on.
+     */
+    async addEstimates(instances) {
+        const running = instances.filter(instance => ['started', 'ongoing'].includes(instance.status));
+        const averages = {};
+        for (const tp_id of new Set(running.map(instance => instance.tp_id))) {
+            averages[tp_id] = (await this.db.getAverageDuration(tp_id)).average_ms;
+        }
+
+        // Elapsed time is only needed where there is no progress to scale by
+        const unscaled = running.filter(instance => averages[instance.tp_id] !== null &&
+            (instance.progress === null || instance.progress === undefined));
+        const histories = await this.db.getStatusHistories(unscaled.map(instance => instance.id));
+        const now = Date.now();
+
+        return instances.map(instance => {
+            if (!running.includes(instance)) {
+                return instance;
+            }
+            const average_ms = averages[instance.tp_id];
+
+            let estimated_remaining_ms = null;
+            if (average_ms !== null && instance.progress !== null && instance.progress !== undefined) {
+                estimated_remaining_ms = Math.round(average_ms * (100 - instance.progress) / 100);
+            } else if (average_ms !== null) {
+                estimated_remaining_ms = Math.max(0, average_ms - activeElapsed(histories[instance.id], now));
+            }
+            return { ...instance, estimated_remaining_ms };
+        });
+    }
+
+    /**
+     * Validate the optional fields of a recurring schedule
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateScheduleFields({ cron, timezone, payload, max_duration, enabled }) {
+        const cronError = taskPackageScheduler.validate(cron, timezone);
+        if (cronError) {
+            return cronError;
+        }
+        if (payload !== undefined && (typeof payload !== 'object' || payload === null || Array.isArray(payload))) {
+            return 'payload must be an object';
+        }
+        if (max_duration !== undefined && max_duration !== null && (typeof max_duration !== 'number' || max_duration < 0)) {
+            return 'max_duration must be a non-negative number of seconds';
+        }
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return 'enabled must be a boolean';
+        }
+        return null;
+    }
+
+    /**
+     * Replace the stored JSON result and data of an instance row with the parsed values.
+     * The internal start request is left out; data holds the start input unless the
+     * task package opted out of storing it.
+     */
+    withParsedFields(instance) {
+        const { start_request, ...fields } = instance;
+        return {
+            ...fields,
+            result: instance.result ? JSON.parse(instance.result) : null,
+            data: instance.data ? JSON.parse(instance.data) : null
+        };
+    }
+
+    /**
+     * Validate the filter of a bulk cancellation
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateBulkFilter(filter) {
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+            return 'filter must be an object';
+        }
+        const { tp_id, user, status, created_before, created_after } = filter;
+        if ([tp_id, user, status, created_before, created_after].every(value => value === undefined)) {
+            return 'filter needs at least one of: tp_id, user, status, created_before, created_after';
+        }
+        if (tp_id !== undefined && typeof tp_id !== 'string') {
+            return 'filter.tp_id must be a string';
+        }
+        if (user !== undefined && typeof user !== 'string') {
+            return 'filter.user must be a string';
+        }
+        if (status !== undefined) {
+            const statuses = [].concat(status);
+            const unknown = statuses.find(value => !taskLifecycle.STATUSES.includes(value));
+            if (statuses.length === 0 || unknown !== undefined) {
+                return `filter.status must be one or more of: ${taskLifecycle.STATUSES.join(', ')}`;
+            }
+        }
+        for (const [name, value] of [['created_before', created_before], ['created_after', created_after]]) {
+            if (value !== undefined && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+                return `filter.${name} must be an ISO date-time string`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Add the next run time to a schedule for API responses
+     */
+    withNextRun(schedule) {
+        return { ...schedule, next_run_at: taskPackageScheduler.getNextRunAt(schedule.id) };
+    }
+
     async validateRequest(req, expectedUser = null, requiredTpId = null) {
         try {
             // If no Keycloak URL configured, allow all requests
             if (!this.config || !this.config.keycloak_url) {
-                return { valid: true, user: 'admin', tp_allowed: [] };
+                return { valid: true, user: 'admin', tp_allowed: [], roles: [] };
             }
 
             const authHeader = req.headers.authorization;
@@ -1120,7 +3628,8 @@ class TaskPackageAPI {
             return { 
                 valid: true, 
                 user: validationResult.user,
-                tp_allowed: validationResult.tp_allowed || []
+                tp_allowed: validationResult.tp_allowed || [],
+                roles: validationResult.roles || []
             };
         } catch (error) {
             console.error('Error validating request:', error);
@@ -1198,10 +3707,15 @@ class TaskPackageAPI {
                 }
             }
 
+            // Roles for task assignment: a roles or groups claim, or Keycloak realm roles
+            const roles = userData.roles || userData.groups ||
+                (userData.realm_access && userData.realm_access.roles) || [];
+
             return { 
                 valid: true, 
                 user: username,
-                tp_allowed: userData.tp_allowed || []
+                tp_allowed: userData.tp_allowed || [],
+                roles: Array.isArray(roles) ? roles : [roles]
             };
         } catch (error) {
             console.error('Keycloak validation failed:', error.message);
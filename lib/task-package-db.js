@@ -10,6 +10,115 @@
 const sqlite3 = require('sqlite3').verbose()
 const path = require('path')
 
+/** Columns added to task_packages_created after the initial schema */
+const INSTANCE_COLUMNS = {
+    error_message: 'TEXT',
+    error_code: 'TEXT',
+    error_node_id: 'TEXT',
+    deadline_at: 'TEXT',
+    deadline_remaining_ms: 'INTEGER',
+    start_at: 'TEXT',
+    start_request: 'TEXT',
+    schedule_id: 'TEXT',
+    priority: 'INTEGER NOT NULL DEFAULT 0',
+    queued_at: 'TEXT',
+    dependency_policy: 'TEXT',
+    parent_tpc_id: 'TEXT',
+    cancel_deadline_at: 'TEXT',
+    result: 'TEXT',
+    data: 'TEXT',
+    progress: 'REAL',
+    progress_step: 'TEXT',
+    progress_updated_at: 'TEXT',
+    assignee: 'TEXT',
+    assignee_role: 'TEXT',
+    assigned_at: 'TEXT',
+    tp_version: 'INTEGER'
+}
+
+/** Columns added to task_packages after the initial schema */
+const PACKAGE_COLUMNS = {
+    max_concurrent: 'INTEGER',
+    recovery_policy: 'TEXT',
+    cancel_grace_period: 'REAL',
+    cancel_timeout_status: 'TEXT',
+    store_data: 'BOOLEAN NOT NULL DEFAULT 1',
+    active: 'BOOLEAN NOT NULL DEFAULT 1',
+    deactivated_at: 'TEXT',
+    enabled: 'BOOLEAN NOT NULL DEFAULT 1',
+    disabled_by: 'TEXT',
+    disabled_reason: 'TEXT',
+    disabled_at: 'TEXT'
+}
+
+/**
+ * Convert a task_packages row to the shape used by the API
+ * @param {object} row - Database row
+ * @returns {object} Task package with boolean active and enabled flags
+ */
+function rowToTaskPackage(row) {
+    return {
+        ...row,
+        active: Boolean(row.active),
+        enabled: Boolean(row.enabled)
+    }
+}
+
+/** Fields of a recurring schedule that may be changed after creation */
+const SCHEDULE_FIELDS = ['tp_id', 'cron', 'timezone', 'payload', 'max_duration', 'enabled']
+
+/**
+ * Convert a task_schedules row to the shape used by the API
+ * @param {object} row - Database row
+ * @returns {object} Schedule with parsed payload and boolean enabled
+ */
+function rowToSchedule(row) {
+    return {
+        ...row,
+        payload: row.payload ? JSON.parse(row.payload) : {},
+        enabled: Boolean(row.enabled)
+    }
+}
+
+/**
+ * Convert a task_approvals row to the shape used by the runtime and API
+ * @param {object} row - Database row
+ * @returns {object} Approval with the parked message parsed
+ */
+function rowToApproval(row) {
+    return {
+        ...row,
+        message: row.message ? JSON.parse(row.message) : null
+    }
+}
+
+/**
+ * Parse a stored start payload schema - a schema that is not valid JSON is returned as configured
+ * @param {string|null} schema - Schema as stored
+ * @returns {object|string|null} The parsed schema
+ */
+function parseSchema(schema) {
+    if (!schema) return null
+    try {
+        return JSON.parse(schema)
+    } catch (error) {
+        return schema
+    }
+}
+
+/**
+ * Convert a task_compensations row to the shape used by the runtime and API
+ * @param {object} row - Database row
+ * @returns {object} Compensation with its captured data parsed
+ */
+function rowToCompensation(row) {
+    return {
+        ...row,
+        data: row.data ? JSON.parse(row.data) : null,
+        confirm: Boolean(row.confirm)
+    }
+}
+
 /** Database Manager Class */
 class TaskPackageDB {
     constructor() {
@@ -73,6 +182,144 @@ class TaskPackageDB {
                 )
             `
             
+            const createTaskStatusHistory = `
+                CREATE TABLE IF NOT EXISTS task_status_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tpc_id TEXT NOT NULL,
+                    from_status TEXT,
+                    to_status TEXT NOT NULL,
+                    actor TEXT,
+                    reason TEXT,
+                    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY(tpc_id) REFERENCES task_packages_created(id)
+                )
+            `
+            
+            const createTaskSchedules = `
+                CREATE TABLE IF NOT EXISTS task_schedules (
+                    id TEXT PRIMARY KEY NOT NULL,
+                    tp_id TEXT NOT NULL,
+                    cron TEXT NOT NULL,
+                    timezone TEXT,
+                    payload TEXT,
+                    max_duration REAL,
+                    enabled BOOLEAN NOT NULL DEFAULT 1,
+                    created_by TEXT,
+                    last_run_at TEXT,
+                    last_tpc_id TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY(tp_id) REFERENCES task_packages(id)
+                )
+            `
+            
+            const createIdempotencyKeys = `
+                CREATE TABLE IF NOT EXISTS idempotency_keys (
+                    idempotency_key TEXT NOT NULL,
+                    user TEXT NOT NULL,
+                    route TEXT NOT NULL,
+                    request_hash TEXT NOT NULL,
+                    status_code INTEGER NOT NULL,
+                    response TEXT,
+                    created_at TEXT NOT NULL,
+                    PRIMARY KEY (idempotency_key, user, route)
+                )
+            `
+            
+            const createTaskDependencies = `
+                CREATE TABLE IF NOT EXISTS task_dependencies (
+                    tpc_id TEXT NOT NULL,
+                    depends_on TEXT NOT NULL,
+                    PRIMARY KEY (tpc_id, depends_on)
+                )
+            `
+            
+            const createActiveTasks = `
+                CREATE TABLE IF NOT EXISTS active_tasks (
+                    tpc_id TEXT PRIMARY KEY NOT NULL,
+                    tp_id TEXT NOT NULL,
+                    tp_name TEXT,
+                    node_id TEXT,
+                    flow_id TEXT,
+                    cancelled BOOLEAN NOT NULL DEFAULT 0,
+                    cancelled_at TEXT,
+                    created_at TEXT NOT NULL
+                )
+            `
+            
+            const createTaskUpdates = `
+                CREATE TABLE IF NOT EXISTS task_updates (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tpc_id TEXT NOT NULL,
+                    update_data TEXT NOT NULL,
+                    updated_by TEXT,
+                    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `
+            
+            const createTaskSteps = `
+                CREATE TABLE IF NOT EXISTS task_steps (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tpc_id TEXT NOT NULL,
+                    step TEXT NOT NULL,
+                    cleanup BOOLEAN NOT NULL DEFAULT 0,
+                    entered_at TEXT NOT NULL,
+                    exited_at TEXT,
+                    enter_node_id TEXT,
+                    exit_node_id TEXT
+                )
+            `
+            
+            const createTaskApprovals = `
+                CREATE TABLE IF NOT EXISTS task_approvals (
+                    id TEXT PRIMARY KEY NOT NULL,
+                    tpc_id TEXT NOT NULL,
+                    tp_id TEXT NOT NULL,
+                    node_id TEXT NOT NULL,
+                    title TEXT,
+                    required_role TEXT,
+                    message TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    requested_at TEXT NOT NULL,
+                    expires_at TEXT,
+                    decided_by TEXT,
+                    decided_at TEXT,
+                    comment TEXT,
+                    released_at TEXT
+                )
+            `
+            
+            const createTaskPackageVersions = `
+                CREATE TABLE IF NOT EXISTS task_package_versions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tp_id TEXT NOT NULL,
+                    version INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    form_url TEXT,
+                    schema TEXT,
+                    flow_hash TEXT,
+                    deployed_at TEXT NOT NULL,
+                    UNIQUE (tp_id, version)
+                )
+            `
+            
+            const createTaskCompensations = `
+                CREATE TABLE IF NOT EXISTS task_compensations (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tpc_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    node_id TEXT NOT NULL,
+                    data TEXT,
+                    confirm BOOLEAN NOT NULL DEFAULT 0,
+                    confirm_timeout INTEGER NOT NULL DEFAULT 0,
+                    status TEXT NOT NULL DEFAULT 'registered',
+                    trigger TEXT,
+                    registered_at TEXT NOT NULL,
+                    started_at TEXT,
+                    finished_at TEXT
+                )
+            `
+            
             this.db.serialize(() => {
                 this.db.run(createTaskPackages, (err) => {
                     if (err) {
@@ -82,6 +329,101 @@ class TaskPackageDB {
                     }
                 })
                 
+                this.db.run(createTaskStatusHistory, (err) => {
+                    if (err) {
+                        console.error('Error creating task_status_history table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
+                this.db.run('CREATE INDEX IF NOT EXISTS idx_task_status_history_tpc_id ON task_status_history(tpc_id)')
+                
+                this.db.run(createTaskSchedules, (err) => {
+                    if (err) {
+                        console.error('Error creating task_schedules table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
+                this.db.run(createIdempotencyKeys, (err) => {
+                    if (err) {
+                        console.error('Error creating idempotency_keys table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
+                this.db.run('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at)')
+                
+                this.db.run(createTaskDependencies, (err) => {
+                    if (err) {
+                        console.error('Error creating task_dependencies table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
+                this.db.run('CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on ON task_dependencies(depends_on)')
+                
+                this.db.run(createActiveTasks, (err) => {
+                    if (err) {
+                        console.error('Error creating active_tasks table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
+                this.db.run(createTaskUpdates, (err) => {
+                    if (err) {
+                        console.error('Error creating task_updates table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
+                this.db.run('CREATE INDEX IF NOT EXISTS idx_task_updates_tpc_id ON task_updates(tpc_id)')
+                
+                this.db.run(createTaskSteps, (err) => {
+                    if (err) {
+                        console.error('Error creating task_steps table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
+                this.db.run('CREATE INDEX IF NOT EXISTS idx_task_steps_tpc_id ON task_steps(tpc_id)')
+                
+                this.db.run(createTaskApprovals, (err) => {
+                    if (err) {
+                        console.error('Error creating task_approvals table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
+                this.db.run('CREATE INDEX IF NOT EXISTS idx_task_approvals_tpc_id ON task_approvals(tpc_id)')
+                this.db.run('CREATE INDEX IF NOT EXISTS idx_task_approvals_status ON task_approvals(status)')
+                
+                this.db.run(createTaskCompensations, (err) => {
+                    if (err) {
+                        console.error('Error creating task_compensations table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
+                this.db.run('CREATE INDEX IF NOT EXISTS idx_task_compensations_tpc_id ON task_compensations(tpc_id)')
+                
+                this.db.run(createTaskPackageVersions, (err) => {
+                    if (err) {
+                        console.error('Error creating task_package_versions table:', err.message)
+                        reject(err)
+                        return
+                    }
+                })
+                
                 this.db.run(createTaskPackagesCreated, (err) => {
                     if (err) {
                         console.error('Error creating task_packages_created table:', err.message)
@@ -89,8 +431,12 @@ class TaskPackageDB {
                         return
                     }
                     
-                    // Remove payload column if it exists (migration)
+                    // Remove payload column if it exists, then add newer columns (migrations)
                     this.removePayloadColumn().then(() => {
+                        return this.addMissingColumns('task_packages_created', INSTANCE_COLUMNS)
+                    }).then(() => {
+                        return this.addMissingColumns('task_packages', PACKAGE_COLUMNS)
+                    }).then(() => {
                         console.log('Database tables created/verified')
                         resolve()
                     }).catch((migrationErr) => {
@@ -182,19 +528,92 @@ class TaskPackageDB {
         })
     }
     
-    /** Register/update a task package definition */
-    async upsertTaskPackage(tp_id, tp_name, tp_form_url) {
+    /** Add any of the given columns that a table is missing (migration) */
+    async addMissingColumns(table, columns) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, existing) => {
+                if (err) {
+                    reject(err)
+                    return
+                }
+                
+                const existingNames = existing.map(col => col.name)
+                const missing = Object.keys(columns).filter(name => !existingNames.includes(name))
+                if (missing.length === 0) {
+                    resolve()
+                    return
+                }
+                
+                let remaining = missing.length
+                let failed = false
+                missing.forEach(name => {
+                    this.db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${columns[name]}`, (err) => {
+                        if (failed) return
+                        if (err) {
+                            failed = true
+                            reject(err)
+                            return
+                        }
+                        console.log(`Database migration: added ${table}.${name}`)
+                        if (--remaining === 0) resolve()
+                    })
+                })
+            })
+        })
+    }
+    
+    /**
+     * Register/update a task package definition
+     * @param {string} tp_id - Task package ID
+     * @param {string} tp_name - Task package name
+     * @param {string} tp_form_url - Form URL
+     * @param {object} [settings] - tp-start settings
+     * @param {number} [settings.max_concurrent] - 0/null for no limit
+     * @param {string} [settings.recovery_policy] - null for 'interrupt'
+     * @param {number} [settings.cancel_grace_period] - Seconds a cleanup flow gets to end a cancelled instance, 0/null for no limit
+     * @param {string} [settings.cancel_timeout_status] - Status forced when the grace period expires, null for 'cancelled'
+     * @param {boolean} [settings.store_data] - Keep the start input and update payloads of instances (default true)
+     * @param {string} [settings.schema] - Start payload JSON schema, as configured
+     * @param {string} [settings.flow_hash] - Hash of the flow the tp-start node is deployed in
+     * @returns {Promise<number>} The current version of the definition (a new one if anything versioned changed)
+     */
+    async upsertTaskPackage(tp_id, tp_name, tp_form_url, settings = {}) {
         if (!this.isInitialized) {
             throw new Error('Database not initialized')
         }
         
-        return new Promise((resolve, reject) => {
+        const {
+            max_concurrent = null, recovery_policy = null, cancel_grace_period = null, cancel_timeout_status = null,
+            store_data = true, schema = null, flow_hash = null
+        } = settings || {}
+        
+        // Update in place rather than replace, so created_at and the enabled flag survive redeploys;
+        // a deployed tp-start node makes the package active again
+        await new Promise((resolve, reject) => {
             const sql = `
-                INSERT OR REPLACE INTO task_packages (id, name, form_url)
-                VALUES (?, ?, ?)
+                INSERT INTO task_packages (id, name, form_url, max_concurrent, recovery_policy, cancel_grace_period, cancel_timeout_status, store_data)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET
+                    name = excluded.name,
+                    form_url = excluded.form_url,
+                    max_concurrent = excluded.max_concurrent,
+                    recovery_policy = excluded.recovery_policy,
+                    cancel_grace_period = excluded.cancel_grace_period,
+                    cancel_timeout_status = excluded.cancel_timeout_status,
+                    store_data = excluded.store_data,
+                    active = 1,
+                    deactivated_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
             `
             
-            this.db.run(sql, [tp_id, tp_name, tp_form_url], function(err) {
+            const params = [
+                tp_id, tp_name, tp_form_url,
+                max_concurrent || null, recovery_policy || null,
+                cancel_grace_period || null, cancel_timeout_status || null,
+                store_data === false ? 0 : 1
+            ]
+            
+            this.db.run(sql, params, function(err) {
                 if (err) {
                     reject(err)
                 } else {
@@ -203,188 +622,544 @@ class TaskPackageDB {
                 }
             })
         })
+        
+        return this.recordTaskPackageVersion(tp_id, { name: tp_name, form_url: tp_form_url, schema, flow_hash })
     }
     
-    /** Create a task package instance */
-    async createTaskPackageInstance(tpc_id, tp_id, tp_name, user) {
+    /**
+     * Record a new version of a task package definition if it differs from the latest one
+     * @param {string} tp_id - Task package ID
+     * @param {object} definition - name, form_url, schema (JSON string) and flow_hash
+     * @returns {Promise<number>} The current version number
+     */
+    async recordTaskPackageVersion(tp_id, definition) {
         if (!this.isInitialized) {
             throw new Error('Database not initialized')
         }
         
+        const { name, form_url = null, schema = null, flow_hash = null } = definition
+        
+        const latest = await new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM task_package_versions WHERE tp_id = ? ORDER BY version DESC LIMIT 1'
+            this.db.get(sql, [tp_id], (err, row) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(row)
+                }
+            })
+        })
+        
+        if (latest && latest.name === name && latest.form_url === form_url &&
+            latest.schema === schema && latest.flow_hash === flow_hash) {
+            return latest.version
+        }
+        
+        const version = latest ? latest.version + 1 : 1
+        
         return new Promise((resolve, reject) => {
             const sql = `
-                INSERT INTO task_packages_created (id, tp_id, tp_name, user, status)
-                VALUES (?, ?, ?, ?, 'created')
+                INSERT INTO task_package_versions (tp_id, version, name, form_url, schema, flow_hash, deployed_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
             `
             
-            this.db.run(sql, [tpc_id, tp_id, tp_name, user], function(err) {
+            this.db.run(sql, [tp_id, version, name, form_url, schema, flow_hash, new Date().toISOString()], function(err) {
                 if (err) {
                     reject(err)
                 } else {
-                    console.log(`Task instance created: ${tpc_id}`)
-                    resolve(this.changes)
+                    console.log(`Task package ${tp_id} is now version ${version}`)
+                    resolve(version)
                 }
             })
         })
     }
     
-    /** Update task package instance status */
-    async updateTaskStatus(tpc_id, status, user_status = null) {
+    /** Get the versions of a task package definition, newest first (schema parsed) */
+    async getTaskPackageVersions(tp_id) {
         if (!this.isInitialized) {
             throw new Error('Database not initialized')
         }
         
         return new Promise((resolve, reject) => {
-            let sql, params
-            
-            if (user_status !== null) {
-                sql = `
-                    UPDATE task_packages_created 
-                    SET status = ?, user_status = ?, updated_at = datetime('now')
-                    WHERE id = ?
-                `
-                params = [status, user_status, tpc_id]
-            } else {
-                sql = `
-                    UPDATE task_packages_created 
-                    SET status = ?, updated_at = datetime('now')
-                    WHERE id = ?
-                `
-                params = [status, tpc_id]
-            }
+            const sql = `
+                SELECT version, name, form_url, schema, flow_hash, deployed_at
+                FROM task_package_versions
+                WHERE tp_id = ?
+                ORDER BY version DESC
+            `
             
-            this.db.run(sql, params, function(err) {
+            this.db.all(sql, [tp_id], (err, rows) => {
                 if (err) {
                     reject(err)
                 } else {
-                    console.log(`Task status updated: ${tpc_id} -> ${status}`)
-                    resolve(this.changes)
+                    resolve((rows || []).map(row => ({ ...row, schema: parseSchema(row.schema) })))
                 }
             })
         })
     }
     
-    /** Update task package instance user_status only */
-    async updateUserStatus(tpc_id, user_status) {
+    /**
+     * Mark a task package as deployed or not (tp-start removed)
+     * @param {string} tp_id - Task package ID
+     * @param {boolean} active - False once no tp-start node is deployed for it
+     * @returns {Promise<number>} 1 if the flag changed, 0 if it already had that value
+     */
+    async setTaskPackageActive(tp_id, active) {
         if (!this.isInitialized) {
             throw new Error('Database not initialized')
         }
         
         return new Promise((resolve, reject) => {
             const sql = `
-                UPDATE task_packages_created 
-                SET user_status = ?, updated_at = datetime('now')
-                WHERE id = ?
+                UPDATE task_packages
+                SET active = ?, deactivated_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND active != ?
             `
-            const params = [user_status, tpc_id]
+            const flag = active ? 1 : 0
             
-            this.db.run(sql, params, function(err) {
+            this.db.run(sql, [flag, active ? null : new Date().toISOString(), tp_id, flag], function(err) {
                 if (err) {
                     reject(err)
                 } else {
-                    console.log(`Task user_status updated: ${tpc_id} -> ${user_status}`)
                     resolve(this.changes)
                 }
             })
         })
     }
     
-    /** Update task package instance with arbitrary data (updates timestamp) */
-    async updateTaskData(tpc_id, update_data) {
+    /**
+     * Enable or disable a task package for maintenance; disabled packages accept no new starts
+     * @param {string} tp_id - Task package ID
+     * @param {boolean} enabled - New value of the flag
+     * @param {object} [options]
+     * @param {string} [options.actor] - Who disabled it
+     * @param {string} [options.reason] - Why it is disabled
+     * @returns {Promise<number>} Number of rows updated (0 if the package does not exist)
+     */
+    async setTaskPackageEnabled(tp_id, enabled, options = {}) {
         if (!this.isInitialized) {
             throw new Error('Database not initialized')
         }
         
+        const { actor = null, reason = null } = options
+        
         return new Promise((resolve, reject) => {
-            // Currently just updates the timestamp since we don't have a data column
-            // TODO: Consider adding a 'data' JSON column to store arbitrary update data
             const sql = `
-                UPDATE task_packages_created 
-                SET updated_at = datetime('now')
+                UPDATE task_packages
+                SET enabled = ?, disabled_by = ?, disabled_reason = ?, disabled_at = ?, updated_at = CURRENT_TIMESTAMP
                 WHERE id = ?
             `
-            const params = [tpc_id]
+            const params = enabled ?
+                [1, null, null, null, tp_id] :
+                [0, actor, reason, new Date().toISOString(), tp_id]
             
             this.db.run(sql, params, function(err) {
                 if (err) {
                     reject(err)
                 } else {
-                    console.log(`Task data updated: ${tpc_id}`)
                     resolve(this.changes)
                 }
             })
         })
     }
     
-    /** Get all task packages */
-    async getTaskPackages() {
+    /** Stamp an instance with the version of its task package definition it started under */
+    async setTaskVersion(tpc_id, version) {
         if (!this.isInitialized) {
             throw new Error('Database not initialized')
         }
         
         return new Promise((resolve, reject) => {
-            const sql = 'SELECT * FROM task_packages ORDER BY name'
+            const sql = `
+                UPDATE task_packages_created
+                SET tp_version = ?
+                WHERE id = ?
+            `
             
-            this.db.all(sql, [], (err, rows) => {
+            this.db.run(sql, [version, tpc_id], function(err) {
                 if (err) {
                     reject(err)
                 } else {
-                    resolve(rows)
+                    resolve(this.changes)
                 }
             })
         })
     }
     
-    /** Get a specific task package by ID */
-    async getTaskPackage(tp_id) {
+    /** Create a task package instance */
+    async createTaskPackageInstance(tpc_id, tp_id, tp_name, user, status = 'created') {
         if (!this.isInitialized) {
             throw new Error('Database not initialized')
         }
         
         return new Promise((resolve, reject) => {
-            const sql = 'SELECT * FROM task_packages WHERE id = ?'
+            const sql = `
+                INSERT INTO task_packages_created (id, tp_id, tp_name, user, status)
+                VALUES (?, ?, ?, ?, ?)
+            `
             
-            this.db.get(sql, [tp_id], (err, row) => {
+            this.db.run(sql, [tpc_id, tp_id, tp_name, user, status], function(err) {
                 if (err) {
                     reject(err)
                 } else {
-                    resolve(row)
+                    console.log(`Task instance created: ${tpc_id}`)
+                    resolve(this.changes)
                 }
             })
         })
     }
     
-    /** Get task package instance by tpc_id */
-    async getTaskPackageInstance(tpc_id) {
+    /** Update task package instance status */
+    async updateTaskStatus(tpc_id, status, user_status = null) {
         if (!this.isInitialized) {
             throw new Error('Database not initialized')
         }
         
         return new Promise((resolve, reject) => {
-            const sql = 'SELECT * FROM task_packages_created WHERE id = ?'
+            let sql, params
             
-            this.db.get(sql, [tpc_id], (err, row) => {
+            if (user_status !== null) {
+                sql = `
+                    UPDATE task_packages_created 
+                    SET status = ?, user_status = ?, updated_at = datetime('now')
+                    WHERE id = ?
+                `
+                params = [status, user_status, tpc_id]
+            } else {
+                sql = `
+                    UPDATE task_packages_created 
+                    SET status = ?, updated_at = datetime('now')
+                    WHERE id = ?
+                `
+                params = [status, tpc_id]
+            }
+            
+            this.db.run(sql, params, function(err) {
                 if (err) {
                     reject(err)
                 } else {
-                    resolve(row)
+                    console.log(`Task status updated: ${tpc_id} -> ${status}`)
+                    resolve(this.changes)
                 }
             })
         })
     }
-
-    /** Get all task package instances */
-    async getTaskPackageInstances() {
+    
+    /** 
+     * Move an instance from one status to another and record the transition.
+     * The update only applies while the instance is still in `from_status`,
+     * so concurrent writers cannot overwrite each other's transitions.
+     * Resolves with the number of rows changed (0 if the status had moved on).
+     */
+    async transitionTaskStatus(tpc_id, from_status, to_status, actor = null, reason = null, user_status = null) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const db = this.db
+        
         return new Promise((resolve, reject) => {
-            if (!this.db) {
-                reject(new Error('Database not initialized'))
-                return
+            let sql, params
+            
+            if (user_status !== null) {
+                sql = `
+                    UPDATE task_packages_created 
+                    SET status = ?, user_status = ?, updated_at = datetime('now')
+                    WHERE id = ? AND status = ?
+                `
+                params = [to_status, user_status, tpc_id, from_status]
+            } else {
+                sql = `
+                    UPDATE task_packages_created 
+                    SET status = ?, updated_at = datetime('now')
+                    WHERE id = ? AND status = ?
+                `
+                params = [to_status, tpc_id, from_status]
             }
             
-            this.db.all(`
+            db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err)
+                    return
+                }
+                
+                const changes = this.changes
+                if (changes === 0) {
+                    resolve(0)
+                    return
+                }
+                
+                const historySql = `
+                    INSERT INTO task_status_history (tpc_id, from_status, to_status, actor, reason)
+                    VALUES (?, ?, ?, ?, ?)
+                `
+                
+                db.run(historySql, [tpc_id, from_status, to_status, actor, reason], (err) => {
+                    if (err) {
+                        reject(err)
+                    } else {
+                        console.log(`Task status updated: ${tpc_id} ${from_status} -> ${to_status}`)
+                        resolve(changes)
+                    }
+                })
+            })
+        })
+    }
+    
+    /** Record a status history entry without changing the instance (e.g. initial status) */
+    async recordStatusHistory(tpc_id, from_status, to_status, actor = null, reason = null) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO task_status_history (tpc_id, from_status, to_status, actor, reason)
+                VALUES (?, ?, ?, ?, ?)
+            `
+            
+            this.db.run(sql, [tpc_id, from_status, to_status, actor, reason], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.lastID)
+                }
+            })
+        })
+    }
+    
+    /** Get the status transition timeline of an instance, oldest first */
+    async getStatusHistory(tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT from_status, to_status, actor, reason, timestamp
+                FROM task_status_history
+                WHERE tpc_id = ?
+                ORDER BY id ASC
+            `
+            
+            this.db.all(sql, [tpc_id], (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(rows || [])
+                }
+            })
+        })
+    }
+    
+    /**
+     * Get the status history of several instances in one query
+     * @param {string[]} tpc_ids - Task instance IDs
+     * @returns {Promise<Object<string, object[]>>} Oldest-first history entries by tpc_id (empty for none)
+     */
+    async getStatusHistories(tpc_ids) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const histories = Object.fromEntries(tpc_ids.map(tpc_id => [tpc_id, []]))
+        if (tpc_ids.length === 0) {
+            return histories
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT tpc_id, from_status, to_status, actor, reason, timestamp
+                FROM task_status_history
+                WHERE tpc_id IN (${tpc_ids.map(() => '?').join(', ')})
+                ORDER BY id ASC
+            `
+            
+            this.db.all(sql, tpc_ids, (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    (rows || []).forEach(({ tpc_id, ...entry }) => histories[tpc_id].push(entry))
+                    resolve(histories)
+                }
+            })
+        })
+    }
+    
+    /** Store the error that made an instance fail */
+    async setTaskError(tpc_id, error_message, error_code = null, error_node_id = null) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_packages_created 
+                SET error_message = ?, error_code = ?, error_node_id = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `
+            
+            this.db.run(sql, [error_message, error_code, error_node_id, tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Store the result an instance ended with (stored as JSON) */
+    async setTaskResult(tpc_id, result) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_packages_created 
+                SET result = ?
+                WHERE id = ?
+            `
+            
+            this.db.run(sql, [JSON.stringify(result), tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Set (or clear with null) the execution deadline of an instance, as an ISO timestamp */
+    async setTaskDeadline(tpc_id, deadline_at) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_packages_created 
+                SET deadline_at = ?, deadline_remaining_ms = NULL
+                WHERE id = ?
+            `
+            
+            this.db.run(sql, [deadline_at, tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Set (or clear with null) the time by which a cancelling instance must have ended, as an ISO timestamp */
+    async setCancelDeadline(tpc_id, cancel_deadline_at) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_packages_created 
+                SET cancel_deadline_at = ?
+                WHERE id = ?
+            `
+            
+            this.db.run(sql, [cancel_deadline_at, tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Suspend the execution deadline of a paused instance, keeping the time it had left */
+    async suspendTaskDeadline(tpc_id, remaining_ms) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_packages_created 
+                SET deadline_at = NULL, deadline_remaining_ms = ?
+                WHERE id = ?
+            `
+            
+            this.db.run(sql, [remaining_ms, tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /**
+     * Persist what is needed to emit the start event later: the start time
+     * (ISO timestamp, null for immediate), the start request as JSON and the queue priority
+     */
+    async setTaskStartRequest(tpc_id, start_at, start_request, priority = 0) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_packages_created 
+                SET start_at = ?, start_request = ?, priority = ?
+                WHERE id = ?
+            `
+            
+            this.db.run(sql, [start_at, JSON.stringify(start_request), priority, tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Record when an instance joined its task package's queue (ISO timestamp) */
+    async setTaskQueuedAt(tpc_id, queued_at) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'UPDATE task_packages_created SET queued_at = ? WHERE id = ?'
+            
+            this.db.run(sql, [queued_at, tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Get the queued instances of a task package in start order (highest priority first, then first come) */
+    async getQueuedInstances(tp_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
                 SELECT * FROM task_packages_created 
-                ORDER BY created_at DESC
-            `, (err, rows) => {
+                WHERE tp_id = ? AND status = 'queued'
+                ORDER BY priority DESC, queued_at ASC
+            `
+            
+            this.db.all(sql, [tp_id], (err, rows) => {
                 if (err) {
                     reject(err)
                 } else {
@@ -394,6 +1169,1065 @@ class TaskPackageDB {
         })
     }
     
+    /** Record the recurring schedule that started an instance */
+    async setTaskScheduleId(tpc_id, schedule_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'UPDATE task_packages_created SET schedule_id = ? WHERE id = ?'
+            
+            this.db.run(sql, [schedule_id, tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Record the parent task that spawned an instance (tp-spawn) */
+    async setTaskParent(tpc_id, parent_tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'UPDATE task_packages_created SET parent_tpc_id = ? WHERE id = ?'
+            
+            this.db.run(sql, [parent_tpc_id, tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Get the child instances spawned by a task, oldest first */
+    async getChildInstances(parent_tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM task_packages_created 
+                WHERE parent_tpc_id = ?
+                ORDER BY created_at ASC
+            `
+            
+            this.db.all(sql, [parent_tpc_id], (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(rows || [])
+                }
+            })
+        })
+    }
+    
+    /** Record the instances an instance waits for and the policy deciding when it may start */
+    async addTaskDependencies(tpc_id, depends_on, dependency_policy) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const run = (sql, params) => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+        
+        await run('UPDATE task_packages_created SET dependency_policy = ? WHERE id = ?', [dependency_policy, tpc_id])
+        for (const dependency of depends_on) {
+            await run('INSERT OR IGNORE INTO task_dependencies (tpc_id, depends_on) VALUES (?, ?)', [tpc_id, dependency])
+        }
+    }
+    
+    /** Get the dependencies of an instance with their current status */
+    async getTaskDependencies(tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT d.depends_on AS tpc_id, i.tp_id, i.status 
+                FROM task_dependencies d
+                LEFT JOIN task_packages_created i ON i.id = d.depends_on
+                WHERE d.tpc_id = ?
+                ORDER BY d.rowid
+            `
+            
+            this.db.all(sql, [tpc_id], (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(rows || [])
+                }
+            })
+        })
+    }
+    
+    /** Get the instances still waiting for an instance to finish */
+    async getDependentInstances(tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT i.* FROM task_dependencies d
+                JOIN task_packages_created i ON i.id = d.tpc_id
+                WHERE d.depends_on = ? AND i.status = 'waiting'
+                ORDER BY i.created_at ASC
+            `
+            
+            this.db.all(sql, [tpc_id], (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(rows || [])
+                }
+            })
+        })
+    }
+    
+    /** Update task package instance user_status only */
+    async updateUserStatus(tpc_id, user_status) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_packages_created 
+                SET user_status = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `
+            const params = [user_status, tpc_id]
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    console.log(`Task user_status updated: ${tpc_id} -> ${user_status}`)
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /**
+     * Set the assignee and role of an instance. With expected_assignee the change
+     * only happens if the instance is still assigned to that user (null = unassigned),
+     * so two concurrent claims cannot both succeed.
+     * @param {string} tpc_id - Task instance ID
+     * @param {string|null} assignee - User the instance is assigned to (null for the role's pool)
+     * @param {string|null} assignee_role - Role whose members may claim the instance
+     * @param {string|null} [expected_assignee] - Current assignee the change depends on
+     * @returns {Promise<number>} Number of changed rows (0 if the condition failed)
+     */
+    async setTaskAssignment(tpc_id, assignee, assignee_role, expected_assignee) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            let sql = `
+                UPDATE task_packages_created 
+                SET assignee = ?, assignee_role = ?, assigned_at = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `
+            const params = [assignee, assignee_role, assignee ? new Date().toISOString() : null, tpc_id]
+            
+            if (expected_assignee !== undefined) {
+                sql += expected_assignee === null ? ' AND assignee IS NULL' : ' AND assignee = ?'
+                if (expected_assignee !== null) {
+                    params.push(expected_assignee)
+                }
+            }
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Record entering a named step of an instance (ISO timestamp) */
+    async enterTaskStep(tpc_id, step, cleanup, entered_at, node_id = null) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO task_steps (tpc_id, step, cleanup, entered_at, enter_node_id)
+                VALUES (?, ?, ?, ?, ?)
+            `
+            
+            this.db.run(sql, [tpc_id, step, cleanup ? 1 : 0, entered_at, node_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.lastID)
+                }
+            })
+        })
+    }
+    
+    /** Record leaving the most recently entered, still open step of that name (resolves 0 if none is open) */
+    async exitTaskStep(tpc_id, step, exited_at, node_id = null) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_steps
+                SET exited_at = ?, exit_node_id = ?
+                WHERE id = (
+                    SELECT id FROM task_steps
+                    WHERE tpc_id = ? AND step = ? AND exited_at IS NULL
+                    ORDER BY id DESC LIMIT 1
+                )
+            `
+            
+            this.db.run(sql, [exited_at, node_id, tpc_id, step], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Get the steps of an instance in the order they were entered */
+    async getTaskSteps(tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT step, cleanup, entered_at, exited_at, enter_node_id, exit_node_id
+                FROM task_steps
+                WHERE tpc_id = ?
+                ORDER BY id ASC
+            `
+            
+            this.db.all(sql, [tpc_id], (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve((rows || []).map(row => ({ ...row, cleanup: !!row.cleanup })))
+                }
+            })
+        })
+    }
+    
+    /** Update task package instance progress (percentage 0-100 and current step label) */
+    async setTaskProgress(tpc_id, progress, progress_step = null) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_packages_created 
+                SET progress = ?, progress_step = ?, progress_updated_at = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `
+            const params = [progress, progress_step, new Date().toISOString(), tpc_id]
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /**
+     * Average time from start to completion of the latest completed instances of a task package,
+     * taken from the status history
+     * @param {string} tp_id - Task package ID
+     * @param {number} [limit] - Number of recent instances to average over
+     * @returns {Promise<{average_ms: number|null, samples: number}>}
+     */
+    async getAverageDuration(tp_id, limit = 20) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT AVG(duration_ms) AS average_ms, COUNT(*) AS samples FROM (
+                    SELECT (julianday(MAX(CASE WHEN h.to_status = 'completed' THEN h.timestamp END)) -
+                            julianday(MIN(CASE WHEN h.to_status = 'started' THEN h.timestamp END))) * 86400000 AS duration_ms
+                    FROM task_packages_created i
+                    JOIN task_status_history h ON h.tpc_id = i.id
+                    WHERE i.tp_id = ? AND i.status = 'completed'
+                    GROUP BY i.id
+                    HAVING duration_ms IS NOT NULL
+                    ORDER BY MAX(h.timestamp) DESC
+                    LIMIT ?
+                )
+            `
+            
+            this.db.get(sql, [tp_id, limit], (err, row) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve({
+                        average_ms: row && row.average_ms !== null ? Math.round(row.average_ms) : null,
+                        samples: row ? row.samples : 0
+                    })
+                }
+            })
+        })
+    }
+    
+    /** Store the start input of an instance as its data (stored as JSON) */
+    async setTaskData(tpc_id, data) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_packages_created 
+                SET data = ?
+                WHERE id = ?
+            `
+            
+            this.db.run(sql, [JSON.stringify(data), tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /**
+     * Update task package instance data (updates timestamp). With store set the
+     * update is merged into the instance's data as a JSON merge patch (RFC 7396:
+     * objects merge recursively, null removes a key, anything else replaces) and
+     * recorded in task_updates; otherwise only the timestamp changes.
+     * @param {string} tpc_id - Task instance ID
+     * @param {object} update_data - Update payload
+     * @param {object} [options]
+     * @param {boolean} [options.store] - Keep the payload (the task package's store_data setting)
+     * @param {string} [options.updated_by] - User that sent the update
+     */
+    async updateTaskData(tpc_id, update_data, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const { store = false, updated_by = null } = options
+        const patch = JSON.stringify(update_data)
+        
+        return new Promise((resolve, reject) => {
+            const sql = store ? `
+                UPDATE task_packages_created 
+                SET data = json_patch(COALESCE(data, '{}'), ?), updated_at = datetime('now')
+                WHERE id = ?
+            ` : `
+                UPDATE task_packages_created 
+                SET updated_at = datetime('now')
+                WHERE id = ?
+            `
+            const params = store ? [patch, tpc_id] : [tpc_id]
+            
+            const db = this.db
+            db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err)
+                    return
+                }
+                const changes = this.changes
+                if (!store || changes === 0) {
+                    console.log(`Task data updated: ${tpc_id}`)
+                    resolve(changes)
+                    return
+                }
+                
+                db.run(
+                    'INSERT INTO task_updates (tpc_id, update_data, updated_by) VALUES (?, ?, ?)',
+                    [tpc_id, patch, updated_by],
+                    (insertErr) => {
+                        if (insertErr) {
+                            reject(insertErr)
+                        } else {
+                            console.log(`Task data updated: ${tpc_id}`)
+                            resolve(changes)
+                        }
+                    }
+                )
+            })
+        })
+    }
+    
+    /** Get the stored update payloads of an instance, oldest first */
+    async getTaskUpdates(tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT update_data, updated_by, created_at
+                FROM task_updates
+                WHERE tpc_id = ?
+                ORDER BY id ASC
+            `
+            
+            this.db.all(sql, [tpc_id], (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve((rows || []).map(row => ({ ...row, update_data: JSON.parse(row.update_data) })))
+                }
+            })
+        })
+    }
+    
+    /** Get all task packages */
+    async getTaskPackages() {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM task_packages ORDER BY name'
+            
+            this.db.all(sql, [], (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve((rows || []).map(rowToTaskPackage))
+                }
+            })
+        })
+    }
+    
+    /** Get a specific task package by ID */
+    async getTaskPackage(tp_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM task_packages WHERE id = ?'
+            
+            this.db.get(sql, [tp_id], (err, row) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(row ? rowToTaskPackage(row) : undefined)
+                }
+            })
+        })
+    }
+    
+    /** Get task package instance by tpc_id */
+    async getTaskPackageInstance(tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM task_packages_created WHERE id = ?'
+            
+            this.db.get(sql, [tpc_id], (err, row) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(row)
+                }
+            })
+        })
+    }
+
+    /** 
+     * Get task package instances, optionally filtered
+     * @param {object} [filters] - Optional filters
+     * @param {string} [filters.tp_id] - Only instances of this task package
+     * @param {string|string[]} [filters.status] - Only instances in this status (or any of these)
+     * @param {string} [filters.user] - Only instances requested by this user
+     * @param {string} [filters.assignee] - Only instances assigned to this user
+     * @param {string} [filters.assignee_role] - Only instances assigned to this role
+     * @param {string} [filters.created_before] - Only instances created before this ISO time
+     * @param {string} [filters.created_after] - Only instances created after this ISO time
+     */
+    async getTaskPackageInstances(filters = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'))
+                return
+            }
+            
+            const conditions = []
+            const params = []
+            
+            if (filters.tp_id) {
+                conditions.push('tp_id = ?')
+                params.push(filters.tp_id)
+            }
+            if (filters.status) {
+                const statuses = Array.isArray(filters.status) ? filters.status : [filters.status]
+                conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`)
+                params.push(...statuses)
+            }
+            if (filters.user) {
+                conditions.push('user = ?')
+                params.push(filters.user)
+            }
+            if (filters.assignee) {
+                conditions.push('assignee = ?')
+                params.push(filters.assignee)
+            }
+            if (filters.assignee_role) {
+                conditions.push('assignee_role = ?')
+                params.push(filters.assignee_role)
+            }
+            // created_at is stored as UTC 'YYYY-MM-DD HH:MM:SS'; datetime() also reads ISO timestamps
+            if (filters.created_before) {
+                conditions.push('datetime(created_at) < datetime(?)')
+                params.push(filters.created_before)
+            }
+            if (filters.created_after) {
+                conditions.push('datetime(created_at) > datetime(?)')
+                params.push(filters.created_after)
+            }
+            
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+            
+            this.db.all(`
+                SELECT * FROM task_packages_created 
+                ${where}
+                ORDER BY created_at DESC
+            `, params, (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(rows || [])
+                }
+            })
+        })
+    }
+    
+    /** Create a recurring schedule */
+    async createSchedule(schedule) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const { id, tp_id, cron, timezone = null, payload = {}, max_duration = null, enabled = true, created_by = null } = schedule
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO task_schedules (id, tp_id, cron, timezone, payload, max_duration, enabled, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `
+            
+            this.db.run(sql, [id, tp_id, cron, timezone, JSON.stringify(payload), max_duration, enabled ? 1 : 0, created_by], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Get a recurring schedule by ID */
+    async getSchedule(schedule_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM task_schedules WHERE id = ?', [schedule_id], (err, row) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(row ? rowToSchedule(row) : undefined)
+                }
+            })
+        })
+    }
+    
+    /** Get recurring schedules, optionally filtered by tp_id and/or enabled */
+    async getSchedules(filters = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const conditions = []
+        const params = []
+        
+        if (filters.tp_id) {
+            conditions.push('tp_id = ?')
+            params.push(filters.tp_id)
+        }
+        if (filters.enabled !== undefined) {
+            conditions.push('enabled = ?')
+            params.push(filters.enabled ? 1 : 0)
+        }
+        
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+        
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT * FROM task_schedules ${where} ORDER BY created_at`, params, (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve((rows || []).map(rowToSchedule))
+                }
+            })
+        })
+    }
+    
+    /** Update the given fields of a recurring schedule */
+    async updateSchedule(schedule_id, fields) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const names = SCHEDULE_FIELDS.filter(name => fields[name] !== undefined)
+        const values = names.map(name => {
+            if (name === 'payload') return JSON.stringify(fields.payload)
+            if (name === 'enabled') return fields.enabled ? 1 : 0
+            return fields[name]
+        })
+        const assignments = names.map(name => `${name} = ?`)
+        assignments.push('updated_at = CURRENT_TIMESTAMP')
+        
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE task_schedules SET ${assignments.join(', ')} WHERE id = ?`
+            
+            this.db.run(sql, [...values, schedule_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Record the latest run of a recurring schedule */
+    async setScheduleLastRun(schedule_id, last_run_at, last_tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'UPDATE task_schedules SET last_run_at = ?, last_tpc_id = ? WHERE id = ?'
+            
+            this.db.run(sql, [last_run_at, last_tpc_id, schedule_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Delete a recurring schedule (instances it started keep their schedule_id) */
+    async deleteSchedule(schedule_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM task_schedules WHERE id = ?', [schedule_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Get a stored idempotent request created at or after `since` (ISO timestamp) */
+    async getIdempotencyRecord(idempotency_key, user, route, since) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM idempotency_keys 
+                WHERE idempotency_key = ? AND user = ? AND route = ? AND created_at >= ?
+            `
+            
+            this.db.get(sql, [idempotency_key, user, route, since], (err, row) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(row)
+                }
+            })
+        })
+    }
+    
+    /** Store the response (JSON string) to an idempotent request, replacing an expired record with the same key */
+    async saveIdempotencyRecord(record) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const { idempotency_key, user, route, request_hash, status_code, response, created_at } = record
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT OR REPLACE INTO idempotency_keys 
+                (idempotency_key, user, route, request_hash, status_code, response, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `
+            
+            this.db.run(sql, [idempotency_key, user, route, request_hash, status_code, response, created_at], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Delete idempotent request records created before `before` (ISO timestamp) */
+    async deleteIdempotencyRecordsBefore(before) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM idempotency_keys WHERE created_at < ?', [before], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Create a pending approval holding the parked message (stored as JSON) */
+    async createApproval(approval) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const { id, tpc_id, tp_id, node_id, title = null, required_role = null, message = {}, requested_at, expires_at = null } = approval
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO task_approvals (id, tpc_id, tp_id, node_id, title, required_role, message, requested_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `
+            const params = [id, tpc_id, tp_id, node_id, title, required_role, JSON.stringify(message), requested_at, expires_at]
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Get an approval by ID */
+    async getApproval(approval_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM task_approvals WHERE id = ?', [approval_id], (err, row) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(row ? rowToApproval(row) : undefined)
+                }
+            })
+        })
+    }
+    
+    /**
+     * Get approvals, optionally filtered
+     * @param {object} [filters] - Optional filters
+     * @param {string|string[]} [filters.status] - Only approvals in this status (or any of these)
+     * @param {string} [filters.tpc_id] - Only approvals of this instance
+     * @param {string} [filters.tp_id] - Only approvals of this task package
+     * @param {string} [filters.node_id] - Only approvals held by this tp-wait-approval node
+     * @param {boolean} [filters.unreleased] - Only approvals whose message has not been sent on yet
+     */
+    async getApprovals(filters = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const conditions = []
+        const params = []
+        
+        if (filters.status) {
+            const statuses = Array.isArray(filters.status) ? filters.status : [filters.status]
+            conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`)
+            params.push(...statuses)
+        }
+        for (const field of ['tpc_id', 'tp_id', 'node_id']) {
+            if (filters[field]) {
+                conditions.push(`${field} = ?`)
+                params.push(filters[field])
+            }
+        }
+        if (filters.unreleased) {
+            conditions.push('released_at IS NULL')
+        }
+        
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+        
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT * FROM task_approvals ${where} ORDER BY requested_at`, params, (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve((rows || []).map(rowToApproval))
+                }
+            })
+        })
+    }
+    
+    /** Record the decision on a pending approval (resolves 0 if it was no longer pending) */
+    async decideApproval(approval_id, status, decided_by = null, comment = null) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_approvals
+                SET status = ?, decided_by = ?, decided_at = ?, comment = ?
+                WHERE id = ? AND status = 'pending'
+            `
+            
+            this.db.run(sql, [status, decided_by, new Date().toISOString(), comment, approval_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Record that the parked message of a decided approval has been sent on (or dropped) */
+    async setApprovalReleased(approval_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'UPDATE task_approvals SET released_at = ? WHERE id = ?'
+            
+            this.db.run(sql, [new Date().toISOString(), approval_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Register a compensation for an instance (resolves its ID) */
+    async addCompensation(compensation) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const { tpc_id, name, node_id, data = null, confirm = false, confirm_timeout = 0, registered_at } = compensation
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO task_compensations (tpc_id, name, node_id, data, confirm, confirm_timeout, registered_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `
+            const params = [tpc_id, name, node_id, data === undefined ? null : JSON.stringify(data), confirm ? 1 : 0, confirm_timeout, registered_at]
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.lastID)
+                }
+            })
+        })
+    }
+    
+    /**
+     * Get the compensations of an instance in registration order
+     * @param {string} tpc_id - Task instance ID
+     * @param {string[]} [statuses] - Only compensations in one of these statuses
+     */
+    async getCompensations(tpc_id, statuses = null) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        let sql = 'SELECT * FROM task_compensations WHERE tpc_id = ?'
+        const params = [tpc_id]
+        if (statuses && statuses.length > 0) {
+            sql += ` AND status IN (${statuses.map(() => '?').join(', ')})`
+            params.push(...statuses)
+        }
+        sql += ' ORDER BY id ASC'
+        
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve((rows || []).map(rowToCompensation))
+                }
+            })
+        })
+    }
+    
+    /** Set the status of a compensation: 'running' records when the replay started, any other status when it finished */
+    async setCompensationStatus(compensation_id, status, trigger = null) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        const timestampColumn = status === 'running' ? 'started_at' : 'finished_at'
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE task_compensations
+                SET status = ?, trigger = COALESCE(?, trigger), ${timestampColumn} = ?
+                WHERE id = ?
+            `
+            
+            this.db.run(sql, [status, trigger, new Date().toISOString(), compensation_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Insert or replace an entry of the active task registry */
+    async saveActiveTask(task) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT OR REPLACE INTO active_tasks (tpc_id, tp_id, tp_name, node_id, flow_id, cancelled, cancelled_at, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `
+            const params = [
+                task.tpc_id, task.tp_id, task.tp_name || null, task.node_id || null, task.flow_id || null,
+                task.cancelled ? 1 : 0, task.cancelled_at || null, task.created_at
+            ]
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Flag an active task as cancelled */
+    async setActiveTaskCancelled(tpc_id, cancelled_at) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'UPDATE active_tasks SET cancelled = 1, cancelled_at = ? WHERE tpc_id = ?'
+            
+            this.db.run(sql, [cancelled_at, tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Remove an entry from the active task registry */
+    async deleteActiveTask(tpc_id) {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM active_tasks WHERE tpc_id = ?', [tpc_id], function(err) {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve(this.changes)
+                }
+            })
+        })
+    }
+    
+    /** Get the active task registry with the current status of each instance */
+    async getActiveTasks() {
+        if (!this.isInitialized) {
+            throw new Error('Database not initialized')
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT a.*, i.status FROM active_tasks a
+                LEFT JOIN task_packages_created i ON i.id = a.tpc_id
+                ORDER BY a.created_at ASC
+            `
+            
+            this.db.all(sql, [], (err, rows) => {
+                if (err) {
+                    reject(err)
+                } else {
+                    resolve((rows || []).map(row => ({ ...row, cancelled: !!row.cancelled })))
+                }
+            })
+        })
+    }
+    
     /** Close database connection */
     async close() {
         if (this.db) {
@@ -61,15 +61,22 @@ class TaskPackageEvents extends EventEmitter {
     }
     
     /** 
-     * Emit a cancel event for a task package instance
+     * Emit a cancel event for a task package instance. It is broadcast to listeners
+     * watching every instance (onCancel('*', ...)), then to listeners of the instance's
+     * task package (onPackageCancel), then to listeners of the instance itself, so
+     * tp-cancel has flagged the task before per-instance listeners react.
      * @param {string} tpc_id - Task package created ID (UUID)
-     * @param {object} payload - Event payload
+     * @param {object} payload - Event payload (tp_id selects the task package listeners)
      */
     emitCancel(tpc_id, payload) {
         const eventName = this.createEventName(`cancel/${tpc_id}`)
         if (this.debug) {
             console.log(`📤 Emitting cancel event: ${eventName}`)
         }
+        this.emit(this.createEventName('cancel/*'), payload)
+        if (payload && payload.tp_id) {
+            this.emit(this.createEventName(`package-cancel/${payload.tp_id}`), payload)
+        }
         this.emit(eventName, payload)
     }
     
@@ -84,6 +91,94 @@ class TaskPackageEvents extends EventEmitter {
             console.log(`📤 Emitting complete event: ${eventName}`)
         }
         this.emit(eventName, payload)
+        
+        // Also emit for listeners watching every instance (onComplete('*', ...))
+        this.emit(this.createEventName('complete/*'), payload)
+    }
+    
+    /** 
+     * Emit a pause event for a task package instance
+     * @param {string} tpc_id - Task package created ID (UUID)
+     * @param {object} payload - Event payload
+     */
+    emitPause(tpc_id, payload) {
+        const eventName = this.createEventName(`pause/${tpc_id}`)
+        if (this.debug) {
+            console.log(`📤 Emitting pause event: ${eventName}`)
+        }
+        this.emit(eventName, payload)
+    }
+    
+    /** 
+     * Emit a resume event for a task package instance
+     * @param {string} tpc_id - Task package created ID (UUID)
+     * @param {object} payload - Event payload
+     */
+    emitResume(tpc_id, payload) {
+        const eventName = this.createEventName(`resume/${tpc_id}`)
+        if (this.debug) {
+            console.log(`📤 Emitting resume event: ${eventName}`)
+        }
+        this.emit(eventName, payload)
+    }
+    
+    /** 
+     * Emit a progress event for a task package instance
+     * @param {string} tpc_id - Task package created ID (UUID)
+     * @param {object} payload - Event payload
+     */
+    emitProgress(tpc_id, payload) {
+        const eventName = this.createEventName(`progress/${tpc_id}`)
+        if (this.debug) {
+            console.log(`📤 Emitting progress event: ${eventName}`)
+        }
+        this.emit(eventName, payload)
+        
+        // Also emit for listeners watching every instance (onProgress('*', ...))
+        this.emit(this.createEventName('progress/*'), payload)
+    }
+    
+    /** 
+     * Emit an approval decision (approved, rejected, timed_out or cancelled) for a task package instance
+     * @param {string} tpc_id - Task package created ID (UUID)
+     * @param {object} payload - Event payload (the decided approval)
+     */
+    emitApproval(tpc_id, payload) {
+        const eventName = this.createEventName(`approval/${tpc_id}`)
+        if (this.debug) {
+            console.log(`📤 Emitting approval event: ${eventName}`)
+        }
+        this.emit(eventName, payload)
+    }
+    
+    /** 
+     * Emit a compensation replay to the tp-compensate node that registered it
+     * @param {string} node_id - tp-compensate node ID
+     * @param {object} payload - Event payload
+     * @returns {boolean} False if that node is not deployed
+     */
+    emitCompensate(node_id, payload) {
+        const eventName = this.createEventName(`compensate/${node_id}`)
+        if (this.debug) {
+            console.log(`📤 Emitting compensate event: ${eventName}`)
+        }
+        return this.emit(eventName, payload)
+    }
+    
+    /** 
+     * Emit an assignment event (assigned, claimed or released) for a task package instance
+     * @param {string} tp_id - Task package ID of the instance
+     * @param {object} payload - Event payload
+     */
+    emitAssignment(tp_id, payload) {
+        const eventName = this.createEventName(`assignment/${tp_id}`)
+        if (this.debug) {
+            console.log(`📤 Emitting assignment event: ${eventName}`)
+        }
+        this.emit(eventName, payload)
+        
+        // Also emit for listeners watching every task package (onAssignment('*', ...))
+        this.emit(this.createEventName('assignment/*'), payload)
     }
     
     /** 
@@ -131,7 +226,7 @@ class TaskPackageEvents extends EventEmitter {
     
     /** 
      * Listen for cancel events
-     * @param {string} tpc_id - Task package created ID to listen for
+     * @param {string} tpc_id - Task package created ID to listen for, or '*' for every instance
      * @param {function} callback - Event handler function
      * @returns {string} Event name for cleanup
      */
@@ -144,9 +239,24 @@ class TaskPackageEvents extends EventEmitter {
         return eventName
     }
     
+    /** 
+     * Listen for cancel events of every instance of a task package
+     * @param {string} tp_id - Task package ID to listen for
+     * @param {function} callback - Event handler function
+     * @returns {string} Event name for cleanup
+     */
+    onPackageCancel(tp_id, callback) {
+        const eventName = this.createEventName(`package-cancel/${tp_id}`)
+        if (this.debug) {
+            console.log(`📥 Listening for cancel events of package: ${eventName}`)
+        }
+        this.on(eventName, callback)
+        return eventName
+    }
+    
     /** 
      * Listen for complete events
-     * @param {string} tpc_id - Task package created ID to listen for
+     * @param {string} tpc_id - Task package created ID to listen for, or '*' for every instance
      * @param {function} callback - Event handler function
      * @returns {string} Event name for cleanup
      */
@@ -159,6 +269,96 @@ class TaskPackageEvents extends EventEmitter {
         return eventName
     }
     
+    /** 
+     * Listen for pause events
+     * @param {string} tpc_id - Task package created ID to listen for
+     * @param {function} callback - Event handler function
+     * @returns {string} Event name for cleanup
+     */
+    onPause(tpc_id, callback) {
+        const eventName = this.createEventName(`pause/${tpc_id}`)
+        if (this.debug) {
+            console.log(`📥 Listening for pause event: ${eventName}`)
+        }
+        this.on(eventName, callback)
+        return eventName
+    }
+    
+    /** 
+     * Listen for resume events
+     * @param {string} tpc_id - Task package created ID to listen for
+     * @param {function} callback - Event handler function
+     * @returns {string} Event name for cleanup
+     */
+    onResume(tpc_id, callback) {
+        const eventName = this.createEventName(`resume/${tpc_id}`)
+        if (this.debug) {
+            console.log(`📥 Listening for resume event: ${eventName}`)
+        }
+        this.on(eventName, callback)
+        return eventName
+    }
+    
+    /** 
+     * Listen for progress events
+     * @param {string} tpc_id - Task package created ID to listen for or '*' for any
+     * @param {function} callback - Event handler function
+     * @returns {string} Event name for cleanup
+     */
+    onProgress(tpc_id, callback) {
+        const eventName = this.createEventName(`progress/${tpc_id}`)
+        if (this.debug) {
+            console.log(`📥 Listening for progress event: ${eventName}`)
+        }
+        this.on(eventName, callback)
+        return eventName
+    }
+    
+    /** 
+     * Listen for approval decisions
+     * @param {string} tpc_id - Task package created ID to listen for
+     * @param {function} callback - Event handler function
+     * @returns {string} Event name for cleanup
+     */
+    onApproval(tpc_id, callback) {
+        const eventName = this.createEventName(`approval/${tpc_id}`)
+        if (this.debug) {
+            console.log(`📥 Listening for approval event: ${eventName}`)
+        }
+        this.on(eventName, callback)
+        return eventName
+    }
+    
+    /** 
+     * Listen for compensation replays of a tp-compensate node
+     * @param {string} node_id - tp-compensate node ID
+     * @param {function} callback - Event handler function
+     * @returns {string} Event name for cleanup
+     */
+    onCompensate(node_id, callback) {
+        const eventName = this.createEventName(`compensate/${node_id}`)
+        if (this.debug) {
+            console.log(`📥 Listening for compensate event: ${eventName}`)
+        }
+        this.on(eventName, callback)
+        return eventName
+    }
+    
+    /** 
+     * Listen for assignment events
+     * @param {string} tp_id - Task package ID to listen for or '*' for any
+     * @param {function} callback - Event handler function
+     * @returns {string} Event name for cleanup
+     */
+    onAssignment(tp_id, callback) {
+        const eventName = this.createEventName(`assignment/${tp_id}`)
+        if (this.debug) {
+            console.log(`📥 Listening for assignment event: ${eventName}`)
+        }
+        this.on(eventName, callback)
+        return eventName
+    }
+    
     /** 
      * Listen for update events
      * @param {string} tp_id - Task package ID to listen for or '*' for any
@@ -206,6 +406,17 @@ class TaskPackageEvents extends EventEmitter {
         return this.listenerCount(eventName)
     }
     
+    /** 
+     * Check whether a cancel event of a task package instance would reach a tp-cancel
+     * style listener (task package or wildcard subscription)
+     * @param {string} tp_id - Task package ID
+     * @returns {boolean} True if someone listens
+     */
+    hasPackageCancelListener(tp_id) {
+        return this.listenerCount(this.createEventName(`package-cancel/${tp_id}`)) > 0 ||
+            this.listenerCount(this.createEventName('cancel/*')) > 0
+    }
+    
     /** 
      * Enable debug mode
      */
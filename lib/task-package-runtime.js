@@ -0,0 +1,1408 @@
+/** Task Package Runtime
+ *  Runtime services shared by the API and the tp-* nodes:
+ *  the common start, cancel and pause/resume paths, scheduled starts,
+ *  dependencies between instances, parent/child tasks, per-task-package concurrency limits with a priority queue,
+ *  per-instance execution deadlines, reconciliation of instances orphaned by a restart
+ *  and the active/enabled state of task package definitions
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const tpEvents = require('./task-package-events')
+const taskPackageDB = require('./task-package-db')
+const taskLifecycle = require('./task-lifecycle')
+const { v4: uuidv4 } = require('uuid')
+
+/** Longest delay setTimeout accepts; longer deadlines are re-armed in steps */
+const MAX_TIMER_DELAY = 2147483647
+
+/** Statuses in which a deadline is still running */
+const RUNNING_STATUSES = ['started', 'ongoing', 'awaiting_approval']
+
+/** Statuses that take up one of a task package's concurrency slots */
+const SLOT_STATUSES = ['created', 'started', 'ongoing', 'paused', 'awaiting_approval', 'cancelling']
+
+/** Dependency policies accepted by startTask */
+const DEPENDENCY_POLICIES = ['all_completed', 'any_finished']
+
+/** Statuses in which an instance needs a running flow to ever finish.
+ *  awaiting_approval is not one: the parked message is stored with the approval and
+ *  its tp-wait-approval node takes it up again after a restart. */
+const IN_FLIGHT_STATUSES = ['created', 'started', 'ongoing', 'paused', 'cancelling']
+
+/** What reconciliation does with an orphaned instance, set per task package on tp-start */
+const RECOVERY_POLICIES = ['interrupt', 'restart']
+
+/** How long a re-sent cancel waits for a tp-cancel node to pick the recovered instance up */
+const CANCEL_RESEND_TIMEOUT = 10000
+const CANCEL_RESEND_INTERVAL = 500
+
+/** Seconds a replay waits for a compensation confirmation without a timeout of its own -
+ *  tp-end and tp-fail wait for the replay, so it must always come to an end */
+const DEFAULT_CONFIRM_TIMEOUT = 60
+
+/**
+ * Call a function at a given time, chaining timers for times beyond the setTimeout limit
+ * @param {number} time - Epoch milliseconds
+ * @param {function} callback - Called once the time is reached
+ * @returns {{timer: NodeJS.Timeout}} Handle whose current timer can be cleared
+ */
+function runAt(time, callback) {
+    const handle = { timer: null }
+    const arm = () => {
+        const remaining = time - Date.now()
+        if (remaining > MAX_TIMER_DELAY) {
+            handle.timer = setTimeout(arm, MAX_TIMER_DELAY)
+            return
+        }
+        handle.timer = setTimeout(callback, Math.max(remaining, 0))
+    }
+    arm()
+    return handle
+}
+
+/** Runtime services singleton */
+class TaskPackageRuntime {
+    constructor() {
+        /** @type {Map<string, {handle: {timer: NodeJS.Timeout}, deadline: number, eventName: string, onComplete: function}>} */
+        this.deadlines = new Map()
+
+        /** @type {Map<string, {handle: {timer: NodeJS.Timeout}, eventName: string, onComplete: function}>} Cancel grace periods by tpc_id */
+        this.cancelDeadlines = new Map()
+
+        /** @type {Map<string, {timer: NodeJS.Timeout}>} Pending scheduled starts by tpc_id */
+        this.scheduledStarts = new Map()
+
+        /** @type {Map<string, Promise>} Tail of the admission chain per tp_id, so slot checks never interleave */
+        this.slotLocks = new Map()
+
+        /** @type {Map<string, string|null>} Instances held by a flow in this process: tpc_id -> tp-start node id (null until it picked the start up) */
+        this.liveTasks = new Map()
+
+        /** @type {Map<string, object>} Orphaned instances to restart once their tp-start node is deployed, by tpc_id */
+        this.pendingRecoveries = new Map()
+
+        /** @type {object|null} Report of the latest reconciliation pass */
+        this.lastReconciliation = null
+
+        /** @type {Map<string, {timer: NodeJS.Timeout}>} Timeouts of pending approvals by approval ID */
+        this.approvalTimeouts = new Map()
+
+        /** @type {Map<string, Promise<object[]>>} Compensation replays in progress by tpc_id */
+        this.compensations = new Map()
+
+        /** @type {Map<number, {resolve: function, handle: {timer: NodeJS.Timeout}}>} Compensations waiting for confirmation by ID */
+        this.compensationWaits = new Map()
+
+        // A finished instance frees a slot for the next queued one and may release instances waiting for it
+        tpEvents.onComplete('*', (completion) => {
+            if (completion && completion.tpc_id) {
+                this.liveTasks.delete(completion.tpc_id)
+                this.pendingRecoveries.delete(completion.tpc_id)
+            }
+            if (completion && completion.tp_id && taskPackageDB.isInitialized) {
+                this.drainQueue(completion.tp_id)
+                this.resolveDependents(completion.tpc_id)
+                this.closeApprovals(completion.tpc_id)
+            }
+        })
+        
+        /** @type {Set<string>} Instances currently paused, for synchronous checks in nodes */
+        this.pausedTasks = new Set()
+    }
+
+    /**
+     * Restore runtime state from the database (called once per process, when the database
+     * is first ready). Configuration changes only re-point the database.
+     */
+    async init() {
+        // Drop timers from a previous initialisation
+        for (const tpc_id of [...this.deadlines.keys()]) {
+            this.clearDeadline(tpc_id)
+        }
+        for (const tpc_id of [...this.scheduledStarts.keys()]) {
+            this.clearScheduledStart(tpc_id)
+        }
+        for (const tpc_id of [...this.cancelDeadlines.keys()]) {
+            this.clearCancelDeadline(tpc_id)
+        }
+        for (const approval_id of [...this.approvalTimeouts.keys()]) {
+            this.clearApprovalTimeout(approval_id)
+        }
+
+        // Restarted paused instances must come back held, so restore the pauses first
+        const paused = await taskPackageDB.getTaskPackageInstances({ status: 'paused' })
+        this.pausedTasks = new Set(paused.map(instance => instance.id))
+
+        // Instances no flow holds any more can never reach tp-end
+        await this.reconcile('startup')
+
+        // Definitions whose tp-start node was removed while we were not running
+        await this.deactivateUndeployed()
+
+        const instances = await taskPackageDB.getTaskPackageInstances({ status: RUNNING_STATUSES })
+        let restored = 0
+
+        instances.forEach(instance => {
+            if (instance.deadline_at) {
+                this.scheduleDeadline(instance.id, new Date(instance.deadline_at).getTime())
+                restored++
+            }
+        })
+
+        if (restored > 0) {
+            console.log(`Task Package runtime: restored ${restored} execution deadline(s)`)
+        }
+
+        // Cleanup flows still have the rest of their grace period, expired ones are forced now
+        const cancelling = await taskPackageDB.getTaskPackageInstances({ status: 'cancelling' })
+        cancelling.forEach(instance => {
+            if (instance.cancel_deadline_at) {
+                this.scheduleCancelDeadline(instance.id, new Date(instance.cancel_deadline_at).getTime())
+            }
+        })
+
+        // Approvals that expired while Node-RED was down time out now
+        const approvals = await taskPackageDB.getApprovals({ status: 'pending' })
+        approvals.forEach(approval => {
+            if (approval.expires_at) {
+                this.scheduleApprovalTimeout(approval.id, new Date(approval.expires_at).getTime())
+            }
+        })
+
+        // Starts that came due while Node-RED was down fire straight away
+        const scheduled = await taskPackageDB.getTaskPackageInstances({ status: 'scheduled' })
+        scheduled.forEach(instance => {
+            this.scheduleStart(instance.id, new Date(instance.start_at).getTime())
+        })
+
+        if (scheduled.length > 0) {
+            console.log(`Task Package runtime: restored ${scheduled.length} scheduled start(s)`)
+        }
+
+        // Dependencies may have finished while we were not watching
+        const waiting = await taskPackageDB.getTaskPackageInstances({ status: 'waiting' })
+        for (const instance of waiting) {
+            await this.evaluateDependencies(instance.id)
+        }
+
+        // Queued instances wait in the database; tp-start nodes drain their queue once deployed
+        const queued = await taskPackageDB.getTaskPackageInstances({ status: 'queued' })
+        if (queued.length > 0) {
+            console.log(`Task Package runtime: ${queued.length} queued instance(s) waiting for a free slot`)
+        }
+    }
+
+    /**
+     * Create a task instance and start it, now or at a later time. The start
+     * request is stored with the instance so a scheduled or queued start survives
+     * restarts. If the task package is at its max_concurrent limit the instance
+     * is queued and started when a running one ends. With depends_on the instance
+     * waits until its dependencies have finished as required by the policy.
+     * @param {object} request - Start request
+     * @param {string} request.tp_id - Task package ID
+     * @param {string} request.tp_name - Task package name
+     * @param {string} request.user - Requesting user
+     * @param {object} [request.payload] - Data passed to the flow as msg.payload
+     * @param {number} [request.max_duration] - Maximum execution time in seconds
+     * @param {string} [request.start_at] - ISO time to start at (default: now)
+     * @param {string} [request.schedule_id] - Recurring schedule that requested the start
+     * @param {number} [request.priority] - Queue priority, higher starts first (default: 0)
+     * @param {string[]} [request.depends_on] - Instances that must finish first
+     * @param {string} [request.dependency_policy] - 'all_completed' (default) or 'any_finished'
+     * @param {string} [request.parent_tpc_id] - Task that spawned this instance (tp-spawn)
+     * @returns {Promise<{tpc_id: string, status: string, start_at?: string, queue_position?: number, depends_on?: string[]}>}
+     */
+    async startTask(request) {
+        const {
+            tp_id, tp_name, user, payload = {}, max_duration, start_at = null, schedule_id = null, priority = 0,
+            depends_on = [], dependency_policy = 'all_completed', parent_tpc_id = null
+        } = request
+        const tpc_id = uuidv4()
+
+        const create = async (status, startAt) => {
+            await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name, user, status })
+            await taskPackageDB.setTaskStartRequest(tpc_id, startAt, { max_duration, payload }, priority)
+            if (await this.storesData(tp_id)) {
+                await taskPackageDB.setTaskData(tpc_id, payload)
+            }
+            if (schedule_id) {
+                await taskPackageDB.setTaskScheduleId(tpc_id, schedule_id)
+            }
+            if (parent_tpc_id) {
+                await taskPackageDB.setTaskParent(tpc_id, parent_tpc_id)
+            }
+        }
+
+        if (start_at) {
+            const startAt = new Date(start_at).toISOString()
+            await create('scheduled', startAt)
+            this.scheduleStart(tpc_id, new Date(startAt).getTime())
+            return { tpc_id, status: 'scheduled', start_at: startAt }
+        }
+
+        if (depends_on.length > 0) {
+            await create('waiting', null)
+            await taskPackageDB.addTaskDependencies(tpc_id, depends_on, dependency_policy)
+
+            // Some dependencies may already have finished
+            await this.evaluateDependencies(tpc_id)
+            const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+            const result = { tpc_id, status: instance.status === 'created' ? 'started' : instance.status, depends_on }
+            if (instance.status === 'queued') {
+                result.queue_position = await this.getQueuePosition(tp_id, tpc_id)
+            }
+            return result
+        }
+
+        return this.withSlotLock(tp_id, async () => {
+            if (await this.hasFreeSlot(tp_id)) {
+                await create('created', null)
+                this.emitStart({ id: tpc_id, tp_id, user }, { max_duration, payload })
+                return { tpc_id, status: 'started' }
+            }
+
+            await create('queued', null)
+            await taskPackageDB.setTaskQueuedAt(tpc_id, new Date().toISOString())
+            return { tpc_id, status: 'queued', queue_position: await this.getQueuePosition(tp_id, tpc_id) }
+        })
+    }
+
+    /**
+     * Run an admission decision for a task package after any that are in progress,
+     * so two starts cannot both take the last free slot
+     * @param {string} tp_id - Task package ID
+     * @param {function(): Promise<*>} fn - Work to run while holding the lock
+     * @returns {Promise<*>} Result of fn
+     */
+    withSlotLock(tp_id, fn) {
+        const previous = this.slotLocks.get(tp_id) || Promise.resolve()
+        const result = previous.then(fn)
+        const tail = result.catch(() => {})
+
+        this.slotLocks.set(tp_id, tail)
+        tail.then(() => {
+            if (this.slotLocks.get(tp_id) === tail) {
+                this.slotLocks.delete(tp_id)
+            }
+        })
+
+        return result
+    }
+
+    /**
+     * Check whether another instance of a task package may start now
+     * @param {string} tp_id - Task package ID
+     * @returns {Promise<boolean>} True if the package has no limit or is below it
+     */
+    async hasFreeSlot(tp_id) {
+        const taskPackage = await taskPackageDB.getTaskPackage(tp_id)
+        const limit = taskPackage ? taskPackage.max_concurrent : null
+        if (!limit) {
+            return true
+        }
+
+        const running = await taskPackageDB.getTaskPackageInstances({ tp_id, status: SLOT_STATUSES })
+        return running.length < limit
+    }
+
+    /**
+     * Position of a queued instance in its task package's queue
+     * @param {string} tp_id - Task package ID
+     * @param {string} tpc_id - Task instance ID
+     * @returns {Promise<number|null>} 1-based position, or null if the instance is not queued
+     */
+    async getQueuePosition(tp_id, tpc_id) {
+        const queue = await taskPackageDB.getQueuedInstances(tp_id)
+        const index = queue.findIndex(instance => instance.id === tpc_id)
+        return index === -1 ? null : index + 1
+    }
+
+    /**
+     * Start queued instances of a task package while it has free slots.
+     * Called when an instance finishes, when a tp-start node is deployed and when
+     * the task package is enabled again.
+     * @param {string} tp_id - Task package ID
+     * @returns {Promise<number>} Number of instances started
+     */
+    async drainQueue(tp_id) {
+        try {
+            return await this.withSlotLock(tp_id, async () => {
+                // Leave the queue alone until a tp-start node can pick the instances up
+                // and while the task package is disabled for maintenance
+                if (!this.hasStartListener(tp_id) || !await this.isEnabled(tp_id)) {
+                    return 0
+                }
+
+                let started = 0
+                const queue = await taskPackageDB.getQueuedInstances(tp_id)
+                for (const instance of queue) {
+                    if (!await this.hasFreeSlot(tp_id)) {
+                        break
+                    }
+
+                    try {
+                        await taskLifecycle.transition(instance.id, 'created', { actor: 'system', reason: 'dequeued' })
+                    } catch (error) {
+                        if (error instanceof taskLifecycle.InvalidTransitionError) {
+                            continue // Cancelled meanwhile
+                        }
+                        throw error
+                    }
+
+                    this.emitStart(instance, JSON.parse(instance.start_request || '{}'))
+                    started++
+                }
+                return started
+            })
+        } catch (error) {
+            console.error(`Error starting queued tasks of ${tp_id}:`, error.message)
+            return 0
+        }
+    }
+
+    /**
+     * Emit the start event that tp-start nodes listen for
+     * @param {object} instance - Instance row (id, tp_id, user)
+     * @param {object} start_request - Stored start request (max_duration, payload)
+     */
+    emitStart(instance, start_request, recovered = false) {
+        this.liveTasks.set(instance.id, null)
+
+        const event = {
+            tpc_id: instance.id,
+            tp_id: instance.tp_id,
+            user: instance.user,
+            max_duration: start_request.max_duration,
+            payload: start_request.payload || {}
+        }
+        if (recovered) {
+            event.recovered = true
+            event.status = instance.status
+        }
+        tpEvents.emitStart(instance.tp_id, event)
+    }
+
+    /**
+     * Record that a tp-start node has picked up an instance, so reconciliation leaves it alone
+     * @param {string} tpc_id - Task instance ID
+     * @param {string} node_id - tp-start node ID
+     */
+    attachTask(tpc_id, node_id) {
+        this.liveTasks.set(tpc_id, node_id)
+    }
+
+    /**
+     * Forget the instances a tp-start node picked up, when it is stopped or redeployed.
+     * Their flows are gone, so the next reconciliation treats them as orphaned.
+     * @param {string} node_id - tp-start node ID
+     */
+    detachNode(node_id) {
+        for (const [tpc_id, owner] of this.liveTasks) {
+            if (owner === node_id) {
+                this.liveTasks.delete(tpc_id)
+            }
+        }
+    }
+
+    /**
+     * Find instances left in flight without a flow to finish them (after a restart or
+     * full redeploy) and apply their task package's recovery policy:
+     * - interrupt (default): the instance ends as 'interrupted'
+     * - restart: the start event is re-emitted so the flow runs again; an instance that
+     *   was cancelling is handed to the flow again and its cancel event re-sent
+     * @param {string} [trigger] - What started the pass, for the report (default: manual)
+     * @returns {Promise<object>} Report of what was done
+     */
+    async reconcile(trigger = 'manual') {
+        const report = {
+            trigger,
+            reconciled_at: new Date().toISOString(),
+            interrupted: [],
+            restarted: [],
+            cancel_resent: [],
+            pending: []
+        }
+
+        const instances = await taskPackageDB.getTaskPackageInstances({ status: IN_FLIGHT_STATUSES })
+        const orphans = instances.filter(instance => !this.liveTasks.has(instance.id) && !this.pendingRecoveries.has(instance.id))
+        const policies = new Map()
+
+        for (const instance of orphans) {
+            const entry = { tpc_id: instance.id, tp_id: instance.tp_id, status: instance.status }
+            try {
+                if (!policies.has(instance.tp_id)) {
+                    const taskPackage = await taskPackageDB.getTaskPackage(instance.tp_id)
+                    policies.set(instance.tp_id, (taskPackage && taskPackage.recovery_policy) || 'interrupt')
+                }
+
+                if (policies.get(instance.tp_id) !== 'restart') {
+                    await this.interruptTask(instance, 'no flow left to finish it (restart or redeploy)')
+                    report.interrupted.push(entry)
+                } else if (this.hasStartListener(instance.tp_id)) {
+                    report[await this.recoverTask(instance)].push(entry)
+                } else {
+                    // tp-start picks these up through recoverPending once it is deployed
+                    this.pendingRecoveries.set(instance.id, instance)
+                    report.pending.push(entry)
+                }
+            } catch (error) {
+                console.error(`Error reconciling ${instance.id}:`, error.message)
+            }
+        }
+
+        const summary = ['interrupted', 'restarted', 'cancel_resent', 'pending']
+            .filter(key => report[key].length > 0)
+            .map(key => `${report[key].length} ${key.replace('_', ' ')}`)
+        if (summary.length > 0) {
+            console.log(`Task Package runtime: reconciled ${orphans.length} orphaned instance(s): ${summary.join(', ')}`)
+            report.interrupted.forEach(entry => {
+                console.log(`  interrupted ${entry.tpc_id} (${entry.tp_id}, was ${entry.status})`)
+            })
+        }
+
+        this.lastReconciliation = report
+        return report
+    }
+
+    /**
+     * Restart the orphaned instances of a task package that were waiting for its tp-start node
+     * @param {string} tp_id - Task package ID
+     */
+    async recoverPending(tp_id) {
+        if (!this.hasStartListener(tp_id)) return
+
+        for (const [tpc_id, instance] of [...this.pendingRecoveries]) {
+            if (instance.tp_id !== tp_id) continue
+
+            this.pendingRecoveries.delete(tpc_id)
+            try {
+                const current = await taskPackageDB.getTaskPackageInstance(tpc_id)
+                if (current && IN_FLIGHT_STATUSES.includes(current.status)) {
+                    await this.recoverTask(current)
+                }
+            } catch (error) {
+                console.error(`Error recovering ${tpc_id}:`, error.message)
+            }
+        }
+    }
+
+    /**
+     * Hand an orphaned instance back to its flow
+     * @param {object} instance - Instance row
+     * @returns {Promise<string>} 'restarted' or 'cancel_resent'
+     */
+    async recoverTask(instance) {
+        const start_request = JSON.parse(instance.start_request || '{}')
+
+        if (instance.status === 'created') {
+            this.emitStart(instance, start_request)
+            return 'restarted'
+        }
+
+        await taskPackageDB.recordStatusHistory(instance.id, instance.status, instance.status, 'system', 'restarted after recovery')
+        this.emitStart(instance, start_request, true)
+
+        if (instance.status === 'cancelling') {
+            this.resendCancel(instance)
+            return 'cancel_resent'
+        }
+        return 'restarted'
+    }
+
+    /**
+     * Re-send the cancel event of a recovered instance once its tp-start node has picked it up
+     * and a tp-cancel node listens for its task package.
+     * Without one no cleanup flow can close the instance, so it is interrupted instead.
+     * @param {object} instance - Instance row
+     */
+    resendCancel(instance) {
+        const giveUpAt = Date.now() + CANCEL_RESEND_TIMEOUT
+
+        const attempt = async () => {
+            // tp-start registers the instance as active when it attaches, so tp-cancel can then find it
+            if (this.liveTasks.get(instance.id) && tpEvents.hasPackageCancelListener(instance.tp_id)) {
+                tpEvents.emitCancel(instance.id, {
+                    tp_id: instance.tp_id,
+                    tpc_id: instance.id,
+                    user: 'system',
+                    cancelled_by: 'system',
+                    cancelled_at: new Date().toISOString(),
+                    reason: 'recovered after restart',
+                    payload: {}
+                })
+                return
+            }
+            if (Date.now() < giveUpAt) {
+                setTimeout(attempt, CANCEL_RESEND_INTERVAL)
+                return
+            }
+            try {
+                await this.interruptTask(instance, 'no tp-cancel node to finish cancelling after recovery')
+            } catch (error) {
+                console.error(`Error interrupting ${instance.id}:`, error.message)
+            }
+        }
+        setTimeout(attempt, CANCEL_RESEND_INTERVAL)
+    }
+
+    /**
+     * End an instance no flow can finish as 'interrupted' and emit its completion event
+     * @param {object} instance - Instance row
+     * @param {string} reason - Reason recorded in the history
+     */
+    async interruptTask(instance, reason) {
+        await taskLifecycle.transition(instance.id, 'interrupted', { actor: 'system', reason })
+        this.clearDeadline(instance.id)
+        this.pausedTasks.delete(instance.id)
+
+        tpEvents.emitComplete(instance.id, {
+            tpc_id: instance.id,
+            tp_id: instance.tp_id,
+            tp_name: instance.tp_name,
+            final_status: 'interrupted',
+            completed_at: new Date().toISOString(),
+            was_cancelled: false
+        })
+    }
+
+    /**
+     * Check whether a tp-start node is listening for a task package
+     * @param {string} tp_id - Task package ID
+     * @returns {boolean} True if a start event would be handled
+     */
+    hasStartListener(tp_id) {
+        return tpEvents.getListenerCount(tpEvents.createEventName(`start/${tp_id}`)) > 0
+    }
+
+    /**
+     * Check whether a task package keeps the start input and update payloads of its instances
+     * @param {string} tp_id - Task package ID
+     * @returns {Promise<boolean>} False if its tp-start node opted out with "Store Data"
+     */
+    async storesData(tp_id) {
+        const taskPackage = await taskPackageDB.getTaskPackage(tp_id)
+        return !taskPackage || taskPackage.store_data !== 0
+    }
+
+    /**
+     * Check whether a task package is enabled, i.e. not disabled for maintenance
+     * @param {string} tp_id - Task package ID
+     * @returns {Promise<boolean>} False while an admin has it disabled
+     */
+    async isEnabled(tp_id) {
+        const taskPackage = await taskPackageDB.getTaskPackage(tp_id)
+        return !taskPackage || taskPackage.enabled
+    }
+
+    /**
+     * Explain why a task package accepts no new instances
+     * @param {object} taskPackage - task_packages row
+     * @returns {string|null} The reason, or null if instances may be started
+     */
+    unavailableReason(taskPackage) {
+        if (!taskPackage.active) {
+            return `Task package '${taskPackage.id}' is inactive: no tp-start node is deployed for it`
+        }
+        if (!taskPackage.enabled) {
+            const reason = taskPackage.disabled_reason ? `: ${taskPackage.disabled_reason}` : ''
+            return `Task package '${taskPackage.id}' is disabled for maintenance${reason}`
+        }
+        return null
+    }
+
+    /**
+     * Mark a task package inactive once no tp-start node is deployed for it
+     * @param {string} tp_id - Task package ID
+     * @returns {Promise<boolean>} True if it was active until now
+     */
+    async deactivateTaskPackage(tp_id) {
+        // Another tp-start node may serve the same task package
+        if (this.hasStartListener(tp_id)) {
+            return false
+        }
+        return await taskPackageDB.setTaskPackageActive(tp_id, false) > 0
+    }
+
+    /**
+     * Mark every task package without a deployed tp-start node inactive, e.g. one whose
+     * node was removed while Node-RED was down. A tp-start node deployed later makes its
+     * package active again when it registers the definition.
+     * @returns {Promise<string[]>} IDs of the task packages marked inactive
+     */
+    async deactivateUndeployed() {
+        const deactivated = []
+        for (const taskPackage of await taskPackageDB.getTaskPackages()) {
+            if (taskPackage.active && await this.deactivateTaskPackage(taskPackage.id)) {
+                deactivated.push(taskPackage.id)
+            }
+        }
+
+        if (deactivated.length > 0) {
+            console.log(`Task Package runtime: ${deactivated.length} task package(s) without a tp-start node marked inactive: ${deactivated.join(', ')}`)
+        }
+        return deactivated
+    }
+
+    /**
+     * Enable or disable a task package for maintenance. Disabled packages reject new
+     * starts and hold their queue; instances already running are not affected.
+     * @param {string} tp_id - Task package ID
+     * @param {boolean} enabled - New value of the flag
+     * @param {object} [options]
+     * @param {string} [options.actor] - Who disabled it
+     * @param {string} [options.reason] - Why it is disabled
+     * @returns {Promise<object|null>} The updated task package, or null if it does not exist
+     */
+    async setTaskPackageEnabled(tp_id, enabled, options = {}) {
+        if (!await taskPackageDB.setTaskPackageEnabled(tp_id, enabled, options)) {
+            return null
+        }
+
+        // Instances queued or scheduled during maintenance start now
+        if (enabled) {
+            await this.drainQueue(tp_id)
+        }
+        return taskPackageDB.getTaskPackage(tp_id)
+    }
+
+    /**
+     * Start the in-memory timer for a scheduled start
+     * @param {string} tpc_id - Task instance ID
+     * @param {number} startAt - Start time as epoch milliseconds (past times fire immediately)
+     */
+    scheduleStart(tpc_id, startAt) {
+        this.clearScheduledStart(tpc_id)
+
+        const handle = runAt(startAt, () => {
+            this.scheduledStarts.delete(tpc_id)
+            this.handleScheduledStart(tpc_id)
+        })
+        this.scheduledStarts.set(tpc_id, handle)
+    }
+
+    /**
+     * Stop the timer of a scheduled start
+     * @param {string} tpc_id - Task instance ID
+     */
+    clearScheduledStart(tpc_id) {
+        const handle = this.scheduledStarts.get(tpc_id)
+        if (!handle) return
+
+        clearTimeout(handle.timer)
+        this.scheduledStarts.delete(tpc_id)
+    }
+
+    /**
+     * Start a scheduled instance whose start time has come
+     * @param {string} tpc_id - Task instance ID
+     */
+    async handleScheduledStart(tpc_id) {
+        try {
+            const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+            if (!instance || instance.status !== 'scheduled') {
+                return
+            }
+
+            await this.admitPending(instance, 'scheduled start')
+        } catch (error) {
+            if (error instanceof taskLifecycle.InvalidTransitionError) {
+                // Cancelled while we were looking it up
+                return
+            }
+            console.error(`Error starting scheduled task ${tpc_id}:`, error.message)
+        }
+    }
+
+    /**
+     * Start a scheduled or waiting instance whose time has come, or queue it if the
+     * task package has no free slot, is disabled or no tp-start node is deployed yet (after a
+     * restart the flows may not be running; tp-start drains the queue once deployed)
+     * @param {object} instance - Instance row
+     * @param {string} reason - Reason recorded in the history
+     * @returns {Promise<string>} The new status ('created' or 'queued')
+     */
+    async admitPending(instance, reason) {
+        return this.withSlotLock(instance.tp_id, async () => {
+            if (this.hasStartListener(instance.tp_id) && await this.isEnabled(instance.tp_id) &&
+                await this.hasFreeSlot(instance.tp_id)) {
+                await taskLifecycle.transition(instance.id, 'created', { actor: 'system', reason })
+                this.emitStart(instance, JSON.parse(instance.start_request || '{}'))
+                return 'created'
+            }
+
+            await taskLifecycle.transition(instance.id, 'queued', { actor: 'system', reason: `${reason}, waiting for a free slot` })
+            await taskPackageDB.setTaskQueuedAt(instance.id, new Date().toISOString())
+            return 'queued'
+        })
+    }
+
+    /**
+     * Re-evaluate the instances waiting for an instance that has just finished
+     * @param {string} tpc_id - ID of the finished instance
+     */
+    async resolveDependents(tpc_id) {
+        try {
+            const dependents = await taskPackageDB.getDependentInstances(tpc_id)
+            for (const dependent of dependents) {
+                await this.evaluateDependencies(dependent.id)
+            }
+        } catch (error) {
+            console.error(`Error resolving dependents of ${tpc_id}:`, error.message)
+        }
+    }
+
+    /**
+     * Decide what happens to a waiting instance given the status of its dependencies:
+     * - all_completed: starts once every dependency completed; cancelled if a dependency
+     *   was cancelled (forced or not), failed if a dependency failed or was interrupted
+     * - any_finished: starts as soon as any dependency has finished, whatever its outcome
+     * @param {string} tpc_id - Waiting instance ID
+     */
+    async evaluateDependencies(tpc_id) {
+        try {
+            const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+            if (!instance || instance.status !== 'waiting') {
+                return
+            }
+
+            const dependencies = await taskPackageDB.getTaskDependencies(tpc_id)
+            const finished = dependencies.filter(dependency => taskLifecycle.isTerminal(dependency.status))
+
+            if (instance.dependency_policy === 'any_finished') {
+                if (finished.length > 0) {
+                    await this.admitPending(instance, `dependency ${finished[0].tpc_id} finished`)
+                }
+                return
+            }
+
+            const failed = finished.find(dependency => ['failed', 'interrupted'].includes(dependency.status))
+            if (failed) {
+                await this.failPendingTask(instance, {
+                    message: `Dependency ${failed.tpc_id} ${failed.status}`,
+                    code: 'DEPENDENCY_FAILED'
+                })
+                return
+            }
+
+            const cancelled = finished.find(dependency => ['cancelled', 'cancel_failed'].includes(dependency.status))
+            if (cancelled) {
+                await this.cancelTask(tpc_id, { reason: `dependency ${cancelled.tpc_id} cancelled` })
+                return
+            }
+
+            if (finished.length === dependencies.length) {
+                await this.admitPending(instance, 'dependencies completed')
+            }
+        } catch (error) {
+            if (error instanceof taskLifecycle.InvalidTransitionError) {
+                // Cancelled or released meanwhile
+                return
+            }
+            console.error(`Error evaluating dependencies of ${tpc_id}:`, error.message)
+        }
+    }
+
+    /**
+     * Fail an instance whose flow never started and emit its completion event
+     * @param {object} instance - Instance row
+     * @param {object} error - Error details (message, code)
+     */
+    async failPendingTask(instance, { message, code = null }) {
+        await taskLifecycle.transition(instance.id, 'failed', { reason: message })
+        await taskPackageDB.setTaskError(instance.id, message, code, null)
+        this.clearScheduledStart(instance.id)
+
+        tpEvents.emitComplete(instance.id, {
+            tpc_id: instance.id,
+            tp_id: instance.tp_id,
+            tp_name: instance.tp_name,
+            final_status: 'failed',
+            completed_at: new Date().toISOString(),
+            was_cancelled: false,
+            error: { message, code, node_id: null }
+        })
+    }
+
+    /**
+     * Cancel a task instance: move it to 'cancelling' and emit the cancel event
+     * so tp-cancel cleanup flows run. A scheduled, waiting or queued instance that
+     * has not started yet is cancelled straight away. Active child tasks spawned by
+     * the instance are cancelled with it. Callers are expected to have checked that
+     * the caller may cancel this instance.
+     * @param {string} tpc_id - Task instance ID
+     * @param {object} [options] - Cancel options
+     * @param {string} [options.actor] - Who requested the cancellation (default: system)
+     * @param {string} [options.reason] - Reason recorded in the history and passed to cleanup flows
+     * @param {object} [options.payload] - Extra data passed to cleanup flows as msg.payload
+     * @returns {Promise<{status: string, already_cancelling: boolean}>} status is 'cancelling', or 'cancelled' for a pending instance
+     * @throws {InvalidTransitionError} If the instance cannot be cancelled from its current status
+     */
+    async cancelTask(tpc_id, options = {}) {
+        const { actor = 'system', reason = null, payload = {} } = options
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        if (!instance) {
+            throw new Error(`Task instance '${tpc_id}' not found`)
+        }
+
+        if (instance.status === 'cancelling') {
+            return { status: 'cancelling', already_cancelling: true }
+        }
+
+        // Nothing has run yet, so there is nothing to clean up
+        if (taskLifecycle.PENDING_STATUSES.includes(instance.status)) {
+            await taskLifecycle.transition(tpc_id, 'cancelled', { actor, reason })
+            this.clearScheduledStart(tpc_id)
+
+            tpEvents.emitComplete(tpc_id, {
+                tpc_id,
+                tp_id: instance.tp_id,
+                tp_name: instance.tp_name,
+                final_status: 'cancelled',
+                completed_at: new Date().toISOString(),
+                was_cancelled: true
+            })
+
+            return { status: 'cancelled', already_cancelling: false }
+        }
+
+        await taskLifecycle.transition(tpc_id, 'cancelling', { actor, reason })
+        this.clearDeadline(tpc_id)
+        this.pausedTasks.delete(tpc_id)
+        await this.armCancelDeadline(instance)
+        await this.closeApprovals(tpc_id)
+
+        tpEvents.emitCancel(tpc_id, {
+            tp_id: instance.tp_id,
+            tpc_id,
+            user: actor,
+            cancelled_by: actor,
+            cancelled_at: new Date().toISOString(),
+            reason,
+            payload
+        })
+
+        await this.cancelChildren(tpc_id, actor)
+
+        // Undo what the task has done so far; tp-end waits for it before ending the instance
+        this.compensate(tpc_id, 'cancelled').catch((error) => {
+            console.error(`Error compensating ${tpc_id}:`, error.message)
+        })
+
+        return { status: 'cancelling', already_cancelling: false }
+    }
+
+    /**
+     * Give the cleanup flow of a cancelling instance the grace period of its task package
+     * (tp-start setting) to reach tp-end, after which the runtime ends the instance itself
+     * @param {object} instance - Instance row
+     * @returns {Promise<string|null>} The cancel deadline as an ISO timestamp, or null without a grace period
+     */
+    async armCancelDeadline(instance) {
+        const taskPackage = await taskPackageDB.getTaskPackage(instance.tp_id)
+        const gracePeriod = taskPackage ? Number(taskPackage.cancel_grace_period) : 0
+        if (!(gracePeriod > 0)) {
+            return null
+        }
+
+        const deadline = Date.now() + gracePeriod * 1000
+        const cancel_deadline_at = new Date(deadline).toISOString()
+
+        await taskPackageDB.setCancelDeadline(instance.id, cancel_deadline_at)
+        this.scheduleCancelDeadline(instance.id, deadline)
+
+        return cancel_deadline_at
+    }
+
+    /**
+     * Start (or restart) the in-memory timer for a cancel grace period
+     * @param {string} tpc_id - Task instance ID
+     * @param {number} deadline - Deadline as epoch milliseconds
+     */
+    scheduleCancelDeadline(tpc_id, deadline) {
+        this.clearCancelDeadline(tpc_id)
+
+        // The cleanup flow ended the instance in time
+        const onComplete = () => this.clearCancelDeadline(tpc_id)
+        const eventName = tpEvents.onComplete(tpc_id, onComplete)
+
+        const handle = runAt(deadline, () => {
+            this.cancelDeadlines.delete(tpc_id)
+            tpEvents.removeEventListener(eventName, onComplete)
+            this.handleCancelDeadline(tpc_id)
+        })
+
+        this.cancelDeadlines.set(tpc_id, { handle, eventName, onComplete })
+    }
+
+    /**
+     * Stop watching the cancel grace period of an instance
+     * @param {string} tpc_id - Task instance ID
+     */
+    clearCancelDeadline(tpc_id) {
+        const entry = this.cancelDeadlines.get(tpc_id)
+        if (!entry) return
+
+        clearTimeout(entry.handle.timer)
+        tpEvents.removeEventListener(entry.eventName, entry.onComplete)
+        this.cancelDeadlines.delete(tpc_id)
+    }
+
+    /**
+     * Force the end of an instance whose cleanup flow did not finish within the grace period.
+     * The completion event carries forced: true; it frees the slot and drops the instance
+     * from the active task registry like any other completion.
+     * @param {string} tpc_id - Task instance ID
+     */
+    async handleCancelDeadline(tpc_id) {
+        try {
+            const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+            if (!instance || instance.status !== 'cancelling') {
+                return
+            }
+
+            const taskPackage = await taskPackageDB.getTaskPackage(instance.tp_id)
+            const final_status = taskPackage && taskPackage.cancel_timeout_status === 'cancel_failed' ? 'cancel_failed' : 'cancelled'
+
+            console.log(`Task ${tpc_id} was not ended within its cancel grace period, forcing '${final_status}'`)
+            await taskLifecycle.transition(tpc_id, final_status, { actor: 'system', reason: 'cancel grace period expired' })
+
+            tpEvents.emitComplete(tpc_id, {
+                tpc_id,
+                tp_id: instance.tp_id,
+                tp_name: instance.tp_name,
+                final_status,
+                completed_at: new Date().toISOString(),
+                was_cancelled: true,
+                forced: true
+            })
+        } catch (error) {
+            if (error instanceof taskLifecycle.InvalidTransitionError) {
+                // The cleanup flow got there just in time
+                return
+            }
+            console.error(`Error forcing the end of cancelled task ${tpc_id}:`, error.message)
+        }
+    }
+
+    /**
+     * Cascade a parent's cancellation to its child tasks that have not finished
+     * @param {string} parent_tpc_id - Parent task instance ID
+     * @param {string} actor - Who cancelled the parent
+     */
+    async cancelChildren(parent_tpc_id, actor) {
+        const children = await taskPackageDB.getChildInstances(parent_tpc_id)
+        for (const child of children) {
+            if (taskLifecycle.isTerminal(child.status) || child.status === 'cancelling') {
+                continue
+            }
+            try {
+                await this.cancelTask(child.id, { actor, reason: `parent ${parent_tpc_id} cancelled` })
+            } catch (error) {
+                console.error(`Error cancelling child ${child.id} of ${parent_tpc_id}:`, error.message)
+            }
+        }
+    }
+
+    /**
+     * Pause a running task instance. Pause-aware nodes (tp-delay, tp-check-cancel)
+     * hold their messages until it is resumed; the execution deadline stops running.
+     * @param {string} tpc_id - Task instance ID
+     * @param {object} [options] - Pause options
+     * @param {string} [options.actor] - Who paused the task (default: system)
+     * @param {string} [options.reason] - Reason recorded in the history
+     * @returns {Promise<{status: string}>}
+     * @throws {InvalidTransitionError} If the instance cannot be paused from its current status
+     */
+    async pauseTask(tpc_id, options = {}) {
+        const { actor = 'system', reason = null } = options
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        if (!instance) {
+            throw new Error(`Task instance '${tpc_id}' not found`)
+        }
+
+        await taskLifecycle.transition(tpc_id, 'paused', { actor, reason })
+        this.pausedTasks.add(tpc_id)
+
+        // Keep the time the deadline had left so resume can re-arm it
+        const entry = this.deadlines.get(tpc_id)
+        if (entry) {
+            this.clearDeadline(tpc_id)
+            await taskPackageDB.suspendTaskDeadline(tpc_id, Math.max(entry.deadline - Date.now(), 0))
+        }
+
+        tpEvents.emitPause(tpc_id, {
+            tp_id: instance.tp_id,
+            tpc_id,
+            paused_by: actor,
+            paused_at: new Date().toISOString(),
+            reason
+        })
+
+        return { status: 'paused' }
+    }
+
+    /**
+     * Resume a paused task instance (it continues as 'ongoing')
+     * @param {string} tpc_id - Task instance ID
+     * @param {object} [options] - Resume options
+     * @param {string} [options.actor] - Who resumed the task (default: system)
+     * @param {string} [options.reason] - Reason recorded in the history
+     * @returns {Promise<{status: string}>}
+     * @throws {InvalidTransitionError} If the instance is not paused
+     */
+    async resumeTask(tpc_id, options = {}) {
+        const { actor = 'system', reason = null } = options
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        if (!instance) {
+            throw new Error(`Task instance '${tpc_id}' not found`)
+        }
+
+        if (instance.status !== 'paused') {
+            throw new taskLifecycle.InvalidTransitionError(tpc_id, instance.status, 'ongoing')
+        }
+
+        await taskLifecycle.transition(tpc_id, 'ongoing', { actor, reason })
+        this.pausedTasks.delete(tpc_id)
+
+        if (instance.deadline_remaining_ms !== null && instance.deadline_remaining_ms !== undefined) {
+            await this.armDeadline(tpc_id, instance.deadline_remaining_ms)
+        }
+
+        tpEvents.emitResume(tpc_id, {
+            tp_id: instance.tp_id,
+            tpc_id,
+            resumed_by: actor,
+            resumed_at: new Date().toISOString(),
+            reason
+        })
+
+        return { status: 'ongoing' }
+    }
+
+    /**
+     * Check whether an instance is paused
+     * @param {string} tpc_id - Task instance ID
+     * @returns {boolean} True if the instance is paused
+     */
+    isPaused(tpc_id) {
+        return this.pausedTasks.has(tpc_id)
+    }
+
+    /**
+     * Replay the compensations registered by tp-compensate nodes for an instance, newest
+     * first, each through the Compensate output of the node that registered it. A
+     * compensation is done once sent, or - if it asked for confirmation - once a
+     * tp-compensate node set to "complete" confirms it. Calling this while a replay of the
+     * instance is running returns that replay, so it is safe to call from every path
+     * that ends an instance.
+     * @param {string} tpc_id - Task instance ID
+     * @param {string} trigger - Why: 'cancelled' or 'failed'
+     * @returns {Promise<object[]>} Outcome of each replayed compensation ({id, name, status})
+     */
+    compensate(tpc_id, trigger) {
+        if (this.compensations.has(tpc_id)) {
+            return this.compensations.get(tpc_id)
+        }
+
+        const replay = this.replayCompensations(tpc_id, trigger).finally(() => {
+            this.compensations.delete(tpc_id)
+        })
+        this.compensations.set(tpc_id, replay)
+        return replay
+    }
+
+    /**
+     * Replay the outstanding compensations of an instance in reverse order (see compensate)
+     * @param {string} tpc_id - Task instance ID
+     * @param {string} trigger - Why: 'cancelled' or 'failed'
+     * @returns {Promise<object[]>} Outcome of each replayed compensation
+     */
+    async replayCompensations(tpc_id, trigger) {
+        const outstanding = await taskPackageDB.getCompensations(tpc_id, ['registered', 'running'])
+        if (outstanding.length === 0) {
+            return []
+        }
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        const outcomes = []
+
+        for (const compensation of outstanding.reverse()) {
+            await taskPackageDB.setCompensationStatus(compensation.id, 'running', trigger)
+
+            // Wait before sending: the compensation flow may confirm straight away
+            const confirmation = compensation.confirm ?
+                this.waitForCompensation(compensation.id, compensation.confirm_timeout) :
+                null
+
+            const delivered = tpEvents.emitCompensate(compensation.node_id, {
+                id: compensation.id,
+                tpc_id,
+                tp_id: instance ? instance.tp_id : null,
+                tp_name: instance ? instance.tp_name : null,
+                status: instance ? instance.status : null,
+                name: compensation.name,
+                data: compensation.data,
+                trigger,
+                confirm: compensation.confirm
+            })
+
+            let status = 'done'
+            if (!delivered) {
+                // The tp-compensate node is no longer deployed
+                this.completeCompensation(compensation.id)
+                console.warn(`Compensation '${compensation.name}' of ${tpc_id} skipped: node ${compensation.node_id} is not deployed`)
+                status = 'skipped'
+            } else if (confirmation && !(await confirmation)) {
+                console.warn(`Compensation '${compensation.name}' of ${tpc_id} was not confirmed in time`)
+                status = 'timed_out'
+            }
+
+            await taskPackageDB.setCompensationStatus(compensation.id, status)
+            outcomes.push({ id: compensation.id, name: compensation.name, status })
+        }
+
+        return outcomes
+    }
+
+    /**
+     * Wait until a compensation flow confirms the compensation
+     * @param {number} compensation_id - Compensation ID
+     * @param {number} timeout - Seconds to wait (0 for DEFAULT_CONFIRM_TIMEOUT)
+     * @returns {Promise<boolean>} True if confirmed, false if the timeout passed
+     */
+    waitForCompensation(compensation_id, timeout) {
+        const seconds = timeout > 0 ? timeout : DEFAULT_CONFIRM_TIMEOUT
+        return new Promise((resolve) => {
+            const handle = runAt(Date.now() + seconds * 1000, () => {
+                this.compensationWaits.delete(compensation_id)
+                resolve(false)
+            })
+            this.compensationWaits.set(compensation_id, { resolve, handle })
+        })
+    }
+
+    /**
+     * Confirm that a compensation flow has finished, letting the replay go on to the next one
+     * @param {number} compensation_id - Compensation ID
+     * @returns {boolean} False if the replay was not waiting for it
+     */
+    completeCompensation(compensation_id) {
+        const wait = this.compensationWaits.get(compensation_id)
+        if (!wait) return false
+
+        clearTimeout(wait.handle.timer)
+        this.compensationWaits.delete(compensation_id)
+        wait.resolve(true)
+        return true
+    }
+
+    /**
+     * Park an instance at a tp-wait-approval node: it moves to 'awaiting_approval' and the
+     * approval is stored with the message to release once it is decided or times out
+     * @param {object} request - Approval request
+     * @param {string} request.tpc_id - Task instance ID
+     * @param {string} request.node_id - tp-wait-approval node holding the message
+     * @param {object} request.message - Message to release on the decision
+     * @param {string} [request.title] - What is to be approved, shown in the approval list
+     * @param {string} [request.required_role] - Role needed to approve or reject
+     * @param {number} [request.timeout] - Seconds until the approval times out (0 for never)
+     * @returns {Promise<object>} The pending approval
+     * @throws {InvalidTransitionError} If the instance cannot wait for approval from its current status
+     */
+    async requestApproval({ tpc_id, node_id, message, title = null, required_role = null, timeout = 0 }) {
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        if (!instance) {
+            throw new Error(`Task instance '${tpc_id}' not found`)
+        }
+
+        await taskLifecycle.transition(tpc_id, 'awaiting_approval', { actor: node_id, reason: title || 'approval requested' })
+
+        const approval = {
+            id: uuidv4(),
+            tpc_id,
+            tp_id: instance.tp_id,
+            node_id,
+            title,
+            required_role,
+            message,
+            requested_at: new Date().toISOString(),
+            expires_at: timeout > 0 ? new Date(Date.now() + timeout * 1000).toISOString() : null
+        }
+        await taskPackageDB.createApproval(approval)
+
+        if (approval.expires_at) {
+            this.scheduleApprovalTimeout(approval.id, new Date(approval.expires_at).getTime())
+        }
+
+        return { ...approval, status: 'pending' }
+    }
+
+    /**
+     * Decide a pending approval. Unless it is being closed because the task was cancelled
+     * or ended, the instance continues as 'ongoing'. The approval event tells the
+     * tp-wait-approval node to release the message.
+     * @param {string} approval_id - Approval ID
+     * @param {string} decision - 'approved', 'rejected', 'timed_out' or 'cancelled'
+     * @param {object} [options] - Decision options
+     * @param {string} [options.actor] - Who decided (default: system)
+     * @param {string} [options.comment] - Comment stored with the decision
+     * @returns {Promise<object|null>} The decided approval (without its message), or null if it was no longer pending
+     */
+    async decideApproval(approval_id, decision, options = {}) {
+        const { actor = 'system', comment = null } = options
+
+        const changes = await taskPackageDB.decideApproval(approval_id, decision, actor, comment)
+        if (changes === 0) {
+            return null
+        }
+        this.clearApprovalTimeout(approval_id)
+
+        const { message, ...approval } = await taskPackageDB.getApproval(approval_id)
+
+        if (decision !== 'cancelled') {
+            try {
+                await taskLifecycle.transition(approval.tpc_id, 'ongoing', { actor, reason: `approval ${decision}` })
+            } catch (error) {
+                if (!(error instanceof taskLifecycle.InvalidTransitionError)) {
+                    throw error
+                }
+                // The instance was moved on meanwhile (e.g. failed by another branch of the flow)
+            }
+        }
+
+        tpEvents.emitApproval(approval.tpc_id, approval)
+        return approval
+    }
+
+    /**
+     * Close the pending approvals of an instance that was cancelled or has ended
+     * @param {string} tpc_id - Task instance ID
+     */
+    async closeApprovals(tpc_id) {
+        try {
+            const pending = await taskPackageDB.getApprovals({ tpc_id, status: 'pending' })
+            for (const approval of pending) {
+                await this.decideApproval(approval.id, 'cancelled')
+            }
+        } catch (error) {
+            console.error(`Error closing approvals of ${tpc_id}:`, error.message)
+        }
+    }
+
+    /**
+     * Start the in-memory timer of a pending approval
+     * @param {string} approval_id - Approval ID
+     * @param {number} expiresAt - Expiry as epoch milliseconds (past times fire immediately)
+     */
+    scheduleApprovalTimeout(approval_id, expiresAt) {
+        this.clearApprovalTimeout(approval_id)
+
+        const handle = runAt(expiresAt, () => {
+            this.approvalTimeouts.delete(approval_id)
+            this.decideApproval(approval_id, 'timed_out').catch((error) => {
+                console.error(`Error timing out approval ${approval_id}:`, error.message)
+            })
+        })
+        this.approvalTimeouts.set(approval_id, handle)
+    }
+
+    /**
+     * Stop the timer of a pending approval
+     * @param {string} approval_id - Approval ID
+     */
+    clearApprovalTimeout(approval_id) {
+        const handle = this.approvalTimeouts.get(approval_id)
+        if (!handle) return
+
+        clearTimeout(handle.timer)
+        this.approvalTimeouts.delete(approval_id)
+    }
+
+    /**
+     * Give a started instance a maximum execution time. When it expires the
+     * instance is cancelled through the normal cancel path with reason 'timeout'.
+     * @param {string} tpc_id - Task instance ID
+     * @param {number} durationMs - Maximum duration in milliseconds
+     * @returns {Promise<string>} The deadline as an ISO timestamp
+     */
+    async armDeadline(tpc_id, durationMs) {
+        const deadline = Date.now() + durationMs
+        const deadline_at = new Date(deadline).toISOString()
+
+        await taskPackageDB.setTaskDeadline(tpc_id, deadline_at)
+        this.scheduleDeadline(tpc_id, deadline)
+
+        return deadline_at
+    }
+
+    /**
+     * Start (or restart) the in-memory timer for a deadline
+     * @param {string} tpc_id - Task instance ID
+     * @param {number} deadline - Deadline as epoch milliseconds
+     */
+    scheduleDeadline(tpc_id, deadline) {
+        this.clearDeadline(tpc_id)
+
+        // Stop watching once the instance finishes by any route
+        const onComplete = () => this.clearDeadline(tpc_id)
+        const eventName = tpEvents.onComplete(tpc_id, onComplete)
+
+        const handle = runAt(deadline, () => {
+            this.deadlines.delete(tpc_id)
+            tpEvents.removeEventListener(eventName, onComplete)
+            this.handleDeadline(tpc_id)
+        })
+
+        this.deadlines.set(tpc_id, { handle, deadline, eventName, onComplete })
+    }
+
+    /**
+     * Stop watching the deadline of an instance
+     * @param {string} tpc_id - Task instance ID
+     */
+    clearDeadline(tpc_id) {
+        const entry = this.deadlines.get(tpc_id)
+        if (!entry) return
+
+        clearTimeout(entry.handle.timer)
+        tpEvents.removeEventListener(entry.eventName, entry.onComplete)
+        this.deadlines.delete(tpc_id)
+    }
+
+    /**
+     * Cancel an instance whose deadline expired
+     * @param {string} tpc_id - Task instance ID
+     */
+    async handleDeadline(tpc_id) {
+        try {
+            const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+            if (!instance || !RUNNING_STATUSES.includes(instance.status)) {
+                return
+            }
+
+            console.log(`Task ${tpc_id} exceeded its execution deadline, cancelling`)
+            await this.cancelTask(tpc_id, {
+                actor: 'system',
+                reason: 'timeout',
+                payload: { reason: 'timeout', deadline_at: instance.deadline_at }
+            })
+        } catch (error) {
+            if (error instanceof taskLifecycle.InvalidTransitionError) {
+                // Finished while we were looking it up
+                return
+            }
+            console.error(`Error cancelling timed out task ${tpc_id}:`, error.message)
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new TaskPackageRuntime()
+module.exports.DEPENDENCY_POLICIES = DEPENDENCY_POLICIES
+module.exports.RECOVERY_POLICIES = RECOVERY_POLICIES
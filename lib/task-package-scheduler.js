@@ -0,0 +1,188 @@
+/** Task Package Scheduler
+ *  Recurring task package schedules defined by cron expressions.
+ *  Each run starts an instance through the same path as POST /task-package/start.
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const cronParser = require('cron-parser')
+const taskPackageDB = require('./task-package-db')
+const taskPackageRuntime = require('./task-package-runtime')
+
+/** Longest delay setTimeout accepts; runs further away are re-armed in steps */
+const MAX_TIMER_DELAY = 2147483647
+
+/** Recurring schedule runner singleton */
+class TaskPackageScheduler {
+    constructor() {
+        /** @type {Map<string, {timer: NodeJS.Timeout, next_run_at: string}>} Armed schedules by schedule id */
+        this.timers = new Map()
+    }
+
+    /**
+     * Arm all enabled schedules (called once the database is ready).
+     * Runs missed while Node-RED was down are skipped, like an inject node.
+     */
+    async init() {
+        for (const schedule_id of [...this.timers.keys()]) {
+            this.disarm(schedule_id)
+        }
+
+        const schedules = await taskPackageDB.getSchedules({ enabled: true })
+        schedules.forEach(schedule => this.arm(schedule))
+
+        if (schedules.length > 0) {
+            console.log(`Task Package scheduler: armed ${schedules.length} recurring schedule(s)`)
+        }
+    }
+
+    /**
+     * Check a cron expression and timezone
+     * @param {string} cron - Cron expression (5 or 6 fields)
+     * @param {string} [timezone] - IANA timezone, e.g. 'Asia/Singapore' (default: server timezone)
+     * @returns {string|null} Error message, or null if valid
+     */
+    validate(cron, timezone) {
+        if (typeof cron !== 'string' || !cron.trim()) {
+            return 'cron must be a non-empty string'
+        }
+        if (timezone) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+            } catch (error) {
+                return `Invalid timezone '${timezone}'`
+            }
+        }
+        try {
+            cronParser.parseExpression(cron, { tz: timezone || undefined })
+        } catch (error) {
+            return `Invalid cron expression '${cron}': ${error.message}`
+        }
+        return null
+    }
+
+    /**
+     * Next run time of a schedule
+     * @param {object} schedule - Schedule (cron, timezone)
+     * @param {Date} [from] - Time to look from (default: now)
+     * @returns {Date} Next run time
+     */
+    getNextRun(schedule, from = new Date()) {
+        const interval = cronParser.parseExpression(schedule.cron, {
+            currentDate: from,
+            tz: schedule.timezone || undefined
+        })
+        return interval.next().toDate()
+    }
+
+    /**
+     * Next run time of an armed schedule
+     * @param {string} schedule_id - Schedule ID
+     * @returns {string|null} ISO timestamp, or null if the schedule is not armed (disabled)
+     */
+    getNextRunAt(schedule_id) {
+        const entry = this.timers.get(schedule_id)
+        return entry ? entry.next_run_at : null
+    }
+
+    /**
+     * Re-read a schedule after it was created, changed or deleted and (re-)arm it
+     * @param {string} schedule_id - Schedule ID
+     */
+    async reload(schedule_id) {
+        const schedule = await taskPackageDB.getSchedule(schedule_id)
+        if (schedule) {
+            this.arm(schedule)
+        } else {
+            this.disarm(schedule_id)
+        }
+    }
+
+    /**
+     * Start the timer for the next run of a schedule (disabled schedules are only disarmed)
+     * @param {object} schedule - Schedule
+     * @param {Date} [from] - Time to look for the next run from (default: now)
+     */
+    arm(schedule, from = new Date()) {
+        this.disarm(schedule.id)
+        if (!schedule.enabled) return
+
+        const next = this.getNextRun(schedule, from).getTime()
+        const entry = { timer: null, next_run_at: new Date(next).toISOString() }
+        const wait = () => {
+            const remaining = next - Date.now()
+            if (remaining > MAX_TIMER_DELAY) {
+                entry.timer = setTimeout(wait, MAX_TIMER_DELAY)
+                return
+            }
+            entry.timer = setTimeout(() => this.run(schedule.id, next), Math.max(remaining, 0))
+        }
+
+        this.timers.set(schedule.id, entry)
+        wait()
+    }
+
+    /**
+     * Stop the timer of a schedule
+     * @param {string} schedule_id - Schedule ID
+     */
+    disarm(schedule_id) {
+        const entry = this.timers.get(schedule_id)
+        if (!entry) return
+
+        clearTimeout(entry.timer)
+        this.timers.delete(schedule_id)
+    }
+
+    /**
+     * Start an instance for a schedule that is due, then arm its next run
+     * @param {string} schedule_id - Schedule ID
+     * @param {number} due - Run time as epoch milliseconds
+     */
+    async run(schedule_id, due) {
+        this.timers.delete(schedule_id)
+
+        try {
+            const schedule = await taskPackageDB.getSchedule(schedule_id)
+            if (!schedule || !schedule.enabled) {
+                return
+            }
+
+            // Arm the next run first so a failed start does not stop the schedule
+            this.arm(schedule, new Date(due))
+
+            const taskPackage = await taskPackageDB.getTaskPackage(schedule.tp_id)
+            if (!taskPackage) {
+                console.warn(`Schedule ${schedule_id}: task package '${schedule.tp_id}' not found, run skipped`)
+                return
+            }
+            const unavailable = taskPackageRuntime.unavailableReason(taskPackage)
+            if (unavailable) {
+                console.warn(`Schedule ${schedule_id}: ${unavailable}, run skipped`)
+                return
+            }
+            if (!taskPackageRuntime.hasStartListener(schedule.tp_id)) {
+                console.warn(`Schedule ${schedule_id}: no tp-start node listening for '${schedule.tp_id}', run skipped`)
+                return
+            }
+
+            const result = await taskPackageRuntime.startTask({
+                tp_id: schedule.tp_id,
+                tp_name: taskPackage.name,
+                user: schedule.created_by || 'scheduler',
+                payload: schedule.payload,
+                max_duration: schedule.max_duration === null ? undefined : schedule.max_duration,
+                schedule_id
+            })
+
+            await taskPackageDB.setScheduleLastRun(schedule_id, new Date(due).toISOString(), result.tpc_id)
+        } catch (error) {
+            console.error(`Error running schedule ${schedule_id}:`, error.message)
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new TaskPackageScheduler()
@@ -5,6 +5,12 @@
  */
 'use strict'
 
+const tpEvents = require('./task-package-events');
+const taskPackageDB = require('./task-package-db');
+const taskLifecycle = require('./task-lifecycle');
+const taskPackageRuntime = require('./task-package-runtime');
+const activeTaskRegistry = require('./active-task-registry');
+
 /**
  * Check if a message is part of a cleanup/cancellation flow
  * This should only apply to messages that are ROUTED TO cleanup flows,
@@ -34,7 +40,7 @@ function isCleanupFlow(msg) {
 /**
  * Check if a specific task is cancelled (for business logic nodes)
  * Cleanup flows are never considered cancelled to allow proper cleanup execution
- * @param {object} flow - Flow context
+ * @param {object} flow - Flow context (not used any more - the cancelled flag lives in the active task registry)
  * @param {string} tpc_id - Task instance ID
  * @param {object} msg - Message object (to check if cleanup flow)
  * @returns {boolean} True if task is cancelled and this is NOT a cleanup flow
@@ -45,11 +51,22 @@ function isTaskCancelled(flow, tpc_id, msg) {
         return false;
     }
     
-    // Check task-specific cancellation in active_tasks array
-    const active_tasks = flow.get('active_tasks') || [];
-    const task = active_tasks.find(t => t.tpc_id === tpc_id);
-    
-    return task && task.cancelled;
+    return activeTaskRegistry.isCancelled(tpc_id);
+}
+
+/**
+ * Check if a specific task is paused (for business logic nodes)
+ * Cleanup flows are never held by a pause
+ * @param {string} tpc_id - Task instance ID
+ * @param {object} msg - Message object (to check if cleanup flow)
+ * @returns {boolean} True if task is paused and this is NOT a cleanup flow
+ */
+function isTaskPaused(tpc_id, msg) {
+    if (isCleanupFlow(msg)) {
+        return false;
+    }
+
+    return taskPackageRuntime.isPaused(tpc_id);
 }
 
 /**
@@ -141,9 +158,145 @@ function handleCancellableNode(node, msg, businessLogic, send, done, options = {
     }
 }
 
+/**
+ * Add a task picked up by a flow to the active task registry and, if the flow
+ * context mirror is enabled, to the flow's active_tasks array and legacy current_* values
+ * @param {object} node - Node that picked the task up (tp-start)
+ * @param {object} task - Task (tpc_id, tp_id, tp_name)
+ * @returns {object} The registry entry
+ */
+function registerActiveTask(node, task) {
+    const entry = activeTaskRegistry.register({ ...task, node_id: node.id, flow_id: node.z });
+
+    if (activeTaskRegistry.flowContextMirror) {
+        const flow = node.context().flow;
+        const active_tasks = (flow.get('active_tasks') || []).filter(t => t.tpc_id !== task.tpc_id);
+        active_tasks.push({
+            tpc_id: task.tpc_id,
+            tp_id: task.tp_id,
+            tp_name: task.tp_name,
+            create_node_id: node.id,
+            created_at: entry.created_at
+        });
+        flow.set('active_tasks', active_tasks);
+
+        flow.set('current_tpc_id', task.tpc_id);
+        flow.set('current_tp_id', task.tp_id);
+        flow.set('current_tp_name', task.tp_name);
+        flow.set('task_cancelled', false);
+    }
+
+    return entry;
+}
+
+/**
+ * Flag an active task as cancelled in the registry (and the flow context mirror)
+ * @param {object} node - Node handling the cancellation (tp-cancel)
+ * @param {string} tpc_id - Task instance ID
+ * @returns {object|null} The updated registry entry, or null if the task is not active
+ */
+function markTaskCancelled(node, tpc_id) {
+    const entry = activeTaskRegistry.markCancelled(tpc_id);
+
+    if (entry && activeTaskRegistry.flowContextMirror) {
+        const flow = node.context().flow;
+        const active_tasks = flow.get('active_tasks') || [];
+        const task = active_tasks.find(t => t.tpc_id === tpc_id);
+        if (task) {
+            task.cancelled = true;
+            task.cancelled_at = entry.cancelled_at;
+            flow.set('active_tasks', active_tasks);
+        }
+        if (flow.get('current_tpc_id') === tpc_id) {
+            flow.set('task_cancelled', true);
+        }
+    }
+
+    return entry;
+}
+
+/**
+ * Remove a task from the active task registry, and from the flow context mirror
+ * (clearing legacy context if it was the current task)
+ * @param {object} flow - Flow context
+ * @param {string} tpc_id - Task instance ID
+ * @returns {object|null} The removed registry entry, if the task was active
+ */
+function removeActiveTask(flow, tpc_id) {
+    const task = activeTaskRegistry.remove(tpc_id);
+
+    if (activeTaskRegistry.flowContextMirror) {
+        const active_tasks = flow.get('active_tasks') || [];
+        const task_index = active_tasks.findIndex(t => t.tpc_id === tpc_id);
+        if (task_index !== -1) {
+            active_tasks.splice(task_index, 1);
+            flow.set('active_tasks', active_tasks);
+        }
+
+        if (flow.get('current_tpc_id') === tpc_id) {
+            flow.set('current_tpc_id', null);
+            flow.set('current_tp_id', null);
+            flow.set('current_tp_name', null);
+            flow.set('task_cancelled', false);
+        }
+    }
+
+    return task;
+}
+
+/**
+ * Mark a task instance as failed: replay its compensations, store the error, emit the
+ * completion event and drop it from the active tasks
+ * @param {object} node - Node instance reporting the failure
+ * @param {string} tpc_id - Task instance ID
+ * @param {object} error - Error details
+ * @param {string} error.message - Error message
+ * @param {string} [error.code] - Error code
+ * @param {string} [error.node_id] - ID of the node where the error happened (defaults to the reporting node)
+ * @returns {Promise<object>} The completion event payload
+ * @throws {InvalidTransitionError} If the instance already reached a terminal status
+ */
+async function failTask(node, tpc_id, error = {}) {
+    const message = error.message || 'Task failed';
+    const code = error.code || null;
+    const node_id = error.node_id || node.id;
+
+    const instance = await taskPackageDB.getTaskPackageInstance(tpc_id);
+    if (!instance) {
+        throw new Error(`Task instance '${tpc_id}' not found`);
+    }
+
+    // Undo what the task has done so far before it ends - unless it cannot fail any more
+    taskLifecycle.assertTransition(tpc_id, instance.status, 'failed');
+    await taskPackageRuntime.compensate(tpc_id, 'failed');
+
+    await taskLifecycle.transition(tpc_id, 'failed', { actor: node.id, reason: message });
+    await taskPackageDB.setTaskError(tpc_id, message, code, node_id);
+
+    const completion = {
+        tpc_id: tpc_id,
+        tp_id: instance.tp_id,
+        tp_name: instance.tp_name,
+        final_status: 'failed',
+        completed_at: new Date().toISOString(),
+        was_cancelled: false,
+        error: { message, code, node_id }
+    };
+    tpEvents.emitComplete(tpc_id, completion);
+
+    removeActiveTask(node.context().flow, tpc_id);
+
+    return completion;
+}
+
 module.exports = {
     isCleanupFlow,
     isTaskCancelled,
+    isTaskPaused,
     markAsCleanup,
-    handleCancellableNode
+    handleCancellableNode,
+    registerActiveTask,
+    markTaskCancelled,
+    removeActiveTask,
+    failTask
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+/** Task Package Assignment Node
+ *  Sends a message when a task instance is assigned, claimed or released
+ *  Following TotallyInformation patterns
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const tpEvents = require('../lib/task-package-events')
+
+/** --- Type Definitions --- */
+// @typedef {import('node-red')} RED
+
+//#region ----- Module level variables ---- //
+
+/** Main module variables */
+const mod = {
+    /** @type {RED} Reference to the master RED instance */
+    RED: undefined,
+    /** @type {string} Custom Node Name - must match HTML file and package.json */
+    nodeName: 'tp-assignment',
+    /** @type {boolean} Turn on/off debugging */
+    debug: false,
+}
+
+//#endregion
+
+//#region ----- Module-level support functions ----- //
+
+/**
+ * Handle assignment events from the API layer
+ * @param {object} assignment - The event payload
+ */
+function handleAssignmentEvent(assignment) {
+    // `this` context is the node instance
+    const node = this
+
+    try {
+        if (node.action && node.action !== assignment.action) {
+            return
+        }
+
+        const msg = {
+            tp_data: {
+                tpc_id: assignment.tpc_id,
+                tp_id: assignment.tp_id,
+                tp_name: assignment.tp_name,
+                assignee: assignment.assignee,
+                assignee_role: assignment.assignee_role,
+                assigned_at: assignment.assigned_at
+            },
+            payload: assignment,
+            topic: `task-package/${assignment.tp_id}/${assignment.action}`,
+            _tpOriginator: node.id
+        }
+
+        const who = assignment.assignee || (assignment.assignee_role ? `role ${assignment.assignee_role}` : 'nobody')
+        node.status({fill: 'blue', shape: 'dot', text: `${assignment.action}: ${who}`})
+
+        node.send(msg)
+
+        if (mod.debug) {
+            node.log(`Assignment event handled for task: ${assignment.tpc_id}`)
+        }
+    } catch (error) {
+        node.error(`Error handling assignment event: ${error.message}`, assignment)
+        node.status({fill: 'red', shape: 'ring', text: 'Error'})
+    }
+}
+
+/**
+ * Run when an actual instance of our node is committed to a flow
+ * @param {object} config The Node-RED config object
+ */
+function nodeInstance(config) {
+    // As a module-level named function, it will inherit `mod` and other module-level variables
+
+    // If you need it - which you will here - or just use mod.RED if you prefer:
+    const RED = mod.RED
+
+    // Create the node instance - `this` can only be referenced AFTER here
+    RED.nodes.createNode(this, config)
+
+    // Transfer config items from the Editor panel to the runtime
+    this.name = config.name || `tp-assignment-${config.tp_id || 'any'}`
+    this.tp_id = config.tp_id // Can be empty for "any task package"
+    this.action = config.action || '' // Empty for every action
+
+    // Set initial status
+    this.status({fill: 'blue', shape: 'ring', text: this.tp_id ? `Listening: ${this.tp_id}` : 'Listening: Any TP'})
+
+    // Listen for assignment events of this task package (or of any with '*')
+    const assignmentEventHandler = handleAssignmentEvent.bind(this)
+    const eventName = tpEvents.onAssignment(this.tp_id || '*', assignmentEventHandler)
+
+    if (mod.debug) {
+        this.log(`tp-assignment node initialized for: ${this.tp_id || 'any task package'}`)
+    }
+
+    /** Clean up on node removal/shutdown */
+    this.on('close', (removed, done) => {
+        tpEvents.removeEventListener(eventName, assignmentEventHandler)
+        done()
+    })
+}
+
+//#endregion
+
+/**
+ * Complete module definition for our Node. This is where things actually start.
+ * @param {RED} RED The Node-RED runtime object
+ */
+function TpAssignment(RED) {
+    // Save a reference to the RED runtime for convenience
+    mod.RED = RED
+
+    // Register the node type
+    RED.nodes.registerType(mod.nodeName, nodeInstance)
+
+    if (mod.debug) {
+        RED.log.info(`Registered node: ${mod.nodeName}`)
+    }
+}
+
+// Export the module definition, this is consumed by Node-RED on startup.
+module.exports = function(RED) {
+    TpAssignment(RED)
+}
@@ -13,6 +13,8 @@
 //#region ----- Module level variables ---- //
 
 const tpEvents = require('../lib/task-package-events')
+const activeTaskRegistry = require('../lib/active-task-registry')
+const { markTaskCancelled } = require('../lib/tp-node-utils')
 
 /** Main module variables */
 const mod = {
@@ -29,50 +31,34 @@ const mod = {
 //#region ----- Module-level support functions ----- //
 
 /** 
- * Handle incoming cancel events for this task package instance
- * @param {object} payload - The event payload from API layer
- * @param {string} tpc_id - The specific task instance being cancelled
+ * Handle cancel events broadcast for our task package (or for every task package)
+ * @param {object} payload - The event payload from the runtime (tpc_id, tp_id, reason, payload)
  */
-function handleCancelEvent(payload, tpc_id) {
+function handleCancelEvent(payload) {
     // `this` context is the node instance
     const node = this
     
     try {
-        const flow = node.context().flow
+        const tpc_id = payload && payload.tpc_id
+        if (!tpc_id) return
         
-        // Find the specific task in active tasks array
-        const active_tasks = flow.get('active_tasks') || []
-        const task_index = active_tasks.findIndex(task => task.tpc_id === tpc_id)
+        // Only tasks currently held by a flow have anything to clean up
+        const task = activeTaskRegistry.get(tpc_id)
         
-        if (task_index === -1) {
+        if (!task) {
             if (mod.debug) {
-                node.log(`Task ${tpc_id} not found in this flow's active tasks`)
+                node.log(`Task ${tpc_id} not found in active tasks`)
             }
             return
         }
         
-        const task = active_tasks[task_index]
-        
-        // Check if this task matches our configured tp_id
-        if (node.tp_id && task.tp_id !== node.tp_id) {
-            if (mod.debug) {
-                node.log(`Task ${tpc_id} has tp_id ${task.tp_id}, but this node is configured for ${node.tp_id}`)
-            }
+        // Without a tp_id we only clean up tasks started in our own flow
+        if (!node.tp_id && task.flow_id !== node.z) {
             return
         }
         
-        // Set cancellation flag for this specific task
-        task.cancelled = true
-        task.cancelled_at = new Date().toISOString()
-        
-        // Update active tasks array
-        active_tasks[task_index] = task
-        flow.set('active_tasks', active_tasks)
-        
-        // For backward compatibility, also set legacy flow context if this is the current task
-        if (flow.get('current_tpc_id') === tpc_id) {
-            flow.set('task_cancelled', true)
-        }
+        // Set cancellation flag for this specific task (and the legacy flow context mirror)
+        markTaskCancelled(node, tpc_id)
         
         // Create output message for cancellation flow
         const msg = {
@@ -81,7 +67,8 @@ function handleCancelEvent(payload, tpc_id) {
                 tp_id: task.tp_id,
                 tp_name: task.tp_name,
                 mode: 'cancel',
-                cancelled_at: task.cancelled_at
+                cancelled_at: task.cancelled_at,
+                cancel_reason: payload.reason || null
             },
             payload: payload.payload || {},
             topic: `task-package/${tpc_id}/cancelled`,
@@ -106,84 +93,6 @@ function handleCancelEvent(payload, tpc_id) {
     }
 }
 
-/** 
- * Set up cancel event listeners for tasks matching our tp_id
- */
-function setupCancelListeners() {
-    const node = this
-    const flow = node.context().flow
-    
-    // Track which tasks we're already listening to
-    node._active_listeners = node._active_listeners || new Set()
-    
-    // Check for new tasks periodically
-    const checkInterval = setInterval(() => {
-        const active_tasks = flow.get('active_tasks') || []
-        
-        // Filter tasks by our configured tp_id (if specified)
-        const relevantTasks = node.tp_id ? 
-            active_tasks.filter(task => task.tp_id === node.tp_id) : 
-            active_tasks
-        
-        // Start listening to new relevant tasks
-        relevantTasks.forEach(task => {
-            if (!node._active_listeners.has(task.tpc_id) && !task.cancelled) {
-                // Start listening for cancel events for this specific task instance
-                const cancelEventHandler = (payload) => handleCancelEvent.call(node, payload, task.tpc_id)
-                const eventName = tpEvents.onCancel(task.tpc_id, cancelEventHandler)
-                
-                // Store for cleanup
-                if (!node._event_handlers) node._event_handlers = new Map()
-                node._event_handlers.set(task.tpc_id, {
-                    eventName: eventName,
-                    handler: cancelEventHandler
-                })
-                
-                node._active_listeners.add(task.tpc_id)
-                
-                if (mod.debug) {
-                    node.log(`Now listening for cancel events: ${task.tpc_id} (tp_id: ${task.tp_id})`)
-                }
-            }
-        })
-        
-        // Clean up listeners for completed/cancelled tasks
-        const active_tpc_ids = new Set(relevantTasks.map(t => t.tpc_id))
-        for (const tpc_id of node._active_listeners) {
-            if (!active_tpc_ids.has(tpc_id)) {
-                const handler_info = node._event_handlers.get(tpc_id)
-                if (handler_info) {
-                    tpEvents.off(handler_info.eventName, handler_info.handler)
-                    node._event_handlers.delete(tpc_id)
-                }
-                node._active_listeners.delete(tpc_id)
-                
-                if (mod.debug) {
-                    node.log(`Stopped listening for: ${tpc_id}`)
-                }
-            }
-        }
-        
-        // Update status to show which tp_id we're monitoring
-        const monitoring_count = node._active_listeners.size
-        if (monitoring_count > 0) {
-            const statusText = node.tp_id ? 
-                `Monitoring ${monitoring_count} ${node.tp_id} task(s)` :
-                `Monitoring ${monitoring_count} task(s)`
-            node.status({fill: 'yellow', shape: 'ring', text: statusText})
-        } else {
-            const statusText = node.tp_id ? 
-                `Waiting for ${node.tp_id} tasks` :
-                'No active tasks'
-            node.status({fill: 'grey', shape: 'ring', text: statusText})
-        }
-        
-    }, 1000) // Check every second
-    
-    // Store interval for cleanup
-    node._checkInterval = checkInterval
-}
-
 /** 
  * Run when an actual instance of our node is committed to a flow
  * @param {object} config The Node-RED config object
@@ -229,13 +138,11 @@ function nodeInstance(config) {
         'Waiting for tasks'
     this.status({fill: 'blue', shape: 'ring', text: initialText})
     
-    // Initialize tracking variables
-    this._active_listeners = new Set()
-    this._event_handlers = new Map()
-    this._checkInterval = null
-    
-    // Start monitoring for tasks to cancel
-    setupCancelListeners.call(this)
+    // Cancel events are pushed to us: those of our task package, or of every task package without a tp_id
+    this._cancelHandler = handleCancelEvent.bind(this)
+    this._eventName = this.tp_id ?
+        tpEvents.onPackageCancel(this.tp_id, this._cancelHandler) :
+        tpEvents.onCancel('*', this._cancelHandler)
     
     if (mod.debug) {
         this.log('tp-cancel node initialized')
@@ -243,22 +150,8 @@ function nodeInstance(config) {
 
     /** Clean up on node removal/shutdown */
     this.on('close', (removed, done) => {
-        // Clean up interval
-        if (this._checkInterval) {
-            clearInterval(this._checkInterval)
-        }
-        
-        // Remove all event listeners
-        if (this._event_handlers) {
-            for (const [tpc_id, handler_info] of this._event_handlers) {
-                tpEvents.off(handler_info.eventName, handler_info.handler)
-            }
-            this._event_handlers.clear()
-        }
-        
-        if (this._active_listeners) {
-            this._active_listeners.clear()
-        }
+        // Remove event listener
+        tpEvents.removeEventListener(this._eventName, this._cancelHandler)
         
         if (mod.debug) {
             this.log('tp-cancel node closing')
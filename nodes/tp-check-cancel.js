@@ -8,7 +8,8 @@
 'use strict'
 
 // Import shared utilities
-const { isCleanupFlow, isTaskCancelled, markAsCleanup } = require('../lib/tp-node-utils');
+const { isCleanupFlow, isTaskCancelled, isTaskPaused, markAsCleanup } = require('../lib/tp-node-utils');
+const tpEvents = require('../lib/task-package-events');
 
 //#region ----- Module level variables ---- //
 
@@ -26,6 +27,70 @@ const mod = {
 
 //#region ----- Module-level support functions ----- //
 
+/**
+ * Build the cancelled-output message
+ * @param {object} msg - The message object
+ * @returns {object} Message marked for cleanup with cancellation metadata
+ */
+function buildCancelledMsg(msg) {
+    return markAsCleanup({
+        ...msg,
+        tp_cancelled: true,
+        tp_cancel_reason: 'Task package was cancelled',
+        tp_cancel_timestamp: new Date().toISOString()
+    }, 'cancelled')
+}
+
+/**
+ * Hold a message of a paused task until it is resumed, cancelled or ends
+ * @param {object} node - The node instance
+ * @param {object} msg - The message object
+ * @param {function} send - Send function
+ * @param {function} done - Done function
+ */
+function holdWhilePaused(node, msg, send, done) {
+    const tpc_id = msg.tp_data.tpc_id
+    const listeners = []
+    
+    const release = () => {
+        listeners.forEach(({ eventName, handler }) => tpEvents.removeEventListener(eventName, handler))
+        node._held.delete(drop)
+    }
+    const drop = () => {
+        release()
+        done()
+    }
+    node._held.add(drop)
+    
+    const resumeHandler = () => {
+        release()
+        node.status({fill: 'green', shape: 'dot', text: `Resumed: ${tpc_id.substr(0, 8)}...`})
+        send([msg, null])
+        done()
+    }
+    const cancelHandler = () => {
+        release()
+        node.status({fill: 'orange', shape: 'dot', text: `Cancelled: ${tpc_id.substr(0, 8)}...`})
+        send([null, buildCancelledMsg(msg)])
+        done()
+    }
+    // Ended while paused (e.g. interrupted or failed elsewhere) - nothing left to continue
+    const completeHandler = () => {
+        node.status({fill: 'grey', shape: 'ring', text: `Ended: ${tpc_id.substr(0, 8)}...`})
+        drop()
+    }
+    
+    listeners.push({ eventName: tpEvents.onResume(tpc_id, resumeHandler), handler: resumeHandler })
+    listeners.push({ eventName: tpEvents.onCancel(tpc_id, cancelHandler), handler: cancelHandler })
+    listeners.push({ eventName: tpEvents.onComplete(tpc_id, completeHandler), handler: completeHandler })
+    
+    node.status({fill: 'grey', shape: 'ring', text: `Holding (paused): ${tpc_id.substr(0, 8)}...`})
+    
+    if (mod.debug) {
+        node.log(`Task ${tpc_id} is paused - holding message until resumed`)
+    }
+}
+
 function inputMsgHandler(msg, send, done) {
     const node = this
     
@@ -62,15 +127,17 @@ function inputMsgHandler(msg, send, done) {
                 node.log(`Task ${tpc_id} is cancelled - routing to cancelled output`)
             }
             
-            // Add cancellation metadata to message
-            const cancelledMsg = {
-                ...msg,
-                tp_cancelled: true,
-                tp_cancel_reason: 'Task package was cancelled',
-                tp_cancel_timestamp: new Date().toISOString()
+            send([null, buildCancelledMsg(msg)])
+        } else if (isTaskPaused(tpc_id, msg)) {
+            if (node.paused_mode === 'output') {
+                // Output 3: Task is paused - let the flow decide what to do
+                node.status({fill: 'grey', shape: 'dot', text: `Paused: ${tpc_id.substr(0, 8)}...`})
+                send([null, null, { ...msg, tp_paused: true }])
+            } else {
+                // Hold until resumed (or cancelled) - done() is called on release
+                holdWhilePaused(node, msg, send, done)
+                return
             }
-            
-            send([null, markAsCleanup(cancelledMsg, 'cancelled')])
         } else {
             // Output 1: Task is not cancelled - continue normal flow
             const statusText = isCleanup ? '[CLEANUP] Passed' : `Passed: ${tpc_id.substr(0, 8)}...`
@@ -97,6 +164,10 @@ function nodeInstance(config) {
     RED.nodes.createNode(this, config) 
     
     this.name = config.name || 'Check Cancel'
+    this.paused_mode = config.paused_mode === 'output' ? 'output' : 'hold'
+    
+    // Drop functions of messages held while their task is paused
+    this._held = new Set()
     
     // Set initial status
     this.status({fill: 'blue', shape: 'ring', text: 'Ready'})
@@ -110,6 +181,11 @@ function nodeInstance(config) {
     
     /** Clean up on node removal/shutdown */
     this.on('close', (removed, done) => {
+        // Stop listening for held messages and let Node-RED finish them
+        for (const drop of [...this._held]) {
+            drop()
+        }
+        
         if (mod.debug) {
             this.log(`tp-check-cancel node closing: ${this.name}`)
         }
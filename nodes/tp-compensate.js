@@ -0,0 +1,240 @@
+/** Task Package Compensate Node
+ *  Registers a compensation for the current task, replayed when the task is cancelled or fails
+ *  Following TotallyInformation patterns
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+// Import shared utilities
+const { isCleanupFlow, markAsCleanup } = require('../lib/tp-node-utils')
+const tpEvents = require('../lib/task-package-events')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const taskPackageDB = require('../lib/task-package-db')
+
+/** --- Type Definitions --- */
+// @typedef {import('node-red')} RED
+
+//#region ----- Module level variables ---- //
+
+/** Main module variables */
+const mod = {
+    /** @type {RED} Reference to the master RED instance */
+    RED: undefined,
+    /** @type {string} Custom Node Name - must match HTML file and package.json */
+    nodeName: 'tp-compensate',
+    /** @type {boolean} Turn on/off debugging */
+    debug: false,
+}
+
+//#endregion
+
+//#region ----- Module-level support functions ----- //
+
+/**
+ * Register a compensation for the task of the message and pass the message on
+ * @param {object} node - The node instance
+ * @param {object} msg - The message object
+ * @param {function} send - Send function for Node-RED 1.0+
+ */
+async function register(node, msg, send) {
+    const tpc_id = msg.tp_data.tpc_id
+
+    // A cleanup or compensation flow is undoing the task already
+    if (isCleanupFlow(msg)) {
+        send([msg, null])
+        return
+    }
+
+    const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+    if (!instance) {
+        node.error(`Task instance '${tpc_id}' not found`, msg)
+        return
+    }
+    if (instance.status === 'cancelling' || taskLifecycle.isTerminal(instance.status)) {
+        node.warn(`Compensation '${node.compensation}' not registered: task ${tpc_id} is ${instance.status}`)
+        send([msg, null])
+        return
+    }
+
+    const data = node.capture ? mod.RED.util.getMessageProperty(msg, node.capture) : undefined
+
+    await taskPackageDB.addCompensation({
+        tpc_id,
+        name: node.compensation,
+        node_id: node.id,
+        data: data === undefined ? null : data,
+        confirm: node.confirm,
+        confirm_timeout: node.confirm_timeout,
+        registered_at: new Date().toISOString()
+    })
+
+    node.status({fill: 'blue', shape: 'dot', text: `Registered ${node.compensation}: ${tpc_id.substr(0, 8)}...`})
+
+    if (mod.debug) {
+        node.log(`Compensation '${node.compensation}' registered for task ${tpc_id}`)
+    }
+
+    send([msg, null])
+}
+
+/**
+ * Confirm the compensation of a compensation flow that has finished and pass the message on
+ * @param {object} node - The node instance
+ * @param {object} msg - The message object
+ * @param {function} send - Send function for Node-RED 1.0+
+ */
+function complete(node, msg, send) {
+    if (!msg.compensation) {
+        node.warn('No compensation in message - "Complete" belongs at the end of a compensation flow')
+        send(msg)
+        return
+    }
+
+    if (taskPackageRuntime.completeCompensation(msg.compensation.id)) {
+        node.status({fill: 'green', shape: 'dot', text: `Compensated ${msg.compensation.name}`})
+    } else if (mod.debug) {
+        node.log(`Compensation ${msg.compensation.id} was not waiting for confirmation`)
+    }
+
+    send(msg)
+}
+
+/**
+ * Send a replayed compensation through the Compensate output
+ * @param {object} compensation - Compensation event from the runtime
+ */
+function handleCompensateEvent(compensation) {
+    // `this` context is the node instance
+    const node = this
+
+    try {
+        const msg = markAsCleanup({
+            tp_data: {
+                tpc_id: compensation.tpc_id,
+                tp_id: compensation.tp_id,
+                tp_name: compensation.tp_name,
+                status: compensation.status
+            },
+            payload: compensation.data,
+            compensation: {
+                id: compensation.id,
+                name: compensation.name,
+                trigger: compensation.trigger
+            },
+            topic: `task-package/${compensation.tp_id}/compensate`,
+            _tpOriginator: node.id
+        }, 'compensation')
+
+        node.status({fill: 'orange', shape: 'dot', text: `Compensating ${compensation.name}: ${compensation.tpc_id.substr(0, 8)}...`})
+        node.send([null, msg])
+
+    } catch (error) {
+        node.error(`Error replaying compensation: ${error.message}`, compensation)
+        node.status({fill: 'red', shape: 'ring', text: 'Error'})
+    }
+}
+
+/**
+ * Handle incoming messages
+ * @param {object} msg - The message object
+ * @param {function} send - Send function for Node-RED 1.0+
+ * @param {function} done - Done function for Node-RED 1.0+
+ */
+async function inputMsgHandler(msg, send, done) {
+    // `this` context is the node instance
+    const node = this
+
+    try {
+        if (!msg.tp_data || !msg.tp_data.tpc_id) {
+            node.error('No task instance ID found in tp_data', msg)
+            done()
+            return
+        }
+
+        if (node.action === 'complete') {
+            complete(node, msg, send)
+        } else {
+            await register(node, msg, send)
+        }
+        done()
+
+    } catch (error) {
+        node.error(`Error in compensation: ${error.message}`, msg)
+        node.status({fill: 'red', shape: 'ring', text: 'Error'})
+        done(error)
+    }
+}
+
+/**
+ * Run when an actual instance of our node is committed to a flow
+ * @param {object} config The Node-RED config object
+ */
+function nodeInstance(config) {
+    // As a module-level named function, it will inherit `mod` and other module-level variables
+
+    // If you need it - which you will here - or just use mod.RED if you prefer:
+    const RED = mod.RED
+
+    // Create the node instance - `this` can only be referenced AFTER here
+    RED.nodes.createNode(this, config)
+
+    // Transfer config items from the Editor panel to the runtime
+    this.name = config.name || 'tp-compensate'
+    this.action = config.action === 'complete' ? 'complete' : 'register'
+    this.compensation = config.compensation || config.name || 'compensation'
+    this.capture = config.capture === undefined ? 'payload' : config.capture
+    this.confirm = config.confirm === true
+    const confirmTimeout = parseInt(config.confirm_timeout)
+    this.confirm_timeout = isNaN(confirmTimeout) ? 60 : confirmTimeout // Seconds, 0 for the runtime's default
+
+    // Set initial status
+    this.status({fill: 'blue', shape: 'ring', text: this.action === 'complete' ? 'Ready' : `Ready: ${this.compensation}`})
+
+    // Handle incoming messages
+    this.on('input', inputMsgHandler)
+
+    // Replays of the compensations this node registered
+    let eventName = null
+    const compensateEventHandler = handleCompensateEvent.bind(this)
+    if (this.action === 'register') {
+        eventName = tpEvents.onCompensate(this.id, compensateEventHandler)
+    }
+
+    if (mod.debug) {
+        this.log(`tp-compensate node initialized: ${this.action}`)
+    }
+
+    /** Clean up on node removal/shutdown */
+    this.on('close', (removed, done) => {
+        if (eventName) {
+            tpEvents.removeEventListener(eventName, compensateEventHandler)
+        }
+        done()
+    })
+}
+
+//#endregion
+
+/**
+ * Complete module definition for our Node. This is where things actually start.
+ * @param {RED} RED The Node-RED runtime object
+ */
+function TpCompensate(RED) {
+    // Save a reference to the RED runtime for convenience
+    mod.RED = RED
+
+    // Register the node type
+    RED.nodes.registerType(mod.nodeName, nodeInstance)
+
+    if (mod.debug) {
+        RED.log.info(`Registered node: ${mod.nodeName}`)
+    }
+}
+
+// Export the module definition, this is consumed by Node-RED on startup.
+module.exports = function(RED) {
+    TpCompensate(RED)
+}
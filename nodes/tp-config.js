@@ -14,6 +14,7 @@
 
 /** Module dependencies */
 const taskPackageAPI = require('../lib/task-package-api')
+const activeTaskRegistry = require('../lib/active-task-registry')
 
 /** Main module variables */
 const mod = {
@@ -48,6 +49,11 @@ function nodeInstance(config) {
     this.name = config.name || 'Task Package Config'
     this.keycloak_url = config.keycloak_url || ''
     this.db_url = config.db_url || '/tmp/sqlite'
+    this.idempotency_window = parseFloat(config.idempotency_window) || 24
+    this.flow_context_mirror = config.flow_context_mirror !== false
+    
+    // Existing flows may still read active_tasks / current_tpc_id from flow context
+    activeTaskRegistry.setFlowContextMirror(this.flow_context_mirror)
     
     // Use the OIDC provider URL directly
     const finalOidcUrl = this.keycloak_url
@@ -65,7 +71,8 @@ function nodeInstance(config) {
             
             taskPackageAPI.initializeRoutes(app, {
                 keycloak_url: finalOidcUrl,
-                db_url: this.db_url
+                db_url: this.db_url,
+                idempotency_window: this.idempotency_window
             })
             
             mod.apiInitialized = true
@@ -74,7 +81,8 @@ function nodeInstance(config) {
             // Update existing configuration
             taskPackageAPI.updateConfig({
                 keycloak_url: finalOidcUrl,
-                db_url: this.db_url
+                db_url: this.db_url,
+                idempotency_window: this.idempotency_window
             })
             
             this.log('Task Package API configuration updated')
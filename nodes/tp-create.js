@@ -13,6 +13,7 @@
 //#region ----- Module level variables ---- //
 
 const tpEvents = require('../lib/task-package-events')
+const taskLifecycle = require('../lib/task-lifecycle')
 const { v4: uuidv4 } = require('uuid')
 const Ajv = require('ajv')
 
@@ -55,6 +56,17 @@ async function handleStartEvent(payload) {
         // Use the tpc_id from API (already generated and stored in DB)
         const tpc_id = payload.tpc_id
         
+        // Move the instance to 'started' - rejected if it was cancelled before we got here
+        try {
+            await taskLifecycle.transition(tpc_id, 'started', { actor: node.id })
+        } catch (transitionError) {
+            if (transitionError instanceof taskLifecycle.InvalidTransitionError) {
+                node.warn(`Not starting task ${tpc_id}: ${transitionError.message}`)
+                return
+            }
+            throw transitionError
+        }
+        
         // Store task context in node instance for parallel support
         this.current_tpc_id = tpc_id
         this.current_tp_id = this.tp_id
@@ -80,10 +92,6 @@ async function handleStartEvent(payload) {
         flow.set('current_tp_name', this.tp_name)
         flow.set('task_cancelled', false)
         
-        // Update database status to 'started'
-        const taskPackageDB = require('../lib/task-package-db')
-        await taskPackageDB.updateTaskStatus(tpc_id, 'started')
-        
         // Create msg.tp_data object
         const tp_data = {
             tpc_id: tpc_id,
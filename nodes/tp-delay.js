@@ -8,7 +8,8 @@
 'use strict'
 
 // Import shared utilities
-const { isCleanupFlow, isTaskCancelled, markAsCleanup } = require('../lib/tp-node-utils');
+const { isCleanupFlow, isTaskCancelled, isTaskPaused, markAsCleanup } = require('../lib/tp-node-utils');
+const tpEvents = require('../lib/task-package-events');
 
 //#region ----- Module level variables ---- //
 
@@ -50,41 +51,85 @@ function inputMsgHandler(msg, send, done) {
         const isCleanup = isCleanupFlow(msg)
         const statusPrefix = isCleanup ? '[CLEANUP] ' : ''
         
-        node.status({fill: 'yellow', shape: 'dot', text: `${statusPrefix}Delaying ${delayMs}ms - ${tpc_id.substr(0, 8)}...`})
+        // Per-message delay state so parallel tasks do not share timers
+        const pending = {
+            timer: null,
+            remaining: delayMs,
+            startedAt: null,
+            listeners: []
+        }
         
-        // Start delay timer
-        const timer = setTimeout(() => {
-            // Final check if cancelled during delay (skip for cleanup flows)
-            if (isTaskCancelled(flow, tpc_id, msg)) {
-                // Output 2: Cancellation
-                node.status({fill: 'orange', shape: 'dot', text: 'Cancelled during delay'})
-                send([null, markAsCleanup(msg, 'cancelled')])
-            } else {
-                // Output 1: Normal completion
-                const statusText = isCleanup ? '[CLEANUP] Delay completed' : 'Delay completed'
-                node.status({fill: 'green', shape: 'dot', text: statusText})
-                send([msg, null])
-            }
+        const cleanup = () => {
+            clearTimeout(pending.timer)
+            pending.listeners.forEach(({ eventName, handler }) => tpEvents.removeEventListener(eventName, handler))
+            pending.listeners = []
+            node._pending.delete(cleanup)
+        }
+        node._pending.add(cleanup)
+        
+        const startTimer = () => {
+            pending.startedAt = Date.now()
+            node.status({fill: 'yellow', shape: 'dot', text: `${statusPrefix}Delaying ${pending.remaining}ms - ${tpc_id.substr(0, 8)}...`})
             
+            pending.timer = setTimeout(() => {
+                pending.timer = null
+                cleanup()
+                
+                // Final check if cancelled during delay (skip for cleanup flows)
+                if (isTaskCancelled(flow, tpc_id, msg)) {
+                    // Output 2: Cancellation
+                    node.status({fill: 'orange', shape: 'dot', text: 'Cancelled during delay'})
+                    send([null, markAsCleanup(msg, 'cancelled')])
+                } else {
+                    // Output 1: Normal completion
+                    const statusText = isCleanup ? '[CLEANUP] Delay completed' : 'Delay completed'
+                    node.status({fill: 'green', shape: 'dot', text: statusText})
+                    send([msg, null])
+                }
+                
+                done()
+            }, pending.remaining)
+        }
+        
+        // Output 2: Cancellation, without waiting for the rest of the delay
+        const cancelNow = () => {
+            cleanup()
+            node.status({fill: 'orange', shape: 'dot', text: 'Cancelled'})
+            send([null, markAsCleanup(msg, 'cancelled')])
             done()
-        }, delayMs)
+        }
         
-        // Store timer for potential cancellation
-        node._delayTimer = timer
+        // Cancelled before it reached us (never for cleanup flows)
+        if (isTaskCancelled(flow, tpc_id, msg)) {
+            cancelNow()
+            return
+        }
         
-        // Check for cancellation periodically (skip for cleanup flows)
-        const cancelCheck = setInterval(() => {
-            if (isTaskCancelled(flow, tpc_id, msg)) {
-                clearTimeout(timer)
-                clearInterval(cancelCheck)
-                
-                node.status({fill: 'orange', shape: 'dot', text: 'Cancelled'})
-                send([null, markAsCleanup(msg, 'cancelled')])
-                done()
+        // Suspend the remaining time while the task is paused and stop at once when it is
+        // cancelled (cleanup flows are neither paused nor cancelled)
+        if (!isCleanup) {
+            const pauseHandler = () => {
+                if (!pending.timer) return
+                clearTimeout(pending.timer)
+                pending.timer = null
+                pending.remaining = Math.max(pending.remaining - (Date.now() - pending.startedAt), 0)
+                node.status({fill: 'grey', shape: 'ring', text: `Paused (${pending.remaining}ms left) - ${tpc_id.substr(0, 8)}...`})
+            }
+            const resumeHandler = () => {
+                if (pending.timer) return
+                startTimer()
             }
-        }, 100)
+            
+            pending.listeners.push({ eventName: tpEvents.onPause(tpc_id, pauseHandler), handler: pauseHandler })
+            pending.listeners.push({ eventName: tpEvents.onResume(tpc_id, resumeHandler), handler: resumeHandler })
+            pending.listeners.push({ eventName: tpEvents.onCancel(tpc_id, cancelNow), handler: cancelNow })
+        }
         
-        node._cancelCheck = cancelCheck
+        if (isTaskPaused(tpc_id, msg)) {
+            node.status({fill: 'grey', shape: 'ring', text: `Paused (${pending.remaining}ms left) - ${tpc_id.substr(0, 8)}...`})
+        } else {
+            startTimer()
+        }
         
     } catch (error) {
         node.error(`Error in delay: ${error.message}`, msg)
@@ -117,12 +162,16 @@ function nodeInstance(config) {
         this.warn('No tp-config node found. Please add a tp-config node to your workspace.')
     }
     
+    // Cleanup functions of delays still in progress
+    this._pending = new Set()
+    
     this.status({fill: 'blue', shape: 'ring', text: `Ready (${this.delay_time}ms)`})
     this.on('input', inputMsgHandler)
     
     this.on('close', (removed, done) => {
-        if (this._delayTimer) clearTimeout(this._delayTimer)
-        if (this._cancelCheck) clearInterval(this._cancelCheck)
+        for (const cleanup of [...this._pending]) {
+            cleanup()
+        }
         done()
     })
 }
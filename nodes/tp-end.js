@@ -8,7 +8,8 @@
 'use strict'
 
 // Import shared utilities
-const { isCleanupFlow } = require('../lib/tp-node-utils');
+const { isCleanupFlow, removeActiveTask, failTask } = require('../lib/tp-node-utils');
+const Ajv = require('ajv')
 
 /** --- Type Definitions --- */
 // @typedef {import('node-red')} RED
@@ -26,11 +27,28 @@ const mod = {
 }
 
 const tpEvents = require('../lib/task-package-events')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageDB = require('../lib/task-package-db')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const activeTaskRegistry = require('../lib/active-task-registry')
 
 //#endregion
 
 //#region ----- Module-level support functions ----- //
 
+/**
+ * Read the result to store from the configured msg property
+ * @param {object} node - The node instance
+ * @param {object} msg - The message object
+ * @returns {*} The result, or undefined if none is configured or the property is not set
+ */
+function getResult(node, msg) {
+    if (!node.result_property) {
+        return undefined
+    }
+    return mod.RED.util.getMessageProperty(msg, node.result_property)
+}
+
 /**
  * Handle incoming messages for task completion
  * @param {object} msg - The message object
@@ -56,32 +74,35 @@ async function inputMsgHandler(msg, send, done) {
             return
         }
         
-        // Get current task context from flow
-        const flow = node.context().flow
-        const active_tasks = flow.get('active_tasks') || []
+        // A compensation flow undoes part of the task - it does not end it
+        if (msg.compensation) {
+            node.warn(`Compensation message of task ${tpc_id} ignored - end compensation flows with a tp-compensate node set to "Complete"`)
+            done()
+            return
+        }
         
-        // Find this specific task
-        const task_index = active_tasks.findIndex(task => task.tpc_id === tpc_id)
-        if (task_index === -1) {
+        // Find this specific task in the active task registry
+        const flow = node.context().flow
+        const task = activeTaskRegistry.get(tpc_id)
+        if (!task) {
             node.warn(`Task ${tpc_id} not found in active tasks`)
             done()
             return
         }
         
-        const task = active_tasks[task_index]
         const wasCancelled = task.cancelled || false
         const isCleanup = isCleanupFlow(msg)
         
-        // Validate current status - be more flexible for cleanup flows and cancellation states
-        const currentStatus = msg.tp_data.status
-        const validStatusesForCompletion = ['ongoing', 'started', 'created', 'cancelling']
-        
-        if (!validStatusesForCompletion.includes(currentStatus)) {
-            node.warn(`Task ${tpc_id} has status '${currentStatus}' which is not valid for completion. Expected: ${validStatusesForCompletion.join(', ')}`)  
-            node.status({fill: 'orange', shape: 'ring', text: `Invalid status: ${currentStatus}`})
+        // Validate the current status from the database - msg.tp_data.status is only what tp-start
+        // sent, e.g. 'paused' for a paused instance restarted after recovery
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        if (!instance) {
+            node.warn(`Task ${tpc_id} not found in the database`)
+            node.status({fill: 'orange', shape: 'ring', text: 'Unknown task'})
             done()
             return
         }
+        const currentStatus = instance.status
         
         // Determine final status based on cancellation state and cleanup context
         let finalStatus
@@ -91,29 +112,84 @@ async function inputMsgHandler(msg, send, done) {
             finalStatus = 'completed'
         }
         
+        // Instances that already ended are reported by the lifecycle check below
+        if (!taskLifecycle.isTerminal(currentStatus) && !taskLifecycle.canTransition(currentStatus, finalStatus)) {
+            node.warn(`Task ${tpc_id} has status '${currentStatus}' which cannot end as '${finalStatus}'`)
+            node.status({fill: 'orange', shape: 'ring', text: `Invalid status: ${currentStatus}`})
+            done()
+            return
+        }
+        
         const statusPrefix = isCleanup ? '[CLEANUP] ' : ''
         
-        // Update tp_data with final information
-        const updatedTpData = {
-            ...msg.tp_data,
-            status: finalStatus,
-            updated_at: new Date().toISOString(),
-            completed_at: new Date().toISOString()
+        // A completed task must deliver a result matching the result schema, otherwise it failed
+        let result = getResult(node, msg)
+        if (result !== undefined && node.validateResult && !node.validateResult(result)) {
+            const message = `Result schema validation failed: ${JSON.stringify(node.validateResult.errors)}`
+            if (finalStatus === 'completed') {
+                try {
+                    await failTask(node, tpc_id, { message, code: 'RESULT_VALIDATION_FAILED' })
+                    node.status({fill: 'red', shape: 'ring', text: 'Result validation failed'})
+                } catch (failError) {
+                    if (!(failError instanceof taskLifecycle.InvalidTransitionError)) throw failError
+                    node.warn(`Task ${tpc_id} not failed: ${failError.message}`)
+                    removeActiveTask(flow, tpc_id)
+                }
+                done()
+                return
+            }
+            // A cancelled task ends as cancelled either way - just keep the invalid result out
+            node.warn(`${message} - result of cancelled task ${tpc_id} not stored`)
+            result = undefined
         }
         
         // Update database with final status (only status, not user_status)
         try {
-            const dbConfig = flow.get('tp_config') || {}
-            const taskPackageDB = require('../lib/task-package-db')
-            await taskPackageDB.updateTaskStatus(tpc_id, finalStatus)
+            try {
+                // A cancelled task ends once its compensations have been replayed
+                if (finalStatus === 'cancelled') {
+                    await taskPackageRuntime.compensate(tpc_id, 'cancelled')
+                }
+                await taskLifecycle.transition(tpc_id, finalStatus, { actor: node.id })
+            } catch (transitionError) {
+                // Cancellation was requested after this message passed its last check
+                if (transitionError instanceof taskLifecycle.InvalidTransitionError &&
+                    transitionError.from === 'cancelling' && finalStatus === 'completed') {
+                    finalStatus = 'cancelled'
+                    await taskPackageRuntime.compensate(tpc_id, 'cancelled')
+                    await taskLifecycle.transition(tpc_id, finalStatus, { actor: node.id })
+                } else {
+                    throw transitionError
+                }
+            }
+            
+            if (result !== undefined) {
+                await taskPackageDB.setTaskResult(tpc_id, result)
+            }
             
             if (mod.debug) {
                 node.log(`Database updated: ${tpc_id} -> ${finalStatus}`)
             }
         } catch (dbError) {
+            if (dbError instanceof taskLifecycle.InvalidTransitionError) {
+                // Already finished elsewhere - drop it from this flow without a second completion event
+                node.warn(`Task ${tpc_id} not ended: ${dbError.message}`)
+                node.status({fill: 'orange', shape: 'ring', text: `Already ${dbError.from}`})
+                removeActiveTask(flow, tpc_id)
+                done()
+                return
+            }
             node.warn(`Failed to update database: ${dbError.message}`)
         }
         
+        // Update tp_data with final information
+        const updatedTpData = {
+            ...msg.tp_data,
+            status: finalStatus,
+            updated_at: new Date().toISOString(),
+            completed_at: new Date().toISOString()
+        }
+        
         // Emit completion event for other nodes to listen
         tpEvents.emitComplete(tpc_id, {
             tpc_id: tpc_id,
@@ -121,8 +197,9 @@ async function inputMsgHandler(msg, send, done) {
             tp_name: task.tp_name,
             final_status: finalStatus,
             completed_at: updatedTpData.completed_at,
-            was_cancelled: wasCancelled,
-            payload: msg.payload
+            was_cancelled: finalStatus === 'cancelled',
+            payload: msg.payload,
+            result: result === undefined ? null : result
         })
         
         if (mod.debug) {
@@ -136,17 +213,8 @@ async function inputMsgHandler(msg, send, done) {
             node.status({fill: 'green', shape: 'dot', text: `${statusPrefix}Completed: ${tpc_id.substr(0, 8)}...`})
         }
         
-        // Remove this task from active tasks
-        active_tasks.splice(task_index, 1)
-        flow.set('active_tasks', active_tasks)
-        
-        // Clear legacy flow context if this was the current task
-        if (flow.get('current_tpc_id') === tpc_id) {
-            flow.set('current_tpc_id', null)
-            flow.set('current_tp_id', null)
-            flow.set('current_tp_name', null)
-            flow.set('task_cancelled', false)
-        }
+        // Remove this task from active tasks (and clear legacy flow context if it was the current task)
+        removeActiveTask(flow, tpc_id)
         
         if (mod.debug) {
             node.log(`Task package ended with status: ${finalStatus} for tpc_id: ${tpc_id}`)
@@ -177,6 +245,18 @@ function nodeInstance(config) {
 
     // Transfer config items from the Editor panel to the runtime
     this.name = config.name || 'tp-end'
+    this.result_property = config.result_property || ''
+    this.result_schema = config.result_schema || ''
+    
+    // Compile the result schema once; an invalid schema stores results unvalidated
+    this.validateResult = null
+    if (this.result_schema) {
+        try {
+            this.validateResult = new Ajv().compile(JSON.parse(this.result_schema))
+        } catch (error) {
+            this.error(`Invalid result schema: ${error.message}`)
+        }
+    }
     
     /** Helper function to find the first available tp-config node */
     this.findTpConfigNode = function() {
@@ -0,0 +1,170 @@
+/** Task Package Fail Node
+ *  Terminates task package execution with a 'failed' outcome and records the error
+ *  Following TotallyInformation patterns
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+// Import shared utilities
+const { isCleanupFlow, failTask } = require('../lib/tp-node-utils');
+
+/** --- Type Definitions --- */
+// @typedef {import('node-red')} RED
+
+//#region ----- Module level variables ---- //
+
+const taskLifecycle = require('../lib/task-lifecycle')
+
+/** Main module variables */
+const mod = {
+    /** @type {RED} Reference to the master RED instance */
+    RED: undefined,
+    /** @type {string} Custom Node Name - must match HTML file and package.json */
+    nodeName: 'tp-fail',
+    /** @type {boolean} Turn on/off debugging */
+    debug: false,
+}
+
+//#endregion
+
+//#region ----- Module-level support functions ----- //
+
+/**
+ * Build the error details from the message and node configuration.
+ * Messages from a Catch node carry msg.error with the message and source node.
+ * @param {object} node - The node instance
+ * @param {object} msg - The message object
+ * @returns {{message: string, code: string|null, node_id: string}} Error details
+ */
+function getErrorDetails(node, msg) {
+    const caught = (msg.error && typeof msg.error === 'object') ? msg.error : {}
+
+    let message = caught.message || node.error_message
+    if (!message && typeof msg.error === 'string') {
+        message = msg.error
+    }
+
+    return {
+        message: message || 'Task failed',
+        code: caught.code || node.error_code || null,
+        node_id: (caught.source && caught.source.id) || node.id
+    }
+}
+
+/**
+ * Handle incoming messages for task failure
+ * @param {object} msg - The message object
+ * @param {function} send - Send function for Node-RED 1.0+
+ * @param {function} done - Done function for Node-RED 1.0+
+ */
+async function inputMsgHandler(msg, send, done) {
+    // `this` context is the node instance
+    const node = this
+
+    try {
+        // Check if we have tp_data in the message
+        if (!msg.tp_data) {
+            node.error('No tp_data found in message. tp-fail must receive messages from tp-start, other tp-* nodes or a Catch node watching them.', msg)
+            done()
+            return
+        }
+
+        const tpc_id = msg.tp_data.tpc_id
+        if (!tpc_id) {
+            node.error('No task instance ID found in tp_data', msg)
+            done()
+            return
+        }
+
+        const statusPrefix = isCleanupFlow(msg) ? '[CLEANUP] ' : ''
+        const errorDetails = getErrorDetails(node, msg)
+
+        try {
+            await failTask(node, tpc_id, errorDetails)
+        } catch (failError) {
+            if (failError instanceof taskLifecycle.InvalidTransitionError) {
+                node.warn(`Task ${tpc_id} not failed: ${failError.message}`)
+                node.status({fill: 'orange', shape: 'ring', text: `Already ${failError.from}`})
+                done()
+                return
+            }
+            throw failError
+        }
+
+        node.status({fill: 'red', shape: 'dot', text: `${statusPrefix}Failed: ${tpc_id.substr(0, 8)}...`})
+
+        if (mod.debug) {
+            node.log(`Task package failed: ${tpc_id} (${errorDetails.message})`)
+        }
+
+        // Node has no outputs - this is the end of the task package flow
+        done()
+
+    } catch (error) {
+        node.error(`Error handling fail event: ${error.message}`, msg)
+        node.status({fill: 'red', shape: 'ring', text: 'Error'})
+        done(error)
+    }
+}
+
+/**
+ * Run when an actual instance of our node is committed to a flow
+ * @param {object} config The Node-RED config object
+ */
+function nodeInstance(config) {
+    // As a module-level named function, it will inherit `mod` and other module-level variables
+
+    // If you need it - which you will here - or just use mod.RED if you prefer:
+    const RED = mod.RED
+
+    // Create the node instance - `this` can only be referenced AFTER here
+    RED.nodes.createNode(this, config)
+
+    // Transfer config items from the Editor panel to the runtime
+    this.name = config.name || 'tp-fail'
+    this.error_message = config.error_message || ''
+    this.error_code = config.error_code || ''
+
+    // Set initial status
+    this.status({fill: 'blue', shape: 'ring', text: 'Ready'})
+
+    // Handle incoming messages
+    this.on('input', inputMsgHandler)
+
+    if (mod.debug) {
+        this.log('tp-fail node initialized')
+    }
+
+    /** Clean up on node removal/shutdown */
+    this.on('close', (removed, done) => {
+        if (mod.debug) {
+            this.log('tp-fail node closing')
+        }
+        done()
+    })
+}
+
+//#endregion
+
+/**
+ * Complete module definition for our Node. This is where things actually start.
+ * @param {RED} RED The Node-RED runtime object
+ */
+function TpFail(RED) {
+    // Save a reference to the RED runtime for convenience
+    mod.RED = RED
+
+    // Register the node type
+    RED.nodes.registerType(mod.nodeName, nodeInstance)
+
+    if (mod.debug) {
+        RED.log.info(`Registered node: ${mod.nodeName}`)
+    }
+}
+
+// Export the module definition, this is consumed by Node-RED on startup.
+module.exports = function(RED) {
+    TpFail(RED)
+}
@@ -0,0 +1,167 @@
+/** Task Package Progress Node
+ *  Records the percentage done and current step of a running task
+ *  Following TotallyInformation patterns
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const tpEvents = require('../lib/task-package-events')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+
+/** --- Type Definitions --- */
+// @typedef {import('node-red')} RED
+
+//#region ----- Module level variables ---- //
+
+/** Main module variables */
+const mod = {
+    /** @type {RED} Reference to the master RED instance */
+    RED: undefined,
+    /** @type {string} Custom Node Name - must match HTML file and package.json */
+    nodeName: 'tp-progress',
+    /** @type {boolean} Turn on/off debugging */
+    debug: false,
+}
+
+//#endregion
+
+//#region ----- Module-level support functions ----- //
+
+/**
+ * Handle incoming messages: store the progress on the instance and emit a progress event
+ * @param {object} msg - The message object
+ * @param {function} send - Send function for Node-RED 1.0+
+ * @param {function} done - Done function for Node-RED 1.0+
+ */
+async function inputMsgHandler(msg, send, done) {
+    // `this` context is the node instance
+    const node = this
+
+    try {
+        if (!msg.tp_data) {
+            node.error('No tp_data found in message', msg)
+            done()
+            return
+        }
+
+        const tpc_id = msg.tp_data.tpc_id
+        if (!tpc_id) {
+            node.error('No task instance ID found in tp_data', msg)
+            done()
+            return
+        }
+
+        // msg.progress / msg.progress_step override the node configuration
+        const rawProgress = msg.progress !== undefined ? msg.progress : node.progress
+        const progress = Number(rawProgress)
+        if (rawProgress === '' || rawProgress === null || !Number.isFinite(progress) || progress < 0 || progress > 100) {
+            node.warn(`Progress must be a number from 0 to 100, got '${rawProgress}' - use msg.progress or node configuration`)
+            send(msg)
+            done()
+            return
+        }
+        const progress_step = msg.progress_step !== undefined ? String(msg.progress_step) : (node.step || null)
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        if (!instance || taskLifecycle.isTerminal(instance.status)) {
+            node.warn(`Not recording progress of task ${tpc_id}: ${instance ? `already ${instance.status}` : 'not found'}`)
+            send(msg)
+            done()
+            return
+        }
+
+        await taskPackageDB.setTaskProgress(tpc_id, progress, progress_step)
+
+        const progress_updated_at = new Date().toISOString()
+        tpEvents.emitProgress(tpc_id, {
+            tpc_id,
+            tp_id: instance.tp_id,
+            progress,
+            progress_step,
+            progress_updated_at,
+            node_id: node.id
+        })
+
+        node.status({fill: 'blue', shape: 'dot', text: progress_step ? `${progress}% ${progress_step}` : `${progress}%`})
+
+        if (mod.debug) {
+            node.log(`Progress of ${tpc_id}: ${progress}% ${progress_step || ''}`)
+        }
+
+        send({
+            ...msg,
+            tp_data: {
+                ...msg.tp_data,
+                progress,
+                progress_step,
+                progress_updated_at
+            }
+        })
+        done()
+
+    } catch (error) {
+        node.error(`Error recording progress: ${error.message}`, msg)
+        node.status({fill: 'red', shape: 'ring', text: 'Error'})
+        done(error)
+    }
+}
+
+/**
+ * Run when an actual instance of our node is committed to a flow
+ * @param {object} config The Node-RED config object
+ */
+function nodeInstance(config) {
+    // As a module-level named function, it will inherit `mod` and other module-level variables
+
+    // If you need it - which you will here - or just use mod.RED if you prefer:
+    const RED = mod.RED
+
+    // Create the node instance - `this` can only be referenced AFTER here
+    RED.nodes.createNode(this, config)
+
+    // Transfer config items from the Editor panel to the runtime
+    this.name = config.name || 'tp-progress'
+    this.progress = config.progress === undefined ? '' : config.progress
+    this.step = config.step || ''
+
+    // Set initial status
+    this.status({fill: 'blue', shape: 'ring', text: 'Ready'})
+
+    // Handle incoming messages
+    this.on('input', inputMsgHandler)
+
+    if (mod.debug) {
+        this.log('tp-progress node initialized')
+    }
+
+    /** Clean up on node removal/shutdown */
+    this.on('close', (removed, done) => {
+        done()
+    })
+}
+
+//#endregion
+
+/**
+ * Complete module definition for our Node. This is where things actually start.
+ * @param {RED} RED The Node-RED runtime object
+ */
+function TpProgress(RED) {
+    // Save a reference to the RED runtime for convenience
+    mod.RED = RED
+
+    // Register the node type
+    RED.nodes.registerType(mod.nodeName, nodeInstance)
+
+    if (mod.debug) {
+        RED.log.info(`Registered node: ${mod.nodeName}`)
+    }
+}
+
+// Export the module definition, this is consumed by Node-RED on startup.
+module.exports = function(RED) {
+    TpProgress(RED)
+}
@@ -0,0 +1,247 @@
+/** Task Package Spawn Node
+ *  Starts a child task package from inside a running task and waits for it to finish
+ *  Following TotallyInformation patterns
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+// Import shared utilities
+const { isCleanupFlow, isTaskCancelled, markAsCleanup } = require('../lib/tp-node-utils')
+const tpEvents = require('../lib/task-package-events')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+
+/** --- Type Definitions --- */
+// @typedef {import('node-red')} RED
+
+//#region ----- Module level variables ---- //
+
+/** Main module variables */
+const mod = {
+    /** @type {RED} Reference to the master RED instance */
+    RED: undefined,
+    /** @type {string} Custom Node Name - must match HTML file and package.json */
+    nodeName: 'tp-spawn',
+    /** @type {boolean} Turn on/off debugging */
+    debug: false,
+}
+
+/** Output index for each final status of the child */
+const OUTPUTS = { completed: 0, cancelled: 1, cancel_failed: 1, failed: 2, interrupted: 2 }
+
+//#endregion
+
+//#region ----- Module-level support functions ----- //
+
+/**
+ * Update the node status with the number of children still running
+ * @param {object} node - The node instance
+ */
+function showWaiting(node) {
+    if (node._pending.size > 0) {
+        node.status({fill: 'yellow', shape: 'dot', text: `Waiting for ${node._pending.size} child task(s)`})
+    }
+}
+
+/**
+ * Handle incoming messages: start the child task package and route the message
+ * to the output matching the child's final status once it finishes
+ * @param {object} msg - The message object
+ * @param {function} send - Send function for Node-RED 1.0+
+ * @param {function} done - Done function for Node-RED 1.0+
+ */
+async function inputMsgHandler(msg, send, done) {
+    // `this` context is the node instance
+    const node = this
+
+    try {
+        if (!msg.tp_data) {
+            node.error('No tp_data found in message', msg)
+            done()
+            return
+        }
+
+        const parent_tpc_id = msg.tp_data.tpc_id
+        if (!parent_tpc_id) {
+            node.error('No task instance ID found in tp_data', msg)
+            done()
+            return
+        }
+
+        const flow = node.context().flow
+        if (isTaskCancelled(flow, parent_tpc_id, msg)) {
+            node.warn(`Not spawning a child of cancelled task ${parent_tpc_id}`)
+            done()
+            return
+        }
+
+        const child_tp_id = node.child_tp_id || msg.child_tp_id
+        if (!child_tp_id) {
+            node.error('No child task package ID configured or found in msg.child_tp_id', msg)
+            done()
+            return
+        }
+
+        const taskPackage = await taskPackageDB.getTaskPackage(child_tp_id)
+        if (!taskPackage) {
+            node.error(`Child task package '${child_tp_id}' not found`, msg)
+            done()
+            return
+        }
+        const unavailable = taskPackageRuntime.unavailableReason(taskPackage)
+        if (unavailable) {
+            node.error(unavailable, msg)
+            done()
+            return
+        }
+        if (!taskPackageRuntime.hasStartListener(child_tp_id)) {
+            node.error(`No tp-start node deployed for child task package '${child_tp_id}'`, msg)
+            done()
+            return
+        }
+
+        const result = await taskPackageRuntime.startTask({
+            tp_id: child_tp_id,
+            tp_name: taskPackage.name,
+            user: msg.tp_data.user,
+            payload: msg.payload && typeof msg.payload === 'object' ? msg.payload : {},
+            max_duration: node.max_duration > 0 ? node.max_duration : undefined,
+            parent_tpc_id
+        })
+        const child_tpc_id = result.tpc_id
+
+        let finished = false
+        const finish = (completion) => {
+            if (finished) return
+            finished = true
+            cleanup()
+
+            const final_status = completion.final_status
+            const output = OUTPUTS[final_status]
+            if (output === undefined) {
+                node.warn(`Child task ${child_tpc_id} ended with unknown status '${final_status}'`)
+                done()
+                return
+            }
+
+            let outMsg = {
+                ...msg,
+                tp_child: {
+                    tpc_id: child_tpc_id,
+                    tp_id: child_tp_id,
+                    final_status,
+                    completed_at: completion.completed_at || null,
+                    error: completion.error || null
+                }
+            }
+
+            // The parent was cancelled while its child ran - route as part of the cleanup flow
+            if (!isCleanupFlow(msg) && isTaskCancelled(flow, parent_tpc_id, msg)) {
+                outMsg = markAsCleanup(outMsg, 'cancelled')
+            }
+
+            const outputs = [null, null, null]
+            outputs[output] = outMsg
+            node.status({fill: output === 0 ? 'green' : 'orange', shape: 'dot', text: `Child ${final_status}: ${child_tpc_id.substr(0, 8)}...`})
+            send(outputs)
+            showWaiting(node)
+            done()
+        }
+
+        const completeHandler = (completion) => finish(completion || {})
+        const eventName = tpEvents.onComplete(child_tpc_id, completeHandler)
+        const cleanup = () => {
+            tpEvents.removeEventListener(eventName, completeHandler)
+            node._pending.delete(cleanup)
+        }
+        node._pending.add(cleanup)
+        showWaiting(node)
+
+        if (mod.debug) {
+            node.log(`Spawned ${child_tp_id} (${child_tpc_id}) from task ${parent_tpc_id}`)
+        }
+
+        // The child may have finished before we started listening (e.g. cancelled while pending)
+        const child = await taskPackageDB.getTaskPackageInstance(child_tpc_id)
+        if (child && taskLifecycle.isTerminal(child.status)) {
+            finish({
+                final_status: child.status,
+                completed_at: child.updated_at,
+                error: child.error_message ?
+                    { message: child.error_message, code: child.error_code, node_id: child.error_node_id } :
+                    null
+            })
+        }
+
+    } catch (error) {
+        node.error(`Error spawning child task: ${error.message}`, msg)
+        node.status({fill: 'red', shape: 'ring', text: 'Error'})
+        done(error)
+    }
+}
+
+/**
+ * Run when an actual instance of our node is committed to a flow
+ * @param {object} config The Node-RED config object
+ */
+function nodeInstance(config) {
+    // As a module-level named function, it will inherit `mod` and other module-level variables
+
+    // If you need it - which you will here - or just use mod.RED if you prefer:
+    const RED = mod.RED
+
+    // Create the node instance - `this` can only be referenced AFTER here
+    RED.nodes.createNode(this, config)
+
+    // Transfer config items from the Editor panel to the runtime
+    this.name = config.name || 'tp-spawn'
+    this.child_tp_id = config.child_tp_id || ''
+    this.max_duration = parseFloat(config.max_duration) || 0
+
+    // Listeners of children still running
+    this._pending = new Set()
+
+    // Set initial status
+    this.status({fill: 'blue', shape: 'ring', text: this.child_tp_id ? `Ready: ${this.child_tp_id}` : 'Ready'})
+
+    // Handle incoming messages
+    this.on('input', inputMsgHandler)
+
+    if (mod.debug) {
+        this.log('tp-spawn node initialized')
+    }
+
+    /** Clean up on node removal/shutdown - running children are not cancelled */
+    this.on('close', (removed, done) => {
+        for (const cleanup of [...this._pending]) {
+            cleanup()
+        }
+        done()
+    })
+}
+
+//#endregion
+
+/**
+ * Complete module definition for our Node. This is where things actually start.
+ * @param {RED} RED The Node-RED runtime object
+ */
+function TpSpawn(RED) {
+    // Save a reference to the RED runtime for convenience
+    mod.RED = RED
+
+    // Register the node type
+    RED.nodes.registerType(mod.nodeName, nodeInstance)
+
+    if (mod.debug) {
+        RED.log.info(`Registered node: ${mod.nodeName}`)
+    }
+}
+
+// Export the module definition, this is consumed by Node-RED on startup.
+module.exports = function(RED) {
+    TpSpawn(RED)
+}
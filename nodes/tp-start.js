@@ -13,8 +13,13 @@
 //#region ----- Module level variables ---- //
 
 const tpEvents = require('../lib/task-package-events')
+const taskLifecycle = require('../lib/task-lifecycle')
+const { failTask, registerActiveTask } = require('../lib/tp-node-utils')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const taskPackageDB = require('../lib/task-package-db')
 const { v4: uuidv4 } = require('uuid')
 const Ajv = require('ajv')
+const crypto = require('crypto')
 
 /** Main module variables */
 const mod = {
@@ -26,10 +31,75 @@ const mod = {
     debug: false,
 }
 
+/** Editor-only layout properties, left out of the flow hash so moving nodes is not a new version */
+const LAYOUT_PROPERTIES = ['x', 'y', 'w', 'h', 'g']
+
+/** Node types whose flows, when set to a tp_id, run part of that task package (cleanup, update and assignment flows) */
+const PACKAGE_EVENT_TYPES = ['tp-cancel', 'tp-update', 'tp-assignment']
+
+/** Node types that carry on in the nodes listed in their `links` */
+const LINK_TYPES = ['link out', 'link call']
+
 //#endregion
 
 //#region ----- Module-level support functions ----- //
 
+/**
+ * Hash the deployed configuration of the nodes a task package runs through: those reached
+ * over wires and links from the tp-start node or from the event nodes of its tp_id
+ * @param {object} node - The node instance
+ * @returns {string|null} SHA-256 hex digest, or null if the node is not in the deployed flows
+ */
+function hashFlow(node) {
+    const configs = new Map()
+    mod.RED.nodes.eachNode((flowNode) => {
+        configs.set(flowNode.id, flowNode)
+    })
+
+    const pending = [...configs.values()]
+        .filter(config => config.id === node.id || (PACKAGE_EVENT_TYPES.includes(config.type) && config.tp_id === node.tp_id))
+        .map(config => config.id)
+    const flowNodes = new Map()
+    while (pending.length > 0) {
+        const config = configs.get(pending.pop())
+        if (!config || flowNodes.has(config.id)) continue
+
+        const copy = { ...config }
+        LAYOUT_PROPERTIES.forEach(property => delete copy[property])
+        flowNodes.set(config.id, copy)
+
+        for (const output of config.wires || []) {
+            pending.push(...output)
+        }
+        if (LINK_TYPES.includes(config.type)) {
+            pending.push(...(config.links || []))
+        }
+    }
+
+    if (flowNodes.size === 0) {
+        return null
+    }
+    const sorted = [...flowNodes.values()].sort((a, b) => a.id.localeCompare(b.id))
+    return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex')
+}
+
+/**
+ * Record the definition a node was deployed with as the current version of its task package,
+ * once per deploy. Starts use it too, so an instance started before the delayed database
+ * sync still runs under the version that started it.
+ * @param {object} node - The node instance
+ * @returns {Promise<number>} Version number
+ */
+function recordDefinition(node) {
+    if (!node._version) {
+        node._version = taskPackageDB.recordTaskPackageVersion(node.tp_id, node.definition)
+        node._version.catch(() => {
+            node._version = null // Try again with the next start or sync
+        })
+    }
+    return node._version
+}
+
 /** 
  * Handle incoming start events for this task package
  * @param {object} payload - The event payload from API layer
@@ -46,8 +116,12 @@ async function handleStartEvent(payload) {
             const valid = validate(payload.payload || {})
             
             if (!valid) {
-                node.error(`Schema validation failed: ${JSON.stringify(validate.errors)}`, payload)
+                const message = `Schema validation failed: ${JSON.stringify(validate.errors)}`
+                node.error(message, payload)
                 node.status({fill: 'red', shape: 'ring', text: 'Schema validation failed'})
+                
+                // The instance can never run, so close it as failed rather than leaving it 'created'
+                await failTask(node, payload.tpc_id, { message, code: 'SCHEMA_VALIDATION_FAILED' })
                 return
             }
         }
@@ -55,34 +129,57 @@ async function handleStartEvent(payload) {
         // Use the tpc_id from API (already generated and stored in DB)
         const tpc_id = payload.tpc_id
         
+        // A recovered instance keeps its status; otherwise move it to 'started' -
+        // rejected if it was cancelled before we got here
+        if (!payload.recovered) {
+            try {
+                await taskLifecycle.transition(tpc_id, 'started', { actor: node.id })
+            } catch (transitionError) {
+                if (transitionError instanceof taskLifecycle.InvalidTransitionError) {
+                    node.warn(`Not starting task ${tpc_id}: ${transitionError.message}`)
+                    return
+                }
+                throw transitionError
+            }
+        }
+        taskPackageRuntime.attachTask(tpc_id, node.id)
+        
+        // Record which version of the definition this instance runs with
+        if (!payload.recovered) {
+            await taskPackageDB.setTaskVersion(tpc_id, await recordDefinition(node))
+        }
+        
         // Store task context in node instance for parallel support
         this.current_tpc_id = tpc_id
         this.current_tp_id = this.tp_id
         this.current_tp_name = this.tp_name
         this.task_cancelled = false
         
-        // Also store in flow context for backward compatibility
-        // But use arrays to support multiple concurrent tasks
-        const flow = node.context().flow
-        const active_tasks = flow.get('active_tasks') || []
-        active_tasks.push({
+        // Register in the active task registry (mirrored to flow context for existing flows if enabled)
+        registerActiveTask(node, {
             tpc_id: tpc_id,
             tp_id: this.tp_id,
-            tp_name: this.tp_name,
-            create_node_id: node.id,
-            created_at: new Date().toISOString()
+            tp_name: this.tp_name
         })
-        flow.set('active_tasks', active_tasks)
         
-        // Keep legacy single-task context for existing flows
-        flow.set('current_tpc_id', tpc_id)
-        flow.set('current_tp_id', this.tp_id)
-        flow.set('current_tp_name', this.tp_name)
-        flow.set('task_cancelled', false)
+        // A recovered instance that was cancelling only needs its cleanup flow - the runtime re-sends the cancel
+        if (payload.recovered && payload.status === 'cancelling') {
+            node.status({fill: 'orange', shape: 'ring', text: `Recovering cancel: ${tpc_id.substr(0, 8)}...`})
+            return
+        }
         
-        // Update database status to 'started'
-        const taskPackageDB = require('../lib/task-package-db')
-        await taskPackageDB.updateTaskStatus(tpc_id, 'started')
+        // Arm the execution deadline - a per-request max_duration overrides the node setting
+        const maxDuration = (payload.max_duration !== undefined && payload.max_duration !== null) ?
+            payload.max_duration :
+            node.max_duration
+        let deadline_at = null
+        if (payload.recovered) {
+            // The runtime restored the original deadline
+            const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+            deadline_at = instance ? instance.deadline_at : null
+        } else if (maxDuration > 0) {
+            deadline_at = await taskPackageRuntime.armDeadline(tpc_id, maxDuration * 1000)
+        }
         
         // Create msg.tp_data object
         const tp_data = {
@@ -90,11 +187,13 @@ async function handleStartEvent(payload) {
             tp_id: node.tp_id,
             tp_name: node.tp_name,
             user: payload.user,
-            status: 'started',
+            status: payload.recovered ? payload.status : 'started',
+            recovered: payload.recovered === true,
             payload: payload.payload || {},
             created_at: new Date().toISOString(),
             started_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
+            updated_at: new Date().toISOString(),
+            deadline_at: deadline_at
         }
         
         // Create output message
@@ -106,7 +205,7 @@ async function handleStartEvent(payload) {
         }
         
         // Set node status
-        node.status({fill: 'green', shape: 'dot', text: `Started: ${tpc_id.substr(0, 8)}...`})
+        node.status({fill: 'green', shape: 'dot', text: `${payload.recovered ? 'Restarted' : 'Started'}: ${tpc_id.substr(0, 8)}...`})
         
         // Send message to flow
         node.send(msg)
@@ -118,6 +217,14 @@ async function handleStartEvent(payload) {
     } catch (error) {
         node.error(`Error handling start event: ${error.message}`, payload)
         node.status({fill: 'red', shape: 'ring', text: 'Error'})
+        
+        if (payload && payload.tpc_id) {
+            failTask(node, payload.tpc_id, { message: error.message, code: 'START_ERROR' }).catch((failError) => {
+                if (mod.debug) {
+                    node.log(`Could not mark ${payload.tpc_id} as failed: ${failError.message}`)
+                }
+            })
+        }
     }
 }
 
@@ -140,6 +247,12 @@ function nodeInstance(config) {
     this.tp_name = config.tp_name
     this.tp_form_url = config.tp_form_url
     this.tp_schema = config.tp_schema
+    this.max_duration = parseFloat(config.max_duration) || 0
+    this.max_concurrent = parseInt(config.max_concurrent) || 0
+    this.recovery_policy = config.recovery_policy || 'interrupt'
+    this.cancel_grace_period = parseFloat(config.cancel_grace_period) || 0
+    this.cancel_timeout_status = config.cancel_timeout_status || 'cancelled'
+    this.store_data = config.store_data !== false
     this.config_node = RED.nodes.getNode(config.config_node)
 
     // Validation
@@ -153,22 +266,46 @@ function nodeInstance(config) {
         this.warn('No configuration node selected')
     }
     
+    // The versioned definition, as deployed - the flows are in place before nodes are created
+    this.definition = {
+        name: this.tp_name || this.tp_id,
+        form_url: this.tp_form_url || this.tp_id,
+        schema: this.tp_schema || null,
+        flow_hash: hashFlow(this)
+    }
+    this._version = null
+    
     // Update task_packages table with current node configuration
     // Use a robust approach that waits for database to be ready
     const syncToDatabase = async () => {
         try {
             const taskPackageDB = require('../lib/task-package-db')
             
-            // Upsert the task package definition
+            // Upsert the task package definition (after its version, which a start may already have recorded)
+            await recordDefinition(this)
             await taskPackageDB.upsertTaskPackage(
                 this.tp_id,
                 this.tp_name || this.tp_id,
-                this.tp_form_url || this.tp_id
+                this.tp_form_url || this.tp_id,
+                {
+                    max_concurrent: this.max_concurrent,
+                    recovery_policy: this.recovery_policy,
+                    cancel_grace_period: this.cancel_grace_period,
+                    cancel_timeout_status: this.cancel_timeout_status,
+                    store_data: this.store_data,
+                    schema: this.definition.schema,
+                    flow_hash: this.definition.flow_hash
+                }
             )
             
             if (mod.debug) {
                 this.log(`Task package definition updated: ${this.tp_id} -> ${this.tp_name}`)
             }
+            
+            // Restart orphaned instances found before this node was deployed, then start
+            // instances that were queued while it was not deployed or the limit was lower
+            await taskPackageRuntime.recoverPending(this.tp_id)
+            await taskPackageRuntime.drainQueue(this.tp_id)
         } catch (error) {
             this.warn(`Failed to update task package in database: ${error.message}`)
         }
@@ -230,10 +367,28 @@ function nodeInstance(config) {
             tpEvents.removeEventListener(this._eventName, this._eventHandler)
         }
         
+        // The flows of our instances stop with us - reconciliation picks them up if they are left in flight
+        taskPackageRuntime.detachNode(this.id)
+        
         if (mod.debug) {
             this.log(`tp-start node closing: ${this.tp_id}`)
         }
         
+        // Deleted rather than redeployed: nobody can start the task package any more
+        if (removed === true && taskPackageDB.isInitialized) {
+            taskPackageRuntime.deactivateTaskPackage(this.tp_id)
+                .then(deactivated => {
+                    if (deactivated) {
+                        this.log(`Task package ${this.tp_id} marked inactive`)
+                    }
+                })
+                .catch(error => {
+                    this.warn(`Failed to mark task package inactive: ${error.message}`)
+                })
+                .finally(() => done())
+            return
+        }
+        
         done()
     })
 }
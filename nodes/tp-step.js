@@ -0,0 +1,152 @@
+/** Task Package Step Node
+ *  Records entering or leaving a named step of a task, for the instance timeline
+ *  Following TotallyInformation patterns
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+// Import shared utilities
+const { isCleanupFlow } = require('../lib/tp-node-utils')
+const taskPackageDB = require('../lib/task-package-db')
+
+/** --- Type Definitions --- */
+// @typedef {import('node-red')} RED
+
+//#region ----- Module level variables ---- //
+
+/** Main module variables */
+const mod = {
+    /** @type {RED} Reference to the master RED instance */
+    RED: undefined,
+    /** @type {string} Custom Node Name - must match HTML file and package.json */
+    nodeName: 'tp-step',
+    /** @type {boolean} Turn on/off debugging */
+    debug: false,
+}
+
+//#endregion
+
+//#region ----- Module-level support functions ----- //
+
+/**
+ * Handle incoming messages: record the step entry or exit and pass the message on
+ * @param {object} msg - The message object
+ * @param {function} send - Send function for Node-RED 1.0+
+ * @param {function} done - Done function for Node-RED 1.0+
+ */
+async function inputMsgHandler(msg, send, done) {
+    // `this` context is the node instance
+    const node = this
+
+    try {
+        if (!msg.tp_data) {
+            node.error('No tp_data found in message', msg)
+            done()
+            return
+        }
+
+        const tpc_id = msg.tp_data.tpc_id
+        if (!tpc_id) {
+            node.error('No task instance ID found in tp_data', msg)
+            done()
+            return
+        }
+
+        const step = node.step || msg.step
+        if (!step) {
+            node.warn('No step name - configure one or use msg.step')
+            send(msg)
+            done()
+            return
+        }
+
+        const timestamp = new Date().toISOString()
+        const cleanup = isCleanupFlow(msg)
+
+        if (node.action === 'exit') {
+            const changes = await taskPackageDB.exitTaskStep(tpc_id, step, timestamp, node.id)
+            if (changes === 0) {
+                node.warn(`Step '${step}' of task ${tpc_id} was not entered`)
+            }
+        } else {
+            await taskPackageDB.enterTaskStep(tpc_id, step, cleanup, timestamp, node.id)
+        }
+
+        node.status({
+            fill: cleanup ? 'yellow' : 'blue',
+            shape: node.action === 'exit' ? 'ring' : 'dot',
+            text: `${node.action === 'exit' ? 'Left' : 'Entered'} ${step}${cleanup ? ' (cleanup)' : ''}`
+        })
+
+        if (mod.debug) {
+            node.log(`Task ${tpc_id} ${node.action === 'exit' ? 'left' : 'entered'} step '${step}'`)
+        }
+
+        send(msg)
+        done()
+
+    } catch (error) {
+        node.error(`Error recording step: ${error.message}`, msg)
+        node.status({fill: 'red', shape: 'ring', text: 'Error'})
+        done(error)
+    }
+}
+
+/**
+ * Run when an actual instance of our node is committed to a flow
+ * @param {object} config The Node-RED config object
+ */
+function nodeInstance(config) {
+    // As a module-level named function, it will inherit `mod` and other module-level variables
+
+    // If you need it - which you will here - or just use mod.RED if you prefer:
+    const RED = mod.RED
+
+    // Create the node instance - `this` can only be referenced AFTER here
+    RED.nodes.createNode(this, config)
+
+    // Transfer config items from the Editor panel to the runtime
+    this.name = config.name || 'tp-step'
+    this.step = config.step || ''
+    this.action = config.action === 'exit' ? 'exit' : 'enter'
+
+    // Set initial status
+    this.status({fill: 'blue', shape: 'ring', text: 'Ready'})
+
+    // Handle incoming messages
+    this.on('input', inputMsgHandler)
+
+    if (mod.debug) {
+        this.log('tp-step node initialized')
+    }
+
+    /** Clean up on node removal/shutdown */
+    this.on('close', (removed, done) => {
+        done()
+    })
+}
+
+//#endregion
+
+/**
+ * Complete module definition for our Node. This is where things actually start.
+ * @param {RED} RED The Node-RED runtime object
+ */
+function TpStep(RED) {
+    // Save a reference to the RED runtime for convenience
+    mod.RED = RED
+
+    // Register the node type
+    RED.nodes.registerType(mod.nodeName, nodeInstance)
+
+    if (mod.debug) {
+        RED.log.info(`Registered node: ${mod.nodeName}`)
+    }
+}
+
+// Export the module definition, this is consumed by Node-RED on startup.
+module.exports = function(RED) {
+    TpStep(RED)
+}
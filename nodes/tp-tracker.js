@@ -133,7 +133,7 @@ async function handleLookupAction(msg, key, done) {
             
         } else {
             // Determine if task is still active
-            const activeStatuses = ['created', 'started', 'ongoing']
+            const activeStatuses = ['scheduled', 'waiting', 'queued', 'created', 'started', 'ongoing', 'paused', 'awaiting_approval']
             const isActive = activeStatuses.includes(taskInstance.status)
             
             const minutesSinceCreation = ((new Date() - new Date(taskInstance.created_at)) / 1000 / 60).toFixed(1)
@@ -250,7 +250,7 @@ async function handleListAction(msg, done) {
             allTasks
         
         // Group by status
-        const activeStatuses = ['created', 'started', 'ongoing']
+        const activeStatuses = ['scheduled', 'waiting', 'queued', 'created', 'started', 'ongoing', 'paused', 'awaiting_approval']
         const activeTasks = filteredTasks.filter(task => activeStatuses.includes(task.status))
         const completedTasks = filteredTasks.filter(task => !activeStatuses.includes(task.status))
         
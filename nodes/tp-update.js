@@ -13,6 +13,7 @@
 //#region ----- Module level variables ---- //
 
 const tpEvents = require('../lib/task-package-events')
+const activeTaskRegistry = require('../lib/active-task-registry')
 
 /** Main module variables */
 const mod = {
@@ -40,16 +41,14 @@ async function handleUpdateEvent(payload) {
         const tpc_id = payload.tpc_id
         const tp_id = payload.tp_id || this.tp_id
         
-        // Get current task context from flow
         const flow = node.context().flow
-        const active_tasks = flow.get('active_tasks') || []
         
         // Find this specific task if tpc_id provided, or any task with matching tp_id
         let task = null
         if (tpc_id) {
-            task = active_tasks.find(t => t.tpc_id === tpc_id)
+            task = activeTaskRegistry.get(tpc_id)
         } else if (tp_id) {
-            task = active_tasks.find(t => t.tp_id === tp_id)
+            task = activeTaskRegistry.list({ tp_id })[0] || null
         }
         
         if (!task && this.tp_id) {
@@ -72,19 +71,7 @@ async function handleUpdateEvent(payload) {
             return
         }
         
-        // Update the database with new information if provided
-        if (payload.update_data) {
-            try {
-                const taskPackageDB = require('../lib/task-package-db')
-                await taskPackageDB.updateTaskData(task.tpc_id, payload.update_data)
-                
-                if (mod.debug) {
-                    node.log(`Updated task data for: ${task.tpc_id}`)
-                }
-            } catch (dbError) {
-                node.warn(`Failed to update database: ${dbError.message}`)
-            }
-        }
+        // update_data has already been stored on the instance by POST /task-package/update
         
         // Create output message
         const msg = {
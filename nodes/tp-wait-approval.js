@@ -0,0 +1,298 @@
+/** Task Package Wait Approval Node
+ *  Parks a task until a person approves or rejects it through the task package API
+ *  Following TotallyInformation patterns
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+// Import shared utilities
+const { isCleanupFlow, isTaskCancelled } = require('../lib/tp-node-utils')
+const tpEvents = require('../lib/task-package-events')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const taskPackageDB = require('../lib/task-package-db')
+
+/** --- Type Definitions --- */
+// @typedef {import('node-red')} RED
+
+//#region ----- Module level variables ---- //
+
+/** Main module variables */
+const mod = {
+    /** @type {RED} Reference to the master RED instance */
+    RED: undefined,
+    /** @type {string} Custom Node Name - must match HTML file and package.json */
+    nodeName: 'tp-wait-approval',
+    /** @type {boolean} Turn on/off debugging */
+    debug: false,
+}
+
+/** Output of each decision - a cancelled approval drops its message */
+const OUTPUTS = { approved: 0, rejected: 1, timed_out: 2 }
+
+//#endregion
+
+//#region ----- Module-level support functions ----- //
+
+/**
+ * Show how many tasks are waiting at this node
+ * @param {object} node - The node instance
+ */
+function showWaiting(node) {
+    const waiting = node._held.size
+    if (waiting > 0) {
+        node.status({fill: 'yellow', shape: 'dot', text: `Awaiting approval: ${waiting}`})
+    } else {
+        node.status({fill: 'blue', shape: 'ring', text: 'Ready'})
+    }
+}
+
+/**
+ * Send the parked message of a decided approval on the output of its decision
+ * @param {object} node - The node instance
+ * @param {object} approval - The decided approval
+ * @param {object} msg - The parked message
+ */
+async function release(node, approval, msg) {
+    const output = OUTPUTS[approval.status]
+
+    if (output !== undefined) {
+        const outputs = [null, null, null]
+        outputs[output] = {
+            ...msg,
+            approval: {
+                id: approval.id,
+                status: approval.status,
+                title: approval.title,
+                required_role: approval.required_role,
+                requested_at: approval.requested_at,
+                decided_by: approval.decided_by,
+                decided_at: approval.decided_at,
+                comment: approval.comment
+            }
+        }
+        node.send(outputs)
+    } else if (mod.debug) {
+        node.log(`Approval ${approval.id} was ${approval.status} - message dropped`)
+    }
+
+    await taskPackageDB.setApprovalReleased(approval.id)
+}
+
+/**
+ * Hold a message until its approval is decided
+ * @param {object} node - The node instance
+ * @param {object} approval - The pending approval
+ * @param {object} msg - The parked message
+ */
+function hold(node, approval, msg) {
+    const handler = (decided) => {
+        if (decided.id !== approval.id) return
+
+        tpEvents.removeEventListener(eventName, handler)
+        node._held.delete(approval.id)
+        showWaiting(node)
+
+        release(node, decided, msg).catch((error) => {
+            node.error(`Error releasing approval ${approval.id}: ${error.message}`, msg)
+        })
+    }
+    const eventName = tpEvents.onApproval(approval.tpc_id, handler)
+
+    node._held.set(approval.id, { eventName, handler })
+    taskPackageRuntime.attachTask(approval.tpc_id, node.id)
+    showWaiting(node)
+}
+
+/**
+ * Take up the approvals this node held before a restart or redeploy
+ * @param {object} node - The node instance
+ */
+async function restoreApprovals(node) {
+    const approvals = await taskPackageDB.getApprovals({ node_id: node.id, unreleased: true })
+
+    for (const approval of approvals) {
+        if (node._held.has(approval.id)) continue
+
+        if (approval.status !== 'pending') {
+            // Decided while this node was not deployed - the flow continues from here
+            if (OUTPUTS[approval.status] !== undefined) {
+                taskPackageRuntime.attachTask(approval.tpc_id, node.id)
+            }
+            await release(node, approval, approval.message)
+            continue
+        }
+
+        // The task ended without the approval being closed
+        const instance = await taskPackageDB.getTaskPackageInstance(approval.tpc_id)
+        if (!instance || taskLifecycle.isTerminal(instance.status)) {
+            await taskPackageRuntime.decideApproval(approval.id, 'cancelled')
+            await taskPackageDB.setApprovalReleased(approval.id)
+            continue
+        }
+
+        hold(node, approval, approval.message)
+    }
+
+    if (approvals.length > 0 && mod.debug) {
+        node.log(`Restored ${approvals.length} approval(s)`)
+    }
+}
+
+/**
+ * Handle incoming messages: park the task until it is approved, rejected or times out
+ * @param {object} msg - The message object
+ * @param {function} send - Send function for Node-RED 1.0+
+ * @param {function} done - Done function for Node-RED 1.0+
+ */
+async function inputMsgHandler(msg, send, done) {
+    // `this` context is the node instance
+    const node = this
+
+    try {
+        if (!msg.tp_data) {
+            node.error('No tp_data found in message', msg)
+            done()
+            return
+        }
+
+        const tpc_id = msg.tp_data.tpc_id
+        if (!tpc_id) {
+            node.error('No task instance ID found in tp_data', msg)
+            done()
+            return
+        }
+
+        // A cleanup flow must not wait for anyone
+        if (isCleanupFlow(msg)) {
+            node.warn(`Cleanup flow of task ${tpc_id} passed without approval`)
+            send([msg, null, null])
+            done()
+            return
+        }
+
+        if (isTaskCancelled(node.context().flow, tpc_id, msg)) {
+            node.status({fill: 'orange', shape: 'dot', text: 'Cancelled'})
+            done()
+            return
+        }
+
+        // The message is stored with the approval so it survives a restart - HTTP objects cannot be
+        const { req, res, ...parked } = msg
+
+        let approval
+        try {
+            approval = await taskPackageRuntime.requestApproval({
+                tpc_id,
+                node_id: node.id,
+                message: parked,
+                title: msg.approval_title || node.title || null,
+                required_role: node.required_role || null,
+                timeout: node.timeout
+            })
+        } catch (error) {
+            if (error instanceof taskLifecycle.InvalidTransitionError) {
+                node.warn(`Task ${tpc_id} cannot wait for approval: ${error.message}`)
+                done()
+                return
+            }
+            throw error
+        }
+
+        hold(node, approval, parked)
+
+        if (mod.debug) {
+            node.log(`Task ${tpc_id} awaiting approval ${approval.id}`)
+        }
+
+        done()
+
+    } catch (error) {
+        node.error(`Error requesting approval: ${error.message}`, msg)
+        node.status({fill: 'red', shape: 'ring', text: 'Error'})
+        done(error)
+    }
+}
+
+/**
+ * Run when an actual instance of our node is committed to a flow
+ * @param {object} config The Node-RED config object
+ */
+function nodeInstance(config) {
+    // As a module-level named function, it will inherit `mod` and other module-level variables
+
+    // If you need it - which you will here - or just use mod.RED if you prefer:
+    const RED = mod.RED
+
+    // Create the node instance - `this` can only be referenced AFTER here
+    RED.nodes.createNode(this, config)
+
+    // Transfer config items from the Editor panel to the runtime
+    this.name = config.name || 'tp-wait-approval'
+    this.title = config.title || ''
+    this.required_role = config.required_role || ''
+    this.timeout = parseInt(config.timeout) || 0 // Seconds, 0 waits forever
+
+    /** @type {Map<string, {eventName: string, handler: function}>} Held messages by approval ID */
+    this._held = new Map()
+
+    // Set initial status
+    showWaiting(this)
+
+    // Handle incoming messages
+    this.on('input', inputMsgHandler)
+
+    // Take up the approvals held before a restart once the database is ready
+    let restoreTimer = null
+    const waitForDatabaseAndRestore = () => {
+        if (!taskPackageDB.isInitialized) {
+            restoreTimer = setTimeout(waitForDatabaseAndRestore, 1000) // Check every second
+            return
+        }
+        restoreApprovals(this).catch((error) => {
+            this.warn(`Failed to restore approvals: ${error.message}`)
+        })
+    }
+    // Let tp-config initialize the database first
+    restoreTimer = setTimeout(waitForDatabaseAndRestore, 2000)
+
+    if (mod.debug) {
+        this.log('tp-wait-approval node initialized')
+    }
+
+    /** Clean up on node removal/shutdown - pending approvals stay open for the next deploy */
+    this.on('close', (removed, done) => {
+        clearTimeout(restoreTimer)
+        for (const { eventName, handler } of this._held.values()) {
+            tpEvents.removeEventListener(eventName, handler)
+        }
+        this._held.clear()
+        taskPackageRuntime.detachNode(this.id)
+        done()
+    })
+}
+
+//#endregion
+
+/**
+ * Complete module definition for our Node. This is where things actually start.
+ * @param {RED} RED The Node-RED runtime object
+ */
+function TpWaitApproval(RED) {
+    // Save a reference to the RED runtime for convenience
+    mod.RED = RED
+
+    // Register the node type
+    RED.nodes.registerType(mod.nodeName, nodeInstance)
+
+    if (mod.debug) {
+        RED.log.info(`Registered node: ${mod.nodeName}`)
+    }
+}
+
+// Export the module definition, this is consumed by Node-RED on startup.
+module.exports = function(RED) {
+    TpWaitApproval(RED)
+}
@@ -0,0 +1,326 @@
+/** Task Package Wait Event Node
+ *  Holds a task's message until an update for the same instance matches a condition
+ *  Following TotallyInformation patterns
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { isDeepStrictEqual } = require('util')
+
+// Import shared utilities
+const { isCleanupFlow, isTaskCancelled, markAsCleanup } = require('../lib/tp-node-utils')
+const tpEvents = require('../lib/task-package-events')
+const taskPackageDB = require('../lib/task-package-db')
+
+/** --- Type Definitions --- */
+// @typedef {import('node-red')} RED
+
+//#region ----- Module level variables ---- //
+
+/** Main module variables */
+const mod = {
+    /** @type {RED} Reference to the master RED instance */
+    RED: undefined,
+    /** @type {string} Custom Node Name - must match HTML file and package.json */
+    nodeName: 'tp-wait-event',
+    /** @type {boolean} Turn on/off debugging */
+    debug: false,
+}
+
+//#endregion
+
+//#region ----- Module-level support functions ----- //
+
+/**
+ * Show how many tasks are waiting at this node
+ * @param {object} node - The node instance
+ */
+function showWaiting(node) {
+    let waiting = 0
+    for (const waits of node._waiting.values()) {
+        waiting += waits.size
+    }
+    if (waiting > 0) {
+        node.status({fill: 'yellow', shape: 'dot', text: `Waiting: ${waiting}`})
+    }
+}
+
+/**
+ * Listen for the update events of a task package - once per node, whatever the number of
+ * waiting tasks. Each update is handed to the waits of its instance only.
+ * @param {object} node - The node instance
+ * @param {string} tp_id - Task package ID
+ */
+function listenForUpdates(node, tp_id) {
+    if (node._updateListeners.has(tp_id)) return
+
+    const handler = (update) => {
+        const waits = node._waiting.get(update.tpc_id)
+        if (!waits) return
+
+        for (const pending of [...waits]) {
+            pending.onUpdate(update)
+        }
+    }
+    node._updateListeners.set(tp_id, { eventName: tpEvents.onUpdate(tp_id, handler), handler })
+}
+
+/**
+ * Check whether an update event satisfies the node's condition
+ * @param {object} node - The node instance
+ * @param {object} update - Update event from POST /task-package/update
+ * @param {object} msg - The held message
+ * @returns {Promise<boolean>} True if the update matches
+ */
+async function matchesCondition(node, update, msg) {
+    const RED = mod.RED
+    const update_data = update.update_data || {}
+
+    if (node.match === 'equals') {
+        const actual = RED.util.getObjectProperty(update_data, node.property)
+        const expected = RED.util.evaluateNodeProperty(node.value, node.value_type, node, msg)
+        return isDeepStrictEqual(actual, expected)
+    }
+
+    if (node.match === 'jsonata') {
+        // The expression sees the update data as payload, next to the held message's tp_data
+        const context = { ...msg, payload: update_data, update }
+        return new Promise((resolve, reject) => {
+            RED.util.evaluateJSONataExpression(node.expression, context, (error, result) => {
+                if (error) {
+                    reject(error)
+                } else {
+                    resolve(!!result)
+                }
+            })
+        })
+    }
+
+    return true
+}
+
+/**
+ * Handle incoming messages: hold the message until a matching update arrives, the
+ * timeout passes or the task is cancelled
+ * @param {object} msg - The message object
+ * @param {function} send - Send function for Node-RED 1.0+
+ * @param {function} done - Done function for Node-RED 1.0+
+ */
+async function inputMsgHandler(msg, send, done) {
+    // `this` context is the node instance
+    const node = this
+
+    try {
+        if (!msg.tp_data) {
+            node.error('No tp_data found in message', msg)
+            done()
+            return
+        }
+
+        const tpc_id = msg.tp_data.tpc_id
+        if (!tpc_id) {
+            node.error('No task instance ID found in tp_data', msg)
+            done()
+            return
+        }
+
+        if (node.match === 'jsonata' && !node.expression) {
+            node.error('Invalid JSONata expression - check the node configuration', msg)
+            done()
+            return
+        }
+
+        // Cancelled before it reached us (never for cleanup flows)
+        if (isTaskCancelled(node.context().flow, tpc_id, msg)) {
+            node.status({fill: 'orange', shape: 'dot', text: 'Cancelled'})
+            send([null, null, markAsCleanup(msg, 'cancelled')])
+            done()
+            return
+        }
+
+        // Update events are emitted per task package
+        let tp_id = msg.tp_data.tp_id
+        if (!tp_id) {
+            const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+            tp_id = instance ? instance.tp_id : null
+        }
+        if (!tp_id) {
+            node.error(`Task instance '${tpc_id}' not found`, msg)
+            done()
+            return
+        }
+
+        // Per-message wait state so parallel tasks do not share timers
+        const pending = {
+            timer: null,
+            listeners: [],
+            finished: false,
+            onUpdate: null,
+            cleanup: null
+        }
+
+        pending.cleanup = () => {
+            pending.finished = true
+            clearTimeout(pending.timer)
+            pending.listeners.forEach(({ eventName, handler }) => tpEvents.removeEventListener(eventName, handler))
+            pending.listeners = []
+
+            const waits = node._waiting.get(tpc_id)
+            if (waits) {
+                waits.delete(pending)
+                if (waits.size === 0) {
+                    node._waiting.delete(tpc_id)
+                }
+            }
+            showWaiting(node)
+        }
+
+        const finish = (outputs, status) => {
+            if (pending.finished) return
+            pending.cleanup()
+            node.status(status)
+            send(outputs)
+            done()
+        }
+
+        // Output 1: Matching update (dispatched by the node's update listener)
+        pending.onUpdate = async (update) => {
+            if (pending.finished) return
+
+            try {
+                if (!(await matchesCondition(node, update, msg))) return
+            } catch (error) {
+                node.warn(`Condition failed for update of task ${tpc_id}: ${error.message}`)
+                return
+            }
+
+            finish([{
+                ...msg,
+                update: {
+                    update_data: update.update_data || {},
+                    updated_by: update.updated_by,
+                    updated_at: update.updated_at
+                }
+            }, null, null], {fill: 'green', shape: 'dot', text: `Matched: ${tpc_id.substr(0, 8)}...`})
+        }
+        listenForUpdates(node, tp_id)
+
+        // Output 3: Cancellation, without waiting any longer (cleanup flows are never cancelled)
+        if (!isCleanupFlow(msg)) {
+            const cancelHandler = () => {
+                finish([null, null, markAsCleanup(msg, 'cancelled')], {fill: 'orange', shape: 'dot', text: 'Cancelled'})
+            }
+            pending.listeners.push({ eventName: tpEvents.onCancel(tpc_id, cancelHandler), handler: cancelHandler })
+        }
+
+        // Output 2: Timeout
+        if (node.timeout > 0) {
+            pending.timer = setTimeout(() => {
+                finish([null, { ...msg, timed_out: true }, null], {fill: 'red', shape: 'ring', text: `Timed out: ${tpc_id.substr(0, 8)}...`})
+            }, node.timeout * 1000)
+        }
+
+        if (!node._waiting.has(tpc_id)) {
+            node._waiting.set(tpc_id, new Set())
+        }
+        node._waiting.get(tpc_id).add(pending)
+        showWaiting(node)
+
+        if (mod.debug) {
+            node.log(`Task ${tpc_id} waiting for an update`)
+        }
+
+    } catch (error) {
+        node.error(`Error waiting for event: ${error.message}`, msg)
+        node.status({fill: 'red', shape: 'ring', text: 'Error'})
+        done(error)
+    }
+}
+
+/**
+ * Run when an actual instance of our node is committed to a flow
+ * @param {object} config The Node-RED config object
+ */
+function nodeInstance(config) {
+    // As a module-level named function, it will inherit `mod` and other module-level variables
+
+    // If you need it - which you will here - or just use mod.RED if you prefer:
+    const RED = mod.RED
+
+    // Create the node instance - `this` can only be referenced AFTER here
+    RED.nodes.createNode(this, config)
+
+    // Transfer config items from the Editor panel to the runtime
+    this.name = config.name || 'tp-wait-event'
+    this.match = ['equals', 'jsonata'].includes(config.match) ? config.match : 'any'
+    this.property = config.property || 'status'
+    this.value = config.value !== undefined ? config.value : ''
+    this.value_type = config.value_type || 'str'
+    this.timeout = parseFloat(config.timeout) || 0 // Seconds, 0 waits until cancelled
+
+    this.expression = null
+    if (this.match === 'jsonata') {
+        try {
+            this.expression = RED.util.prepareJSONataExpression(config.expression || 'true', this)
+        } catch (error) {
+            this.error(`Invalid JSONata expression: ${error.message}`)
+            this.status({fill: 'red', shape: 'ring', text: 'Invalid expression'})
+        }
+    }
+
+    /** @type {Map<string, Set<object>>} Waits in progress by task instance ID */
+    this._waiting = new Map()
+    /** @type {Map<string, {eventName: string, handler: function}>} Update listeners by task package ID */
+    this._updateListeners = new Map()
+
+    // Set initial status
+    if (this.match !== 'jsonata' || this.expression) {
+        this.status({fill: 'blue', shape: 'ring', text: 'Ready'})
+    }
+
+    // Handle incoming messages
+    this.on('input', inputMsgHandler)
+
+    if (mod.debug) {
+        this.log('tp-wait-event node initialized')
+    }
+
+    /** Clean up on node removal/shutdown */
+    this.on('close', (removed, done) => {
+        for (const waits of [...this._waiting.values()]) {
+            for (const pending of [...waits]) {
+                pending.cleanup()
+            }
+        }
+        for (const { eventName, handler } of this._updateListeners.values()) {
+            tpEvents.removeEventListener(eventName, handler)
+        }
+        this._updateListeners.clear()
+        done()
+    })
+}
+
+//#endregion
+
+/**
+ * Complete module definition for our Node. This is where things actually start.
+ * @param {RED} RED The Node-RED runtime object
+ */
+function TpWaitEvent(RED) {
+    // Save a reference to the RED runtime for convenience
+    mod.RED = RED
+
+    // Register the node type
+    RED.nodes.registerType(mod.nodeName, nodeInstance)
+
+    if (mod.debug) {
+        RED.log.info(`Registered node: ${mod.nodeName}`)
+    }
+}
+
+// Export the module definition, this is consumed by Node-RED on startup.
+module.exports = function(RED) {
+    TpWaitEvent(RED)
+}
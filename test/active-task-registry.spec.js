@@ -0,0 +1,124 @@
+/** Active task registry
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const activeTaskRegistry = require('../lib/active-task-registry')
+const tpEvents = require('../lib/task-package-events')
+
+describe('active task registry', () => {
+    let closeDB
+    let next = 0
+
+    /** Create an instance a tp-start node has picked up */
+    async function startInstance() {
+        const tpc_id = `active-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-reg', tp_name: 'Registry', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    /** Rows of the active_tasks table by tpc_id */
+    async function rows() {
+        return new Map((await taskPackageDB.getActiveTasks()).map(row => [row.tpc_id, row]))
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+    })
+
+    beforeEach(() => {
+        activeTaskRegistry.tasks.clear()
+    })
+
+    after(async () => {
+        await closeDB()
+    })
+
+    it('persists registrations, cancel flags and removals per instance in order', async () => {
+        const tpc_id = await startInstance()
+        activeTaskRegistry.register({ tpc_id, tp_id: 'tp-reg', node_id: 'start-1', flow_id: 'tab-1' })
+        activeTaskRegistry.markCancelled(tpc_id)
+        await activeTaskRegistry.writes.get(tpc_id)
+
+        const row = (await rows()).get(tpc_id)
+        assert.equal(row.node_id, 'start-1')
+        assert.equal(row.cancelled, true)
+        assert.ok(activeTaskRegistry.isCancelled(tpc_id))
+        assert.deepEqual(activeTaskRegistry.list({ flow_id: 'tab-1' }).map(entry => entry.tpc_id), [tpc_id])
+
+        activeTaskRegistry.remove(tpc_id)
+        assert.equal(activeTaskRegistry.get(tpc_id), null)
+        await settle()
+        assert.equal((await rows()).has(tpc_id), false)
+        assert.equal(activeTaskRegistry.writes.size, 0)
+    })
+
+    it('drops an instance when its completion event is emitted', async () => {
+        const tpc_id = await startInstance()
+        activeTaskRegistry.register({ tpc_id, tp_id: 'tp-reg' })
+
+        tpEvents.emitComplete(tpc_id, { tpc_id, tp_id: 'tp-reg', final_status: 'completed' })
+        assert.equal(activeTaskRegistry.get(tpc_id), null)
+    })
+
+    it('loads active instances from the database and drops finished ones', async () => {
+        const running = await startInstance()
+        const finished = await startInstance()
+        activeTaskRegistry.register({ tpc_id: running, tp_id: 'tp-reg', node_id: 'start-1' })
+        activeTaskRegistry.register({ tpc_id: finished, tp_id: 'tp-reg', node_id: 'start-1' })
+        activeTaskRegistry.markCancelled(running)
+        await settle()
+        await taskLifecycle.transition(finished, 'completed')
+
+        // As after a restart
+        activeTaskRegistry.tasks.clear()
+        await activeTaskRegistry.load()
+
+        assert.equal(activeTaskRegistry.get(running).node_id, 'start-1')
+        assert.ok(activeTaskRegistry.isCancelled(running))
+        assert.equal(activeTaskRegistry.get(finished), null)
+        await settle()
+        assert.equal((await rows()).has(finished), false)
+        activeTaskRegistry.remove(running)
+        await settle()
+    })
+
+    it('keeps running instances visible while loading and waits for queued writes', async () => {
+        const tpc_id = await startInstance()
+        activeTaskRegistry.register({ tpc_id, tp_id: 'tp-reg', node_id: 'start-1' })
+        activeTaskRegistry.markCancelled(tpc_id)
+
+        // Load with the writes still queued
+        const loading = activeTaskRegistry.load()
+        assert.ok(activeTaskRegistry.isCancelled(tpc_id), 'still visible while the database is read')
+        await loading
+
+        assert.ok(activeTaskRegistry.isCancelled(tpc_id))
+        assert.equal((await rows()).get(tpc_id).cancelled, true)
+        activeTaskRegistry.remove(tpc_id)
+        await settle()
+    })
+
+    it('does not bring back an instance removed while loading', async () => {
+        const tpc_id = await startInstance()
+        activeTaskRegistry.register({ tpc_id, tp_id: 'tp-reg' })
+        await settle()
+
+        const loading = activeTaskRegistry.load()
+        activeTaskRegistry.remove(tpc_id)
+        await loading
+
+        assert.equal(activeTaskRegistry.get(tpc_id), null)
+        await settle()
+        assert.equal((await rows()).has(tpc_id), false)
+    })
+})
@@ -0,0 +1,230 @@
+/** tp-wait-approval and the approve/reject endpoints
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+
+describe('approvals', () => {
+    let closeDB
+    let server
+    let red
+    let node
+    let next = 0
+
+    /** Create a running instance */
+    async function startInstance() {
+        const tpc_id = `approval-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-approval', tp_name: 'Approval', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    /** Park an instance at a node and return its pending approval */
+    async function park(tpc_id, target = node, msg = {}) {
+        await red.input(target, { tp_data: { tpc_id }, payload: tpc_id, ...msg })
+        const [approval] = await taskPackageDB.getApprovals({ tpc_id, status: 'pending' })
+        return approval
+    }
+
+    async function statusOf(tpc_id) {
+        return (await taskPackageDB.getTaskPackageInstance(tpc_id)).status
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-wait-approval')
+        node = await red.deployNow({ id: 'approval-1', type: 'tp-wait-approval', z: 'tab-1', title: 'Sign off' })
+    })
+
+    after(async () => {
+        await red.close(node)
+        await server.close()
+        await closeDB()
+    })
+
+    it('parks the task until it is approved, then sends it on the Approved output', async () => {
+        const tpc_id = await startInstance()
+        const approval = await park(tpc_id)
+
+        assert.equal(await statusOf(tpc_id), 'awaiting_approval')
+        assert.equal(approval.title, 'Sign off')
+        assert.equal(approval.node_id, 'approval-1')
+        assert.equal(node.sent.length, 0)
+        assert.match(node.statuses.at(-1).text, /Awaiting approval: 1/)
+
+        const listed = await server.request('GET', '/approvals?tp_id=tp-approval')
+        assert.ok(listed.body.some(pending => pending.id === approval.id))
+
+        const response = await server.request('POST', '/approve', { approval_id: approval.id, comment: 'ok' })
+        assert.equal(response.status, 200)
+        assert.equal(response.body.status, 'approved')
+        assert.equal(response.body.decided_by, 'admin')
+        assert.equal(response.body.comment, 'ok')
+
+        const outputs = node.sent.pop()
+        assert.equal(outputs[1], null)
+        assert.equal(outputs[2], null)
+        assert.equal(outputs[0].payload, tpc_id)
+        assert.equal(outputs[0].approval.status, 'approved')
+        assert.equal(outputs[0].approval.comment, 'ok')
+
+        assert.equal(await statusOf(tpc_id), 'ongoing')
+        await settle()
+        assert.ok((await taskPackageDB.getApproval(approval.id)).released_at)
+        assert.match(node.statuses.at(-1).text, /Ready/)
+    })
+
+    it('sends a rejected task on the Rejected output, looked up by tpc_id', async () => {
+        const tpc_id = await startInstance()
+        await park(tpc_id)
+
+        const response = await server.request('POST', '/reject', { tpc_id })
+        assert.equal(response.status, 200)
+        assert.equal(response.body.status, 'rejected')
+
+        const outputs = node.sent.pop()
+        assert.equal(outputs[0], null)
+        assert.equal(outputs[1].approval.status, 'rejected')
+        assert.equal(await statusOf(tpc_id), 'ongoing')
+    })
+
+    it('refuses a second decision', async () => {
+        const tpc_id = await startInstance()
+        const approval = await park(tpc_id)
+        await server.request('POST', '/approve', { approval_id: approval.id })
+
+        const response = await server.request('POST', '/reject', { approval_id: approval.id })
+        assert.equal(response.status, 409)
+        assert.equal(response.body.current_status, 'approved')
+        assert.equal(node.sent.length, 1)
+        node.sent.length = 0
+    })
+
+    it('sends the task on the Timed out output when nobody decides in time', async () => {
+        const timed = await red.deployNow({ id: 'approval-timed', type: 'tp-wait-approval', z: 'tab-1', timeout: '1' })
+        const tpc_id = await startInstance()
+        const approval = await park(tpc_id, timed)
+        assert.ok(approval.expires_at)
+        assert.ok(taskPackageRuntime.approvalTimeouts.has(approval.id))
+
+        await settle(1100)
+
+        const outputs = timed.sent.pop()
+        assert.equal(outputs[2].approval.status, 'timed_out')
+        assert.equal(outputs[2].approval.decided_by, 'system')
+        assert.equal(await statusOf(tpc_id), 'ongoing')
+        assert.ok(!taskPackageRuntime.approvalTimeouts.has(approval.id))
+        await red.close(timed)
+    })
+
+    it('clears the timeout when the approval is decided first', async () => {
+        const timed = await red.deployNow({ id: 'approval-timed-2', type: 'tp-wait-approval', z: 'tab-1', timeout: '60' })
+        const tpc_id = await startInstance()
+        const approval = await park(tpc_id, timed)
+
+        await server.request('POST', '/approve', { approval_id: approval.id })
+
+        assert.ok(!taskPackageRuntime.approvalTimeouts.has(approval.id))
+        await red.close(timed)
+    })
+
+    it('drops the message when the task is cancelled while waiting', async () => {
+        const tpc_id = await startInstance()
+        const approval = await park(tpc_id)
+
+        await taskPackageRuntime.cancelTask(tpc_id, { actor: 'bob' })
+        await settle()
+
+        assert.equal((await taskPackageDB.getApproval(approval.id)).status, 'cancelled')
+        assert.equal(node.sent.length, 0)
+        assert.equal(await statusOf(tpc_id), 'cancelling')
+        await taskLifecycle.transition(tpc_id, 'cancelled')
+    })
+
+    it('lets a cleanup flow pass without approval', async () => {
+        const tpc_id = await startInstance()
+
+        await red.input(node, { tp_data: { tpc_id }, _tpCleanup: true })
+
+        assert.ok(node.sent.pop()[0])
+        assert.match(node.logs.warn.at(-1), /passed without approval/)
+        assert.deepEqual(await taskPackageDB.getApprovals({ tpc_id }), [])
+    })
+
+    it('does not park a task that cannot wait', async () => {
+        const tpc_id = await startInstance()
+        await taskLifecycle.transition(tpc_id, 'completed')
+
+        await red.input(node, { tp_data: { tpc_id } })
+
+        assert.match(node.logs.warn.at(-1), /cannot wait for approval/)
+        assert.deepEqual(await taskPackageDB.getApprovals({ tpc_id }), [])
+    })
+
+    it('releases a task decided while its node was not deployed, on the next deploy', async () => {
+        const config = { id: 'approval-redeploy', type: 'tp-wait-approval', z: 'tab-1' }
+        let redeployed = await red.deployNow(config)
+        const decided = await startInstance()
+        const pending = await startInstance()
+        const decidedApproval = await park(decided, redeployed)
+        await park(pending, redeployed)
+        await red.close(redeployed)
+
+        await server.request('POST', '/approve', { approval_id: decidedApproval.id })
+        assert.equal(redeployed.sent.length, 0)
+
+        redeployed = await red.deployNow(config)
+
+        assert.equal(redeployed.sent.length, 1)
+        assert.equal(redeployed.sent[0][0].payload, decided)
+        assert.equal(redeployed._held.size, 1)
+
+        await server.request('POST', '/approve', { tpc_id: pending })
+        assert.equal(redeployed.sent.length, 2)
+        assert.equal(redeployed.sent[1][0].payload, pending)
+        await red.close(redeployed)
+    })
+
+    it('validates the request', async () => {
+        assert.equal((await server.request('POST', '/approve', {})).status, 400)
+        assert.equal((await server.request('POST', '/approve', { tpc_id: 'x', comment: 5 })).status, 400)
+        assert.equal((await server.request('POST', '/approve', { approval_id: 'unknown' })).status, 404)
+        assert.equal((await server.request('POST', '/reject', { tpc_id: 'approval-unknown' })).status, 404)
+        assert.equal((await server.request('GET', '/approvals?status=maybe')).status, 400)
+    })
+
+    it('requires the configured role to decide when security is enabled', async () => {
+        const gated = await red.deployNow({ id: 'approval-role', type: 'tp-wait-approval', z: 'tab-1', required_role: 'supervisor' })
+        const tpc_id = await startInstance()
+        const approval = await park(tpc_id, gated)
+
+        let caller = { user: 'bob', roles: ['porter'] }
+        server.api.config = { keycloak_url: 'http://keycloak.invalid' }
+        mock.method(server.api, 'validateRequest', async () => ({ valid: true, tp_allowed: [], ...caller }))
+        try {
+            assert.equal((await server.request('POST', '/approve', { approval_id: approval.id })).status, 403)
+
+            caller = { user: 'carol', roles: ['supervisor'] }
+            const response = await server.request('POST', '/approve', { approval_id: approval.id })
+            assert.equal(response.status, 200)
+            assert.equal(response.body.decided_by, 'carol')
+        } finally {
+            mock.restoreAll()
+            server.api.config = {}
+            await red.close(gated)
+        }
+    })
+})
@@ -0,0 +1,124 @@
+/** Bulk cancel
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const tpEvents = require('../lib/task-package-events')
+
+describe('bulk cancel', () => {
+    let closeDB
+    let server
+    let next = 0
+    const cancels = []
+
+    /** Create an instance and move it along the lifecycle */
+    async function instance(tp_id, user, path = []) {
+        const tpc_id = `bulk-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name: tp_id, user, status: path[0] === 'queued' ? 'queued' : 'created' })
+        for (const to of path.filter(status => status !== 'queued')) {
+            await taskLifecycle.transition(tpc_id, to)
+        }
+        return tpc_id
+    }
+
+    async function statusOf(tpc_id) {
+        return (await taskPackageDB.getTaskPackageInstance(tpc_id)).status
+    }
+
+    function bulkCancel(body) {
+        return server.request('POST', '/cancel/bulk', body)
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        tpEvents.onCancel('*', event => cancels.push(event))
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('cancels every matching instance through the single-instance path', async () => {
+        const queued = await instance('tp-bulk', 'alice', ['queued'])
+        const running = await instance('tp-bulk', 'bob', ['started', 'ongoing'])
+        const done = await instance('tp-bulk', 'alice', ['started', 'completed'])
+        const other = await instance('tp-other', 'alice', ['started'])
+
+        const response = await bulkCancel({ filter: { tp_id: 'tp-bulk' }, reason: 'ward closed', ward: 'B2' })
+        assert.equal(response.status, 200)
+        assert.equal(response.body.matched, 2)
+        assert.equal(response.body.cancelled, 2)
+        assert.deepEqual(
+            response.body.results.map(result => [result.tpc_id, result.previous_status, result.status]).sort(),
+            [[queued, 'queued', 'cancelled'], [running, 'ongoing', 'cancelling']].sort()
+        )
+
+        assert.equal(await statusOf(queued), 'cancelled')
+        assert.equal(await statusOf(running), 'cancelling')
+        assert.equal(await statusOf(done), 'completed')
+        assert.equal(await statusOf(other), 'started')
+
+        const event = cancels.find(cancel => cancel.tpc_id === running)
+        assert.equal(event.cancelled_by, 'admin')
+        assert.equal(event.reason, 'ward closed')
+        assert.deepEqual(event.payload, { ward: 'B2', reason: 'ward closed', bulk: true })
+
+        const history = await taskPackageDB.getStatusHistory(queued)
+        assert.equal(history.at(-1).reason, 'ward closed')
+    })
+
+    it('combines user, status and creation time filters', async () => {
+        const mine = await instance('tp-filter', 'carol', ['started'])
+        const paused = await instance('tp-filter', 'carol', ['started', 'paused'])
+        const theirs = await instance('tp-filter', 'dave', ['started'])
+
+        const response = await bulkCancel({
+            filter: { user: 'carol', status: 'started', created_after: new Date(Date.now() - 60000).toISOString() }
+        })
+        assert.deepEqual(response.body.results.map(result => result.tpc_id), [mine])
+        assert.equal(await statusOf(paused), 'paused')
+        assert.equal(await statusOf(theirs), 'started')
+
+        const none = await bulkCancel({ filter: { tp_id: 'tp-filter', created_before: '2000-01-01T00:00:00Z' } })
+        assert.equal(none.body.matched, 0)
+    })
+
+    it('reports instances that cannot be cancelled without stopping the rest', async () => {
+        const finished = await instance('tp-mixed', 'erin', ['started', 'completed'])
+        const running = await instance('tp-mixed', 'erin', ['started'])
+
+        const response = await bulkCancel({ filter: { tp_id: 'tp-mixed', status: ['completed', 'started'] } })
+        assert.equal(response.body.matched, 2)
+        assert.equal(response.body.cancelled, 1)
+
+        const failed = response.body.results.find(result => result.tpc_id === finished)
+        assert.equal(failed.status, 'completed')
+        assert.match(failed.error, /completed -> cancelling/)
+        assert.equal(await statusOf(running), 'cancelling')
+    })
+
+    it('rejects a missing, empty or malformed filter', async () => {
+        for (const body of [
+            {},
+            { filter: {} },
+            { filter: ['tp-bulk'] },
+            { filter: { status: 'done' } },
+            { filter: { created_before: 'yesterday' } },
+            { filter: { tp_id: 7 } }
+        ]) {
+            const response = await bulkCancel(body)
+            assert.equal(response.status, 400, JSON.stringify(body))
+        }
+    })
+})
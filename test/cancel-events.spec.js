@@ -0,0 +1,120 @@
+/** Cancel events pushed to tp-cancel and tp-delay
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { createRED } = require('./helpers/red')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const activeTaskRegistry = require('../lib/active-task-registry')
+const tpEvents = require('../lib/task-package-events')
+
+describe('cancel events', () => {
+    let closeDB
+    let red
+    let next = 0
+
+    /** Create a running instance held by a flow on a tab */
+    async function startInstance(tp_id, flow_id = 'tab-1') {
+        const tpc_id = `push-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name: tp_id, user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        activeTaskRegistry.register({ tpc_id, tp_id, tp_name: tp_id, node_id: 'start-1', flow_id })
+        return tpc_id
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        red = createRED()
+        red.load('tp-cancel')
+        red.load('tp-delay')
+    })
+
+    after(async () => {
+        await closeDB()
+    })
+
+    it('notifies all-instance, package and instance listeners in that order', () => {
+        const order = []
+        const handlers = [
+            ['*', () => order.push('all'), 'onCancel'],
+            ['tp-order', () => order.push('package'), 'onPackageCancel'],
+            ['order-1', () => order.push('instance'), 'onCancel']
+        ].map(([key, handler, method]) => ({ eventName: tpEvents[method](key, handler), handler }))
+
+        tpEvents.emitCancel('order-1', { tpc_id: 'order-1', tp_id: 'tp-order' })
+        assert.deepEqual(order, ['all', 'package', 'instance'])
+
+        handlers.forEach(({ eventName, handler }) => tpEvents.removeEventListener(eventName, handler))
+    })
+
+    it('pushes a cancel to the tp-cancel node of its task package, which starts the cleanup flow', async () => {
+        const cancelNode = red.deploy({ id: 'cancel-1', type: 'tp-cancel', z: 'tab-1', tp_id: 'tp-push' })
+        const otherNode = red.deploy({ id: 'cancel-2', type: 'tp-cancel', z: 'tab-1', tp_id: 'tp-elsewhere' })
+        assert.ok(tpEvents.hasPackageCancelListener('tp-push'))
+
+        const tpc_id = await startInstance('tp-push')
+        await taskPackageRuntime.cancelTask(tpc_id, { actor: 'bob', reason: 'patient discharged', payload: { bed: 3 } })
+
+        assert.ok(activeTaskRegistry.isCancelled(tpc_id))
+        assert.equal(otherNode.sent.length, 0)
+        assert.equal(cancelNode.sent.length, 1)
+        const [msg] = cancelNode.sent
+        assert.equal(msg.tp_data.tpc_id, tpc_id)
+        assert.equal(msg.tp_data.mode, 'cancel')
+        assert.equal(msg.tp_data.cancel_reason, 'patient discharged')
+        assert.deepEqual(msg.payload, { bed: 3 })
+        assert.equal(msg._tpCleanup, true)
+
+        await red.close(cancelNode, true)
+        await red.close(otherNode, true)
+        assert.equal(tpEvents.hasPackageCancelListener('tp-push'), false)
+    })
+
+    it('without a tp_id only cleans up tasks started in its own flow', async () => {
+        const cancelNode = red.deploy({ id: 'cancel-3', type: 'tp-cancel', z: 'tab-2' })
+        const own = await startInstance('tp-any', 'tab-2')
+        const foreign = await startInstance('tp-any', 'tab-9')
+
+        await taskPackageRuntime.cancelTask(foreign)
+        await taskPackageRuntime.cancelTask(own)
+
+        assert.deepEqual(cancelNode.sent.map(msg => msg.tp_data.tpc_id), [own])
+        await red.close(cancelNode, true)
+    })
+
+    it('ignores cancels of instances no flow holds', async () => {
+        const cancelNode = red.deploy({ id: 'cancel-4', type: 'tp-cancel', z: 'tab-1', tp_id: 'tp-push' })
+        tpEvents.emitCancel('not-active', { tpc_id: 'not-active', tp_id: 'tp-push' })
+        assert.equal(cancelNode.sent.length, 0)
+        await red.close(cancelNode, true)
+    })
+
+    it('stops a running tp-delay as soon as its task is cancelled', async () => {
+        const cancelNode = red.deploy({ id: 'cancel-5', type: 'tp-cancel', z: 'tab-1', tp_id: 'tp-push' })
+        const delay = red.deploy({ id: 'delay-1', type: 'tp-delay', z: 'tab-1', delay_time: '60000' })
+        const tpc_id = await startInstance('tp-push')
+
+        const done = red.input(delay, { tp_data: { tpc_id }, payload: 'wait' })
+        await settle()
+        await taskPackageRuntime.cancelTask(tpc_id)
+        await done
+
+        const [passed, cancelled] = delay.sent[0]
+        assert.equal(passed, null)
+        assert.equal(cancelled._tpCleanup, true)
+        assert.equal(delay._pending.size, 0)
+
+        // Flagged by tp-cancel before the next message arrived: no delay at all
+        await red.input(delay, { tp_data: { tpc_id }, payload: 'late' })
+        assert.equal(delay.sent[1][1].payload, 'late')
+        await red.close(delay, true)
+        await red.close(cancelNode, true)
+    })
+})
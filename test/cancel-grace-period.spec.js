@@ -0,0 +1,117 @@
+/** Cancel grace period
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const tpEvents = require('../lib/task-package-events')
+
+describe('cancel grace period', () => {
+    let closeDB
+    let next = 0
+
+    /** Create a running instance of a task package */
+    async function startInstance(tp_id) {
+        const tpc_id = `grace-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name: tp_id, user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    /** Collect the completion events of an instance */
+    function completions(tpc_id) {
+        const events = []
+        tpEvents.onComplete(tpc_id, event => events.push(event))
+        return events
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        // Grace periods of 0.1 s keep the tests short
+        await taskPackageDB.upsertTaskPackage('tp-grace', 'Grace', 'grace', { cancel_grace_period: 0.1 })
+        await taskPackageDB.upsertTaskPackage('tp-grace-fail', 'Grace fail', 'grace', { cancel_grace_period: 0.1, cancel_timeout_status: 'cancel_failed' })
+        await taskPackageDB.upsertTaskPackage('tp-no-grace', 'No grace', 'grace')
+    })
+
+    after(async () => {
+        for (const tpc_id of [...taskPackageRuntime.cancelDeadlines.keys()]) {
+            taskPackageRuntime.clearCancelDeadline(tpc_id)
+        }
+        await closeDB()
+    })
+
+    it('forces a cancelling instance whose cleanup flow never ends to cancelled', async () => {
+        const tpc_id = await startInstance('tp-grace')
+        const events = completions(tpc_id)
+
+        await taskPackageRuntime.cancelTask(tpc_id, { actor: 'bob' })
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.status, 'cancelling')
+        assert.ok(instance.cancel_deadline_at)
+        assert.ok(taskPackageRuntime.cancelDeadlines.has(tpc_id))
+
+        await settle(200)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'cancelled')
+        assert.equal(events.length, 1)
+        assert.deepEqual({ ...events[0], completed_at: null }, {
+            tpc_id, tp_id: 'tp-grace', tp_name: 'tp-grace', final_status: 'cancelled',
+            completed_at: null, was_cancelled: true, forced: true
+        })
+
+        const history = await taskPackageDB.getStatusHistory(tpc_id)
+        assert.deepEqual(
+            [history.at(-1).from_status, history.at(-1).to_status, history.at(-1).reason],
+            ['cancelling', 'cancelled', 'cancel grace period expired']
+        )
+    })
+
+    it('forces cancel_failed when the task package is set up that way', async () => {
+        const tpc_id = await startInstance('tp-grace-fail')
+        await taskPackageRuntime.cancelTask(tpc_id)
+
+        await settle(200)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'cancel_failed')
+    })
+
+    it('stops the timer when the cleanup flow ends the instance in time', async () => {
+        const tpc_id = await startInstance('tp-grace')
+        await taskPackageRuntime.cancelTask(tpc_id)
+
+        await taskLifecycle.transition(tpc_id, 'cancelled')
+        tpEvents.emitComplete(tpc_id, { tpc_id, tp_id: 'tp-grace', final_status: 'cancelled' })
+        assert.equal(taskPackageRuntime.cancelDeadlines.has(tpc_id), false)
+
+        await settle(200)
+        const history = await taskPackageDB.getStatusHistory(tpc_id)
+        assert.equal(history.filter(entry => entry.to_status === 'cancelled').length, 1)
+    })
+
+    it('waits for the cleanup flow indefinitely without a grace period', async () => {
+        const tpc_id = await startInstance('tp-no-grace')
+        await taskPackageRuntime.cancelTask(tpc_id)
+
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).cancel_deadline_at, null)
+        assert.equal(taskPackageRuntime.cancelDeadlines.has(tpc_id), false)
+    })
+
+    it('restores the grace period on startup and forces expired ones straight away', async () => {
+        const tpc_id = await startInstance('tp-grace')
+        await taskLifecycle.transition(tpc_id, 'cancelling')
+        await taskPackageDB.setCancelDeadline(tpc_id, new Date(Date.now() - 1000).toISOString())
+        // The cleanup flow is still held by this process, so reconciliation leaves it alone
+        taskPackageRuntime.liveTasks.set(tpc_id, 'start-1')
+
+        await taskPackageRuntime.init()
+        await settle(50)
+
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'cancelled')
+    })
+})
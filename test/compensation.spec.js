@@ -0,0 +1,240 @@
+/** Compensation actions on cancel or failure
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const activeTaskRegistry = require('../lib/active-task-registry')
+
+describe('compensation', () => {
+    let closeDB
+    let server
+    let red
+    let reserve
+    let charge
+    let complete
+    let next = 0
+
+    /** Create a running instance */
+    async function startInstance() {
+        const tpc_id = `compensation-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-compensation', tp_name: 'Compensation', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    async function compensationsOf(tpc_id) {
+        return (await server.request('GET', `/status?tpc_id=${tpc_id}`)).body.compensations
+    }
+
+    /** The compensation messages a node sent on its Compensate output */
+    function replayed(node) {
+        return node.sent.filter(outputs => outputs[1]).map(outputs => outputs[1])
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-compensate')
+        red.load('tp-fail')
+        red.load('tp-end')
+        reserve = red.deploy({ id: 'compensate-reserve', type: 'tp-compensate', z: 'tab-1', compensation: 'Release bed' })
+        charge = red.deploy({ id: 'compensate-charge', type: 'tp-compensate', z: 'tab-1', compensation: 'Refund', capture: 'tp_data.amount' })
+        complete = red.deploy({ id: 'compensate-complete', type: 'tp-compensate', z: 'tab-1', action: 'complete' })
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('registers compensations and passes the message on', async () => {
+        const tpc_id = await startInstance()
+
+        await red.input(reserve, { tp_data: { tpc_id }, payload: { bed: 7 } })
+        await red.input(charge, { tp_data: { tpc_id, amount: 40 } })
+
+        assert.equal(reserve.sent.pop()[0].payload.bed, 7)
+        assert.ok(charge.sent.pop()[0])
+
+        const compensations = await compensationsOf(tpc_id)
+        assert.deepEqual(compensations.map(({ name, status, trigger }) => ({ name, status, trigger })), [
+            { name: 'Release bed', status: 'registered', trigger: null },
+            { name: 'Refund', status: 'registered', trigger: null },
+        ])
+        assert.deepEqual((await taskPackageDB.getCompensations(tpc_id)).map(compensation => compensation.data), [{ bed: 7 }, 40])
+    })
+
+    it('replays the compensations in reverse order, as cleanup messages', async () => {
+        const tpc_id = await startInstance()
+        await red.input(reserve, { tp_data: { tpc_id }, payload: { bed: 7 } })
+        await red.input(charge, { tp_data: { tpc_id, amount: 40 } })
+
+        const outcomes = await taskPackageRuntime.compensate(tpc_id, 'cancelled')
+        assert.deepEqual(outcomes.map(({ name, status }) => [name, status]), [['Refund', 'done'], ['Release bed', 'done']])
+
+        const [msg] = replayed(reserve)
+        assert.deepEqual(msg.payload, { bed: 7 })
+        assert.equal(msg.compensation.name, 'Release bed')
+        assert.equal(msg.compensation.trigger, 'cancelled')
+        assert.equal(msg._tpCleanup, true)
+        assert.equal(msg.tp_data.status, 'started')
+        assert.equal(replayed(charge)[0].payload, 40)
+
+        const compensations = await compensationsOf(tpc_id)
+        assert.ok(compensations.every(({ status, trigger, finished_at }) => status === 'done' && trigger === 'cancelled' && finished_at))
+
+        // Nothing is replayed twice
+        assert.deepEqual(await taskPackageRuntime.compensate(tpc_id, 'cancelled'), [])
+        reserve.sent.length = 0
+        charge.sent.length = 0
+    })
+
+    it('replays only once when asked twice at the same time', async () => {
+        const tpc_id = await startInstance()
+        await red.input(reserve, { tp_data: { tpc_id } })
+
+        const [first, second] = await Promise.all([
+            taskPackageRuntime.compensate(tpc_id, 'cancelled'),
+            taskPackageRuntime.compensate(tpc_id, 'failed'),
+        ])
+
+        assert.equal(first, second)
+        assert.equal(replayed(reserve).length, 1)
+        reserve.sent.length = 0
+    })
+
+    it('waits for the compensation flow to confirm before replaying the next', async () => {
+        const confirmed = red.deploy({ id: 'compensate-confirmed', type: 'tp-compensate', z: 'tab-1', compensation: 'Unload', confirm: true, confirm_timeout: '0' })
+        const tpc_id = await startInstance()
+        await red.input(reserve, { tp_data: { tpc_id } })
+        await red.input(confirmed, { tp_data: { tpc_id } })
+
+        const replay = taskPackageRuntime.compensate(tpc_id, 'failed')
+        await settle()
+
+        const [msg] = replayed(confirmed)
+        assert.equal(msg.compensation.trigger, 'failed')
+        assert.equal(replayed(reserve).length, 0)
+        assert.equal((await compensationsOf(tpc_id))[1].status, 'running')
+
+        await red.input(complete, msg)
+        assert.deepEqual((await replay).map(({ status }) => status), ['done', 'done'])
+        assert.equal(replayed(reserve).length, 1)
+        assert.match(complete.statuses.at(-1).text, /Compensated Unload/)
+        reserve.sent.length = 0
+        await red.close(confirmed)
+    })
+
+    it('goes on when a confirmation does not come in time', async () => {
+        const confirmed = red.deploy({ id: 'compensate-slow', type: 'tp-compensate', z: 'tab-1', compensation: 'Slow', confirm: true, confirm_timeout: '1' })
+        const tpc_id = await startInstance()
+        await red.input(confirmed, { tp_data: { tpc_id } })
+        const warn = mock.method(console, 'warn', () => {})
+
+        try {
+            const outcomes = await taskPackageRuntime.compensate(tpc_id, 'cancelled')
+            assert.deepEqual(outcomes.map(({ status }) => status), ['timed_out'])
+            assert.match(warn.mock.calls[0].arguments[0], /not confirmed in time/)
+        } finally {
+            warn.mock.restore()
+            await red.close(confirmed)
+        }
+    })
+
+    it('lets tp-end end a cancelled task when a confirmation without a timeout never comes', { timeout: 5000 }, async () => {
+        const confirmed = red.deploy({ id: 'compensate-unbounded', type: 'tp-compensate', z: 'tab-1', compensation: 'Never', confirm: true, confirm_timeout: '0' })
+        const end = red.deploy({ id: 'compensation-end', type: 'tp-end', z: 'tab-1' })
+        const tpc_id = await startInstance()
+        await red.input(confirmed, { tp_data: { tpc_id } })
+        activeTaskRegistry.register({ tpc_id, tp_id: 'tp-compensation' })
+        activeTaskRegistry.markCancelled(tpc_id)
+        await taskLifecycle.transition(tpc_id, 'cancelling')
+        const warn = mock.method(console, 'warn', () => {})
+
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() })
+        try {
+            const ended = red.input(end, { tp_data: { tpc_id } })
+            while (taskPackageRuntime.compensationWaits.size === 0) {
+                await new Promise(resolve => setImmediate(resolve))
+            }
+
+            // Falls back to a 60 second limit instead of waiting forever
+            mock.timers.tick(59 * 1000)
+            assert.equal(taskPackageRuntime.compensationWaits.size, 1)
+            mock.timers.tick(1000)
+            assert.equal(await ended, undefined)
+        } finally {
+            mock.timers.reset()
+            warn.mock.restore()
+            await red.close(end)
+            await red.close(confirmed)
+        }
+
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'cancelled')
+        assert.equal((await compensationsOf(tpc_id))[0].status, 'timed_out')
+    })
+
+    it('skips the compensations of nodes that are no longer deployed', async () => {
+        const removed = red.deploy({ id: 'compensate-removed', type: 'tp-compensate', z: 'tab-1', compensation: 'Gone' })
+        const tpc_id = await startInstance()
+        await red.input(removed, { tp_data: { tpc_id } })
+        await red.close(removed, true)
+        const warn = mock.method(console, 'warn', () => {})
+
+        try {
+            const outcomes = await taskPackageRuntime.compensate(tpc_id, 'cancelled')
+            assert.deepEqual(outcomes.map(({ status }) => status), ['skipped'])
+            assert.match(warn.mock.calls[0].arguments[0], /is not deployed/)
+        } finally {
+            warn.mock.restore()
+        }
+    })
+
+    it('replays the compensations before a task is failed', async () => {
+        const fail = red.deploy({ id: 'compensation-fail', type: 'tp-fail', z: 'tab-1', error_message: 'Broken' })
+        const tpc_id = await startInstance()
+        await red.input(reserve, { tp_data: { tpc_id } })
+
+        await red.input(fail, { tp_data: { tpc_id } })
+
+        const [msg] = replayed(reserve)
+        assert.equal(msg.compensation.trigger, 'failed')
+        assert.equal(msg.tp_data.status, 'started')
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'failed')
+        assert.equal((await compensationsOf(tpc_id))[0].status, 'done')
+        reserve.sent.length = 0
+    })
+
+    it('does not register while the task is undone or has ended', async () => {
+        const tpc_id = await startInstance()
+
+        await red.input(reserve, { tp_data: { tpc_id }, _tpCleanup: true })
+        assert.deepEqual(await taskPackageDB.getCompensations(tpc_id), [])
+        assert.ok(reserve.sent.pop()[0])
+
+        await taskLifecycle.transition(tpc_id, 'completed')
+        await red.input(reserve, { tp_data: { tpc_id } })
+        assert.match(reserve.logs.warn.at(-1), /not registered: task .* is completed/)
+        assert.deepEqual(await taskPackageDB.getCompensations(tpc_id), [])
+        reserve.sent.length = 0
+    })
+
+    it('warns when "Complete" gets a message without a compensation', async () => {
+        await red.input(complete, { tp_data: { tpc_id: 'compensation-x' }, payload: 1 })
+
+        assert.match(complete.logs.warn.at(-1), /No compensation in message/)
+        assert.equal(complete.sent.pop().payload, 1)
+    })
+})
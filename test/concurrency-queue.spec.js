@@ -0,0 +1,176 @@
+/** Concurrency limit and start queue
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const tpEvents = require('../lib/task-package-events')
+
+describe('concurrency queue', () => {
+    let closeDB
+    let server
+    const starts = []
+
+    /** Register a task package limited to max_concurrent running instances, with a listening tp-start */
+    async function limitedPackage(tp_id, max_concurrent) {
+        await taskPackageDB.upsertTaskPackage(tp_id, tp_id, tp_id, { max_concurrent })
+        tpEvents.onStart(tp_id, event => starts.push(event.tpc_id))
+    }
+
+    /** Start an instance through the API */
+    async function start(tp_id, fields = {}) {
+        const response = await server.request('POST', '/start', { tp_id, ...fields })
+        assert.equal(response.status, 200)
+        return response.body
+    }
+
+    /** End a started instance the way tp-end does */
+    async function finish(tpc_id, tp_id, final_status = 'completed') {
+        const { status } = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        if (status === 'created') {
+            await taskLifecycle.transition(tpc_id, 'started')
+        }
+        await taskLifecycle.transition(tpc_id, final_status)
+        tpEvents.emitComplete(tpc_id, { tpc_id, tp_id, final_status })
+        await settle(50)
+    }
+
+    async function statusOf(tpc_id) {
+        return (await taskPackageDB.getTaskPackageInstance(tpc_id)).status
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('starts instances up to max_concurrent and queues the rest in FIFO order', async () => {
+        await limitedPackage('tp-fifo', 2)
+        const results = []
+        for (let i = 0; i < 5; i++) {
+            results.push(await start('tp-fifo'))
+        }
+
+        assert.deepEqual(results.map(result => result.status), ['started', 'started', 'queued', 'queued', 'queued'])
+        assert.deepEqual(results.slice(2).map(result => result.queue_position), [1, 2, 3])
+        assert.deepEqual(results.slice(0, 2).map(result => starts.includes(result.tpc_id)), [true, true])
+        assert.deepEqual(results.slice(2).map(result => starts.includes(result.tpc_id)), [false, false, false])
+
+        const listed = await server.request('GET', '/status?tp_id=tp-fifo&status=queued')
+        assert.deepEqual(
+            listed.body.map(instance => [instance.id, instance.queue_position]).sort((a, b) => a[1] - b[1]),
+            results.slice(2).map((result, index) => [result.tpc_id, index + 1])
+        )
+
+        const detail = await server.request('GET', `/status?tpc_id=${results[4].tpc_id}`)
+        assert.equal(detail.body.queue_position, 3)
+    })
+
+    it('admits concurrent starts atomically so the limit is never exceeded', async () => {
+        await limitedPackage('tp-race', 1)
+        const results = await Promise.all([start('tp-race'), start('tp-race'), start('tp-race')])
+
+        assert.equal(results.filter(result => result.status === 'started').length, 1)
+        assert.deepEqual(results.filter(result => result.status === 'queued').map(result => result.queue_position).sort(), [1, 2])
+    })
+
+    it('starts queued instances with a higher priority first', async () => {
+        await limitedPackage('tp-priority', 1)
+        const running = await start('tp-priority')
+        const low = await start('tp-priority')
+        const high = await start('tp-priority', { priority: 5 })
+
+        assert.equal(high.queue_position, 1)
+        assert.equal(await taskPackageRuntime.getQueuePosition('tp-priority', low.tpc_id), 2)
+
+        await finish(running.tpc_id, 'tp-priority')
+        assert.equal(await statusOf(high.tpc_id), 'created')
+        assert.equal(await statusOf(low.tpc_id), 'queued')
+        assert.equal(await taskPackageRuntime.getQueuePosition('tp-priority', low.tpc_id), 1)
+    })
+
+    it('drains the queue in order when a running instance completes', async () => {
+        await limitedPackage('tp-drain', 1)
+        const running = await start('tp-drain', { ward: 'A' })
+        const first = await start('tp-drain', { ward: 'B' })
+        const second = await start('tp-drain', { ward: 'C' })
+
+        const received = []
+        tpEvents.onStart('tp-drain', event => received.push(event))
+        await finish(running.tpc_id, 'tp-drain')
+
+        assert.equal(await statusOf(first.tpc_id), 'created')
+        assert.equal(await statusOf(second.tpc_id), 'queued')
+        assert.equal(received.length, 1)
+        assert.equal(received[0].tpc_id, first.tpc_id)
+        assert.deepEqual(received[0].payload, { ward: 'B' })
+
+        const history = await taskPackageDB.getStatusHistory(first.tpc_id)
+        assert.equal(history.at(-1).reason, 'dequeued')
+
+        await finish(first.tpc_id, 'tp-drain', 'failed')
+        assert.equal(await statusOf(second.tpc_id), 'created')
+    })
+
+    it('moves the queue up when a queued instance is cancelled and frees the slot once a cancelled one ends', async () => {
+        await limitedPackage('tp-cancel', 1)
+        const running = await start('tp-cancel')
+        const first = await start('tp-cancel')
+        const second = await start('tp-cancel')
+
+        const cancelQueued = await server.request('POST', '/cancel', { tp_id: 'tp-cancel', tpc_id: first.tpc_id })
+        assert.equal(cancelQueued.status, 200)
+        assert.equal(await statusOf(first.tpc_id), 'cancelled')
+        assert.equal(await taskPackageRuntime.getQueuePosition('tp-cancel', second.tpc_id), 1)
+        assert.equal(await statusOf(second.tpc_id), 'queued')
+
+        // A cancelling instance keeps its slot until its cleanup flow has finished
+        await taskLifecycle.transition(running.tpc_id, 'started')
+        await server.request('POST', '/cancel', { tp_id: 'tp-cancel', tpc_id: running.tpc_id })
+        await settle(50)
+        assert.equal(await statusOf(running.tpc_id), 'cancelling')
+        assert.equal(await statusOf(second.tpc_id), 'queued')
+
+        await finish(running.tpc_id, 'tp-cancel', 'cancelled')
+        assert.equal(await statusOf(second.tpc_id), 'created')
+    })
+
+    it('holds the queue while the task package is disabled and drains it when re-enabled', async () => {
+        await limitedPackage('tp-maint', 1)
+        const running = await start('tp-maint')
+        const queued = await start('tp-maint')
+
+        assert.equal((await server.request('POST', '/admin/packages/tp-maint/disable', { reason: 'upgrade' })).status, 200)
+        await finish(running.tpc_id, 'tp-maint')
+        assert.equal(await statusOf(queued.tpc_id), 'queued')
+
+        assert.equal((await server.request('POST', '/admin/packages/tp-maint/enable')).status, 200)
+        assert.equal(await statusOf(queued.tpc_id), 'created')
+        assert.ok(starts.includes(queued.tpc_id))
+    })
+
+    it('leaves the queue alone while no tp-start node is listening', async () => {
+        await taskPackageDB.upsertTaskPackage('tp-idle', 'Idle', 'idle', { max_concurrent: 1 })
+        const instance = await taskPackageRuntime.startTask({ tp_id: 'tp-idle', tp_name: 'Idle', user: 'admin' })
+        assert.equal(instance.status, 'started')
+        const queued = await taskPackageRuntime.startTask({ tp_id: 'tp-idle', tp_name: 'Idle', user: 'admin' })
+
+        await finish(instance.tpc_id, 'tp-idle')
+        assert.equal(await statusOf(queued.tpc_id), 'queued')
+        assert.equal(await taskPackageRuntime.drainQueue('tp-idle'), 0)
+    })
+})
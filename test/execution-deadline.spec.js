@@ -0,0 +1,119 @@
+/** Per-instance execution deadlines
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const tpEvents = require('../lib/task-package-events')
+
+describe('execution deadline', () => {
+    let closeDB
+    let red
+    let next = 0
+
+    /** Create an instance that a flow has started */
+    async function startInstance(tp_id = 'tp-deadline') {
+        const tpc_id = `deadline-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name: 'Deadline', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        red = createRED()
+        red.load('tp-start')
+    })
+
+    after(async () => {
+        for (const tpc_id of [...taskPackageRuntime.deadlines.keys()]) {
+            taskPackageRuntime.clearDeadline(tpc_id)
+        }
+        await closeDB()
+    })
+
+    it('cancels an instance with reason timeout once its deadline passes', async () => {
+        const tpc_id = await startInstance()
+        const cancels = []
+        tpEvents.onCancel(tpc_id, event => cancels.push(event))
+
+        const deadline_at = await taskPackageRuntime.armDeadline(tpc_id, 30)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).deadline_at, deadline_at)
+
+        await settle(100)
+
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'cancelling')
+        assert.equal(cancels.length, 1)
+        assert.equal(cancels[0].reason, 'timeout')
+        assert.equal(cancels[0].payload.deadline_at, deadline_at)
+
+        const history = await taskPackageDB.getStatusHistory(tpc_id)
+        assert.equal(history.at(-1).reason, 'timeout')
+        assert.equal(taskPackageRuntime.deadlines.has(tpc_id), false)
+    })
+
+    it('stops watching an instance that finishes in time', async () => {
+        const tpc_id = await startInstance()
+        await taskPackageRuntime.armDeadline(tpc_id, 50)
+        assert.equal(taskPackageRuntime.deadlines.has(tpc_id), true)
+
+        await taskLifecycle.transition(tpc_id, 'completed')
+        tpEvents.emitComplete(tpc_id, { tpc_id, tp_id: 'tp-deadline', final_status: 'completed' })
+        assert.equal(taskPackageRuntime.deadlines.has(tpc_id), false)
+
+        await settle(100)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'completed')
+    })
+
+    it('leaves an instance alone that is no longer running when the deadline fires', async () => {
+        const tpc_id = await startInstance()
+        await taskPackageRuntime.armDeadline(tpc_id, 30)
+        await taskLifecycle.transition(tpc_id, 'paused')
+        taskPackageRuntime.clearDeadline(tpc_id)
+
+        await taskPackageRuntime.handleDeadline(tpc_id)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'paused')
+    })
+
+    it('arms the tp-start max duration, overridden by max_duration in the start request', async () => {
+        await red.deployNow({ id: 'start-deadline', type: 'tp-start', z: 'tab-1', tp_id: 'tp-deadline-node', tp_name: 'Deadline', max_duration: '3600' })
+
+        const defaulted = 'deadline-node-1'
+        const overridden = 'deadline-node-2'
+        for (const tpc_id of [defaulted, overridden]) {
+            await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-deadline-node', tp_name: 'Deadline', user: 'alice' })
+        }
+
+        const before = Date.now()
+        tpEvents.emitStart('tp-deadline-node', { tpc_id: defaulted, user: 'alice', payload: {} })
+        tpEvents.emitStart('tp-deadline-node', { tpc_id: overridden, user: 'alice', payload: {}, max_duration: 60 })
+        await settle()
+
+        const hour = Date.parse((await taskPackageDB.getTaskPackageInstance(defaulted)).deadline_at) - before
+        const minute = Date.parse((await taskPackageDB.getTaskPackageInstance(overridden)).deadline_at) - before
+        assert.ok(hour >= 3600000 && hour < 3610000, `deadline in ${hour} ms`)
+        assert.ok(minute >= 60000 && minute < 70000, `deadline in ${minute} ms`)
+        assert.equal(taskPackageRuntime.deadlines.has(defaulted), true)
+    })
+
+    it('restores the deadlines of running instances when the runtime starts', async () => {
+        const tpc_id = await startInstance()
+        taskPackageRuntime.liveTasks.set(tpc_id, 'start-node') // Held by a flow, so reconciliation leaves it alone
+        await taskPackageDB.setTaskDeadline(tpc_id, new Date(Date.now() + 30).toISOString())
+
+        await taskPackageRuntime.init()
+        assert.equal(taskPackageRuntime.deadlines.has(tpc_id), true)
+
+        await settle(100)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'cancelling')
+    })
+})
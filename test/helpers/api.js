@@ -0,0 +1,60 @@
+/** Test helpers: the task package API on a local port
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const express = require('express')
+
+const taskPackageDB = require('../../lib/task-package-db')
+const taskPackageAPI = require('../../lib/task-package-api')
+
+/**
+ * Serve the API routes against the open test database, with security bypassed
+ * @param {object} [config] - API configuration (e.g. idempotency_window)
+ * @returns {Promise<{api: object, request: function, close: function}>}
+ */
+async function startTestAPI(config = {}) {
+    taskPackageAPI.db = taskPackageDB
+    taskPackageAPI.config = config
+
+    const app = express()
+    app.use('/task-package', express.json())
+    app.use('/task-package', taskPackageAPI.router)
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+    })
+    const base = `http://127.0.0.1:${server.address().port}/task-package`
+
+    /**
+     * Call a route
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below /task-package, with query string
+     * @param {object} [body] - JSON body
+     * @param {object} [headers] - Extra headers
+     * @returns {Promise<{status: number, headers: Headers, body: *}>}
+     */
+    async function request(method, path, body, headers = {}) {
+        const response = await fetch(base + path, {
+            method,
+            headers: { 'content-type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        })
+        return { status: response.status, headers: response.headers, body: await response.json() }
+    }
+
+    return {
+        api: taskPackageAPI,
+        request,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections()
+            server.close(() => resolve())
+        })
+    }
+}
+
+module.exports = {
+    startTestAPI
+}
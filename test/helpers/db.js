@@ -0,0 +1,39 @@
+/** Test helpers: a throw-away task package database
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { mock } = require('node:test')
+
+const taskPackageDB = require('../../lib/task-package-db')
+
+/**
+ * Open the task package database singleton on a new in-memory database.
+ * The modules log every write, so console.log is silenced until the database is closed.
+ * @returns {Promise<function(): Promise<void>>} Closes the database
+ */
+async function openTestDB() {
+    const log = mock.method(console, 'log', () => {})
+
+    await taskPackageDB.init(':memory:')
+
+    return async () => {
+        await taskPackageDB.close()
+        log.mock.restore()
+    }
+}
+
+/**
+ * Wait for pending promise callbacks, short timers and database callbacks to run
+ * @param {number} [ms] - Milliseconds to wait (default 20)
+ */
+function settle(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+module.exports = {
+    openTestDB,
+    settle
+}
@@ -0,0 +1,182 @@
+/** Test helpers: a minimal Node-RED runtime for loading tp-* nodes
+ *  Offers what Node-RED gives node modules: RED.nodes.registerType, createNode, getNode
+ *  and eachNode (over the deployed flow configuration), RED.util and RED.log.
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const EventEmitter = require('events')
+const { mock } = require('node:test')
+
+/**
+ * Get a property of an object by a dotted path
+ * @param {object} object - Object to read
+ * @param {string} property - Path such as `payload` or `tp_data.tpc_id`
+ * @returns {*} The value, or undefined
+ */
+function getProperty(object, property) {
+    return property.split('.').reduce((value, key) => (value === null || value === undefined) ? undefined : value[key], object)
+}
+
+/**
+ * Create a fake Node-RED runtime
+ * @returns {object} `RED`, the deployed `flows` configuration and helpers to deploy, feed and close nodes
+ */
+function createRED() {
+    const types = new Map()
+    const nodes = new Map()
+    const contexts = new Map()
+
+    /** @type {object[]} Deployed flow configuration, as RED.nodes.eachNode walks it */
+    const flows = []
+
+    /** Flow context store per tab */
+    function getContext(z) {
+        if (!contexts.has(z)) {
+            const store = new Map()
+            contexts.set(z, { get: key => store.get(key), set: (key, value) => store.set(key, value) })
+        }
+        return contexts.get(z)
+    }
+
+    const RED = {
+        nodes: {
+            registerType(type, constructor) {
+                types.set(type, constructor)
+            },
+            createNode(node, config) {
+                node.id = config.id
+                node.type = config.type
+                node.z = config.z
+                node.name = config.name
+                node.sent = []
+                node.statuses = []
+                node.logs = { log: [], warn: [], error: [] }
+                node.send = (msg) => node.sent.push(msg)
+                node.status = (status) => node.statuses.push(status)
+                node.log = (message) => node.logs.log.push(message)
+                node.warn = (message) => node.logs.warn.push(message)
+                node.error = (message) => node.logs.error.push(message)
+                node.context = () => ({ flow: getContext(node.z), global: getContext('global') })
+                nodes.set(node.id, node)
+            },
+            getNode(id) {
+                return nodes.get(id) || null
+            },
+            eachNode(callback) {
+                flows.forEach(config => callback(config))
+            }
+        },
+        util: {
+            getMessageProperty: getProperty,
+            getObjectProperty: getProperty,
+            setMessageProperty(msg, property, value) {
+                const keys = property.split('.')
+                const last = keys.pop()
+                const parent = keys.reduce((object, key) => (object[key] = object[key] || {}), msg)
+                parent[last] = value
+            },
+            evaluateNodeProperty(value, type) {
+                if (type === 'num') return Number(value)
+                if (type === 'bool') return value === 'true'
+                if (type === 'json') return JSON.parse(value)
+                return value
+            }
+        },
+        log: {
+            info() {},
+            warn() {},
+            error() {}
+        }
+    }
+
+    return {
+        RED,
+        flows,
+
+        /**
+         * Load a node module from nodes/
+         * @param {string} name - Node type, e.g. 'tp-fail'
+         */
+        load(name) {
+            require(`../../nodes/${name}.js`)(RED)
+        },
+
+        /**
+         * Deploy a node: add its configuration to the flows and construct it
+         * @param {object} config - Node configuration with at least id and type
+         * @returns {object} The node instance
+         */
+        deploy(config) {
+            const constructor = types.get(config.type)
+            if (!constructor) {
+                throw new Error(`Node type '${config.type}' not loaded`)
+            }
+            const index = flows.findIndex(existing => existing.id === config.id)
+            if (index === -1) {
+                flows.push(config)
+            } else {
+                flows[index] = config
+            }
+
+            // Node-RED nodes are event emitters; createNode adds the rest
+            const node = new EventEmitter()
+            constructor.call(node, config)
+            return node
+        },
+
+        /**
+         * Deploy a node and run the work its constructor defers with setTimeout straight away
+         * (tp-start registers its definition 2 seconds after deploy), then let that work finish
+         * @param {object} config - Node configuration with at least id and type
+         * @param {number} [delay] - How far to move the clock (default 2000 ms)
+         * @returns {Promise<object>} The node instance
+         */
+        async deployNow(config, delay = 2000) {
+            let node
+            mock.timers.enable({ apis: ['setTimeout'] })
+            try {
+                node = this.deploy(config)
+                mock.timers.tick(delay)
+            } finally {
+                mock.timers.reset()
+            }
+            await new Promise(resolve => setTimeout(resolve, 50))
+            return node
+        },
+
+        /**
+         * Send a message to a node's input
+         * @param {object} node - Node instance
+         * @param {object} msg - Message
+         * @returns {Promise<Error|undefined>} Settles when the node calls done
+         */
+        input(node, msg) {
+            return new Promise(resolve => {
+                node.emit('input', msg, (output) => node.sent.push(output), (error) => resolve(error))
+            })
+        },
+
+        /**
+         * Stop a node as a redeploy (removed = false) or deletion (removed = true) would
+         * @param {object} node - Node instance
+         * @param {boolean} [removed] - Whether the node was deleted
+         * @returns {Promise<void>} Settles when the node's close handlers are done
+         */
+        async close(node, removed = false) {
+            for (const handler of node.listeners('close')) {
+                await new Promise(resolve => handler.call(node, removed, resolve))
+            }
+            nodes.delete(node.id)
+            if (removed) {
+                flows.splice(flows.findIndex(config => config.id === node.id), 1)
+            }
+        }
+    }
+}
+
+module.exports = {
+    createRED
+}
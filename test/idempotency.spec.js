@@ -0,0 +1,131 @@
+/** Idempotency-Key handling
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const taskPackageDB = require('../lib/task-package-db')
+const tpEvents = require('../lib/task-package-events')
+
+describe('Idempotency-Key', () => {
+    let closeDB
+    let server
+    const starts = []
+
+    /** POST /start with an Idempotency-Key */
+    function startWithKey(key, body) {
+        return server.request('POST', '/start', body, { 'Idempotency-Key': key })
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        await taskPackageDB.upsertTaskPackage('tp-idem', 'Idem', 'idem')
+        tpEvents.onStart('tp-idem', event => starts.push(event.tpc_id))
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('replays the stored response to a retry instead of starting another instance', async () => {
+        const first = await startWithKey('key-replay', { tp_id: 'tp-idem', ward: 'A1' })
+        assert.equal(first.status, 200)
+        assert.equal(first.headers.get('Idempotent-Replayed'), null)
+
+        const retry = await startWithKey('key-replay', { tp_id: 'tp-idem', ward: 'A1' })
+        assert.equal(retry.status, 200)
+        assert.equal(retry.headers.get('Idempotent-Replayed'), 'true')
+        assert.deepEqual(retry.body, first.body)
+        assert.equal(starts.filter(tpc_id => tpc_id === first.body.tpc_id).length, 1)
+        assert.equal((await taskPackageDB.getTaskPackageInstances({ tp_id: 'tp-idem' })).length, 1)
+    })
+
+    it('replays from the database once the record is written', async () => {
+        const first = await startWithKey('key-stored', { tp_id: 'tp-idem' })
+        await settle()
+        assert.equal(server.api.idempotencyInFlight.size, 0)
+
+        const record = await taskPackageDB.getIdempotencyRecord('key-stored', 'admin', '/start', new Date(0).toISOString())
+        assert.equal(record.status_code, 200)
+        assert.deepEqual(JSON.parse(record.response), first.body)
+
+        const retry = await startWithKey('key-stored', { tp_id: 'tp-idem' })
+        assert.equal(retry.headers.get('Idempotent-Replayed'), 'true')
+        assert.equal(retry.body.tpc_id, first.body.tpc_id)
+    })
+
+    it('hashes the body independently of key order', async () => {
+        const first = await startWithKey('key-order', { tp_id: 'tp-idem', bed: 4, patient: { id: 'p1', mrn: 'm1' } })
+        const retry = await startWithKey('key-order', { patient: { mrn: 'm1', id: 'p1' }, bed: 4, tp_id: 'tp-idem' })
+        assert.equal(retry.status, 200)
+        assert.equal(retry.headers.get('Idempotent-Replayed'), 'true')
+        assert.equal(retry.body.tpc_id, first.body.tpc_id)
+    })
+
+    it('rejects a key reused with a different body with 422', async () => {
+        await startWithKey('key-body', { tp_id: 'tp-idem', bed: 1 })
+        const reused = await startWithKey('key-body', { tp_id: 'tp-idem', bed: 2 })
+        assert.equal(reused.status, 422)
+        assert.match(reused.body.error, /different request/)
+    })
+
+    it('scopes keys per route', async () => {
+        const started = await startWithKey('key-route', { tp_id: 'tp-idem' })
+        const cancelled = await server.request('POST', '/cancel', { tp_id: 'tp-idem', tpc_id: started.body.tpc_id }, { 'Idempotency-Key': 'key-route' })
+        assert.equal(cancelled.status, 200)
+        assert.equal(cancelled.headers.get('Idempotent-Replayed'), null)
+    })
+
+    it('answers a duplicate that arrives while the first request is being handled with 409', async () => {
+        // Hold the first request in its key lookup
+        let release
+        const lookup = taskPackageDB.getIdempotencyRecord
+        const held = mock.method(taskPackageDB, 'getIdempotencyRecord', async (...args) => {
+            await new Promise(resolve => { release = resolve })
+            return lookup.apply(taskPackageDB, args)
+        }, { times: 1 })
+
+        const first = startWithKey('key-flight', { tp_id: 'tp-idem' })
+        while (!release) {
+            await settle(5)
+        }
+
+        const duplicate = await startWithKey('key-flight', { tp_id: 'tp-idem' })
+        assert.equal(duplicate.status, 409)
+        assert.match(duplicate.body.error, /still being processed/)
+
+        release()
+        assert.equal((await first).status, 200)
+        held.mock.restore()
+
+        const retry = await startWithKey('key-flight', { tp_id: 'tp-idem' })
+        assert.equal(retry.headers.get('Idempotent-Replayed'), 'true')
+    })
+
+    it('does not store error responses, so the request can be retried with the same key', async () => {
+        const rejected = await startWithKey('key-retry', { tp_id: 'tp-idem-late' })
+        assert.equal(rejected.status, 404)
+        await settle()
+        assert.equal(await taskPackageDB.getIdempotencyRecord('key-retry', 'admin', '/start', new Date(0).toISOString()), undefined)
+        assert.equal(server.api.idempotencyInFlight.size, 0)
+
+        await taskPackageDB.upsertTaskPackage('tp-idem-late', 'Idem late', 'idem-late')
+        const retry = await startWithKey('key-retry', { tp_id: 'tp-idem-late' })
+        assert.equal(retry.status, 200)
+        assert.equal(retry.body.status, 'started')
+        assert.equal(retry.headers.get('Idempotent-Replayed'), null)
+    })
+
+    it('rejects keys longer than 255 characters', async () => {
+        const response = await startWithKey('k'.repeat(256), { tp_id: 'tp-idem' })
+        assert.equal(response.status, 400)
+    })
+})
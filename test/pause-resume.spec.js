@@ -0,0 +1,146 @@
+/** Pause and resume of running instances
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const tpEvents = require('../lib/task-package-events')
+
+describe('pause and resume', () => {
+    let closeDB
+    let server
+    let red
+    let next = 0
+
+    /** Create an instance that a flow has started */
+    async function startInstance() {
+        const tpc_id = `pause-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-pause', tp_name: 'Pause', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-delay')
+        red.load('tp-check-cancel')
+    })
+
+    after(async () => {
+        for (const tpc_id of [...taskPackageRuntime.deadlines.keys()]) {
+            taskPackageRuntime.clearDeadline(tpc_id)
+        }
+        await server.close()
+        await closeDB()
+    })
+
+    it('pauses and resumes through the API, emitting both events', async () => {
+        const tpc_id = await startInstance()
+        const events = []
+        tpEvents.onPause(tpc_id, event => events.push(['pause', event.reason]))
+        tpEvents.onResume(tpc_id, event => events.push(['resume', event.resumed_by]))
+
+        const paused = await server.request('POST', '/pause', { tp_id: 'tp-pause', tpc_id, reason: 'ward closed' })
+        assert.equal(paused.status, 200)
+        assert.deepEqual(paused.body, { status: 'paused' })
+        assert.equal(taskPackageRuntime.isPaused(tpc_id), true)
+
+        const resumed = await server.request('POST', '/resume', { tp_id: 'tp-pause', tpc_id })
+        assert.equal(resumed.status, 200)
+        assert.deepEqual(resumed.body, { status: 'ongoing' })
+        assert.equal(taskPackageRuntime.isPaused(tpc_id), false)
+
+        assert.deepEqual(events, [['pause', 'ward closed'], ['resume', 'admin']])
+        const history = await taskPackageDB.getStatusHistory(tpc_id)
+        assert.deepEqual(history.map(entry => entry.to_status), ['created', 'started', 'paused', 'ongoing'])
+    })
+
+    it('rejects pausing an instance that cannot be paused and resuming one that is not paused', async () => {
+        const tpc_id = await startInstance()
+
+        const resume = await server.request('POST', '/resume', { tp_id: 'tp-pause', tpc_id })
+        assert.equal(resume.status, 400)
+        assert.equal(resume.body.current_status, 'started')
+
+        await taskLifecycle.transition(tpc_id, 'completed')
+        const pause = await server.request('POST', '/pause', { tp_id: 'tp-pause', tpc_id })
+        assert.equal(pause.status, 400)
+        assert.equal(pause.body.current_status, 'completed')
+
+        assert.equal((await server.request('POST', '/pause', { tpc_id })).status, 400)
+        assert.equal((await server.request('POST', '/pause', { tp_id: 'other', tpc_id })).status, 400)
+        assert.equal((await server.request('POST', '/pause', { tp_id: 'tp-pause', tpc_id: 'pause-missing' })).status, 404)
+    })
+
+    it('suspends the execution deadline while paused and re-arms what was left', async () => {
+        const tpc_id = await startInstance()
+        await taskPackageRuntime.armDeadline(tpc_id, 60000)
+
+        await taskPackageRuntime.pauseTask(tpc_id)
+        assert.equal(taskPackageRuntime.deadlines.has(tpc_id), false)
+        const remaining = (await taskPackageDB.getTaskPackageInstance(tpc_id)).deadline_remaining_ms
+        assert.ok(remaining > 59000 && remaining <= 60000, `${remaining} ms left`)
+
+        const resumedAt = Date.now()
+        await taskPackageRuntime.resumeTask(tpc_id)
+        const deadline = taskPackageRuntime.deadlines.get(tpc_id).deadline
+        assert.ok(Math.abs(deadline - resumedAt - remaining) < 1000)
+    })
+
+    it('holds the rest of a tp-delay while the task is paused', async () => {
+        const tpc_id = await startInstance()
+        const node = red.deploy({ id: 'delay-1', type: 'tp-delay', z: 'tab-1', delay_time: '300' })
+
+        red.input(node, { tp_data: { tpc_id }, payload: 'go' })
+        await settle(150)
+        await taskPackageRuntime.pauseTask(tpc_id)
+
+        await settle(300)
+        assert.equal(node.sent.length, 0, 'nothing sent while paused')
+
+        await taskPackageRuntime.resumeTask(tpc_id)
+        await settle(50)
+        assert.equal(node.sent.length, 0, 'still waiting for the rest')
+        await settle(200)
+        assert.equal(node.sent.length, 1, 'sent after the rest, not a full delay again')
+        assert.equal(node.sent[0][0].payload, 'go')
+        assert.equal(node.sent[0][1], null)
+    })
+
+    it('lets go of a message tp-check-cancel holds once the paused task ends or the node closes', async () => {
+        const node = red.deploy({ id: 'check-1', type: 'tp-check-cancel', z: 'tab-1' })
+        const listening = tpc_id => ['resume', 'cancel', 'complete']
+            .map(event => tpEvents.getListenerCount(tpEvents.createEventName(`${event}/${tpc_id}`)))
+
+        const ended = await startInstance()
+        await taskPackageRuntime.pauseTask(ended)
+        const endedHeld = red.input(node, { tp_data: { tpc_id: ended } })
+        await settle()
+        assert.deepEqual(listening(ended), [1, 1, 1])
+
+        await taskPackageRuntime.interruptTask(await taskPackageDB.getTaskPackageInstance(ended), 'test')
+        assert.equal(await endedHeld, undefined)
+        assert.deepEqual(listening(ended), [0, 0, 0])
+
+        const closed = await startInstance()
+        await taskPackageRuntime.pauseTask(closed)
+        const closedHeld = red.input(node, { tp_data: { tpc_id: closed } })
+        await settle()
+        await red.close(node)
+        assert.equal(await closedHeld, undefined)
+        assert.deepEqual(listening(closed), [0, 0, 0])
+        assert.equal(node.sent.length, 0)
+    })
+})
@@ -0,0 +1,153 @@
+/** tp-progress and estimated time remaining
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const tpEvents = require('../lib/task-package-events')
+
+describe('progress', () => {
+    let closeDB
+    let server
+    let red
+    let node
+    let next = 0
+
+    /** Create a running instance */
+    async function startInstance(tp_id = 'tp-progress') {
+        const tpc_id = `progress-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name: tp_id, user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    /** Move the recorded time of a status change, as SQLite UTC text */
+    function setHistoryTime(tpc_id, to_status, date) {
+        const timestamp = date.toISOString().replace('T', ' ').slice(0, 19)
+        return new Promise((resolve, reject) => {
+            taskPackageDB.db.run('UPDATE task_status_history SET timestamp = ? WHERE tpc_id = ? AND to_status = ?',
+                [timestamp, tpc_id, to_status], error => error ? reject(error) : resolve())
+        })
+    }
+
+    /** A completed instance that took the given number of minutes */
+    async function completedIn(tp_id, minutes) {
+        const tpc_id = await startInstance(tp_id)
+        await taskLifecycle.transition(tpc_id, 'completed')
+        await setHistoryTime(tpc_id, 'started', new Date('2025-01-01T10:00:00Z'))
+        await setHistoryTime(tpc_id, 'completed', new Date(Date.parse('2025-01-01T10:00:00Z') + minutes * 60000))
+    }
+
+    async function statusOf(tpc_id) {
+        return (await server.request('GET', `/status?tpc_id=${tpc_id}`)).body
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-progress')
+        node = red.deploy({ id: 'progress-1', type: 'tp-progress', z: 'tab-1', progress: '25', step: 'Collecting' })
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('records the configured progress, emits it and passes the message on', async () => {
+        const tpc_id = await startInstance()
+        const events = []
+        tpEvents.onProgress(tpc_id, event => events.push(event))
+
+        await red.input(node, { tp_data: { tpc_id }, payload: 'x' })
+
+        const instance = await statusOf(tpc_id)
+        assert.equal(instance.progress, 25)
+        assert.equal(instance.progress_step, 'Collecting')
+        assert.ok(instance.progress_updated_at)
+
+        assert.equal(events.length, 1)
+        assert.deepEqual({ ...events[0], progress_updated_at: null }, {
+            tpc_id, tp_id: 'tp-progress', progress: 25, progress_step: 'Collecting', progress_updated_at: null, node_id: 'progress-1'
+        })
+        assert.equal(node.sent.at(-1).tp_data.progress, 25)
+        assert.equal(node.sent.at(-1).payload, 'x')
+    })
+
+    it('takes msg.progress and msg.progress_step over the configuration', async () => {
+        const tpc_id = await startInstance()
+        await red.input(node, { tp_data: { tpc_id }, progress: 80, progress_step: 'Delivering' })
+
+        const instance = await statusOf(tpc_id)
+        assert.equal(instance.progress, 80)
+        assert.equal(instance.progress_step, 'Delivering')
+    })
+
+    it('passes invalid progress and finished tasks through without recording', async () => {
+        const tpc_id = await startInstance()
+        await red.input(node, { tp_data: { tpc_id }, progress: 140 })
+        assert.match(node.logs.warn.at(-1), /0 to 100/)
+        assert.equal((await statusOf(tpc_id)).progress, null)
+
+        await taskLifecycle.transition(tpc_id, 'completed')
+        await red.input(node, { tp_data: { tpc_id }, progress: 50 })
+        assert.match(node.logs.warn.at(-1), /already completed/)
+        assert.equal((await statusOf(tpc_id)).progress, null)
+    })
+
+    it('estimates the remaining time from the average duration and the progress', async () => {
+        await completedIn('tp-eta', 10)
+        await completedIn('tp-eta', 20)
+        assert.deepEqual(await taskPackageDB.getAverageDuration('tp-eta'), { average_ms: 900000, samples: 2 })
+
+        const tpc_id = await startInstance('tp-eta')
+        await taskPackageDB.setTaskProgress(tpc_id, 40)
+        assert.equal((await statusOf(tpc_id)).estimated_remaining_ms, 540000)
+    })
+
+    it('estimates from the elapsed time without progress, and not at all without history', async () => {
+        const tpc_id = await startInstance('tp-eta')
+        await setHistoryTime(tpc_id, 'started', new Date(Date.now() - 5 * 60000))
+        const estimate = (await statusOf(tpc_id)).estimated_remaining_ms
+        assert.ok(Math.abs(estimate - 600000) < 3000, `${estimate} is about 10 minutes`)
+
+        const fresh = await startInstance('tp-new')
+        assert.equal((await statusOf(fresh)).estimated_remaining_ms, null)
+    })
+
+    it('leaves paused time out of the elapsed time and reads the histories of a list at once', async () => {
+        const tpc_id = await startInstance('tp-eta')
+        await taskLifecycle.transition(tpc_id, 'paused')
+        await taskLifecycle.transition(tpc_id, 'ongoing')
+        const minutesAgo = minutes => new Date(Date.now() - minutes * 60000)
+        await setHistoryTime(tpc_id, 'started', minutesAgo(8))
+        await setHistoryTime(tpc_id, 'paused', minutesAgo(6))
+        await setHistoryTime(tpc_id, 'ongoing', minutesAgo(3))
+
+        const estimate = (await statusOf(tpc_id)).estimated_remaining_ms
+        assert.ok(Math.abs(estimate - 600000) < 3000, `${estimate} is about 10 minutes (5 of 15 run, 3 paused)`)
+
+        await startInstance('tp-eta')
+        const single = mock.method(taskPackageDB, 'getStatusHistory')
+        const batched = mock.method(taskPackageDB, 'getStatusHistories')
+        try {
+            const listed = await server.request('GET', '/status?tp_id=tp-eta')
+            assert.ok(listed.body.length >= 2)
+            assert.equal(single.mock.callCount(), 0)
+            assert.equal(batched.mock.callCount(), 1)
+        } finally {
+            single.mock.restore()
+            batched.mock.restore()
+        }
+    })
+})
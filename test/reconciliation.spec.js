@@ -0,0 +1,186 @@
+/** Startup reconciliation of orphaned instances
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const taskPackageScheduler = require('../lib/task-package-scheduler')
+const tpEvents = require('../lib/task-package-events')
+
+describe('reconciliation', () => {
+    let closeDB
+    let server
+    let next = 0
+
+    /** Create an instance in a status, as a crashed process would have left it */
+    async function leftInFlight(tp_id, status) {
+        const tpc_id = `orphan-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name: tp_id, user: 'alice' })
+        await taskPackageDB.setTaskStartRequest(tpc_id, null, { payload: { n: next } }, 0)
+        const path = { created: [], started: ['started'], ongoing: ['started', 'ongoing'], cancelling: ['started', 'cancelling'], paused: ['started', 'paused'] }
+        for (const to of path[status]) {
+            await taskLifecycle.transition(tpc_id, to)
+        }
+        return tpc_id
+    }
+
+    async function statusOf(tpc_id) {
+        return (await taskPackageDB.getTaskPackageInstance(tpc_id)).status
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        await taskPackageDB.upsertTaskPackage('tp-interrupt', 'Interrupt', 'interrupt')
+        await taskPackageDB.upsertTaskPackage('tp-restart', 'Restart', 'restart', { recovery_policy: 'restart' })
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('restores runtime state and reconciles once per process, not on every configuration change', async () => {
+        const runtimeInit = mock.method(taskPackageRuntime, 'init')
+        const schedulerInit = mock.method(taskPackageScheduler, 'init')
+        const log = mock.method(console, 'log', () => {})
+        try {
+            await server.api.initializeDatabase(':memory:')
+            await taskPackageDB.upsertTaskPackage('tp-interrupt', 'Interrupt', 'interrupt')
+            await taskPackageDB.upsertTaskPackage('tp-restart', 'Restart', 'restart', { recovery_policy: 'restart' })
+            assert.equal(runtimeInit.mock.callCount(), 1)
+            assert.equal(schedulerInit.mock.callCount(), 1)
+
+            // A tp-config redeploy while an instance is running must not treat it as orphaned
+            const running = await leftInFlight('tp-interrupt', 'started')
+            taskPackageRuntime.liveTasks.set(running, 'start-1')
+            const dbInit = mock.method(taskPackageDB, 'init')
+            server.api.updateConfig({ db_url: ':memory:', idempotency_window: 2 })
+            server.api.updateConfig({ db_url: ':memory:', idempotency_window: 2 })
+            await settle()
+            dbInit.mock.restore()
+
+            assert.equal(dbInit.mock.callCount(), 0, 'the database path did not change')
+            assert.equal(await statusOf(running), 'started')
+            assert.equal(runtimeInit.mock.callCount(), 1)
+            assert.equal(schedulerInit.mock.callCount(), 1)
+            assert.equal(server.api.config.idempotency_window, 2)
+            taskPackageRuntime.liveTasks.delete(running)
+            await taskLifecycle.transition(running, 'completed')
+        } finally {
+            runtimeInit.mock.restore()
+            schedulerInit.mock.restore()
+            log.mock.restore()
+        }
+    })
+
+    it('interrupts in-flight instances no flow holds, and leaves held and pending ones alone', async () => {
+        const created = await leftInFlight('tp-interrupt', 'created')
+        const ongoing = await leftInFlight('tp-interrupt', 'ongoing')
+        const held = await leftInFlight('tp-interrupt', 'started')
+        taskPackageRuntime.liveTasks.set(held, 'start-1')
+        const completions = []
+        tpEvents.onComplete(ongoing, event => completions.push(event))
+
+        const report = await taskPackageRuntime.reconcile('startup')
+
+        assert.equal(report.trigger, 'startup')
+        assert.deepEqual(report.interrupted.map(entry => entry.tpc_id).sort(), [created, ongoing].sort())
+        assert.equal(await statusOf(created), 'interrupted')
+        assert.equal(await statusOf(ongoing), 'interrupted')
+        assert.equal(await statusOf(held), 'started')
+        assert.equal(completions[0].final_status, 'interrupted')
+
+        const history = await taskPackageDB.getStatusHistory(ongoing)
+        assert.equal(history.at(-1).from_status, 'ongoing')
+        assert.match(history.at(-1).reason, /no flow left/)
+        taskPackageRuntime.liveTasks.delete(held)
+        await taskLifecycle.transition(held, 'completed')
+    })
+
+    it('re-emits the start of orphaned instances with the restart policy', async () => {
+        const starts = []
+        const listener = event => starts.push(event)
+        tpEvents.onStart('tp-restart', listener)
+        const created = await leftInFlight('tp-restart', 'created')
+        const started = await leftInFlight('tp-restart', 'started')
+
+        const report = await taskPackageRuntime.reconcile('manual')
+
+        assert.deepEqual(report.restarted.map(entry => entry.tpc_id).sort(), [created, started].sort())
+        assert.deepEqual(starts.map(event => event.tpc_id).sort(), [created, started].sort())
+        assert.equal(starts.find(event => event.tpc_id === started).recovered, true)
+        assert.equal(await statusOf(started), 'started')
+        assert.ok(taskPackageRuntime.liveTasks.has(started), 'a restarted instance is no longer orphaned')
+
+        const again = await taskPackageRuntime.reconcile('manual')
+        assert.equal(again.restarted.length, 0)
+
+        tpEvents.removeEventListener(tpEvents.createEventName('start/tp-restart'), listener)
+        for (const tpc_id of [created, started]) {
+            taskPackageRuntime.liveTasks.delete(tpc_id)
+            await taskPackageRuntime.interruptTask(await taskPackageDB.getTaskPackageInstance(tpc_id), 'test done')
+        }
+    })
+
+    it('keeps restartable instances pending until their tp-start node is deployed', async () => {
+        const orphan = await leftInFlight('tp-restart', 'started')
+
+        const report = await taskPackageRuntime.reconcile('startup')
+        assert.deepEqual(report.pending.map(entry => entry.tpc_id), [orphan])
+        assert.ok(taskPackageRuntime.pendingRecoveries.has(orphan))
+
+        const starts = []
+        tpEvents.onStart('tp-restart', event => starts.push(event.tpc_id))
+        await taskPackageRuntime.recoverPending('tp-restart')
+        assert.deepEqual(starts, [orphan])
+        assert.equal(taskPackageRuntime.pendingRecoveries.has(orphan), false)
+    })
+
+    it('reports the last pass and runs one on request', async () => {
+        const orphan = await leftInFlight('tp-interrupt', 'started')
+
+        const ran = await server.request('POST', '/admin/reconcile')
+        assert.equal(ran.status, 200)
+        assert.equal(ran.body.trigger, 'manual')
+        assert.deepEqual(ran.body.interrupted.map(entry => entry.tpc_id), [orphan])
+
+        const last = await server.request('GET', '/admin/reconciliation')
+        assert.deepEqual(last.body, ran.body)
+    })
+
+    it('restarts a paused instance still held and lets tp-end complete it once resumed', async () => {
+        const red = createRED()
+        red.load('tp-start')
+        red.load('tp-end')
+        await taskPackageDB.upsertTaskPackage('tp-paused', 'Paused', 'paused', { recovery_policy: 'restart' })
+        const start = await red.deployNow({ id: 'start-paused', type: 'tp-start', z: 'tab-1', tp_id: 'tp-paused', tp_name: 'Paused', recovery_policy: 'restart' })
+        const end = red.deploy({ id: 'end-paused', type: 'tp-end', z: 'tab-1' })
+        const paused = await leftInFlight('tp-paused', 'paused')
+
+        await taskPackageRuntime.init()
+        await settle()
+
+        const [msg] = start.sent
+        assert.equal(msg.tp_data.tpc_id, paused)
+        assert.equal(msg.tp_data.status, 'paused')
+        assert.equal(taskPackageRuntime.isPaused(paused), true, 'the restarted flow is held')
+
+        await taskPackageRuntime.resumeTask(paused)
+        await red.input(end, msg)
+        assert.equal(await statusOf(paused), 'completed')
+
+        await red.close(start)
+        await red.close(end)
+    })
+})
@@ -0,0 +1,121 @@
+/** Recurring cron schedules
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const taskPackageDB = require('../lib/task-package-db')
+const taskPackageScheduler = require('../lib/task-package-scheduler')
+const tpEvents = require('../lib/task-package-events')
+
+describe('recurring schedules', () => {
+    let closeDB
+    let server
+    const starts = []
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        await taskPackageDB.upsertTaskPackage('tp-cron', 'Cron', 'cron')
+        tpEvents.onStart('tp-cron', event => starts.push(event))
+    })
+
+    after(async () => {
+        for (const schedule_id of [...taskPackageScheduler.timers.keys()]) {
+            taskPackageScheduler.disarm(schedule_id)
+        }
+        await server.close()
+        await closeDB()
+    })
+
+    describe('validate', () => {
+        it('accepts 5 and 6 field expressions with an IANA timezone', () => {
+            assert.equal(taskPackageScheduler.validate('0 7 * * 1-5', 'Asia/Singapore'), null)
+            assert.equal(taskPackageScheduler.validate('*/10 * * * * *'), null)
+        })
+
+        it('rejects empty and malformed expressions and unknown timezones', () => {
+            assert.match(taskPackageScheduler.validate(''), /non-empty/)
+            assert.match(taskPackageScheduler.validate('61 * * * *'), /Invalid cron expression/)
+            assert.match(taskPackageScheduler.validate('0 7 * * *', 'Mars/Olympus'), /Invalid timezone/)
+        })
+    })
+
+    it('computes the next run in the schedule timezone', () => {
+        const from = new Date('2025-06-02T00:30:00Z') // 08:30 in Singapore
+        const next = taskPackageScheduler.getNextRun({ cron: '0 9 * * *', timezone: 'Asia/Singapore' }, from)
+        assert.equal(next.toISOString(), '2025-06-02T01:00:00.000Z')
+    })
+
+    it('creates, disables, re-enables and deletes a schedule through the API', async () => {
+        const created = await server.request('POST', '/schedules', { tp_id: 'tp-cron', cron: '0 9 * * *', payload: { ward: 'A1' } })
+        assert.equal(created.status, 201)
+        assert.equal(created.body.enabled, true)
+        assert.deepEqual(created.body.payload, { ward: 'A1' })
+        assert.ok(Date.parse(created.body.next_run_at) > Date.now())
+        const { id } = created.body
+
+        const disabled = await server.request('PUT', `/schedules/${id}`, { enabled: false })
+        assert.equal(disabled.body.enabled, false)
+        assert.equal(disabled.body.next_run_at, null)
+        assert.equal(taskPackageScheduler.timers.has(id), false)
+
+        const enabled = await server.request('PUT', `/schedules/${id}`, { enabled: true })
+        assert.ok(enabled.body.next_run_at)
+
+        assert.equal((await server.request('DELETE', `/schedules/${id}`)).status, 200)
+        assert.equal(taskPackageScheduler.timers.has(id), false)
+        assert.equal((await server.request('GET', `/schedules/${id}`)).status, 404)
+    })
+
+    it('rejects an invalid cron expression and an unknown task package', async () => {
+        assert.equal((await server.request('POST', '/schedules', { tp_id: 'tp-cron', cron: 'every day' })).status, 400)
+        assert.equal((await server.request('POST', '/schedules', { tp_id: 'tp-none', cron: '0 9 * * *' })).status, 404)
+    })
+
+    it('starts an instance with the schedule payload on each run and records it', async () => {
+        const created = await server.request('POST', '/schedules', { tp_id: 'tp-cron', cron: '* * * * * *', payload: { round: 'linen' } })
+        const { id } = created.body
+
+        await settle(2200)
+        // Disable rather than disarm so a run already in flight does not re-arm it
+        await server.request('PUT', `/schedules/${id}`, { enabled: false })
+        await settle()
+        assert.equal(taskPackageScheduler.timers.has(id), false)
+
+        const runs = starts.filter(event => event.tp_id === 'tp-cron')
+        assert.ok(runs.length >= 1, 'at least one run in two seconds')
+        assert.deepEqual(runs[0].payload, { round: 'linen' })
+
+        const schedule = await taskPackageDB.getSchedule(id)
+        assert.ok(schedule.last_run_at)
+        const instance = await taskPackageDB.getTaskPackageInstance(schedule.last_tpc_id)
+        assert.equal(instance.schedule_id, id)
+        assert.equal(instance.user, 'admin')
+
+        const listed = await server.request('GET', `/status?schedule_id=${id}`)
+        assert.equal(listed.status, 200)
+        assert.ok(listed.body.length >= 1)
+        assert.ok(listed.body.every(entry => entry.schedule_id === id))
+    })
+
+    it('skips a run when no tp-start node is listening, but keeps the schedule armed', async () => {
+        await taskPackageDB.upsertTaskPackage('tp-cron-idle', 'Idle', 'idle')
+        const created = await server.request('POST', '/schedules', { tp_id: 'tp-cron-idle', cron: '0 9 * * *' })
+        const { id } = created.body
+
+        // Fire the run by hand instead of waiting for 09:00
+        taskPackageScheduler.disarm(id)
+        await taskPackageScheduler.run(id, Date.now())
+
+        assert.equal((await taskPackageDB.getTaskPackageInstances({ tp_id: 'tp-cron-idle' })).length, 0)
+        assert.equal(taskPackageScheduler.timers.has(id), true)
+        taskPackageScheduler.disarm(id)
+    })
+})
@@ -0,0 +1,114 @@
+/** Scheduled (deferred) starts
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const tpEvents = require('../lib/task-package-events')
+
+describe('scheduled starts', () => {
+    let closeDB
+    let server
+    const starts = []
+    const listener = event => starts.push(event.tpc_id)
+
+    /** ISO time a number of milliseconds from now */
+    function inMs(ms) {
+        return new Date(Date.now() + ms).toISOString()
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        await taskPackageDB.upsertTaskPackage('tp-later', 'Later', 'later')
+        tpEvents.onStart('tp-later', listener) // Stands in for a deployed tp-start node
+    })
+
+    after(async () => {
+        for (const tpc_id of [...taskPackageRuntime.scheduledStarts.keys()]) {
+            taskPackageRuntime.clearScheduledStart(tpc_id)
+        }
+        await server.close()
+        await closeDB()
+    })
+
+    it('creates the instance as scheduled and starts it at start_at', async () => {
+        const start_at = inMs(80)
+        const response = await server.request('POST', '/start', { tp_id: 'tp-later', start_at, ward: 'B2' })
+        assert.equal(response.status, 200)
+        assert.equal(response.body.status, 'scheduled')
+        assert.equal(response.body.start_at, start_at)
+
+        const { tpc_id } = response.body
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.status, 'scheduled')
+        assert.equal(instance.start_at, start_at)
+        assert.deepEqual(JSON.parse(instance.start_request).payload, { ward: 'B2' })
+        assert.equal(starts.includes(tpc_id), false)
+
+        await settle(150)
+        assert.equal(starts.includes(tpc_id), true)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'created')
+    })
+
+    it('rejects a start_at that is not a date-time', async () => {
+        const response = await server.request('POST', '/start', { tp_id: 'tp-later', start_at: 'tomorrow-ish' })
+        assert.equal(response.status, 400)
+    })
+
+    it('cancels a scheduled instance before it starts, without a cleanup flow', async () => {
+        const { body } = await server.request('POST', '/start', { tp_id: 'tp-later', start_at: inMs(80) })
+        const cancels = []
+        tpEvents.onCancel(body.tpc_id, event => cancels.push(event))
+
+        const cancel = await server.request('POST', '/cancel', { tp_id: 'tp-later', tpc_id: body.tpc_id })
+        assert.equal(cancel.status, 200)
+        assert.equal(cancel.body.status, 'cancelled')
+        assert.equal(taskPackageRuntime.scheduledStarts.has(body.tpc_id), false)
+
+        await settle(150)
+        assert.equal(starts.includes(body.tpc_id), false)
+        assert.equal(cancels.length, 0)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(body.tpc_id)).status, 'cancelled')
+    })
+
+    it('restores scheduled starts from the database, firing those that came due meanwhile', async () => {
+        const due = await server.request('POST', '/start', { tp_id: 'tp-later', start_at: inMs(60000) })
+        const later = await server.request('POST', '/start', { tp_id: 'tp-later', start_at: inMs(60000) })
+
+        // As if Node-RED was down when the first one came due
+        taskPackageRuntime.clearScheduledStart(due.body.tpc_id)
+        taskPackageRuntime.clearScheduledStart(later.body.tpc_id)
+        await taskPackageDB.setTaskStartRequest(due.body.tpc_id, inMs(-1000), { payload: {} })
+
+        await taskPackageRuntime.init()
+        await settle(50)
+
+        assert.equal((await taskPackageDB.getTaskPackageInstance(due.body.tpc_id)).status, 'created')
+        assert.equal(starts.includes(due.body.tpc_id), true)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(later.body.tpc_id)).status, 'scheduled')
+        assert.equal(taskPackageRuntime.scheduledStarts.has(later.body.tpc_id), true)
+    })
+
+    it('queues a scheduled start that finds no tp-start node deployed', async () => {
+        await taskPackageDB.upsertTaskPackage('tp-undeployed', 'Undeployed', 'undeployed')
+        const tpc_id = 'scheduled-undeployed'
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-undeployed', tp_name: 'Undeployed', user: 'alice', status: 'scheduled' })
+        await taskPackageDB.setTaskStartRequest(tpc_id, inMs(-1), { payload: {} })
+
+        await taskPackageRuntime.handleScheduledStart(tpc_id)
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.status, 'queued')
+        assert.ok(instance.queued_at)
+    })
+})
@@ -0,0 +1,214 @@
+/** Task assignment, claiming and release
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+
+describe('task assignment', () => {
+    let closeDB
+    let server
+    let red
+    let next = 0
+
+    /** Create a running instance started by alice */
+    async function startInstance(tp_id = 'tp-assign') {
+        const tpc_id = `assign-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name: 'Assign', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-assignment')
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('assigns to a role, lets a member claim it and release it back to the pool', async () => {
+        const tpc_id = await startInstance()
+
+        let response = await server.request('POST', '/assign', { tpc_id, assignee_role: 'porter' })
+        assert.equal(response.status, 200)
+        assert.deepEqual(response.body, {
+            tpc_id, tp_id: 'tp-assign', action: 'assigned', assignee: null, assignee_role: 'porter', assigned_at: null
+        })
+
+        response = await server.request('GET', '/status?assignee_role=porter')
+        assert.deepEqual(response.body.map(instance => instance.id), [tpc_id])
+
+        response = await server.request('POST', '/claim', { tpc_id })
+        assert.equal(response.status, 200)
+        assert.equal(response.body.action, 'claimed')
+        assert.equal(response.body.assignee, 'admin')
+        assert.equal(response.body.assignee_role, 'porter')
+        assert.ok(response.body.assigned_at)
+
+        response = await server.request('GET', '/status?assignee=admin')
+        assert.deepEqual(response.body.map(instance => instance.id), [tpc_id])
+
+        response = await server.request('POST', '/release', { tpc_id })
+        assert.equal(response.status, 200)
+        assert.equal(response.body.assignee, null)
+        assert.equal(response.body.assignee_role, 'porter')
+        assert.equal(response.body.assigned_at, null)
+    })
+
+    it('returns the assignment again when the caller already holds the instance', async () => {
+        const tpc_id = await startInstance()
+        await server.request('POST', '/assign', { tpc_id, assignee: 'admin' })
+
+        const response = await server.request('POST', '/claim', { tpc_id })
+        assert.equal(response.status, 200)
+        assert.equal(response.body.assignee, 'admin')
+    })
+
+    it('refuses to claim an instance assigned to someone else', async () => {
+        const tpc_id = await startInstance()
+        await server.request('POST', '/assign', { tpc_id, assignee: 'bob' })
+
+        const response = await server.request('POST', '/claim', { tpc_id })
+        assert.equal(response.status, 409)
+        assert.equal(response.body.assignee, 'bob')
+    })
+
+    it('lets only one of two concurrent claims win', async () => {
+        const tpc_id = await startInstance()
+
+        const [first, second] = await Promise.all([
+            taskPackageDB.setTaskAssignment(tpc_id, 'bob', null, null),
+            taskPackageDB.setTaskAssignment(tpc_id, 'carol', null, null),
+        ])
+
+        assert.deepEqual([first, second].sort(), [0, 1])
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.assignee, first ? 'bob' : 'carol')
+    })
+
+    it('refuses to release an unassigned instance', async () => {
+        const tpc_id = await startInstance()
+
+        const response = await server.request('POST', '/release', { tpc_id })
+        assert.equal(response.status, 409)
+    })
+
+    it('refuses to change the assignment of a finished instance', async () => {
+        const tpc_id = await startInstance()
+        await taskLifecycle.transition(tpc_id, 'completed')
+
+        const response = await server.request('POST', '/assign', { tpc_id, assignee: 'bob' })
+        assert.equal(response.status, 409)
+        assert.equal(response.body.current_status, 'completed')
+    })
+
+    it('validates the request', async () => {
+        const tpc_id = await startInstance()
+
+        assert.equal((await server.request('POST', '/assign', { assignee: 'bob' })).status, 400)
+        assert.equal((await server.request('POST', '/assign', { tpc_id })).status, 400)
+        assert.equal((await server.request('POST', '/assign', { tpc_id, assignee: ' ' })).status, 400)
+        assert.equal((await server.request('POST', '/assign', { tpc_id, assignee_role: 5 })).status, 400)
+        assert.equal((await server.request('POST', '/claim', {})).status, 400)
+        assert.equal((await server.request('POST', '/release', {})).status, 400)
+        assert.equal((await server.request('POST', '/claim', { tpc_id: 'assign-unknown' })).status, 404)
+    })
+
+    it('sends assignment events from tp-assignment, filtered by action', async () => {
+        const every = red.deploy({ id: 'assignment-every', type: 'tp-assignment', z: 'tab-1', tp_id: 'tp-assign-events' })
+        const claims = red.deploy({ id: 'assignment-claims', type: 'tp-assignment', z: 'tab-1', tp_id: 'tp-assign-events', action: 'claimed' })
+        const other = red.deploy({ id: 'assignment-other', type: 'tp-assignment', z: 'tab-1', tp_id: 'tp-other' })
+        const tpc_id = await startInstance('tp-assign-events')
+
+        await server.request('POST', '/assign', { tpc_id, assignee_role: 'porter' })
+        await server.request('POST', '/claim', { tpc_id })
+
+        assert.deepEqual(every.sent.map(msg => msg.topic), [
+            'task-package/tp-assign-events/assigned',
+            'task-package/tp-assign-events/claimed',
+        ])
+        assert.equal(claims.sent.length, 1)
+        assert.equal(other.sent.length, 0)
+
+        const [msg] = claims.sent
+        assert.equal(msg.tp_data.tpc_id, tpc_id)
+        assert.equal(msg.tp_data.assignee, 'admin')
+        assert.equal(msg.payload.previous_assignee, null)
+        assert.equal(msg.payload.previous_assignee_role, 'porter')
+        assert.equal(msg.payload.changed_by, 'admin')
+
+        await red.close(every)
+        await server.request('POST', '/release', { tpc_id })
+        assert.equal(every.sent.length, 2)
+
+        await red.close(claims)
+        await red.close(other)
+    })
+
+    describe('with security enabled', () => {
+        /** Identity of the caller, as the mocked token validation returns it */
+        let caller
+
+        beforeEach(() => {
+            server.api.config = { keycloak_url: 'http://keycloak.invalid' }
+            mock.method(server.api, 'validateRequest', async () => ({ valid: true, tp_allowed: [], ...caller }))
+        })
+
+        afterEach(() => {
+            mock.restoreAll()
+            server.api.config = {}
+        })
+
+        it('lets only members of the role claim a pooled instance', async () => {
+            const tpc_id = await startInstance()
+            await taskPackageDB.setTaskAssignment(tpc_id, null, 'porter')
+
+            caller = { user: 'bob', roles: ['nurse'] }
+            assert.equal((await server.request('POST', '/claim', { tpc_id })).status, 403)
+
+            caller = { user: 'carol', roles: ['porter'] }
+            const response = await server.request('POST', '/claim', { tpc_id })
+            assert.equal(response.status, 200)
+            assert.equal(response.body.assignee, 'carol')
+        })
+
+        it('lets the starter, the assignee and role members reassign, but nobody else', async () => {
+            const tpc_id = await startInstance()
+            await taskPackageDB.setTaskAssignment(tpc_id, 'bob', 'porter')
+
+            caller = { user: 'dave', roles: [] }
+            assert.equal((await server.request('POST', '/assign', { tpc_id, assignee: 'dave' })).status, 403)
+            assert.equal((await server.request('POST', '/release', { tpc_id })).status, 403)
+
+            caller = { user: 'alice', roles: [] }
+            assert.equal((await server.request('POST', '/assign', { tpc_id, assignee: 'erin' })).status, 200)
+
+            caller = { user: 'erin', roles: [] }
+            assert.equal((await server.request('POST', '/release', { tpc_id })).status, 200)
+
+            caller = { user: 'frank', roles: ['porter'] }
+            assert.equal((await server.request('POST', '/assign', { tpc_id, assignee: 'frank' })).status, 200)
+        })
+
+        it('refuses instances of task packages the caller may not access', async () => {
+            const tpc_id = await startInstance()
+
+            caller = { user: 'alice', roles: [], tp_allowed: ['tp-other'] }
+            assert.equal((await server.request('POST', '/claim', { tpc_id })).status, 403)
+        })
+    })
+})
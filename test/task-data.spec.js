@@ -0,0 +1,91 @@
+/** Stored start input and update payloads
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const tpEvents = require('../lib/task-package-events')
+
+describe('task data', () => {
+    let closeDB
+    let server
+
+    /** Start an instance through the API and mark it started as tp-start would */
+    async function start(tp_id, fields) {
+        const response = await server.request('POST', '/start', { tp_id, ...fields })
+        await taskLifecycle.transition(response.body.tpc_id, 'started')
+        return response.body.tpc_id
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        await taskPackageDB.upsertTaskPackage('tp-data', 'Data', 'data')
+        await taskPackageDB.upsertTaskPackage('tp-private', 'Private', 'private', { store_data: false })
+        tpEvents.onStart('tp-data', () => {})
+        tpEvents.onStart('tp-private', () => {})
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('stores the start input as data, without the control fields', async () => {
+        const tpc_id = await start('tp-data', { priority: 2, ward: 'C3', patient: { mrn: 'M1', bed: 4 } })
+
+        const response = await server.request('GET', `/status?tpc_id=${tpc_id}`)
+        assert.deepEqual(response.body.data, { ward: 'C3', patient: { mrn: 'M1', bed: 4 } })
+        assert.deepEqual(response.body.updates, [])
+        assert.equal('start_request' in response.body, false)
+    })
+
+    it('records every update and merges it into data as a JSON merge patch', async () => {
+        const tpc_id = await start('tp-data', { ward: 'C3', patient: { mrn: 'M1', bed: 4 }, note: 'fragile' })
+        const updates = []
+        tpEvents.onUpdate('tp-data', event => updates.push(event))
+
+        assert.equal((await server.request('POST', '/update', { tpc_id, patient: { bed: 7 } })).status, 200)
+        assert.equal((await server.request('POST', '/update', { tpc_id, note: null, porter: 'P3' })).status, 200)
+
+        const response = await server.request('GET', `/status?tpc_id=${tpc_id}`)
+        assert.deepEqual(response.body.data, { ward: 'C3', patient: { mrn: 'M1', bed: 7 }, porter: 'P3' })
+        assert.deepEqual(response.body.updates.map(update => update.update_data), [{ patient: { bed: 7 } }, { note: null, porter: 'P3' }])
+        assert.deepEqual(response.body.updates.map(update => update.updated_by), ['admin', 'admin'])
+        assert.deepEqual(updates.map(update => update.tpc_id), [tpc_id, tpc_id])
+
+        const listed = await server.request('GET', '/status?tp_id=tp-data')
+        assert.deepEqual(listed.body.find(instance => instance.id === tpc_id).data, response.body.data)
+    })
+
+    it('keeps nothing for a task package that opted out with store_data', async () => {
+        const tpc_id = await start('tp-private', { patient: { mrn: 'M2' } })
+        const updates = []
+        tpEvents.onUpdate('tp-private', event => updates.push(event))
+
+        assert.equal((await server.request('POST', '/update', { tpc_id, patient: { bed: 2 } })).status, 200)
+
+        const response = await server.request('GET', `/status?tpc_id=${tpc_id}`)
+        assert.equal(response.body.data, null)
+        assert.deepEqual(response.body.updates, [])
+        assert.equal(updates.length, 1, 'the update event is still emitted')
+    })
+
+    it('rejects updates to finished instances', async () => {
+        const tpc_id = await start('tp-data', { ward: 'A1' })
+        await taskLifecycle.transition(tpc_id, 'completed')
+
+        const response = await server.request('POST', '/update', { tpc_id, ward: 'A2' })
+        assert.equal(response.status, 400)
+        assert.equal(response.body.current_status, 'completed')
+        assert.deepEqual((await server.request('GET', `/status?tpc_id=${tpc_id}`)).body.data, { ward: 'A1' })
+    })
+})
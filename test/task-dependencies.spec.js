@@ -0,0 +1,153 @@
+/** Task dependencies (depends_on)
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const tpEvents = require('../lib/task-package-events')
+
+describe('task dependencies', () => {
+    let closeDB
+    let server
+    const starts = []
+
+    /** Start an instance through the API */
+    async function start(fields = {}) {
+        const response = await server.request('POST', '/start', { tp_id: 'tp-dep', ...fields })
+        assert.equal(response.status, 200)
+        return response.body
+    }
+
+    /** End a started instance the way tp-end, tp-fail or a cleanup flow does */
+    async function finish(tpc_id, final_status = 'completed') {
+        await taskLifecycle.transition(tpc_id, 'started')
+        if (final_status === 'cancelled') {
+            await taskLifecycle.transition(tpc_id, 'cancelling')
+        }
+        await taskLifecycle.transition(tpc_id, final_status)
+        tpEvents.emitComplete(tpc_id, { tpc_id, tp_id: 'tp-dep', final_status })
+        await settle(50)
+    }
+
+    async function statusOf(tpc_id) {
+        return (await taskPackageDB.getTaskPackageInstance(tpc_id)).status
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        await taskPackageDB.upsertTaskPackage('tp-dep', 'Dep', 'dep')
+        tpEvents.onStart('tp-dep', event => starts.push(event.tpc_id))
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('waits until every dependency has completed (all_completed)', async () => {
+        const a = await start()
+        const b = await start()
+        const c = await start({ depends_on: [a.tpc_id, b.tpc_id] })
+
+        assert.equal(c.status, 'waiting')
+        assert.deepEqual(c.depends_on, [a.tpc_id, b.tpc_id])
+        assert.equal(starts.includes(c.tpc_id), false)
+
+        await finish(a.tpc_id)
+        assert.equal(await statusOf(c.tpc_id), 'waiting')
+
+        await finish(b.tpc_id)
+        assert.equal(await statusOf(c.tpc_id), 'created')
+        assert.ok(starts.includes(c.tpc_id))
+
+        const detail = await server.request('GET', `/status?tpc_id=${c.tpc_id}`)
+        assert.deepEqual(detail.body.depends_on.map(dependency => [dependency.tpc_id, dependency.status]),
+            [[a.tpc_id, 'completed'], [b.tpc_id, 'completed']])
+    })
+
+    it('fails the dependent when a dependency fails', async () => {
+        const a = await start()
+        const c = await start({ depends_on: [a.tpc_id] })
+
+        await finish(a.tpc_id, 'failed')
+        const instance = await taskPackageDB.getTaskPackageInstance(c.tpc_id)
+        assert.equal(instance.status, 'failed')
+        assert.equal(instance.error_code, 'DEPENDENCY_FAILED')
+        assert.equal(starts.includes(c.tpc_id), false)
+    })
+
+    it('cancels the dependent when a dependency is cancelled', async () => {
+        const a = await start()
+        const c = await start({ depends_on: [a.tpc_id] })
+
+        await finish(a.tpc_id, 'cancelled')
+        assert.equal(await statusOf(c.tpc_id), 'cancelled')
+        const history = await taskPackageDB.getStatusHistory(c.tpc_id)
+        assert.match(history.at(-1).reason, /dependency .* cancelled/)
+    })
+
+    it('starts on the first finished dependency with any_finished, whatever its outcome', async () => {
+        const a = await start()
+        const b = await start()
+        const c = await start({ depends_on: [a.tpc_id, b.tpc_id], dependency_policy: 'any_finished' })
+
+        await finish(b.tpc_id, 'failed')
+        assert.equal(await statusOf(c.tpc_id), 'created')
+    })
+
+    it('starts straight away when the dependencies have already completed', async () => {
+        const a = await start()
+        await finish(a.tpc_id)
+
+        const c = await start({ depends_on: [a.tpc_id] })
+        assert.equal(c.status, 'started')
+        assert.ok(starts.includes(c.tpc_id))
+    })
+
+    it('validates depends_on and dependency_policy', async () => {
+        const missing = await server.request('POST', '/start', { tp_id: 'tp-dep', depends_on: ['no-such-instance'] })
+        assert.equal(missing.status, 400)
+        assert.match(missing.body.error, /not found/)
+
+        const policy = await server.request('POST', '/start', { tp_id: 'tp-dep', depends_on: [], dependency_policy: 'some' })
+        assert.equal(policy.status, 400)
+
+        const combined = await server.request('POST', '/start', { tp_id: 'tp-dep', depends_on: ['x'], start_at: new Date().toISOString() })
+        assert.equal(combined.status, 400)
+    })
+
+    it('can cancel a waiting instance before its dependencies finish', async () => {
+        const a = await start()
+        const c = await start({ depends_on: [a.tpc_id] })
+
+        const cancelled = await server.request('POST', '/cancel', { tp_id: 'tp-dep', tpc_id: c.tpc_id })
+        assert.equal(cancelled.body.status, 'cancelled')
+
+        await finish(a.tpc_id)
+        assert.equal(await statusOf(c.tpc_id), 'cancelled')
+        assert.equal(starts.includes(c.tpc_id), false)
+    })
+
+    it('re-evaluates waiting instances on startup', async () => {
+        const a = await start()
+        const c = await start({ depends_on: [a.tpc_id] })
+
+        // The dependency finished while nothing was listening
+        await taskLifecycle.transition(a.tpc_id, 'started')
+        await taskLifecycle.transition(a.tpc_id, 'completed')
+        assert.equal(await statusOf(c.tpc_id), 'waiting')
+
+        await taskPackageRuntime.init()
+        assert.equal(await statusOf(c.tpc_id), 'created')
+    })
+})
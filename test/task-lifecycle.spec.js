@@ -0,0 +1,191 @@
+/** Task lifecycle state machine and status transition history
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB } = require('./helpers/db')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+
+describe('TRANSITIONS', () => {
+    it('lists every status, with terminal statuses having no way out', () => {
+        for (const status of taskLifecycle.TERMINAL_STATUSES) {
+            assert.deepEqual(taskLifecycle.TRANSITIONS[status], [], status)
+            assert.equal(taskLifecycle.isTerminal(status), true, status)
+        }
+        for (const targets of Object.values(taskLifecycle.TRANSITIONS)) {
+            for (const target of targets) {
+                assert.ok(taskLifecycle.STATUSES.includes(target), `unknown status ${target}`)
+            }
+        }
+    })
+
+    it('never leads back to a pending status once the flow has been started', () => {
+        for (const from of ['created', 'started', 'ongoing', 'paused', 'awaiting_approval', 'cancelling']) {
+            for (const to of taskLifecycle.PENDING_STATUSES) {
+                assert.equal(taskLifecycle.canTransition(from, to), false, `${from} -> ${to}`)
+            }
+        }
+    })
+
+    it('allows the normal path and cancellation', () => {
+        assert.equal(taskLifecycle.canTransition('created', 'started'), true)
+        assert.equal(taskLifecycle.canTransition('started', 'ongoing'), true)
+        assert.equal(taskLifecycle.canTransition('ongoing', 'completed'), true)
+        assert.equal(taskLifecycle.canTransition('ongoing', 'cancelling'), true)
+        assert.equal(taskLifecycle.canTransition('cancelling', 'cancelled'), true)
+    })
+
+    it('rejects unknown and illegal transitions', () => {
+        assert.equal(taskLifecycle.canTransition('completed', 'started'), false)
+        assert.equal(taskLifecycle.canTransition('created', 'completed'), false)
+        assert.equal(taskLifecycle.canTransition('cancelling', 'ongoing'), false)
+        assert.equal(taskLifecycle.canTransition('no_such_status', 'started'), false)
+    })
+})
+
+describe('InvalidTransitionError', () => {
+    it('carries the instance, both statuses and a code', () => {
+        assert.throws(() => taskLifecycle.assertTransition('tpc-1', 'completed', 'ongoing'), (error) => {
+            assert.ok(error instanceof taskLifecycle.InvalidTransitionError)
+            assert.ok(error instanceof Error)
+            assert.equal(error.name, 'InvalidTransitionError')
+            assert.equal(error.code, 'INVALID_TRANSITION')
+            assert.equal(error.tpc_id, 'tpc-1')
+            assert.equal(error.from, 'completed')
+            assert.equal(error.to, 'ongoing')
+            assert.match(error.message, /completed -> ongoing/)
+            return true
+        })
+    })
+
+    it('is not thrown for a legal transition', () => {
+        assert.doesNotThrow(() => taskLifecycle.assertTransition('tpc-1', 'created', 'started'))
+    })
+})
+
+describe('transitions in the database', () => {
+    let closeDB
+    let next = 0
+
+    /** Create an instance with its own ID in the given initial status */
+    async function createInstance(status = 'created') {
+        const tpc_id = `lifecycle-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-lifecycle', tp_name: 'Lifecycle', user: 'alice', status })
+        return tpc_id
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+    })
+
+    after(async () => {
+        await closeDB()
+    })
+
+    it('creates an instance in an initial status and records it in the history', async () => {
+        const tpc_id = await createInstance('scheduled')
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.status, 'scheduled')
+
+        const history = await taskPackageDB.getStatusHistory(tpc_id)
+        assert.equal(history.length, 1)
+        assert.equal(history[0].from_status, null)
+        assert.equal(history[0].to_status, 'scheduled')
+        assert.equal(history[0].actor, 'alice')
+    })
+
+    it('refuses to create an instance in a status that is not initial', async () => {
+        await assert.rejects(
+            taskLifecycle.createInstance({ tpc_id: 'lifecycle-bad', tp_id: 'tp-lifecycle', tp_name: 'Lifecycle', user: 'alice', status: 'started' }),
+            taskLifecycle.InvalidTransitionError
+        )
+        assert.equal(await taskPackageDB.getTaskPackageInstance('lifecycle-bad'), undefined)
+    })
+
+    it('moves an instance and records actor and reason', async () => {
+        const tpc_id = await createInstance()
+
+        const result = await taskLifecycle.transition(tpc_id, 'started', { actor: 'node-1' })
+        assert.deepEqual(result, { tpc_id, from: 'created', to: 'started' })
+        await taskLifecycle.transition(tpc_id, 'cancelling', { actor: 'bob', reason: 'no longer needed', user_status: 'Stopping' })
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.status, 'cancelling')
+        assert.equal(instance.user_status, 'Stopping')
+
+        const history = await taskPackageDB.getStatusHistory(tpc_id)
+        assert.deepEqual(history.map(entry => [entry.from_status, entry.to_status, entry.actor, entry.reason]), [
+            [null, 'created', 'alice', null],
+            ['created', 'started', 'node-1', null],
+            ['started', 'cancelling', 'bob', 'no longer needed']
+        ])
+    })
+
+    it('rejects an illegal transition without touching the instance or its history', async () => {
+        const tpc_id = await createInstance()
+
+        await assert.rejects(taskLifecycle.transition(tpc_id, 'completed'), (error) => {
+            assert.ok(error instanceof taskLifecycle.InvalidTransitionError)
+            assert.equal(error.from, 'created')
+            assert.equal(error.to, 'completed')
+            return true
+        })
+
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'created')
+        assert.equal((await taskPackageDB.getStatusHistory(tpc_id)).length, 1)
+    })
+
+    it('fails with a plain error for an unknown instance', async () => {
+        await assert.rejects(taskLifecycle.transition('lifecycle-missing', 'started'), (error) => {
+            assert.ok(!(error instanceof taskLifecycle.InvalidTransitionError))
+            assert.match(error.message, /not found/)
+            return true
+        })
+    })
+
+    describe('transitionTaskStatus', () => {
+        it('only updates an instance that is still in the expected status', async () => {
+            const tpc_id = await createInstance()
+
+            const stale = await taskPackageDB.transitionTaskStatus(tpc_id, 'started', 'ongoing', 'node-1')
+            assert.equal(stale, 0)
+            assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'created')
+            assert.equal((await taskPackageDB.getStatusHistory(tpc_id)).length, 1, 'no history for a lost update')
+
+            const current = await taskPackageDB.transitionTaskStatus(tpc_id, 'created', 'started', 'node-1')
+            assert.equal(current, 1)
+            assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, 'started')
+        })
+
+        it('lets only one of two concurrent transitions from the same status win', async () => {
+            const tpc_id = await createInstance()
+
+            // Both read 'created' before either writes
+            const results = await Promise.allSettled([
+                taskLifecycle.transition(tpc_id, 'started', { actor: 'node-1' }),
+                taskLifecycle.transition(tpc_id, 'cancelled', { actor: 'bob' })
+            ])
+
+            const fulfilled = results.filter(result => result.status === 'fulfilled')
+            const rejected = results.filter(result => result.status === 'rejected')
+            assert.equal(fulfilled.length, 1)
+            assert.equal(rejected.length, 1)
+
+            const winner = fulfilled[0].value.to
+            const error = rejected[0].reason
+            assert.ok(error instanceof taskLifecycle.InvalidTransitionError)
+            assert.equal(error.from, winner, 'the error reports the status the winner left behind')
+
+            assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).status, winner)
+            const history = await taskPackageDB.getStatusHistory(tpc_id)
+            assert.deepEqual(history.map(entry => entry.to_status), ['created', winner])
+        })
+    })
+})
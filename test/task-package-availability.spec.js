@@ -0,0 +1,156 @@
+/** Task package availability: inactive definitions and maintenance mode
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const taskPackageScheduler = require('../lib/task-package-scheduler')
+const tpEvents = require('../lib/task-package-events')
+
+describe('task package availability', () => {
+    let closeDB
+    let server
+    let red
+    const starts = []
+
+    async function packageOf(tp_id) {
+        return taskPackageDB.getTaskPackage(tp_id)
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-start')
+        await taskPackageDB.upsertTaskPackage('tp-avail', 'Availability', 'avail')
+        tpEvents.onStart('tp-avail', event => starts.push(event))
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('rejects new starts while disabled for maintenance and accepts them again once enabled', async () => {
+        let response = await server.request('POST', '/admin/packages/tp-avail/disable', { reason: 'Porter system upgrade' })
+        assert.equal(response.status, 200)
+        assert.equal(response.body.enabled, false)
+        assert.equal(response.body.disabled_by, 'admin')
+        assert.equal(response.body.disabled_reason, 'Porter system upgrade')
+        assert.ok(response.body.disabled_at)
+
+        response = await server.request('POST', '/start', { tp_id: 'tp-avail' })
+        assert.equal(response.status, 409)
+        assert.equal(response.body.enabled, false)
+        assert.equal(response.body.active, true)
+        assert.match(response.body.error, /disabled for maintenance: Porter system upgrade/)
+        assert.equal(starts.length, 0)
+
+        response = await server.request('POST', '/admin/packages/tp-avail/enable')
+        assert.equal(response.status, 200)
+        assert.equal(response.body.enabled, true)
+        assert.equal(response.body.disabled_reason, null)
+
+        response = await server.request('POST', '/start', { tp_id: 'tp-avail' })
+        assert.equal(response.status, 200)
+        assert.equal(starts.length, 1)
+        assert.equal(starts[0].tpc_id, response.body.tpc_id)
+    })
+
+    it('validates the enable and disable requests', async () => {
+        assert.equal((await server.request('POST', '/admin/packages/tp-none/disable', {})).status, 404)
+        assert.equal((await server.request('POST', '/admin/packages/tp-avail/disable', { reason: 5 })).status, 400)
+        assert.equal((await packageOf('tp-avail')).enabled, true)
+    })
+
+    it('needs an unrestricted user to change availability', async () => {
+        mock.method(server.api, 'validateRequest', async () => ({ valid: true, user: 'bob', tp_allowed: ['tp-avail'], roles: [] }))
+        try {
+            assert.equal((await server.request('POST', '/admin/packages/tp-avail/disable', {})).status, 403)
+        } finally {
+            mock.restoreAll()
+        }
+        assert.equal((await packageOf('tp-avail')).enabled, true)
+    })
+
+    it('skips scheduled runs while disabled', async () => {
+        const created = await server.request('POST', '/schedules', { tp_id: 'tp-avail', cron: '0 9 * * *' })
+        const { id } = created.body
+        await taskPackageRuntime.setTaskPackageEnabled('tp-avail', false, { actor: 'admin' })
+        const before = starts.length
+        const warn = mock.method(console, 'warn', () => {})
+
+        try {
+            // Fire the run by hand instead of waiting for 09:00
+            taskPackageScheduler.disarm(id)
+            await taskPackageScheduler.run(id, Date.now())
+
+            assert.equal(starts.length, before)
+            assert.match(warn.mock.calls[0].arguments[0], /disabled for maintenance, run skipped/)
+            assert.equal((await taskPackageDB.getSchedule(id)).last_run_at, null)
+            assert.equal(taskPackageScheduler.timers.has(id), true)
+        } finally {
+            warn.mock.restore()
+            taskPackageScheduler.disarm(id)
+            await taskPackageRuntime.setTaskPackageEnabled('tp-avail', true)
+        }
+    })
+
+    it('marks a task package inactive once its tp-start node is removed, and active again on deploy', async () => {
+        const config = { id: 'start-avail', type: 'tp-start', z: 'tab-avail', tp_id: 'tp-avail-node', tp_name: 'Node' }
+        let start = await red.deployNow(config)
+        assert.equal((await packageOf('tp-avail-node')).active, true)
+
+        // A redeploy is not a removal
+        await red.close(start)
+        assert.equal((await packageOf('tp-avail-node')).active, true)
+        start = await red.deployNow(config)
+
+        await red.close(start, true)
+        assert.equal((await packageOf('tp-avail-node')).active, false)
+
+        let response = await server.request('POST', '/start', { tp_id: 'tp-avail-node' })
+        assert.equal(response.status, 409)
+        assert.equal(response.body.active, false)
+        assert.match(response.body.error, /inactive: no tp-start node is deployed/)
+
+        response = await server.request('GET', '/info')
+        assert.ok(!response.body.some(taskPackage => taskPackage.id === 'tp-avail-node'))
+        response = await server.request('GET', '/info?include_inactive=true')
+        assert.equal(response.body.find(taskPackage => taskPackage.id === 'tp-avail-node').active, false)
+
+        start = await red.deployNow(config)
+        assert.equal((await packageOf('tp-avail-node')).active, true)
+        await red.close(start)
+    })
+
+    it('keeps a task package active while another tp-start node serves it', async () => {
+        const first = await red.deployNow({ id: 'start-avail-1', type: 'tp-start', z: 'tab-avail', tp_id: 'tp-avail-shared', tp_name: 'Shared' })
+        const second = await red.deployNow({ id: 'start-avail-2', type: 'tp-start', z: 'tab-avail-2', tp_id: 'tp-avail-shared', tp_name: 'Shared' })
+
+        await red.close(first, true)
+        assert.equal((await packageOf('tp-avail-shared')).active, true)
+
+        await red.close(second, true)
+        assert.equal((await packageOf('tp-avail-shared')).active, false)
+    })
+
+    it('marks task packages whose tp-start node went while Node-RED was down inactive', async () => {
+        await taskPackageDB.upsertTaskPackage('tp-avail-gone', 'Gone', 'gone')
+
+        const deactivated = await taskPackageRuntime.deactivateUndeployed()
+
+        assert.ok(deactivated.includes('tp-avail-gone'))
+        assert.ok(!deactivated.includes('tp-avail'))
+        assert.equal((await packageOf('tp-avail-gone')).active, false)
+    })
+})
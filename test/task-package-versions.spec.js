@@ -0,0 +1,151 @@
+/** Versioned task package definitions
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const tpEvents = require('../lib/task-package-events')
+
+describe('task package versions', () => {
+    let closeDB
+    let server
+    let red
+    let start
+
+    const startConfig = { id: 'start-versions', type: 'tp-start', z: 'tab-versions', tp_id: 'tp-versions', tp_name: 'Versions', x: 100, y: 100, wires: [['function-versions']] }
+    const schema = JSON.stringify({ type: 'object', required: ['ward'] })
+    const functionConfig = { id: 'function-versions', type: 'function', z: 'tab-versions', func: 'return msg', x: 300, y: 100, wires: [] }
+
+    /** Redeploy the tp-start node, as a deploy of its flow does */
+    async function redeploy(config = startConfig) {
+        await red.close(start)
+        start = await red.deployNow(config)
+    }
+
+    /** Put a non-tp node's configuration in the deployed flows */
+    function setFlowNode(config) {
+        const index = red.flows.findIndex(existing => existing.id === config.id)
+        red.flows.splice(index === -1 ? red.flows.length : index, index === -1 ? 0 : 1, config)
+    }
+
+    async function versionsOf(tp_id = 'tp-versions') {
+        return taskPackageDB.getTaskPackageVersions(tp_id)
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-start')
+        setFlowNode(functionConfig)
+        setFlowNode({ id: 'function-elsewhere', type: 'function', z: 'tab-other', func: 'return msg', wires: [] })
+        start = await red.deployNow(startConfig)
+    })
+
+    after(async () => {
+        await red.close(start)
+        await server.close()
+        await closeDB()
+    })
+
+    it('records the first version with a hash of the deployed flow', async () => {
+        const [version] = await versionsOf()
+
+        assert.equal(version.version, 1)
+        assert.equal(version.name, 'Versions')
+        assert.match(version.flow_hash, /^[0-9a-f]{64}$/)
+    })
+
+    it('keeps the version when the flow is redeployed unchanged or only moved', async () => {
+        await redeploy()
+        setFlowNode({ ...functionConfig, x: 500, y: 220 })
+        await redeploy({ ...startConfig, x: 40, y: 60 })
+
+        assert.equal((await versionsOf()).length, 1)
+    })
+
+    it('ignores edits to other flows', async () => {
+        setFlowNode({ id: 'function-elsewhere', type: 'function', z: 'tab-other', func: 'return null', wires: [] })
+        await redeploy()
+
+        assert.equal((await versionsOf()).length, 1)
+    })
+
+    it('ignores nodes of the same tab the task package does not reach', async () => {
+        setFlowNode({ id: 'function-unwired', type: 'function', z: 'tab-versions', func: 'return msg', wires: [] })
+        await redeploy()
+        setFlowNode({ id: 'function-unwired', type: 'function', z: 'tab-versions', func: 'return null', wires: [] })
+        await redeploy()
+
+        assert.equal((await versionsOf()).length, 1)
+    })
+
+    it('bumps the version when a node of the flow is edited', async () => {
+        const [before] = await versionsOf()
+
+        setFlowNode({ ...functionConfig, func: 'msg.payload = 1\nreturn msg' })
+        await redeploy()
+
+        const [current, previous] = await versionsOf()
+        assert.equal(current.version, 2)
+        assert.equal(previous.flow_hash, before.flow_hash)
+        assert.match(current.flow_hash, /^[0-9a-f]{64}$/)
+        assert.notEqual(current.flow_hash, before.flow_hash)
+    })
+
+    it('bumps the version when the definition changes', async () => {
+        await redeploy({ ...startConfig, tp_schema: schema })
+
+        const response = await server.request('GET', '/info?tp_id=tp-versions')
+        assert.equal(response.status, 200)
+        assert.equal(response.body.version, 3)
+        assert.deepEqual(response.body.versions.map(version => version.version), [3, 2, 1])
+    })
+
+    it('pins started instances to the current version', async () => {
+        const tpc_id = 'versions-1'
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-versions', tp_name: 'Versions', user: 'alice' })
+
+        tpEvents.emitStart('tp-versions', { tpc_id, user: 'alice', payload: { ward: 'A' } })
+        await settle()
+
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).tp_version, 3)
+
+        setFlowNode({ ...functionConfig, func: 'return [msg, null]' })
+        await redeploy({ ...startConfig, tp_schema: schema })
+
+        assert.equal((await versionsOf())[0].version, 4)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).tp_version, 3)
+        await taskLifecycle.transition(tpc_id, 'completed')
+    })
+
+    it('pins an instance started before the delayed database sync to the new version', async () => {
+        setFlowNode({ ...functionConfig, func: 'return [null, msg]' })
+        await red.close(start)
+        mock.timers.enable({ apis: ['setTimeout'] })
+        try {
+            start = red.deploy({ ...startConfig, tp_schema: schema })
+        } finally {
+            mock.timers.reset() // The sync never runs
+        }
+
+        const tpc_id = 'versions-2'
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-versions', tp_name: 'Versions', user: 'alice' })
+        tpEvents.emitStart('tp-versions', { tpc_id, user: 'alice', payload: { ward: 'A' } })
+        await settle()
+
+        const [current] = await versionsOf()
+        assert.equal(current.version, 5)
+        assert.equal((await taskPackageDB.getTaskPackageInstance(tpc_id)).tp_version, 5)
+        await taskLifecycle.transition(tpc_id, 'completed')
+    })
+})
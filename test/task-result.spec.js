@@ -0,0 +1,117 @@
+/** Task results (tp-end result property and GET /result)
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const activeTaskRegistry = require('../lib/active-task-registry')
+const tpEvents = require('../lib/task-package-events')
+
+describe('task results', () => {
+    let closeDB
+    let server
+    let red
+    let end
+    let next = 0
+
+    /** Create a running instance held by a flow */
+    async function startInstance() {
+        const tpc_id = `result-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-result', tp_name: 'Result', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        activeTaskRegistry.register({ tpc_id, tp_id: 'tp-result', tp_name: 'Result' })
+        return tpc_id
+    }
+
+    /** Send a message into tp-end as the end of the task's flow */
+    function endTask(tpc_id, payload) {
+        return red.input(end, { tp_data: { tpc_id, tp_id: 'tp-result', status: 'started' }, payload })
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-end')
+        end = red.deploy({
+            id: 'end-1', type: 'tp-end', z: 'tab-1', result_property: 'payload.result',
+            result_schema: JSON.stringify({ type: 'object', required: ['porter'], properties: { porter: { type: 'string' } } })
+        })
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('stores the result a task ends with and reports it with its timings', async () => {
+        const tpc_id = await startInstance()
+        const completions = []
+        tpEvents.onComplete(tpc_id, event => completions.push(event))
+
+        await endTask(tpc_id, { result: { porter: 'P12', minutes: 14 } })
+        assert.deepEqual(completions[0].result, { porter: 'P12', minutes: 14 })
+
+        const response = await server.request('GET', `/result?tpc_id=${tpc_id}`)
+        assert.equal(response.status, 200)
+        const { created_at, started_at, completed_at, duration_ms, ...outcome } = response.body
+        assert.deepEqual(outcome, {
+            tpc_id, tp_id: 'tp-result', tp_name: 'Result', user: 'alice',
+            status: 'completed', finished: true, result: { porter: 'P12', minutes: 14 }, error: null
+        })
+        assert.ok(Date.parse(created_at) <= Date.parse(started_at))
+        assert.ok(Date.parse(started_at) <= Date.parse(completed_at))
+        assert.equal(duration_ms, Date.parse(completed_at) - Date.parse(started_at))
+    })
+
+    it('fails a task whose result does not match the result schema', async () => {
+        const tpc_id = await startInstance()
+        await endTask(tpc_id, { result: { minutes: 14 } })
+
+        const response = await server.request('GET', `/result?tpc_id=${tpc_id}`)
+        assert.equal(response.body.status, 'failed')
+        assert.equal(response.body.result, null)
+        assert.equal(response.body.error.code, 'RESULT_VALIDATION_FAILED')
+    })
+
+    it('stores nothing when the result property is not set', async () => {
+        const tpc_id = await startInstance()
+        await endTask(tpc_id, { done: true })
+
+        const response = await server.request('GET', `/result?tpc_id=${tpc_id}`)
+        assert.equal(response.body.status, 'completed')
+        assert.equal(response.body.result, null)
+    })
+
+    it('reports an unfinished task without result or completion time', async () => {
+        const tpc_id = await startInstance()
+        const response = await server.request('GET', `/result?tpc_id=${tpc_id}`)
+
+        assert.equal(response.body.status, 'started')
+        assert.equal(response.body.finished, false)
+        assert.equal(response.body.completed_at, null)
+        assert.equal(response.body.duration_ms, null)
+        activeTaskRegistry.remove(tpc_id)
+    })
+
+    it('needs an existing tpc_id', async () => {
+        assert.equal((await server.request('GET', '/result')).status, 400)
+        assert.equal((await server.request('GET', '/result?tpc_id=nope')).status, 404)
+    })
+
+    it('stores the result as JSON on the instance', async () => {
+        const tpc_id = await startInstance()
+        await endTask(tpc_id, { result: { porter: 'P7' } })
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.deepEqual(JSON.parse(instance.result), { porter: 'P7' })
+    })
+})
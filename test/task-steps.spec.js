@@ -0,0 +1,147 @@
+/** tp-step and the step timeline
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+
+describe('task steps', () => {
+    let closeDB
+    let server
+    let red
+    let enter
+    let exit
+    let next = 0
+
+    /** Create a running instance */
+    async function startInstance() {
+        const tpc_id = `steps-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-steps', tp_name: 'Steps', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    async function timelineOf(tpc_id) {
+        return server.request('GET', `/timeline?tpc_id=${tpc_id}`)
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-step')
+        enter = red.deploy({ id: 'step-enter', type: 'tp-step', z: 'tab-1', step: 'Pickup', action: 'enter' })
+        exit = red.deploy({ id: 'step-exit', type: 'tp-step', z: 'tab-1', step: 'Pickup', action: 'exit' })
+    })
+
+    after(async () => {
+        await server.close()
+        await closeDB()
+    })
+
+    it('records entering and leaving a step and passes the message on', async () => {
+        const tpc_id = await startInstance()
+
+        await red.input(enter, { tp_data: { tpc_id }, payload: 1 })
+        await red.input(exit, { tp_data: { tpc_id }, payload: 2 })
+
+        assert.deepEqual(enter.sent.at(-1).payload, 1)
+        assert.deepEqual(exit.sent.at(-1).payload, 2)
+
+        const { status, body } = await timelineOf(tpc_id)
+        assert.equal(status, 200)
+        assert.equal(body.tpc_id, tpc_id)
+        assert.equal(body.tp_id, 'tp-steps')
+        assert.equal(body.status, 'started')
+        assert.equal(body.steps.length, 1)
+
+        const [step] = body.steps
+        assert.equal(step.step, 'Pickup')
+        assert.ok(!step.cleanup)
+        assert.equal(step.enter_node_id, 'step-enter')
+        assert.equal(step.exit_node_id, 'step-exit')
+        assert.ok(step.exited_at)
+        assert.equal(step.duration_ms, Date.parse(step.exited_at) - Date.parse(step.entered_at))
+    })
+
+    it('lists steps in the order they were entered, with their durations', async () => {
+        const tpc_id = await startInstance()
+        await taskPackageDB.enterTaskStep(tpc_id, 'Collect', false, '2025-01-01T10:00:00.000Z')
+        await taskPackageDB.exitTaskStep(tpc_id, 'Collect', '2025-01-01T10:05:00.000Z')
+        await taskPackageDB.enterTaskStep(tpc_id, 'Deliver', false, '2025-01-01T10:05:00.000Z')
+
+        const { body } = await timelineOf(tpc_id)
+        assert.deepEqual(body.steps.map(step => [step.step, step.duration_ms]), [
+            ['Collect', 5 * 60000],
+            ['Deliver', null],
+        ])
+    })
+
+    it('closes the most recently entered open step of that name', async () => {
+        const tpc_id = await startInstance()
+        await taskPackageDB.enterTaskStep(tpc_id, 'Retry', false, '2025-01-01T10:00:00.000Z')
+        await taskPackageDB.exitTaskStep(tpc_id, 'Retry', '2025-01-01T10:01:00.000Z')
+        await taskPackageDB.enterTaskStep(tpc_id, 'Retry', false, '2025-01-01T10:02:00.000Z')
+        await taskPackageDB.enterTaskStep(tpc_id, 'Retry', false, '2025-01-01T10:03:00.000Z')
+
+        assert.equal(await taskPackageDB.exitTaskStep(tpc_id, 'Retry', '2025-01-01T10:04:00.000Z'), 1)
+
+        const { body } = await timelineOf(tpc_id)
+        assert.deepEqual(body.steps.map(step => step.duration_ms), [60000, null, 60000])
+    })
+
+    it('flags steps run by the cancel cleanup flow', async () => {
+        const tpc_id = await startInstance()
+
+        await red.input(enter, { tp_data: { tpc_id }, _tpCleanup: true })
+
+        const { body } = await timelineOf(tpc_id)
+        assert.equal(body.steps.length, 1)
+        assert.ok(body.steps[0].cleanup)
+        assert.match(enter.statuses.at(-1).text, /\(cleanup\)/)
+    })
+
+    it('takes the step name from msg.step when none is configured', async () => {
+        const node = red.deploy({ id: 'step-dynamic', type: 'tp-step', z: 'tab-1' })
+        const tpc_id = await startInstance()
+
+        await red.input(node, { tp_data: { tpc_id }, step: 'Dynamic' })
+
+        const { body } = await timelineOf(tpc_id)
+        assert.deepEqual(body.steps.map(step => step.step), ['Dynamic'])
+    })
+
+    it('warns and passes the message on without a step name', async () => {
+        const node = red.deploy({ id: 'step-unnamed', type: 'tp-step', z: 'tab-1' })
+        const tpc_id = await startInstance()
+
+        await red.input(node, { tp_data: { tpc_id }, payload: 'x' })
+
+        assert.match(node.logs.warn.at(-1), /No step name/)
+        assert.equal(node.sent.at(-1).payload, 'x')
+        assert.deepEqual((await timelineOf(tpc_id)).body.steps, [])
+    })
+
+    it('warns when leaving a step that was not entered', async () => {
+        const tpc_id = await startInstance()
+
+        await red.input(exit, { tp_data: { tpc_id } })
+
+        assert.equal(exit.logs.warn.at(-1), `Step 'Pickup' of task ${tpc_id} was not entered`)
+        assert.deepEqual((await timelineOf(tpc_id)).body.steps, [])
+    })
+
+    it('rejects a missing tpc_id and an unknown instance', async () => {
+        assert.equal((await server.request('GET', '/timeline')).status, 400)
+        assert.equal((await timelineOf('steps-unknown')).status, 404)
+    })
+})
@@ -0,0 +1,118 @@
+/** tp-fail node and failed instances
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const tpEvents = require('../lib/task-package-events')
+
+describe('tp-fail', () => {
+    let closeDB
+    let red
+    let next = 0
+
+    /** Create an instance that a flow has started */
+    async function startInstance(tp_id = 'tp-fail-test') {
+        const tpc_id = `fail-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name: 'Fail test', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started', { actor: 'start-node' })
+        return tpc_id
+    }
+
+    /** Collect the completion events of an instance */
+    function completions(tpc_id) {
+        const events = []
+        tpEvents.onComplete(tpc_id, event => events.push(event))
+        return events
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        red = createRED()
+        red.load('tp-fail')
+        red.load('tp-start')
+    })
+
+    after(async () => {
+        await closeDB()
+    })
+
+    it('fails the task with the error of a Catch node message', async () => {
+        const node = red.deploy({ id: 'fail-1', type: 'tp-fail', z: 'tab-1' })
+        const tpc_id = await startInstance()
+        const events = completions(tpc_id)
+
+        const error = await red.input(node, {
+            tp_data: { tpc_id },
+            error: { message: 'Lift out of order', code: 'LIFT_DOWN', source: { id: 'lift-node' } }
+        })
+        assert.equal(error, undefined)
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.status, 'failed')
+        assert.equal(instance.error_message, 'Lift out of order')
+        assert.equal(instance.error_code, 'LIFT_DOWN')
+        assert.equal(instance.error_node_id, 'lift-node')
+
+        assert.equal(events.length, 1)
+        assert.equal(events[0].final_status, 'failed')
+        assert.equal(events[0].was_cancelled, false)
+        assert.deepEqual(events[0].error, { message: 'Lift out of order', code: 'LIFT_DOWN', node_id: 'lift-node' })
+
+        const history = await taskPackageDB.getStatusHistory(tpc_id)
+        assert.deepEqual(history.at(-1), { ...history.at(-1), from_status: 'started', to_status: 'failed', actor: 'fail-1', reason: 'Lift out of order' })
+    })
+
+    it('falls back to the configured error and its own node id', async () => {
+        const node = red.deploy({ id: 'fail-2', type: 'tp-fail', z: 'tab-1', error_message: 'No porter available', error_code: 'NO_PORTER' })
+        const tpc_id = await startInstance()
+
+        await red.input(node, { tp_data: { tpc_id } })
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.status, 'failed')
+        assert.equal(instance.error_message, 'No porter available')
+        assert.equal(instance.error_code, 'NO_PORTER')
+        assert.equal(instance.error_node_id, 'fail-2')
+    })
+
+    it('leaves a task that already ended alone', async () => {
+        const node = red.deploy({ id: 'fail-3', type: 'tp-fail', z: 'tab-1' })
+        const tpc_id = await startInstance()
+        await taskLifecycle.transition(tpc_id, 'completed')
+        const events = completions(tpc_id)
+
+        await red.input(node, { tp_data: { tpc_id }, error: 'too late' })
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.status, 'completed')
+        assert.equal(instance.error_message, null)
+        assert.equal(events.length, 0)
+        assert.match(node.logs.warn[0], /not failed/)
+    })
+
+    it('fails an instance whose start payload does not match the tp-start schema', async () => {
+        await red.deployNow({
+            id: 'start-1', type: 'tp-start', z: 'tab-2', tp_id: 'tp-schema', tp_name: 'Schema',
+            tp_schema: JSON.stringify({ type: 'object', required: ['ward'] })
+        })
+        const tpc_id = 'fail-schema'
+        await taskLifecycle.createInstance({ tpc_id, tp_id: 'tp-schema', tp_name: 'Schema', user: 'alice' })
+
+        tpEvents.emitStart('tp-schema', { tpc_id, tp_id: 'tp-schema', user: 'alice', payload: { bed: 4 } })
+        await settle()
+
+        const instance = await taskPackageDB.getTaskPackageInstance(tpc_id)
+        assert.equal(instance.status, 'failed')
+        assert.equal(instance.error_code, 'SCHEMA_VALIDATION_FAILED')
+        assert.match(instance.error_message, /Schema validation failed/)
+    })
+})
@@ -0,0 +1,162 @@
+/** tp-spawn node and parent/child cancellation
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { createRED } = require('./helpers/red')
+const taskPackageDB = require('../lib/task-package-db')
+const taskLifecycle = require('../lib/task-lifecycle')
+const taskPackageRuntime = require('../lib/task-package-runtime')
+const activeTaskRegistry = require('../lib/active-task-registry')
+const tpEvents = require('../lib/task-package-events')
+
+describe('tp-spawn', () => {
+    let closeDB
+    let red
+    let spawn
+    const childStarts = []
+    const childCancels = []
+
+    /** Start a parent instance as its tp-start node would have */
+    async function startParent() {
+        const { tpc_id } = await taskPackageRuntime.startTask({ tp_id: 'tp-parent', tp_name: 'Parent', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        activeTaskRegistry.register({ tpc_id, tp_id: 'tp-parent' })
+        return tpc_id
+    }
+
+    /** Send a message from a parent's flow into tp-spawn and return its child once created */
+    async function spawnChild(parent_tpc_id, msg = {}) {
+        const done = red.input(spawn, { payload: { bed: 7 }, ...msg, tp_data: { tpc_id: parent_tpc_id, user: 'alice' } })
+        await settle(50)
+        const [child] = await taskPackageDB.getChildInstances(parent_tpc_id)
+        return { child, done }
+    }
+
+    /** End a child the way its tp-end or tp-fail node does */
+    async function finishChild(child_tpc_id, final_status, extra = {}) {
+        const { status } = await taskPackageDB.getTaskPackageInstance(child_tpc_id)
+        if (status === 'created') {
+            await taskLifecycle.transition(child_tpc_id, 'started')
+        }
+        await taskLifecycle.transition(child_tpc_id, final_status)
+        tpEvents.emitComplete(child_tpc_id, { tpc_id: child_tpc_id, tp_id: 'tp-child', final_status, ...extra })
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        await taskPackageDB.upsertTaskPackage('tp-parent', 'Parent', 'parent')
+        await taskPackageDB.upsertTaskPackage('tp-child', 'Child', 'child')
+        await taskPackageDB.upsertTaskPackage('tp-orphan', 'Orphan', 'orphan')
+        tpEvents.onStart('tp-parent', () => {})
+        tpEvents.onStart('tp-child', event => childStarts.push(event))
+        tpEvents.onCancel('*', event => childCancels.push(event.tpc_id))
+
+        red = createRED()
+        red.load('tp-spawn')
+        spawn = red.deploy({ id: 'spawn-1', type: 'tp-spawn', z: 'tab-1', child_tp_id: 'tp-child', max_duration: '30' })
+    })
+
+    after(async () => {
+        await red.close(spawn)
+        await closeDB()
+    })
+
+    it('starts the child with the parent link and routes its completion to the first output', async () => {
+        const parent = await startParent()
+        const { child, done } = await spawnChild(parent)
+
+        assert.equal(child.parent_tpc_id, parent)
+        assert.equal(child.user, 'alice')
+        const started = childStarts.find(event => event.tpc_id === child.id)
+        assert.deepEqual(started.payload, { bed: 7 })
+        assert.equal(started.max_duration, 30)
+
+        await finishChild(child.id, 'completed')
+        await done
+
+        const [completed, cancelled, failed] = spawn.sent.at(-1)
+        assert.equal(cancelled, null)
+        assert.equal(failed, null)
+        assert.equal(completed.tp_data.tpc_id, parent)
+        assert.deepEqual(completed.tp_child, {
+            tpc_id: child.id, tp_id: 'tp-child', final_status: 'completed', completed_at: null, error: null
+        })
+    })
+
+    it('routes a failed child to the third output with its error', async () => {
+        const parent = await startParent()
+        const { child, done } = await spawnChild(parent)
+
+        const error = { message: 'No bed', code: 'NO_BED', node_id: 'n1' }
+        await finishChild(child.id, 'failed', { error })
+        await done
+
+        const outputs = spawn.sent.at(-1)
+        assert.equal(outputs[0], null)
+        assert.deepEqual(outputs[2].tp_child.error, error)
+    })
+
+    it('cancels running and pending children when the parent is cancelled', async () => {
+        await taskPackageDB.upsertTaskPackage('tp-child', 'Child', 'child', { max_concurrent: 1 })
+        const blocker = (await taskPackageRuntime.startTask({ tp_id: 'tp-child', tp_name: 'Child', user: 'bob' })).tpc_id
+
+        const parent = await startParent()
+        const { child: queued, done } = await spawnChild(parent)
+        assert.equal(queued.status, 'queued')
+
+        await taskPackageRuntime.cancelTask(parent, { actor: 'carol' })
+        await done
+
+        assert.equal((await taskPackageDB.getTaskPackageInstance(queued.id)).status, 'cancelled')
+        const history = await taskPackageDB.getStatusHistory(queued.id)
+        assert.equal(history.at(-1).actor, 'carol')
+        assert.equal(history.at(-1).reason, `parent ${parent} cancelled`)
+        assert.equal(spawn.sent.at(-1)[1].tp_child.final_status, 'cancelled')
+
+        // A running child gets a cancel event for its cleanup flow
+        await finishChild(blocker, 'completed')
+        await taskPackageDB.upsertTaskPackage('tp-child', 'Child', 'child')
+        const parent2 = await startParent()
+        const { child: running } = await spawnChild(parent2)
+        await taskLifecycle.transition(running.id, 'started')
+
+        await taskPackageRuntime.cancelTask(parent2, { actor: 'carol' })
+        assert.equal((await taskPackageDB.getTaskPackageInstance(running.id)).status, 'cancelling')
+        assert.ok(childCancels.includes(running.id))
+    })
+
+    it('marks the output as cleanup when the parent was cancelled while the child ran', async () => {
+        const parent = await startParent()
+        const { child, done } = await spawnChild(parent)
+        activeTaskRegistry.markCancelled(parent)
+
+        await finishChild(child.id, 'completed')
+        await done
+
+        const completed = spawn.sent.at(-1)[0]
+        assert.equal(completed._tpCleanup, true)
+        assert.equal(completed._tpCleanupReason, 'cancelled')
+    })
+
+    it('does not spawn from a cancelled parent or without a deployed child tp-start', async () => {
+        const parent = await startParent()
+        activeTaskRegistry.markCancelled(parent)
+        await red.input(spawn, { tp_data: { tpc_id: parent, user: 'alice' } })
+        assert.match(spawn.logs.warn.at(-1), /cancelled task/)
+
+        // The child package comes from msg.child_tp_id when none is configured
+        const orphanSpawn = red.deploy({ id: 'spawn-2', type: 'tp-spawn', z: 'tab-1' })
+        const other = await startParent()
+        await red.input(orphanSpawn, { child_tp_id: 'tp-orphan', tp_data: { tpc_id: other, user: 'alice' } })
+        assert.match(orphanSpawn.logs.error.at(-1), /No tp-start node deployed/)
+        assert.deepEqual(await taskPackageDB.getChildInstances(other), [])
+        await red.close(orphanSpawn)
+    })
+})
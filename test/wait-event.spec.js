@@ -0,0 +1,179 @@
+/** tp-wait-event: correlating updates to waiting tasks
+ *
+ * Copyright (c) 2025 CHART
+ * Licensed under the ISC License
+ */
+'use strict'
+
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { openTestDB, settle } = require('./helpers/db')
+const { startTestAPI } = require('./helpers/api')
+const { createRED } = require('./helpers/red')
+const taskLifecycle = require('../lib/task-lifecycle')
+const tpEvents = require('../lib/task-package-events')
+
+describe('tp-wait-event', () => {
+    let closeDB
+    let server
+    let red
+    let node
+    let next = 0
+
+    /** Create a running instance */
+    async function startInstance(tp_id = 'tp-wait') {
+        const tpc_id = `wait-${++next}`
+        await taskLifecycle.createInstance({ tpc_id, tp_id, tp_name: 'Wait', user: 'alice' })
+        await taskLifecycle.transition(tpc_id, 'started')
+        return tpc_id
+    }
+
+    /** Number of listeners for the update events of a task package */
+    function updateListeners(tp_id = 'tp-wait') {
+        return tpEvents.getListenerCount(tpEvents.createEventName(`update/${tp_id}`))
+    }
+
+    before(async () => {
+        closeDB = await openTestDB()
+        server = await startTestAPI()
+        red = createRED()
+        red.load('tp-wait-event')
+        node = red.deploy({ id: 'wait-1', type: 'tp-wait-event', z: 'tab-1', match: 'equals', property: 'status', value: 'arrived' })
+    })
+
+    after(async () => {
+        await red.close(node)
+        await server.close()
+        await closeDB()
+    })
+
+    it('sends the held message on when a matching update for its instance arrives', async () => {
+        const tpc_id = await startInstance()
+        const other = await startInstance()
+        const finished = red.input(node, { tp_data: { tpc_id }, payload: 'held' })
+        red.input(node, { tp_data: { tpc_id: other, tp_id: 'tp-wait' } })
+        await settle()
+        assert.match(node.statuses.at(-1).text, /Waiting: 2/)
+
+        await server.request('POST', '/update', { tpc_id, status: 'on the way' })
+        await server.request('POST', '/update', { tpc_id: other, status: 'arrived' })
+        await settle()
+        assert.equal(node.sent.length, 1)
+        assert.equal(node.sent[0][0].tp_data.tpc_id, other)
+
+        await server.request('POST', '/update', { tpc_id, status: 'arrived', dock: 3 })
+        await finished
+
+        const [matched, timedOut, cancelled] = node.sent[1]
+        assert.equal(timedOut, null)
+        assert.equal(cancelled, null)
+        assert.equal(matched.payload, 'held')
+        assert.deepEqual(matched.update.update_data, { status: 'arrived', dock: 3 })
+        assert.equal(matched.update.updated_by, 'admin')
+        assert.equal(node._waiting.size, 0)
+        node.sent.length = 0
+    })
+
+    it('uses one update listener per node however many tasks wait', async () => {
+        const before = updateListeners()
+        const waiting = []
+        for (let i = 0; i < 150; i++) {
+            waiting.push(red.input(node, { tp_data: { tpc_id: `wait-many-${i}`, tp_id: 'tp-wait' } }))
+        }
+        await settle()
+
+        assert.equal(updateListeners(), before)
+        assert.equal(node._waiting.size, 150)
+
+        tpEvents.emitUpdate('tp-wait', { tpc_id: 'wait-many-42', update_data: { status: 'arrived' } })
+        await settle()
+        assert.equal(node.sent.length, 1)
+        assert.equal(node.sent[0][0].tp_data.tpc_id, 'wait-many-42')
+
+        for (let i = 0; i < 150; i++) {
+            tpEvents.emitUpdate('tp-wait', { tpc_id: `wait-many-${i}`, update_data: { status: 'arrived' } })
+        }
+        await Promise.all(waiting)
+        assert.equal(node.sent.length, 150)
+        assert.equal(node._waiting.size, 0)
+        node.sent.length = 0
+    })
+
+    it('releases every message of an instance held at the node', async () => {
+        const tpc_id = await startInstance()
+        const first = red.input(node, { tp_data: { tpc_id, tp_id: 'tp-wait' }, payload: 1 })
+        const second = red.input(node, { tp_data: { tpc_id, tp_id: 'tp-wait' }, payload: 2 })
+        await settle()
+
+        tpEvents.emitUpdate('tp-wait', { tpc_id, update_data: { status: 'arrived' } })
+        await Promise.all([first, second])
+
+        assert.deepEqual(node.sent.map(outputs => outputs[0].payload), [1, 2])
+        node.sent.length = 0
+    })
+
+    it('sends the message on the Timed out output when no update matches in time', async () => {
+        const timed = red.deploy({ id: 'wait-timed', type: 'tp-wait-event', z: 'tab-1', timeout: '0.05' })
+        const tpc_id = await startInstance()
+
+        await red.input(timed, { tp_data: { tpc_id, tp_id: 'tp-wait' } })
+
+        const [matched, timedOut] = timed.sent[0]
+        assert.equal(matched, null)
+        assert.equal(timedOut.timed_out, true)
+        assert.equal(timed._waiting.size, 0)
+        await red.close(timed)
+    })
+
+    it('sends the message on the Cancelled output, marked as cleanup, when the task is cancelled', async () => {
+        const tpc_id = await startInstance()
+        const finished = red.input(node, { tp_data: { tpc_id, tp_id: 'tp-wait' } })
+        await settle()
+
+        tpEvents.emitCancel(tpc_id, { tpc_id, tp_id: 'tp-wait' })
+        await finished
+
+        const [matched, timedOut, cancelled] = node.sent.pop()
+        assert.equal(matched, null)
+        assert.equal(timedOut, null)
+        assert.equal(cancelled._tpCleanup, true)
+        assert.equal(cancelled._tpCleanupReason, 'cancelled')
+        assert.equal(node._waiting.size, 0)
+    })
+
+    it('looks up the task package of the instance when tp_data has none', async () => {
+        const tpc_id = await startInstance('tp-wait-lookup')
+        const finished = red.input(node, { tp_data: { tpc_id } })
+        await settle()
+
+        tpEvents.emitUpdate('tp-wait-lookup', { tpc_id, update_data: { status: 'arrived' } })
+        await finished
+
+        assert.equal(node.sent.pop()[0].tp_data.tpc_id, tpc_id)
+    })
+
+    it('reports an unknown instance', async () => {
+        await red.input(node, { tp_data: { tpc_id: 'wait-unknown' } })
+
+        assert.match(node.logs.error.at(-1), /'wait-unknown' not found/)
+    })
+
+    it('removes its update listener and drops held messages on close', async () => {
+        const closing = red.deploy({ id: 'wait-closing', type: 'tp-wait-event', z: 'tab-1' })
+        const tpc_id = await startInstance()
+        const before = updateListeners()
+        red.input(closing, { tp_data: { tpc_id, tp_id: 'tp-wait' } })
+        await settle()
+        assert.equal(updateListeners(), before + 1)
+
+        await red.close(closing)
+
+        assert.equal(updateListeners(), before)
+        assert.equal(closing._waiting.size, 0)
+        tpEvents.emitUpdate('tp-wait', { tpc_id, update_data: {} })
+        tpEvents.emitCancel(tpc_id, { tpc_id, tp_id: 'tp-wait' })
+        await settle()
+        assert.equal(closing.sent.length, 0)
+    })
+})